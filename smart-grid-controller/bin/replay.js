@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded delta log or a synthetic scenario through the controller and print the
+ * resulting grid switch timeline.
+ *
+ *   node bin/replay.js --list
+ *   node bin/replay.js --scenario load-spike [--verbose] [--json]
+ *   node bin/replay.js --log deltas.log --config smart-grid-controller.json [--verbose] [--json]
+ *
+ * --config takes the plugin options, either bare or as saved by the server
+ * (~/.signalk/plugin-config-data/smart-grid-controller.json, options under "configuration").
+ */
+
+const fs = require('fs');
+const { simulate, parseDeltaLog } = require('../lib/simulator');
+const { listScenarios, buildScenario } = require('../lib/scenarios');
+const { buildConfig } = require('../lib/config');
+
+const USAGE = `Usage:
+  node bin/replay.js --list
+  node bin/replay.js --scenario <name> [--verbose] [--json]
+  node bin/replay.js --log <delta log> --config <plugin options JSON> [--verbose] [--json]`;
+
+function parseArgs(argv) {
+  const args = { flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--scenario' || arg === '--log' || arg === '--config') {
+      args[arg.slice(2)] = argv[++i];
+    } else if (arg === '--list' || arg === '--verbose' || arg === '--json' || arg === '--help') {
+      args.flags.add(arg.slice(2));
+    } else {
+      throw new Error(`Unknown argument '${arg}'`);
+    }
+  }
+  return args;
+}
+
+function loadOptions(file) {
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return saved.configuration || saved;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.flags.has('help') || (!args.flags.has('list') && !args.scenario && !args.log)) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.flags.has('list')) {
+    listScenarios().forEach(scenario => console.log(`${scenario.name.padEnd(24)}${scenario.description}`));
+    return;
+  }
+
+  let input;
+  if (args.scenario) {
+    input = buildScenario(args.scenario);
+  } else {
+    if (!args.config) throw new Error('--log needs --config with the plugin options');
+    const options = loadOptions(args.config);
+    const config = buildConfig(options, () => {});
+    if (!config) throw new Error(`Invalid plugin options in ${args.config} - battery type and battery Ah rating are required`);
+    input = { options: options, samples: parseDeltaLog(fs.readFileSync(args.log, 'utf8'), config.paths, config.inverters) };
+    if (input.samples.length === 0) {
+      throw new Error(`No voltage/load data for ${config.paths.voltage} and ${config.inverters.map(inverter => inverter.load).join(', ')} in ${args.log}`);
+    }
+  }
+
+  const log = args.flags.has('verbose') ? (level, message) => console.log(`    [${level}] ${message}`) : undefined;
+  const result = simulate({ ...input, log: log });
+
+  if (args.flags.has('json')) {
+    console.log(JSON.stringify({ timeline: result.timeline, notifications: result.notifications, state: result.state }, null, 2));
+    return;
+  }
+
+  const timezone = result.config.scheduleSettings.timezone;
+  const formatTime = time => `${new Date(time).toISOString()} (${new Date(time).toLocaleTimeString('en-GB', { timeZone: timezone })} ${timezone})`;
+  console.log(`${input.samples.length} samples, ${formatTime(input.samples[0].time)} to ${formatTime(input.samples[input.samples.length - 1].time)}`);
+  result.timeline.forEach(entry => console.log(`${formatTime(entry.time)}  GRID ${entry.enabled ? 'ON ' : 'OFF'}  ${entry.reason}`));
+  result.notifications.forEach(notification => console.log(`${formatTime(notification.time)}  NOTIFY ${notification.name}=${notification.state}  ${notification.message}`));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`replay: ${error.message}`);
+  process.exit(1);
+}
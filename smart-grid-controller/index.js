@@ -31,18 +31,39 @@
  *    - Purpose: Backup protection based on calculated state of charge
  *    - Hysteresis gap: 20% prevents rapid switching
  * 
- * 4. SCHEDULED CHARGING WINDOW
- *    - Enables when: UK time between 00:00 and 06:00
- *    - Disables when: Outside this time window
- *    - Purpose: Allows cheap overnight charging during off-peak electricity rates
+ * 4. SCHEDULED CHARGING WINDOWS
+ *    - Enables when: Local time (configured timezone) is inside any configured window - default 00:00-06:00 UK time
+ *    - Disables when: Outside all windows, or the active window's optional SoC target is reached
+ *    - Windows: HH:MM start/end (may cross midnight), days of week, optional MM-DD seasonal date range
+ *    - Purpose: Allows cheap charging during off-peak electricity rates (e.g. overnight plus a weekday afternoon slot)
  *    - No delay: Immediate enable/disable at time boundaries
+ *    - Tariff mode: when a price schedule is loaded, the cheapest slots needed to reach a target SoC by
+ *      a deadline replace the fixed windows (fixed windows are used again if no current prices exist)
+ * 
+ * PRICE LIMIT (tariff mode):
+ *    - "Never import above" blocks the load condition (and its protection override) while the current
+ *      price is above the limit - low voltage/SoC conditions still enable the grid to protect the battery
+ * 
+ * STORAGE MODE (laid up):
+ *    - Enables when: SoC < storage band minimum (default 40%) for 3+ seconds
+ *    - Disables when: SoC reaches the band maximum (default 60%)
+ *    - Load condition and charging windows/tariff slots are ignored; low voltage/SoC and all
+ *      protections still apply
+ * 
+ * BALANCING CHARGE (every N days, off by default):
+ *    - Wants the grid and charges past standard protection until the highest cell reaches the target
+ *      (default midway between cell protection and emergency, 3.55V for LiFePO4), then holds it there
+ *      for the hold time so the BMS can top-balance
+ *    - Emergency, temperature emergency, cold charge block and force-off abort it; not done in maxHours
+ *      fails it - either retried a day later. Not run in storage mode
+ *    - Last run saved to balancing-state.json in the data directory
  * 
  * BATTERY PROTECTION LAYERS:
  * 
  * STANDARD PROTECTION (Can be overridden by high loads only):
  *    - Triggers when: Voltage >= 61.5V OR SoC >= 95%
  *    - Clears when: Voltage < 60.75V AND SoC < 92.5% (0.75V/2.5% hysteresis)
- *    - Override: ONLY high load condition (>2500W) can keep grid on
+ *    - Override: ONLY high load condition (>2500W) or a balancing charge can keep grid on
  *    - Blocked: Time-based charging CANNOT override (safety improvement)
  *    - Purpose: Prevents routine overcharging while allowing critical loads
  * 
@@ -52,8 +73,101 @@
  *    - Override: NONE - immediately disconnects grid regardless of load or time
  *    - Purpose: Final safety protection against battery damage
  * 
+ * CELL-LEVEL PROTECTION (when BMS cell voltages are available):
+ *    - A single runaway cell can hide inside a healthy-looking pack average, so the highest cell,
+ *      lowest cell and cell delta are checked alongside the pack voltage
+ *    - Standard: highest cell >= high-voltage cell threshold, or cell delta >= max delta
+ *    - Emergency: highest cell >= emergency cell threshold, or cell delta >= emergency delta
+ *    - Low voltage condition: also enables when the lowest cell drops below the per-cell enable voltage
+ *    - Delta checks are skipped while a low voltage/SoC condition is asking for grid (imbalance at the
+ *      bottom must not block recharging)
+ *    - Hysteresis: 0.05V per cell, 0.02V on the delta
+ *    - Falls back to pack-voltage logic only when cell data is missing or stale
+ * 
+ * TEMPERATURE PROTECTION (when a battery temperature path is configured, limits from the chemistry):
+ *    - Cold charge block: below the minimum charge temperature (LiFePO4 0°C) the grid is disconnected
+ *      and nothing - not load, schedule or force-on - reconnects it until it is 3°C warmer
+ *    - High temperature: like standard protection (only high load keeps the grid on), clears 3°C below
+ *    - Temperature emergency: like emergency protection, clears 3°C below
+ *    - Missing/stale temperature: each layer keeps its current state, logged once
+ *    - Optional compensation shifts voltage thresholds and the SoC curve by V/°C per cell from 25°C
+ * 
+ * PUBLISHED STATE (Signal K paths, on change and refreshed every 30s):
+ *    - electrical.gridController.gridEnabled               Grid AC allowed (boolean)
+ *    - electrical.gridController.conditions.load|voltage|stateOfCharge|schedule|storage   Active enable conditions
+ *    - electrical.gridController.protection.battery|emergency                     Active protection layers
+ *    - electrical.gridController.protection.highTemperature|temperatureEmergency|coldCharge   Temperature layers
+ *    - electrical.gridController.dataLost                  Data watchdog state
+ *    - electrical.gridController.degraded                  Grid command not confirmed by the device
+ *    - electrical.gridController.shadowMode                Shadow mode on - grid state above is intended only
+ *    - electrical.gridController.currentLimit              AC input current limit set (A, modulation on)
+ *    - electrical.gridController.gridAvailable|gridUnavailableWhileRequested   Grid AC input live, time dead while allowed (s)
+ *    - electrical.gridController.generator.state|reason|runHoursToday   Generator (generator mode on)
+ *    - electrical.gridController.balancing.state|lastCompleted|nextDue   Balancing charge (balancing on)
+ *    - electrical.gridController.energy.today|week.*      Grid import (J, total and byCause), cost, battery
+ *      charged/discharged (J), equivalent cycles, time at high SoC (s) - energy accounting on
+ *    - electrical.gridController.energy.lifetime.equivalentCycles|averageDepthOfDischarge, .lastDepthOfDischarge
+ *    - electrical.gridController.stateOfCharge|socSource   Computed SoC (ratio 0-1) and where it came from
+ *    - electrical.gridController.lastSwitch.state|reason|time   Last grid command and why
+ *    - electrical.gridController.override                  Manual override (see below)
+ * Notifications (notifications.electrical.gridController.*):
+ *    - batteryProtection: alert (pack voltage/SoC) or alarm (cell voltage/imbalance)
+ *    - emergencyProtection: emergency
+ *    - coldCharge: alarm, highTemperature: alert, temperatureEmergency: emergency
+ *    - dataLost: alarm
+ *    - actuation: alarm (command not confirmed after retries, or input changed outside the controller)
+ *    - generator: alarm (failed to start after all attempts)
+ *    - gridUnavailable: alarm (low voltage/SoC wants the grid but the AC input is dead)
+ *    - balancing: alert (balancing charge failed or aborted), cleared when one completes
+ * 
+ * ENERGY ACCOUNTING:
+ *    - Grid import (per-unit AC input power) split over the active conditions (load, voltage, soc,
+ *      schedule, storage) and the balancing charge, anything else counted as "other"; costed at the
+ *      tariff price or a fixed price
+ *    - Battery charged/discharged, equivalent full cycles, depth of discharge per discharge and time
+ *      at or above the high-SoC protection threshold
+ *    - Today, yesterday, this/last ISO week and lifetime, saved to energy-state.json in the data directory
+ *    - GET /plugins/smart-grid-controller/energy
+ * 
+ * MQTT / HOME ASSISTANT (off by default):
+ *    - Retained JSON state on <base topic>/state (grid, conditions, protections, SoC, voltage, load,
+ *      override, last switch), online/offline availability with an offline last will
+ *    - Home Assistant discovery configs for a "Smart Grid Controller" device, including an override select
+ *    - Override commands (mode or override JSON) on <base topic>/override/set
+ * 
+ * DASHBOARD:
+ *    - Webapp in public/ (Signal K Webapps menu, /smart-grid-controller/): status, conditions against
+ *      their thresholds, protections, SoC, 24-hour switching timeline from the event history, override
+ *    - Uses GET /status (which includes the battery and the thresholds in force), GET /history and POST /override
+ * 
+ * EVENT HISTORY:
+ *    - Grid switches, condition/protection changes, overrides, plugin start/stop, data lost, actuation,
+ *      grid availability, generator and balancing changes - each with its reason and the voltage/SoC/load
+ *    - history.jsonl in the plugin data directory, rotated by size (oldest file dropped)
+ *    - GET /plugins/smart-grid-controller/history?from=&to=&type=&format=json|csv&limit=
+ * 
+ * SHADOW MODE (dry run, for commissioning):
+ *    - Full evaluation on live data, including the startup enable, override and fail-safe
+ *    - Nothing is written: no grid commands, current limit or generator outputs (Signal K or D-Bus),
+ *      and no actuation confirmation
+ *    - Every intended switch is logged ("SHADOW: grid would be ...") with its reason, published and
+ *      recorded in the event history (shadow: true)
+ *    - Report of switches by cause, time on/off and the busiest hour, kept across restarts:
+ *      GET /plugins/smart-grid-controller/shadow, POST /plugins/smart-grid-controller/shadow/reset
+ * 
+ * MANUAL OVERRIDE:
+ *    - Modes: auto (normal control), force-on, force-off
+ *    - Set via Signal K PUT on electrical.gridController.override or POST /plugins/smart-grid-controller/override
+ *    - Optional expiry (time or duration) or "until SoC X" (force-on ends at >= X, force-off ends at <= X)
+ *    - Emergency protection, temperature emergency and the cold charge block still win over force-on;
+ *      standard and high temperature protection and all conditions are ignored
+ *    - Start and end are logged; the active override is shown in the status output
+ * 
  * TIMING BEHAVIOR:
  * 
+ * All delays, anti-cycling limits and protection hysteresis are configurable ("Timing & Anti-Cycling",
+ * "Protection Hysteresis"); the defaults are shown here.
+ * 
  * Enable Delays (prevents false triggers):
  *    - Load, voltage, SoC conditions: 3 seconds
  *    - Time condition: Immediate
@@ -65,11 +179,43 @@
  *    - Emergency protection: Immediate when triggered
  *    - Purpose: Provides stability, prevents rapid cycling
  * 
+ * Anti-Cycling (condition-driven switches only):
+ *    - Minimum on time 60s, minimum off time 60s, at most 12 switches per rolling hour
+ *    - A held switch is logged and applied as soon as the limit allows
+ *    - notifications.electrical.gridController.switchRateLimit (alert) while the hourly limit holds one back
+ *    - Emergency/battery protection, manual override and the data-lost fail-safe are never held
+ *      (they do count towards the hourly limit); low voltage/SoC enables ignore the hourly limit
+ * 
  * Startup Behavior:
  *    - Grid enabled immediately on plugin start
  *    - 30-second grace period before normal evaluation begins
  *    - Purpose: Ensures reliable operation during system restarts
  * 
+ * Evaluation:
+ *    - Subscribed to the controller's own input paths only (battery, load, control feedback, BMS,
+ *      grid and generator readings) - deltas for AIS, GPS, wind etc. never trigger an evaluation
+ *    - At most one evaluation per second from deltas, plus a 5-second tick and the pending-delay wake-up
+ *    - Configuration is parsed once at start (saving it in the admin UI restarts the plugin)
+ *    - The debug state line is logged when grid, override, conditions or protections change,
+ *      otherwise once a minute
+ * 
+ * STATE OF CHARGE SOURCE (configurable):
+ *    - Voltage (default): SoC looked up from the per-cell voltage curve, offset for charge/discharge
+ *    - Coulomb: battery power integrated over time (with charge efficiency), re-anchored to the
+ *      voltage curve after a rest period and when the pack is full
+ *    - Fused: Coulomb counting plus continuous drift correction toward the voltage curve
+ *    - Coulomb/fused estimate is saved to the plugin data directory and restored on restart
+ * 
+ * DATA WATCHDOG:
+ *    - Every input is checked against its Signal K timestamp and a configurable max age
+ *    - Voltage or load missing/stale: "data lost" state - condition timers are cancelled, normal
+ *      evaluation stops and the configured fail-safe is applied (hold last state, force grid on,
+ *      or force grid off). notifications.electrical.gridController.dataLost is raised until recovery
+ *    - Charger power missing/stale: treated as resting (it only refines the SoC estimate)
+ *    - Checked on every evaluation and every 5 seconds, so a silent data stream is also detected
+ *    - Not raised during the startup grace period (data may still be arriving)
+ *    - Purpose: Never act on a battery the controller cannot actually see
+ * 
  * HYSTERESIS EXPLANATION:
  * Hysteresis means different thresholds for turning ON vs turning OFF.
  * Example: Load enables at 2500W but disables at 1750W.
@@ -79,18 +225,82 @@
  * Universal cell-count support for multiple battery configurations:
  * - Li-NCM: 4S to 15S configurations supported (14.8V to 55.5V nominal)
  * - LiFePO4: 4S to 16S configurations supported (12.8V to 51.2V nominal)
+ * - Any cell count of Li-NCM, LiFePO4, LTO, sodium-ion or lead-acid via the "custom" battery type
+ * - User-defined chemistries (OCV curve, offsets, thresholds), validated at startup
  * - Per-cell voltage thresholds automatically scaled to pack voltage
  * - Chemistry-specific SoC curves calculated from per-cell voltage
  * - Safe defaults: Control disabled if invalid configuration detected
  * 
- * HARDWARE CONNECTIONS:
+ * HARDWARE CONNECTIONS (defaults, all configurable under "Data & Control Paths"):
  * - Reads from: electrical.chargers.275.voltage (DC voltage)
  * - Reads from: electrical.inverters.275.acout.power (AC load)  
+ * - Reads from: electrical.chargers.275.power (charger power, used for charge/discharge detection)
  * - Controls (MultiPlus II GX): electrical.inverters.275.acState.ignoreAcIn1.state
  * - Controls (Cerbo GX): electrical.switches.relay1.state (grid AC enable/disable)
  * - Maps to: com.victronenergy.vebus.ttyS3 (MultiPlus II GX) or com.victronenergy.system /Relay/1/State (Cerbo GX)
+ * 
+ * GRID AVAILABILITY:
+ *    - The AC input voltage/frequency tell whether the grid is live, tracked separately from "allowed"
+ *    - Outages/restorations (confirmed after 5s) are logged; time dead while allowed is counted
+ *    - Enabling a dead input is logged as such, not as a working grid
+ *    - Unknown (no fresh voltage reading): nothing counted or raised
+ * 
+ * AC INPUT CURRENT LIMIT MODULATION (optional):
+ *    - Writes the VE.Bus AC input current limit (/Ac/ActiveIn/CurrentLimit) on every inverter unit
+ *    - Scheduled charging or the storage band alone: the (slow) charge current; high load, low battery, force-on: the maximum
+ *    - The maximum is the grid import ceiling (e.g. 16A shore pedestal, 6A campsite hookup) - never exceeded,
+ *      also not by a Signal K PUT on the current limit path
+ *    - Increases ramp at the configured A/s, decreases apply at once; back to the minimum while the grid is off
+ * 
+ * GENERATOR ON AC INPUT 2 (optional):
+ *    - Low voltage, low SoC and high load start it: Cerbo relay (start/stop) on, AC-in 2 accepted after warm-up
+ *    - Failed start: no AC voltage within the start timeout - retried, then alarm
+ *    - Minimum run time once demand clears; cool-down with AC-in 2 ignored before the relay opens
+ *    - Quiet hours, shore power available, battery protection, force-off and the daily run-hour limit stop it
+ *    - Runs alongside grid control; with a shore voltage path it only runs while shore power is off
+ * 
+ * SEVERAL INVERTERS (split-phase, three-phase, parallel):
+ * - List the inverter units (VE.Bus instance or explicit paths, D-Bus service, optional phase)
+ * - Load condition on the sum of all units, or per phase: any phase above the per-phase enable
+ *   threshold enables, every phase below the per-phase disable threshold clears it
+ * - All AC inputs are switched together; a command is only confirmed when every unit reports it,
+ *   and a unit that does not follow (or is changed on its own) raises the actuation alarm
+ * - Every unit's load is checked by the data watchdog
+ * 
+ * CONFIGURATION VALIDATION:
+ *    - v1.x options are migrated first (battery type without cell count, pack voltage thresholds)
+ *    - Each setting is checked for type and range (0 kept where valid), then against related settings
+ *      (enable/disable pairs, low below high, protections recovering above the enable levels, windows)
+ *    - Invalid values fall back to defaults; every problem is logged with its option path
+ *    - Plugin status in the admin UI: battery and problems while running; plugin error when the
+ *      configuration is unusable (no/unknown battery, no Ah rating) and control is disabled
+ * 
+ * AUTO-DISCOVERY:
+ * When enabled, the Signal K tree is scanned at startup for Victron charger/inverter instances
+ * (one unit - list several inverters explicitly).
+ * Every candidate found is logged, and the chosen instance (and its D-Bus service, taken from
+ * the Venus $source) replaces the configured paths. If nothing is found yet, the scan is retried
+ * once when the startup grace period ends; until then the configured paths are used.
  */
 
+const path = require('path');
+const { validateConfig, inputPaths } = require('./lib/config');
+const { calculateSoC } = require('./lib/soc');
+const { kelvinToCelsius, isPlausibleKelvin, compensationOffset, compensateThresholds } = require('./lib/temperature');
+const { phaseLoads: sumPhaseLoads } = require('./lib/inverters');
+const { createCurrentLimiter } = require('./lib/current-limit');
+const { createGridAvailability } = require('./lib/grid-availability');
+const { createHistory, parseHistoryQuery, toCsv } = require('./lib/history');
+const { CAUSES, createEnergyAccounting } = require('./lib/energy');
+const { createGeneratorController } = require('./lib/generator');
+const { createShadowReport } = require('./lib/shadow');
+const { createBalancingController } = require('./lib/balancing');
+const { createMqttBridge } = require('./lib/mqtt-bridge');
+const { createDecisionEngine } = require('./lib/engine');
+const { createSocEstimator } = require('./lib/soc-estimator');
+const { getZonedTime, findActiveWindow, findActiveWindows, nextOccurrence } = require('./lib/schedule');
+const { loadPriceSchedule, priceAt, planCharging, activePlanSlot } = require('./lib/tariff');
+
 module.exports = function smartGridController(app) {
     // Logging helper with consistent formatting
     function log(level, message, data = {}) {
@@ -103,48 +313,137 @@ module.exports = function smartGridController(app) {
       }
     }
 
-    // Start with grid enabled on startup
-    let gridState = true;
-    
-    // Track which conditions are currently active
-    let enabledByLoad = false;
-    let enabledByVoltage = false; 
-    let enabledBySoC = false;
-    let enabledByTime = false;
+    // Switching decisions (conditions, protections, delays) - see lib/engine.js
+    // Replaced in start() - a Signal K config save is a stop()/start(), and a run starts from a clean state
+    let engine = createDecisionEngine(log);
     
-    // Track battery protection state
-    let batteryProtectionActive = false;
+    // Re-evaluation when the engine's next pending delay runs out
+    let wakeTimer = null;
     
-    // Track emergency battery protection (cannot be overridden)
-    let emergencyProtectionActive = false;
+    // Evaluation on the subscribed input paths - deltas are coalesced to one evaluation per interval
+    const MIN_EVALUATION_INTERVAL_MS = 1000;
+    let unsubscribes = [];
+    let evaluationTimer = null;
+    let lastEvaluationAt = 0;
     
-    // Timers for condition evaluation
-    let loadEnableTimer = null;
-    let voltageEnableTimer = null;
-    let socEnableTimer = null;
+    // Configuration parsed in start() (a Signal K config change restarts the plugin), null while stopped
+    let activeConfig = null;
+    // Validation result for it - { config, errors, warnings, migrations } (see lib/config.js)
+    let configReport = null;
     
-    // Timer for relay disable delay
-    let disableTimer = null;
-    
-    // Startup grace period
+    // Startup grace period - held (no timer) while the grid AC input is dead when it would end
     let startupGraceTimer = null;
+    let startupGraceHeld = false;
+
+    // Data watchdog - periodic freshness check and "data lost" fail-safe state
+    let watchdogTimer = null;
+    let dataLostActive = false;
+    let dataLostSince = null;
+    let chargePowerStale = false;
+
+    // Coulomb-counting SoC estimator (created in start() once the data directory is known)
+    let socEstimator = null;
+
+    // Shadow mode report of the switches the controller would have made (created in start() in shadow mode)
+    let shadowReport = null;
+
+    // Periodic balancing charge (created in start() when enabled)
+    let balancingController = null;
 
-    // Debug logging timer
-    let debugTimer = null;
-    let lastGridState = true;
-    let debugCounter = 0;
+    // MQTT bridge to Home Assistant (created in start() when enabled)
+    let mqttBridge = null;
+
+    // Energy and battery-health totals (created in start() when enabled)
+    let energyAccounting = null;
+    let gridPowerAvailable = null;
+
+    // Dynamic tariff - loaded price slots, current charge plan and refresh timer
+    const TARIFF_REPLAN_INTERVAL_MS = 5 * 60 * 1000;
+    let priceSlots = [];
+    let priceScheduleLoadedAt = null;
+    let chargePlan = null;
+    let tariffTimer = null;
+    let tariffAvailable = null;
+    let priceBlockActive = false;
+
+    // BMS data availability (for logging fallback transitions once)
+    let bmsSocAvailable = null;
+    let cellDataAvailable = null;
+    let temperatureAvailable = null;
+
+    // Manual override (auto = normal control)
+    const OVERRIDE_PATH = 'electrical.gridController.override';
+    const OVERRIDE_MODES = ['auto', 'force-on', 'force-off'];
+    let override = { mode: 'auto', expiresAt: null, untilSoc: null, startedAt: null, source: null };
+
+    // Latest evaluated values, for the status output
+    let lastStatus = null;
+
+    // Event history (created in start() once the data directory is known) - conditions/protections last recorded
+    let history = null;
+    let recordedState = engine.getState();
+
+    // Controller state published under electrical.gridController.* (on change, full refresh periodically)
+    const STATE_PATH = 'electrical.gridController';
+    const STATE_REFRESH_MS = 30000;
+    let publishedState = {};
+    let lastFullPublish = 0;
+    let lastSwitch = null;
+
+    // Actuation feedback - each grid command is confirmed against the state the device reports back
+    const PLUGIN_ID = 'smart-grid-controller';
+    let pendingCommand = null;      // { enabled, reason, targets, autoMethod, sentAt, attempt, timer }
+    let actuationDegraded = false;
+    let actuationMessage = null;
+    let confirmedMethod = null;     // auto mode: the control method whose feedback has confirmed a command
+    let lastConfirmedAt = null;
+
+    // AC input current limit modulation (see lib/current-limit.js) - replaced in stop()
+    let currentLimiter = createCurrentLimiter();
+
+    // Whether the grid AC input is actually live (see lib/grid-availability.js) - last readings, null while not tracked
+    let gridAvailability = createGridAvailability(log);
+    let gridReading = null;
+    let gridVoltageAvailable = null;
+
+    // Generator on AC-in 2 (created in start() when enabled) - last written outputs and demand
+    let generator = null;
+    let generatorOutputs = null;
+    let generatorDemand = { demand: null, block: null };
+    let shoreAvailable = null;
+
+    // System state debug line - logged when the state changes, otherwise once per interval
+    const DEBUG_LOG_INTERVAL_MS = 60000;
+    let lastDebugSummary = null;
+    let lastDebugLogAt = 0;
+
+    // Paths picked by auto-discovery (null until a scan finds a usable instance)
+    let discoveredPaths = null;
+    
+    // Bumped on each registerControlHandlers() - PUT handlers of an earlier registration refuse writes
+    let controlHandlerGeneration = 0;
 
     // Function to log system state for debugging
-    function logSystemState(voltage, soc, load, config, chargePower, reason = '') {
+    function logSystemState(voltage, soc, load, config, chargePower, cells = null, temperature = null, reason = '', phaseLoads = null) {
+      const { gridState, conditions, protections: protectionState } = engine.getState();
       const activeConditions = [];
-      if (enabledByLoad) activeConditions.push('Load');
-      if (enabledByVoltage) activeConditions.push('Voltage');
-      if (enabledBySoC) activeConditions.push('SoC');
-      if (enabledByTime) activeConditions.push('Time');
+      if (conditions.load) activeConditions.push('Load');
+      if (conditions.voltage) activeConditions.push('Voltage');
+      if (conditions.soc) activeConditions.push('SoC');
+      if (conditions.time) activeConditions.push('Time');
       
       const protections = [];
-      if (batteryProtectionActive) protections.push('Battery');
-      if (emergencyProtectionActive) protections.push('Emergency');
+      if (protectionState.battery) protections.push('Battery');
+      if (protectionState.emergency) protections.push('Emergency');
+      if (protectionState.highTemperature) protections.push('HighTemp');
+      if (protectionState.temperatureEmergency) protections.push('TempEmergency');
+      if (protectionState.coldCharge) protections.push('ColdCharge');
+      
+      const summary = `${gridState}|${override.mode}|${activeConditions.join(',')}|${protections.join(',')}`;
+      const now = Date.now();
+      if (summary === lastDebugSummary && now - lastDebugLogAt < DEBUG_LOG_INTERVAL_MS) return;
+      lastDebugSummary = summary;
+      lastDebugLogAt = now;
       
       // Determine charge state for logging using dynamic threshold
       const threshold = config.onePercentThresholdW;
@@ -152,185 +451,647 @@ module.exports = function smartGridController(app) {
                          chargePower < -threshold ? 'Discharging' : 
                          'Resting';
       
-      log('debug', `System State${reason ? ` (${reason})` : ''}: Grid=${gridState ? 'ON' : 'OFF'} | Conditions=[${activeConditions.join(',')}] | Protections=[${protections.join(',')}] | V=${voltage.toFixed(2)}V | SoC=${soc.toFixed(1)}% | Load=${load.toFixed(0)}W | Charge=${chargePower.toFixed(0)}W(${chargeState}) | Battery=${config.batteryCapacityKwh.toFixed(1)}kWh`);
+      log('debug', `System State${reason ? ` (${reason})` : ''}: Grid=${gridState ? 'ON' : 'OFF'}${override.mode !== 'auto' ? ` | Override=${describeOverride()}` : ''} | Conditions=[${activeConditions.join(',')}] | Protections=[${protections.join(',')}] | V=${voltage.toFixed(2)}V | SoC=${soc.toFixed(1)}%(${config.socEstimation.source}) | Load=${load.toFixed(0)}W${phaseLoads ? `(${Object.keys(phaseLoads).map(phase => `${phase} ${phaseLoads[phase].toFixed(0)}W`).join('/')})` : ''} | Charge=${chargePower.toFixed(0)}W(${chargeState})${cells ? ` | Cells=${cells.min.toFixed(3)}-${cells.max.toFixed(3)}V(Δ${(cells.delta * 1000).toFixed(0)}mV)` : ''}${temperature !== null ? ` | Temp=${temperature.toFixed(1)}°C` : ''} | Battery=${config.batteryCapacityKwh.toFixed(1)}kWh`);
     }
 
-    // Get plugin configuration with defaults
+    // Parse the plugin configuration with defaults - once in start(), and again when discovery finds new paths
+    function loadConfig() {
+      configReport = validateConfig(app.readPluginOptions(), log, discoveredPaths);
+      activeConfig = configReport.config;
+      return activeConfig;
+    }
+    
+    // Validation result in the admin UI - the plugin error when the configuration is unusable, otherwise
+    // the running status with any migrated, ignored or defaulted settings
+    function reportConfigStatus() {
+      const { config, errors, warnings, migrations } = configReport;
+      if (!config) {
+        if (app.setPluginError) {
+          app.setPluginError(`Configuration invalid, control DISABLED - ${errors.map(error => error.message).join('; ')}`);
+        }
+        return;
+      }
+      const notes = [];
+      if (migrations.length > 0) {
+        notes.push(`${migrations.length} v1.x setting(s) migrated - review the plugin configuration`);
+      }
+      const problems = [...errors, ...warnings];
+      if (problems.length > 0) {
+        notes.push(`${problems.length} configuration problem(s): ${problems.map(problem => problem.message).join('; ')}`);
+      }
+      if (app.setPluginStatus) {
+        app.setPluginStatus(`${config.shadowMode ? 'Shadow mode' : 'Running'} - ${config.chemistryProfile.name} ${config.cellCount}S, ${config.batteryCapacityKwh.toFixed(1)}kWh${notes.length > 0 ? ` | ${notes.join(' | ')}` : ''}`);
+      }
+    }
+    
+    // Current plugin configuration (null while stopped or without a battery Ah rating)
     function getConfig() {
-      const config = app.readPluginOptions();
-      
-      // Parse battery type to get chemistry and cell count
-      const batteryType = config.batteryType || 'li-ncm-15s';
-      const [chemistry, cellCountStr] = batteryType.split('-');
-      const cellCount = parseInt(cellCountStr.replace('s', ''));
-      
-      // Per-cell voltage thresholds for each chemistry
-      let perCellVoltages = {};
-      switch (chemistry) {
-        case 'li-ncm':
-          perCellVoltages = {
-            lowVoltageEnable: 3.39,    // ~10% SoC per cell
-            lowVoltageDisable: 3.54,   // ~30% SoC per cell
-            highVoltageProtection: 4.1, // ~95% SoC per cell
-            emergencyVoltage: 4.2      // ~100% SoC per cell
-          };
-          break;
-        case 'lifepo4':
-          perCellVoltages = {
-            lowVoltageEnable: 3.0,     // ~3.6% SoC per cell
-            lowVoltageDisable: 3.25,   // ~14.22% SoC per cell
-            highVoltageProtection: 3.45, // ~97.5% SoC per cell
-            emergencyVoltage: 3.65     // ~100% SoC per cell
-          };
-          break;
-        default:
-          log('error', `Unknown battery chemistry: ${chemistry}`);
-          return null;
-      }
-      
-      // Calculate pack voltages by multiplying per-cell voltages by cell count
-      const packVoltages = {
-        lowVoltageEnable: perCellVoltages.lowVoltageEnable * cellCount,
-        lowVoltageDisable: perCellVoltages.lowVoltageDisable * cellCount,
-        highVoltageProtection: perCellVoltages.highVoltageProtection * cellCount,
-        emergencyVoltage: perCellVoltages.emergencyVoltage * cellCount
-      };
+      return activeConfig;
+    }
+    
+    // Evaluate when one of the controller's own inputs changes, rather than on every delta on the server
+    function subscribeInputs(config) {
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      unsubscribes = [];
+      const paths = inputPaths(config);
+      app.subscriptionmanager.subscribe(
+        { context: 'vessels.self', subscribe: paths.map(path => ({ path: path, policy: 'instant' })) },
+        unsubscribes,
+        error => log('error', `Input subscription error - ${error}`),
+        () => requestEvaluation()
+      );
+      log('info', `Evaluating on ${paths.length} subscribed paths: ${paths.join(', ')}`);
+    }
+    
+    // Run an evaluation now, or once MIN_EVALUATION_INTERVAL_MS has passed since the last one
+    function requestEvaluation() {
+      if (evaluationTimer) return;
+      const waitMs = lastEvaluationAt + MIN_EVALUATION_INTERVAL_MS - Date.now();
+      if (waitMs <= 0) {
+        processData();
+        return;
+      }
+      evaluationTimer = setTimeout(() => {
+        evaluationTimer = null;
+        processData();
+      }, waitMs);
+    }
 
-      // Calculate battery capacity and 1% power threshold
-      const batteryAh = config.batteryCapacity?.batteryAh;
+    // Scan the Signal K tree for Victron charger/inverter instances and pick the best match
+    function discoverPaths() {
+      const chargers = app.getSelfPath('electrical.chargers') || {};
+      const inverters = app.getSelfPath('electrical.inverters') || {};
       
-      // Safety check - battery Ah MUST be configured
-      if (!batteryAh || batteryAh <= 0) {
-        log('error', 'Battery Ah rating not configured - MUST be set in plugin configuration before use');
+      const chargerIds = Object.keys(chargers).filter(id => typeof chargers[id]?.voltage?.value === 'number');
+      const inverterIds = Object.keys(inverters).filter(id => typeof inverters[id]?.acout?.power?.value === 'number');
+      
+      if (chargerIds.length === 0 || inverterIds.length === 0) {
+        log('warn', `Auto-discovery found no usable instances (chargers with voltage: [${chargerIds.join(',')}], inverters with AC load: [${inverterIds.join(',')}])`);
         return null;
       }
       
-      const nominalCellVoltage = chemistry === 'lifepo4' ? 3.2 : 3.7; // LiFePO4: 3.2V, Li-NCM: 3.7V
-      const nominalPackVoltage = nominalCellVoltage * cellCount;
-      const batteryCapacityKwh = (nominalPackVoltage * batteryAh) / 1000; // Convert Wh to kWh
+      log('info', `Auto-discovery candidates - chargers: [${chargerIds.join(',')}], inverters: [${inverterIds.join(',')}]`);
+      
+      // A MultiPlus reports as both charger and inverter under the same VE.Bus instance, so prefer a shared id
+      const sharedIds = inverterIds.filter(id => chargerIds.includes(id));
+      const inverterId = sharedIds.length > 0 ? sharedIds[0] : inverterIds[0];
+      const chargerId = sharedIds.length > 0 ? sharedIds[0] : chargerIds[0];
+      
+      if (sharedIds.length > 1 || (sharedIds.length === 0 && (chargerIds.length > 1 || inverterIds.length > 1))) {
+        log('warn', `Auto-discovery found several instances - picked charger ${chargerId} / inverter ${inverterId}, set paths manually (or list the inverter units) if this is wrong`);
+      }
+      
+      const discovered = {
+        voltage: `electrical.chargers.${chargerId}.voltage`,
+        load: `electrical.inverters.${inverterId}.acout.power`,
+        chargePower: `electrical.chargers.${chargerId}.power`,
+        acInputControl: `electrical.inverters.${inverterId}.acState.ignoreAcIn1.state`,
+        currentLimitControl: `electrical.inverters.${inverterId}.acin.currentLimit`,
+        gridVoltage: `electrical.inverters.${inverterId}.acin.voltage`,
+        gridFrequency: `electrical.inverters.${inverterId}.acin.frequency`
+      };
+      
+      // The Venus plugin's $source carries the D-Bus service name (e.g. venus.com.victronenergy.vebus.ttyS4)
+      const inverter = inverters[inverterId];
+      const source = inverter?.acState?.ignoreAcIn1?.state?.$source || inverter?.acout?.power?.$source || '';
+      const serviceMatch = source.match(/com\.victronenergy\.vebus\.[^\s]+/);
+      if (serviceMatch) {
+        discovered.vebusService = serviceMatch[0];
+      } else {
+        log('warn', `Auto-discovery could not determine the VE.Bus D-Bus service for inverter ${inverterId} (source: '${source}') - using configured service`);
+      }
+      
+      log('info', `Auto-discovery picked: voltage=${discovered.voltage}, load=${discovered.load}, chargePower=${discovered.chargePower}, acInputControl=${discovered.acInputControl}${discovered.vebusService ? `, vebusService=${discovered.vebusService}` : ''}`);
+      return discovered;
+    }
+
+    // Read a numeric input and check its freshness against the Signal K timestamp
+    function readInput(path, maxAgeSeconds) {
+      const node = app.getSelfPath(path);
+      if (!node || typeof node.value !== 'number' || !Number.isFinite(node.value)) {
+        return { value: null, fresh: false, reason: 'missing' };
+      }
+      
+      const timestamp = Date.parse(node.timestamp);
+      if (Number.isNaN(timestamp)) {
+        return { value: node.value, fresh: false, reason: 'no timestamp' };
+      }
+      
+      const ageSeconds = (Date.now() - timestamp) / 1000;
+      if (ageSeconds > maxAgeSeconds) {
+        return { value: node.value, fresh: false, reason: `stale (${ageSeconds.toFixed(0)}s old, max ${maxAgeSeconds}s)` };
+      }
+      return { value: node.value, fresh: true };
+    }
+
+    // Battery power (W, positive when charging) - from the battery current when configured, else the charger power;
+    // null while the configured battery current is missing or stale
+    function readBatteryPower(config, voltage, chargePower) {
+      const settings = config.socEstimation;
+      if (!settings.currentPath) return chargePower;
+      const currentInput = readInput(settings.currentPath, config.dataWatchdog.maxAgeSeconds.chargePower);
+      return currentInput.fresh ? currentInput.value * voltage * (settings.invertCurrent ? -1 : 1) : null;
+    }
+
+    // Read BMS cell voltages - returns { min, max, delta, count } or null when no fresh cell data
+    function readCellData(config) {
+      const bms = config.bms;
+      const cellVoltages = [];
+      
+      // Per-cell paths: each child of the base path is either a voltage value or has a .voltage child
+      if (bms.cellVoltagesPath) {
+        const cells = app.getSelfPath(bms.cellVoltagesPath) || {};
+        for (const key of Object.keys(cells)) {
+          if (key === 'meta' || key.startsWith('$')) continue;
+          const cellPath = cells[key]?.voltage ? `${bms.cellVoltagesPath}.${key}.voltage` : `${bms.cellVoltagesPath}.${key}`;
+          const input = readInput(cellPath, bms.maxAgeSeconds);
+          if (input.fresh) cellVoltages.push(input.value);
+        }
+      }
+      
+      let min = cellVoltages.length > 0 ? Math.min(...cellVoltages) : null;
+      let max = cellVoltages.length > 0 ? Math.max(...cellVoltages) : null;
+      
+      // BMS-reported extremes take precedence when configured
+      if (bms.minCellVoltagePath) {
+        const input = readInput(bms.minCellVoltagePath, bms.maxAgeSeconds);
+        if (input.fresh) min = input.value;
+      }
+      if (bms.maxCellVoltagePath) {
+        const input = readInput(bms.maxCellVoltagePath, bms.maxAgeSeconds);
+        if (input.fresh) max = input.value;
+      }
+      
+      if (min === null || max === null) return null;
+      return { min: min, max: max, delta: max - min, count: cellVoltages.length };
+    }
+
+    // Reload the price schedule - the next evaluation replans with the new prices
+    function refreshPriceSchedule(tariff) {
+      loadPriceSchedule(tariff.source)
+        .then(slots => {
+          priceSlots = slots;
+          priceScheduleLoadedAt = Date.now();
+          chargePlan = null;
+          const lastSlotEnd = slots.length > 0 ? new Date(slots[slots.length - 1].end).toISOString() : '-';
+          log('info', `Price schedule loaded from ${tariff.source} - ${slots.length} slots, prices until ${lastSlotEnd}`);
+        })
+        .catch(error => {
+          log('error', `Could not load price schedule from ${tariff.source} - ${error.message}`);
+        });
+    }
+
+    // Build a new charge plan from the loaded prices and log it when the chosen slots change
+    function updateChargePlan(config, soc, timezone, now) {
+      const previousSlots = chargePlan ? chargePlan.slots.map(slot => slot.start).join(',') : null;
+      
+      chargePlan = planCharging({
+        slots: priceSlots,
+        now: now,
+        soc: soc,
+        targetSoc: config.tariff.targetSoc,
+        deadline: nextOccurrence(now, config.tariff.deadline, timezone),
+        capacityKwh: config.batteryCapacityKwh,
+        chargePowerW: config.tariff.chargePowerW,
+        efficiency: config.socEstimation.chargeEfficiency,
+        alwaysChargeBelow: config.tariff.alwaysChargeBelow,
+        neverImportAbove: config.tariff.neverImportAbove
+      });
+      
+      if (chargePlan.slots.map(slot => slot.start).join(',') !== previousSlots) {
+        const slotList = chargePlan.slots.map(slot => `${new Date(slot.start).toISOString().substr(11, 5)}Z@${slot.price}`).join(', ');
+        log('info', `Tariff plan: ${chargePlan.slots.length} slots [${slotList}] | Need ${chargePlan.energyNeededKwh.toFixed(2)}kWh for ${config.tariff.targetSoc}% by ${new Date(chargePlan.deadline).toISOString()} | Planned ${chargePlan.plannedEnergyKwh.toFixed(2)}kWh, expected cost ${chargePlan.expectedCost.toFixed(2)}${chargePlan.reachesTarget ? '' : ' | WARNING: not enough allowed slots to reach target'}`);
+      }
+    }
+
+    // Human-readable override description for logs and status
+    function describeOverride() {
+      const limits = [];
+      if (override.expiresAt) limits.push(`until ${new Date(override.expiresAt).toISOString()}`);
+      if (override.untilSoc !== null) limits.push(`until SoC ${override.mode === 'force-on' ? '>=' : '<='} ${override.untilSoc}%`);
+      return `${override.mode}${limits.length > 0 ? ` (${limits.join(', ')})` : ''}`;
+    }
+
+    // Publish the override state on its Signal K path
+    function publishOverride() {
+      app.handleMessage('smart-grid-controller', {
+        updates: [{
+          values: [{
+            path: OVERRIDE_PATH,
+            value: {
+              mode: override.mode,
+              expiresAt: override.expiresAt ? new Date(override.expiresAt).toISOString() : null,
+              untilSoc: override.untilSoc,
+              startedAt: override.startedAt ? new Date(override.startedAt).toISOString() : null
+            }
+          }]
+        }]
+      });
+    }
+
+    /**
+     * Start or clear a manual override.
+     * request: 'auto' | 'force-on' | 'force-off', or { mode, expires (ISO time), durationMinutes, untilSoc }
+     * Throws an Error with a user-facing message for invalid requests.
+     */
+    function setOverride(request, source) {
+      const options = typeof request === 'string' ? { mode: request } : (request || {});
+      
+      if (!OVERRIDE_MODES.includes(options.mode)) {
+        throw new Error(`Invalid override mode '${options.mode}' - use ${OVERRIDE_MODES.join(', ')}`);
+      }
+      
+      let expiresAt = null;
+      if (options.expires !== undefined && options.expires !== null) {
+        expiresAt = Date.parse(options.expires);
+        if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+          throw new Error(`Invalid override expiry '${options.expires}' - must be a future ISO 8601 time`);
+        }
+      } else if (options.durationMinutes !== undefined && options.durationMinutes !== null) {
+        if (typeof options.durationMinutes !== 'number' || options.durationMinutes <= 0) {
+          throw new Error(`Invalid override duration '${options.durationMinutes}' - must be a positive number of minutes`);
+        }
+        expiresAt = Date.now() + options.durationMinutes * 60000;
+      }
+      
+      let untilSoc = null;
+      if (options.untilSoc !== undefined && options.untilSoc !== null) {
+        if (typeof options.untilSoc !== 'number' || options.untilSoc < 0 || options.untilSoc > 100) {
+          throw new Error(`Invalid override SoC '${options.untilSoc}' - must be 0-100`);
+        }
+        untilSoc = options.untilSoc;
+      }
+      
+      if (options.mode === 'auto') {
+        endOverride(`cleared by ${source}`);
+        return;
+      }
+      
+      endOverride(`replaced by ${source}`);
+      override = { mode: options.mode, expiresAt: expiresAt, untilSoc: untilSoc, startedAt: Date.now(), source: source };
+      log('info', `Manual override STARTED: ${describeOverride()} - set by ${source}`);
+      recordEvent('override', `Manual override STARTED: ${describeOverride()} - set by ${source}`, { mode: override.mode });
+      publishOverride();
+      
+      // Apply immediately rather than waiting for the next delta
+      processData();
+    }
+
+    function endOverride(reason) {
+      if (override.mode === 'auto') return;
       
-      // Calculate 1% power threshold (for charge/discharge detection)
-      const onePercentThresholdW = (batteryCapacityKwh * 1000) * 0.01; // 1% of capacity in watts
+      const previous = describeOverride();
+      const activeForMinutes = (Date.now() - override.startedAt) / 60000;
+      override = { mode: 'auto', expiresAt: null, untilSoc: null, startedAt: null, source: null };
+      log('info', `Manual override ENDED: ${previous} after ${activeForMinutes.toFixed(1)}min - ${reason}, returning to automatic control`);
+      recordEvent('override', `Manual override ENDED: ${previous} after ${activeForMinutes.toFixed(1)}min - ${reason}`, { mode: 'auto' });
+      publishOverride();
+    }
+
+    // Append a state transition to the event history, with the latest voltage/SoC/load
+    function recordEvent(type, reason, details = {}) {
+      if (history) history.record(type, reason, lastStatus, details);
+    }
 
-      const finalConfig = {
-        batteryType: batteryType,
-        chemistry: chemistry,
-        cellCount: cellCount,
-        batteryCapacityKwh: batteryCapacityKwh,
-        onePercentThresholdW: onePercentThresholdW,
-        loadThresholds: {
-          enableWatts: config.loadThresholds?.enableWatts || 2500,
-          disableWatts: config.loadThresholds?.disableWatts || 1750
+    // Record the condition and protection changes of the last evaluation - a protection change is
+    // recorded with the message of the notification it raised
+    const CONDITION_LABELS = { load: 'High load', voltage: 'Low voltage', soc: 'Low SoC', time: 'Scheduled charging', storage: 'Storage band' };
+    const PROTECTION_LABELS = {
+      battery: ['Battery protection', 'batteryProtection'],
+      emergency: ['Emergency protection', 'emergencyProtection'],
+      highTemperature: ['High temperature protection', 'highTemperature'],
+      temperatureEmergency: ['Temperature emergency', 'temperatureEmergency'],
+      coldCharge: ['Cold charge block', 'coldCharge']
+    };
+    function recordStateChanges(notifications) {
+      const { conditions, protections } = engine.getState();
+      Object.keys(CONDITION_LABELS).forEach(name => {
+        if (conditions[name] !== recordedState.conditions[name]) {
+          recordEvent('condition', `${CONDITION_LABELS[name]} condition ${conditions[name] ? 'ACTIVE' : 'CLEARED'}`, { name: name, active: conditions[name] });
+        }
+      });
+      Object.keys(PROTECTION_LABELS).forEach(name => {
+        if (protections[name] !== recordedState.protections[name]) {
+          const [label, notificationName] = PROTECTION_LABELS[name];
+          const notification = notifications.find(raised => raised.name === notificationName);
+          recordEvent('protection', notification ? notification.message : `${label} ${protections[name] ? 'ACTIVATED' : 'CLEARED'}`, { name: name, active: protections[name] });
+        }
+      });
+      recordedState = { conditions: conditions, protections: protections };
+    }
+
+    // Thresholds in force for the status output - voltages shifted by temperature compensation like the evaluation
+    function describeThresholds(config) {
+      const compensated = compensateThresholds(config, compensationOffset(config.temperature, lastStatus ? lastStatus.temperature : null));
+      const round = value => Math.round(value * 1000) / 1000;
+      const volts = compensated.voltageThresholds;
+      const cells = compensated.cellThresholds;
+      return {
+        load: config.loadThresholds,
+        voltage: { enable: round(volts.lowVoltageEnable), disable: round(volts.lowVoltageDisable), protection: round(volts.highVoltageProtection), emergency: round(volts.emergencyVoltage) },
+        cell: { enable: round(cells.lowVoltageEnable), disable: round(cells.lowVoltageDisable), protection: round(cells.highVoltageProtection), emergency: round(cells.emergencyVoltage), maxDelta: cells.maxDelta, emergencyDelta: cells.emergencyDelta },
+        soc: { enable: config.socThresholds.lowSocEnable, disable: config.socThresholds.lowSocDisable, protection: config.socThresholds.highSocProtection },
+        temperature: config.temperature.path ? { chargeBlockBelow: config.temperature.chargeBlockBelow, high: config.temperature.highTemperature, emergency: config.temperature.emergencyTemperature } : null,
+        schedule: { timezone: config.scheduleSettings.timezone, windows: config.scheduleSettings.windows.map(window => window.label), tariff: config.tariff.enabled }
+      };
+    }
+
+    // Controller status snapshot for the REST API
+    function getStatus() {
+      const config = getConfig();
+      const { gridState, conditions, protections, switchHold, switchesLastHour } = engine.getState();
+      const generatorState = generator ? generator.getState() : null;
+      const gridAvailabilityState = gridAvailability.getState();
+      return {
+        gridState: gridState,
+        override: {
+          mode: override.mode,
+          expiresAt: override.expiresAt ? new Date(override.expiresAt).toISOString() : null,
+          untilSoc: override.untilSoc,
+          startedAt: override.startedAt ? new Date(override.startedAt).toISOString() : null,
+          source: override.source
         },
-        voltageThresholds: packVoltages,
-        socThresholds: {
-          lowSocEnable: config.socThresholds?.lowSocEnable || 10,
-          lowSocDisable: config.socThresholds?.lowSocDisable || 30,
-          highSocProtection: config.socThresholds?.highSocProtection || 95
+        conditions: conditions,
+        protections: protections,
+        dataLost: dataLostActive,
+        startupGrace: startupGraceTimer !== null || startupGraceHeld,
+        lastSwitch: lastSwitch,
+        shadowMode: !!config?.shadowMode,
+        storage: config?.storage.enabled ? { minSoc: config.storage.minSoc, maxSoc: config.storage.maxSoc } : null,
+        balancing: balancingController ? describeBalancing(balancingController.getState(config.balancing)) : null,
+        mqtt: mqttBridge ? { connected: mqttBridge.isConnected(), url: config.mqtt.url, baseTopic: config.mqtt.baseTopic } : null,
+        antiCycling: {
+          switchesLastHour: switchesLastHour,
+          held: switchHold ? { state: switchHold.enabled, reason: switchHold.reason, until: new Date(switchHold.until).toISOString() } : null
         },
-        scheduleSettings: {
-          timezone: config.scheduleSettings?.timezone || 'Europe/London',
-          startHour: config.scheduleSettings?.startHour || 0,
-          endHour: config.scheduleSettings?.endHour || 6
+        currentLimit: config?.currentLimit.enabled ? currentLimiter.getState() : null,
+        gridAvailability: gridReading ? { ...gridAvailabilityState, since: gridAvailabilityState.since ? new Date(gridAvailabilityState.since).toISOString() : null, reading: gridReading } : null,
+        generator: generatorState ? { ...generatorState, since: generatorState.since ? new Date(generatorState.since).toISOString() : null, shoreAvailable: shoreAvailable } : null,
+        actuation: {
+          degraded: actuationDegraded,
+          message: actuationMessage,
+          pending: pendingCommand ? { state: pendingCommand.enabled, attempt: pendingCommand.attempt, sentAt: new Date(pendingCommand.sentAt).toISOString() } : null,
+          confirmedMethod: confirmedMethod,
+          lastConfirmedAt: lastConfirmedAt ? new Date(lastConfirmedAt).toISOString() : null
         },
-        controlMethod: config.controlMethod || 'auto'
+        battery: config ? { chemistry: config.chemistryProfile.name, cellCount: config.cellCount, capacityKwh: Math.round(config.batteryCapacityKwh * 100) / 100 } : null,
+        thresholds: config ? describeThresholds(config) : null,
+        configuration: configReport ? { errors: configReport.errors, warnings: configReport.warnings, migrations: configReport.migrations } : null,
+        values: lastStatus
       };
+    }
+
+    // Balancing state with its times as ISO strings
+    function describeBalancing(state) {
+      const iso = time => time !== null ? new Date(time).toISOString() : null;
+      return { ...state, startedAt: iso(state.startedAt), lastCompletedAt: iso(state.lastCompletedAt), lastAttemptAt: iso(state.lastAttemptAt), nextDueAt: iso(state.nextDueAt) };
+    }
+
+    // Raise or clear a controller notification (state 'normal' clears it)
+    function setNotification(name, state, message) {
+      app.handleMessage('smart-grid-controller', {
+        updates: [{
+          values: [{
+            path: `notifications.electrical.gridController.${name}`,
+            value: {
+              state: state,
+              method: state === 'normal' ? [] : state === 'alert' ? ['visual'] : ['visual', 'sound'],
+              message: message
+            }
+          }]
+        }]
+      });
+    }
 
-      // Validate configuration for safety
-      if (finalConfig.loadThresholds.enableWatts <= finalConfig.loadThresholds.disableWatts) {
-        log('warn', `Invalid load thresholds - enable (${finalConfig.loadThresholds.enableWatts}W) must be > disable (${finalConfig.loadThresholds.disableWatts}W), using defaults`);
-        finalConfig.loadThresholds.enableWatts = 2500;
-        finalConfig.loadThresholds.disableWatts = 1750;
-      }
-      
-      if (finalConfig.socThresholds.lowSocEnable >= finalConfig.socThresholds.lowSocDisable) {
-        log('warn', `Invalid SoC thresholds - enable (${finalConfig.socThresholds.lowSocEnable}%) must be < disable (${finalConfig.socThresholds.lowSocDisable}%), using defaults`);
-        finalConfig.socThresholds.lowSocEnable = 10;
-        finalConfig.socThresholds.lowSocDisable = 30;
-      }
-      
-      if (finalConfig.voltageThresholds.lowVoltageEnable >= finalConfig.voltageThresholds.lowVoltageDisable) {
-        log('warn', 'Invalid voltage thresholds detected, using battery defaults');
-        finalConfig.voltageThresholds = packVoltages;
-      }
-
-      return finalConfig;
-    }
-
-    // Calculate SoC from voltage based on battery type, cell count, and charging state
-    function calculateSoC(packVoltage, chemistry, cellCount, chargePower, powerThreshold) {
-      // Calculate per-cell voltage
-      const cellVoltage = packVoltage / cellCount;
-      
-      // Detect battery state based on power flow (using dynamic threshold based on battery capacity)
-      const isCharging = chargePower > powerThreshold; // Charging if charger power > 1% of battery capacity
-      const isDischarging = chargePower < -powerThreshold; // Discharging if power out > 1% of capacity
-      const isResting = chargePower >= -powerThreshold && chargePower <= powerThreshold; // Resting if power flow within ±1%
-      
-      // Apply voltage offset based on state (charge/discharge hysteresis)
-      let adjustedCellVoltage = cellVoltage;
-      if (chemistry === 'lifepo4') {
-        if (isCharging) {
-          adjustedCellVoltage = cellVoltage - 0.1; // Charging curve is ~0.1V higher than rest
-        } else if (isDischarging) {
-          adjustedCellVoltage = cellVoltage + 0.05; // Discharge curve is ~0.05V lower than rest
-        }
-        // For resting, use voltage as-is
-      } else if (chemistry === 'li-ncm') {
-        if (isCharging) {
-          adjustedCellVoltage = cellVoltage - 0.05; // NCM has smaller hysteresis
-        } else if (isDischarging) {
-          adjustedCellVoltage = cellVoltage + 0.03;
-        }
-      }
-      
-      switch (chemistry) {
-        case 'li-ncm':
-          // Li-NCM per-cell SoC calculation (3.0V-4.2V range) - adjusted for charge/discharge state
-          if (adjustedCellVoltage >= 4.2) return 100;
-          else if (adjustedCellVoltage >= 4.0) return 90 + ((adjustedCellVoltage - 4.0) / (4.2 - 4.0)) * 10; // 90-100%
-          else if (adjustedCellVoltage >= 3.87) return 80 + ((adjustedCellVoltage - 3.87) / (4.0 - 3.87)) * 10; // 80-90%
-          else if (adjustedCellVoltage >= 3.78) return 70 + ((adjustedCellVoltage - 3.78) / (3.87 - 3.78)) * 10; // 70-80%
-          else if (adjustedCellVoltage >= 3.7) return 60 + ((adjustedCellVoltage - 3.7) / (3.78 - 3.7)) * 10; // 60-70%
-          else if (adjustedCellVoltage >= 3.63) return 50 + ((adjustedCellVoltage - 3.63) / (3.7 - 3.63)) * 10; // 50-60%
-          else if (adjustedCellVoltage >= 3.58) return 40 + ((adjustedCellVoltage - 3.58) / (3.63 - 3.58)) * 10; // 40-50%
-          else if (adjustedCellVoltage >= 3.54) return 30 + ((adjustedCellVoltage - 3.54) / (3.58 - 3.54)) * 10; // 30-40%
-          else if (adjustedCellVoltage >= 3.48) return 20 + ((adjustedCellVoltage - 3.48) / (3.54 - 3.48)) * 10; // 20-30%
-          else if (adjustedCellVoltage >= 3.39) return 10 + ((adjustedCellVoltage - 3.39) / (3.48 - 3.39)) * 10; // 10-20%
-          else if (adjustedCellVoltage >= 3.0) return 0 + ((adjustedCellVoltage - 3.0) / (3.39 - 3.0)) * 10; // 0-10%
-          else return 0;
-
-        case 'lifepo4':
-          // LiFePO4 per-cell SoC calculation (3.0V-3.65V range) - adjusted for charge/discharge state
-          if (adjustedCellVoltage >= 3.65) return 100;        // 3.65V per cell - full charge
-          else if (adjustedCellVoltage >= 3.4) return 97.5 + ((adjustedCellVoltage - 3.4) / (3.65 - 3.4)) * 2.5;   // 97.5-100%
-          else if (adjustedCellVoltage >= 3.381) return 92.7 + ((adjustedCellVoltage - 3.381) / (3.4 - 3.381)) * 4.8; // 92.7-97.5%
-          else if (adjustedCellVoltage >= 3.325) return 27.3 + ((adjustedCellVoltage - 3.325) / (3.381 - 3.325)) * 65.4;   // 27.3-92.7%
-          else if (adjustedCellVoltage >= 3.2) return 5.5 + ((adjustedCellVoltage - 3.2) / (3.325 - 3.2)) * 21.8;     // 5.5-27.3%
-          else if (adjustedCellVoltage >= 3.188) return 9.0 + ((adjustedCellVoltage - 3.188) / (3.2 - 3.188)) * -3.5; // 9-5.5%
-          else if (adjustedCellVoltage >= 3.1) return 3.6 + ((adjustedCellVoltage - 3.1) / (3.188 - 3.1)) * 5.4;    // 3.6-9%
-          else if (adjustedCellVoltage >= 3.0) return 0 + ((adjustedCellVoltage - 3.0) / (3.1 - 3.0)) * 3.6;        // 0-3.6%
-          else return 0;
-
-        default:
-          // Fallback to Li-NCM calculation if chemistry not recognized
-          if (adjustedCellVoltage >= 4.2) return 100;
-          else if (adjustedCellVoltage >= 4.0) return 90 + ((adjustedCellVoltage - 4.0) / (4.2 - 4.0)) * 10;
-          else if (adjustedCellVoltage >= 3.87) return 80 + ((adjustedCellVoltage - 3.87) / (4.0 - 3.87)) * 10;
-          else if (adjustedCellVoltage >= 3.78) return 70 + ((adjustedCellVoltage - 3.78) / (3.87 - 3.78)) * 10;
-          else if (adjustedCellVoltage >= 3.7) return 60 + ((adjustedCellVoltage - 3.7) / (3.78 - 3.7)) * 10;
-          else if (adjustedCellVoltage >= 3.63) return 50 + ((adjustedCellVoltage - 3.63) / (3.7 - 3.63)) * 10;
-          else if (adjustedCellVoltage >= 3.58) return 40 + ((adjustedCellVoltage - 3.58) / (3.63 - 3.58)) * 10;
-          else if (adjustedCellVoltage >= 3.54) return 30 + ((adjustedCellVoltage - 3.54) / (3.58 - 3.54)) * 10;
-          else if (adjustedCellVoltage >= 3.48) return 20 + ((adjustedCellVoltage - 3.48) / (3.54 - 3.48)) * 10;
-          else if (adjustedCellVoltage >= 3.39) return 10 + ((adjustedCellVoltage - 3.39) / (3.48 - 3.39)) * 10;
-          else if (adjustedCellVoltage >= 3.0) return 0 + ((adjustedCellVoltage - 3.0) / (3.39 - 3.0)) * 10;
-          else return 0;
+    // Publish controller state - only changed values, plus everything every STATE_REFRESH_MS
+    function publishState() {
+      const { gridState, conditions, protections } = engine.getState();
+      const values = {
+        gridEnabled: gridState,
+        'conditions.load': conditions.load,
+        'conditions.voltage': conditions.voltage,
+        'conditions.stateOfCharge': conditions.soc,
+        'conditions.schedule': conditions.time,
+        'conditions.storage': conditions.storage,
+        'protection.battery': protections.battery,
+        'protection.emergency': protections.emergency,
+        'protection.highTemperature': protections.highTemperature,
+        'protection.temperatureEmergency': protections.temperatureEmergency,
+        'protection.coldCharge': protections.coldCharge,
+        dataLost: dataLostActive,
+        degraded: actuationDegraded,
+        shadowMode: !!getConfig()?.shadowMode
+      };
+      
+      const currentLimit = currentLimiter.getState();
+      if (currentLimit.amps !== null) {
+        values.currentLimit = currentLimit.amps;
+      }
+      // Grid availability - only while it is tracked
+      if (gridReading) {
+        const gridAvailabilityState = gridAvailability.getState();
+        values.gridAvailable = gridAvailabilityState.available;
+        values.gridUnavailableWhileRequested = gridAvailabilityState.unavailableWhileRequestedSeconds;
+      }
+      // Energy totals - energy in J as Signal K expects, rounded to 0.01kWh so they only change every 36kJ
+      if (energyAccounting) {
+        const energy = energyAccounting.getSummary();
+        const joules = kwh => Math.round(kwh * 100) * 36000;
+        [['today', energy.today], ['week', energy.week]].forEach(([period, totals]) => {
+          if (!totals) return;
+          values[`energy.${period}.gridImport`] = joules(totals.gridImportKwh);
+          CAUSES.forEach(cause => { values[`energy.${period}.gridImportByCause.${cause}`] = joules(totals.byCause[cause].kwh); });
+          values[`energy.${period}.gridCost`] = totals.gridCost;
+          values[`energy.${period}.batteryCharged`] = joules(totals.batteryChargedKwh);
+          values[`energy.${period}.batteryDischarged`] = joules(totals.batteryDischargedKwh);
+          values[`energy.${period}.equivalentCycles`] = Math.round(totals.equivalentCycles * 100) / 100;
+          values[`energy.${period}.timeAboveHighSoc`] = Math.round(totals.timeAboveHighSocHours * 60) * 60;
+        });
+        if (energy.lifetime) {
+          values['energy.lifetime.equivalentCycles'] = Math.round(energy.lifetime.equivalentCycles * 100) / 100;
+          values['energy.lifetime.averageDepthOfDischarge'] = energy.lifetime.averageDepthOfDischarge !== null ? energy.lifetime.averageDepthOfDischarge / 100 : null;
+        }
+        values['energy.lastDepthOfDischarge'] = energy.lastDepthOfDischarge !== null ? energy.lastDepthOfDischarge / 100 : null;
+      }
+      if (balancingController) {
+        const balancingState = describeBalancing(balancingController.getState(getConfig().balancing));
+        values['balancing.state'] = balancingState.state;
+        values['balancing.lastCompleted'] = balancingState.lastCompletedAt;
+        values['balancing.nextDue'] = balancingState.nextDueAt;
+      }
+      if (generator) {
+        const generatorState = generator.getState();
+        values['generator.state'] = generatorState.state;
+        values['generator.reason'] = generatorState.reason;
+        values['generator.runHoursToday'] = Math.round(generatorState.runHoursToday * 100) / 100;
+      }
+      
+      // SoC is not republished while data is lost - a fresh timestamp on an old value would mislead
+      if (lastStatus && !dataLostActive) {
+        values.stateOfCharge = Math.round(lastStatus.soc * 10) / 1000; // ratio, 0.1% resolution
+        values.socSource = lastStatus.socSource;
+      }
+      if (lastSwitch) {
+        values['lastSwitch.state'] = lastSwitch.state;
+        values['lastSwitch.reason'] = lastSwitch.reason;
+        values['lastSwitch.time'] = lastSwitch.time;
       }
+      
+      const now = Date.now();
+      if (mqttBridge) {
+        mqttBridge.publishState(mqttState(gridState, conditions, protections), now);
+      }
+      
+      const fullRefresh = now - lastFullPublish >= STATE_REFRESH_MS;
+      const changed = Object.keys(values).filter(key => fullRefresh || publishedState[key] !== values[key]);
+      if (changed.length === 0) return;
+      
+      app.handleMessage('smart-grid-controller', {
+        updates: [{
+          values: changed.map(key => ({ path: `${STATE_PATH}.${key}`, value: values[key] }))
+        }]
+      });
+      changed.forEach(key => { publishedState[key] = values[key]; });
+      if (fullRefresh) lastFullPublish = now;
     }
+
+    // State document for the MQTT bridge - measurements rounded, left out (null) while data is lost
+    function mqttState(gridState, conditions, protections) {
+      const fresh = lastStatus && !dataLostActive;
+      return {
+        gridEnabled: gridState,
+        conditions: { load: conditions.load, voltage: conditions.voltage, soc: conditions.soc, schedule: conditions.time, storage: conditions.storage },
+        protections: protections,
+        dataLost: dataLostActive,
+        degraded: actuationDegraded,
+        shadowMode: !!getConfig()?.shadowMode,
+        override: override.mode,
+        soc: fresh ? Math.round(lastStatus.soc * 10) / 10 : null,
+        voltage: fresh ? Math.round(lastStatus.voltage * 100) / 100 : null,
+        load: fresh ? Math.round(lastStatus.load) : null,
+        lastSwitch: lastSwitch
+      };
+    }
+
+    // Units and descriptions for the published paths
+    function publishStateMeta() {
+      const meta = {
+        gridEnabled: 'Grid AC input allowed by the Smart Grid Controller',
+        'conditions.load': 'High load enable condition active',
+        'conditions.voltage': 'Low voltage enable condition active',
+        'conditions.stateOfCharge': 'Low SoC enable condition active',
+        'conditions.schedule': 'Scheduled charging (window or tariff slot) active',
+        'conditions.storage': 'Storage mode: SoC below the storage band, charging back to its maximum',
+        'protection.battery': 'Standard battery protection active (high voltage/SoC/cell)',
+        'protection.emergency': 'Emergency battery protection active',
+        'protection.highTemperature': 'High battery temperature protection active',
+        'protection.temperatureEmergency': 'Emergency battery temperature protection active',
+        'protection.coldCharge': 'Battery too cold to charge - grid blocked',
+        dataLost: 'Battery data missing or stale - fail-safe applied',
+        degraded: 'Grid control not confirmed by the device, or changed outside the controller',
+        shadowMode: 'Shadow mode - the published grid state is what the controller would do, nothing is switched',
+        currentLimit: 'AC input current limit set by the controller (current limit modulation)',
+        gridAvailable: 'Grid AC input live (voltage/frequency in range) - null when unknown',
+        gridUnavailableWhileRequested: 'Time the grid was allowed but its AC input was dead, since the plugin started',
+        'balancing.state': 'Balancing charge state (idle, charging, holding)',
+        'balancing.lastCompleted': 'Time the last balancing charge completed',
+        'balancing.nextDue': 'Time the next balancing charge is due',
+        'generator.state': 'Generator state (stopped, starting, resting, warm-up, running, cool-down, failed)',
+        'generator.reason': 'Why the generator is in its current state',
+        'generator.runHoursToday': 'Generator run time today',
+        stateOfCharge: 'State of charge used by the controller',
+        socSource: 'Source of the state of charge (voltage, coulomb, fused or bms)',
+        'lastSwitch.state': 'Grid state set by the last switch command',
+        'lastSwitch.reason': 'Reason for the last switch command',
+        'lastSwitch.time': 'Time of the last switch command'
+      };
+      const units = {
+        stateOfCharge: 'ratio',
+        currentLimit: 'A',
+        'generator.runHoursToday': 'h',
+        gridUnavailableWhileRequested: 's'
+      };
+      
+      // Energy totals, the same set for today and this week
+      [['today', 'today'], ['week', 'this week']].forEach(([period, label]) => {
+        meta[`energy.${period}.gridImport`] = `Grid import ${label}`;
+        units[`energy.${period}.gridImport`] = 'J';
+        CAUSES.forEach(cause => {
+          meta[`energy.${period}.gridImportByCause.${cause}`] = `Grid import ${label} for the ${cause} ${cause === 'other' ? 'causes (override, startup)' : cause === 'balancing' ? 'charge' : 'condition'}`;
+          units[`energy.${period}.gridImportByCause.${cause}`] = 'J';
+        });
+        meta[`energy.${period}.gridCost`] = `Grid import cost ${label} (tariff or fixed price currency)`;
+        meta[`energy.${period}.batteryCharged`] = `Energy into the battery ${label}`;
+        units[`energy.${period}.batteryCharged`] = 'J';
+        meta[`energy.${period}.batteryDischarged`] = `Energy out of the battery ${label}`;
+        units[`energy.${period}.batteryDischarged`] = 'J';
+        meta[`energy.${period}.equivalentCycles`] = `Equivalent full battery cycles ${label}`;
+        meta[`energy.${period}.timeAboveHighSoc`] = `Time at or above the high-SoC protection threshold ${label}`;
+        units[`energy.${period}.timeAboveHighSoc`] = 's';
+      });
+      meta['energy.lifetime.equivalentCycles'] = 'Equivalent full battery cycles since accounting started';
+      meta['energy.lifetime.averageDepthOfDischarge'] = 'Average depth of discharge since accounting started';
+      units['energy.lifetime.averageDepthOfDischarge'] = 'ratio';
+      meta['energy.lastDepthOfDischarge'] = 'Depth of the last completed discharge';
+      units['energy.lastDepthOfDischarge'] = 'ratio';
+      
+      app.handleMessage('smart-grid-controller', {
+        updates: [{
+          meta: Object.keys(meta).map(key => ({
+            path: `${STATE_PATH}.${key}`,
+            value: units[key] ? { units: units[key], description: meta[key] } : { description: meta[key] }
+          }))
+        }]
+      });
+    }
+
+    // Enter (or stay in) the data-lost state and apply the configured fail-safe
+    function handleDataLost(config, staleInputs) {
+      if (!dataLostActive) {
+        dataLostActive = true;
+        dataLostSince = Date.now();
+        
+        // Pending enable/disable decisions were based on data we can no longer trust
+        engine.cancelPending();
+        clearTimeout(wakeTimer);
+        wakeTimer = null;
+        
+        const message = `Battery data lost - ${staleInputs.join(', ')} - fail-safe: ${config.dataWatchdog.failSafeAction}`;
+        log('warn', message);
+        setNotification('dataLost', 'alarm', message);
+        recordEvent('dataLost', message, { active: true });
+      }
+      
+      // A manual override is an explicit operator decision and takes precedence over the fail-safe
+      if (override.expiresAt && Date.now() >= override.expiresAt) {
+        endOverride('expired');
+      }
+      const failSafeAction = override.mode === 'force-on' ? 'grid-on' : override.mode === 'force-off' ? 'grid-off' : config.dataWatchdog.failSafeAction;
+      const gridState = engine.getState().gridState;
+      if (failSafeAction === 'grid-on' && !gridState) {
+        engine.forceGridState(true, Date.now());
+        setGridState(true, 'Data lost fail-safe - forcing grid ON', ['dataLost']);
+      } else if (failSafeAction === 'grid-off' && gridState) {
+        engine.forceGridState(false, Date.now());
+        setGridState(false, 'Data lost fail-safe - forcing grid OFF', ['dataLost']);
+      }
+    }
+
+    // Leave the data-lost state once all critical inputs are fresh again
+    function handleDataRecovered() {
+      const lostForSeconds = (Date.now() - dataLostSince) / 1000;
+      dataLostActive = false;
+      dataLostSince = null;
+      
+      log('info', `Battery data RECOVERED after ${lostForSeconds.toFixed(0)}s - resuming normal evaluation (Grid currently ${engine.getState().gridState ? 'ON' : 'OFF'})`);
+      setNotification('dataLost', 'normal', 'Battery data recovered');
+      recordEvent('dataLost', `Battery data recovered after ${lostForSeconds.toFixed(0)}s`, { active: false });
+    }
+
   
     // Helper function to safely send control commands (supports both Cerbo GX and MultiPlus II GX)
-    function setGridState(enabled, reason) {
+    // causes: what drove the switch (see lib/engine.js), for the shadow mode report
+    function setGridState(enabled, reason, causes = []) {
       try {
         const config = getConfig();
         
@@ -340,39 +1101,782 @@ module.exports = function smartGridController(app) {
           return;
         }
         
-        // Method 1: Try MultiPlus II GX direct AC input control (preferred for built-in GX)
-        if (config.controlMethod === 'multiplus-gx' || config.controlMethod === 'auto') {
-          // Primary control: ignoreAcIn1 state (0=enabled, 1=ignored/disabled)
-          app.handleMessage('smart-grid-controller', {
-            updates: [{
-              values: [{
-                path: 'electrical.inverters.275.acState.ignoreAcIn1.state',
-                value: enabled ? 0 : 1  // 0=don't ignore AC input, 1=ignore AC input
-              }]
-            }]
+        lastSwitch = { state: enabled, reason: reason, time: new Date().toISOString() };
+        recordEvent('grid', reason, config.shadowMode ? { state: enabled, shadow: true } : { state: enabled });
+        
+        // Shadow mode - report what would have been switched, write nothing
+        if (config.shadowMode) {
+          log('info', `SHADOW: grid would be ${enabled ? 'ENABLED' : 'DISABLED'} - ${reason}`);
+          shadowReport.record({ now: Date.now(), enabled: enabled, reason: reason, causes: causes });
+          return;
+        }
+        
+        // A newer command replaces one still waiting for confirmation
+        if (pendingCommand) {
+          clearTimeout(pendingCommand.timer);
+          pendingCommand = null;
+        }
+        
+        const command = {
+          enabled: enabled,
+          reason: reason,
+          targets: controlTargets(config, enabled),
+          autoMethod: config.controlMethod === 'auto' && !confirmedMethod,
+          sentAt: null,
+          attempt: 0,
+          timer: null
+        };
+        sendCommand(command, config);
+        
+      } catch (error) {
+        log('error', `Error setting grid state to ${enabled} (${reason}) - ${error.message}`);
+      }
+    }
+  
+    // Control targets for a grid command - in auto mode only the method that has confirmed before, once known
+    function controlTargets(config, enabled) {
+      const method = config.controlMethod === 'auto' && confirmedMethod ? confirmedMethod : config.controlMethod;
+      const targets = [];
+      
+      if (method === 'multiplus-gx' || method === 'auto') {
+        // Every inverter unit's AC input is switched as one group
+        config.inverters.forEach(inverter => {
+          targets.push({
+            method: 'multiplus-gx',
+            name: `${inverter.name} AC input`,
+            path: inverter.acInputControl,
+            service: inverter.vebusService,
+            dbusPath: '/Ac/State/IgnoreAcIn1',
+            value: enabled ? 0 : 1  // 0=don't ignore AC input, 1=ignore AC input
           });
-          
-          log('info', `MultiPlus II GX AC input ${enabled ? 'ENABLED' : 'DISABLED'} - ${reason}`);
+        });
+      }
+      if (method === 'cerbo-gx' || method === 'auto') {
+        targets.push({
+          method: 'cerbo-gx',
+          name: `Cerbo GX Relay ${config.paths.relayNumber}`,
+          path: config.paths.relayControl,
+          service: 'com.victronenergy.system',
+          dbusPath: config.paths.relayDbusPath,
+          value: enabled ? 1 : 0
+        });
+      }
+      return targets;
+    }
+
+    // Write a value to the device over D-Bus (false when D-Bus is not available)
+    function writeDevice(target, value) {
+      if (app.dbus && app.dbus.setValue) {
+        app.dbus.setValue(target.service, target.dbusPath, value);
+        return true;
+      }
+      return false;
+    }
+
+    // Latest state reported for `path` by anything other than this plugin (i.e. the device), or null
+    function readFeedback(path) {
+      const node = app.getSelfPath(path);
+      if (!node) return null;
+      
+      // With several sources the server keeps each one's latest value under .values
+      const reports = node.values
+        ? Object.keys(node.values).map(source => ({ source: source, value: node.values[source].value, timestamp: node.values[source].timestamp }))
+        : [{ source: node.$source, value: node.value, timestamp: node.timestamp }];
+      
+      return reports
+        .filter(report => report.source && !report.source.startsWith(PLUGIN_ID) && report.value !== undefined && report.value !== null)
+        .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))[0] || null;
+    }
+
+    // Compare device feedback with what each target should report
+    // A control method follows the command only when every one of its targets (e.g. each inverter unit) agrees
+    function compareFeedback(targets) {
+      const results = targets.map(target => ({ target: target, feedback: readFeedback(target.path) }));
+      const agrees = result => result.feedback && Number(result.feedback.value) === result.target.value;
+      const methods = [...new Set(targets.map(target => target.method))];
+      return {
+        agreeing: results.filter(agrees),
+        disagreeing: results.filter(result => result.feedback && !agrees(result)),
+        followingMethods: methods.filter(method => results.filter(result => result.target.method === method).every(agrees)),
+        methodCount: methods.length,
+        detail: results.map(result => `${result.target.name}: ${result.feedback ? `reports ${result.feedback.value}, expected ${result.target.value}` : 'no feedback'}`).join(', ')
+      };
+    }
+
+    function setDegraded(message) {
+      if (!actuationDegraded || actuationMessage !== message) {
+        log('error', message);
+        setNotification('actuation', 'alarm', message);
+        recordEvent('actuation', message, { degraded: true });
+      }
+      actuationDegraded = true;
+      actuationMessage = message;
+    }
+
+    function clearDegraded(message) {
+      if (!actuationDegraded) return;
+      actuationDegraded = false;
+      actuationMessage = null;
+      log('info', message);
+      setNotification('actuation', 'normal', message);
+      recordEvent('actuation', message, { degraded: false });
+    }
+
+    // Log suffix for a grid enable while the AC input is known to be dead - allowed is not connected
+    function deadInputNote(enabled) {
+      return enabled && gridAvailability.getState().available === false ? ' - but the grid AC input is dead, nothing will flow until it returns' : '';
+    }
+
+    // Send (or resend) a grid command and start waiting for the device to confirm it
+    function sendCommand(command, config) {
+      command.sentAt = Date.now();
+      command.attempt += 1;
+      const state = command.enabled ? 'ENABLED' : 'DISABLED';
+      
+      command.targets.forEach(target => {
+        app.handleMessage(PLUGIN_ID, {
+          updates: [{
+            values: [{
+              path: target.path,
+              value: target.value
+            }]
+          }]
+        });
+        const written = writeDevice(target, target.value);
+        
+        if (command.attempt === 1) {
+          log('info', `${target.name} ${state} - ${command.reason}${written ? '' : ' (D-Bus not available - published to Signal K only)'}${deadInputNote(command.enabled)}`);
         }
+      });
+      
+      if (!config.actuation.confirm) return;
+      pendingCommand = command;
+      command.timer = setTimeout(() => checkPendingCommand(true), config.actuation.confirmTimeoutSeconds * 1000);
+    }
+
+    // Confirm the pending command from device feedback; on timeout retry, then give up and alarm
+    function checkPendingCommand(timedOut) {
+      const command = pendingCommand;
+      if (!command) return;
+      
+      const config = getConfig();
+      const state = command.enabled ? 'ON' : 'OFF';
+      const result = compareFeedback(command.targets);
+      
+      // In auto mode one confirming method is enough - the other one may simply not be wired
+      const following = result.followingMethods;
+      if (following.length > 0 && (command.autoMethod || following.length === result.methodCount)) {
+        clearTimeout(command.timer);
+        pendingCommand = null;
+        lastConfirmedAt = Date.now();
+        
+        const names = result.agreeing.filter(agreeing => following.includes(agreeing.target.method)).map(agreeing => agreeing.target.name).join(', ');
+        log('info', `Grid ${state} confirmed by ${names} after ${((lastConfirmedAt - command.sentAt) / 1000).toFixed(1)}s${deadInputNote(command.enabled)}`);
         
-        // Method 2: Fallback to Cerbo GX relay control (for external GX units)
-        if (config.controlMethod === 'cerbo-gx' || config.controlMethod === 'auto') {
-          app.handleMessage('smart-grid-controller', {
-            updates: [{
-              values: [{
-                path: 'electrical.switches.relay1.state',
-                value: enabled ? 1 : 0
-              }]
+        if (command.autoMethod && config.controlMethod === 'auto' && !confirmedMethod) {
+          confirmedMethod = following[0];
+          log('info', `Auto control method: ${names} confirmed - further commands go to it only`);
+        }
+        clearDegraded(`Grid control confirmed again - ${names} reports grid ${state}`);
+        return;
+      }
+      if (!timedOut) return;
+      
+      if (command.attempt <= config.actuation.maxRetries) {
+        log('warn', `Grid ${state} not confirmed within ${config.actuation.confirmTimeoutSeconds}s (${result.detail}) - retry ${command.attempt}/${config.actuation.maxRetries}`);
+        sendCommand(command, config);
+        return;
+      }
+      
+      pendingCommand = null;
+      setDegraded(`Grid ${state} command not confirmed after ${command.attempt} attempts (${result.detail}) - check the GX device`);
+      publishState();
+    }
+
+    // Catch the control input being changed behind the controller's back (e.g. on the GX panel)
+    function checkDeviceState(config) {
+      if (config.shadowMode || !config.actuation.confirm || !lastSwitch) return;
+      if (pendingCommand) {
+        checkPendingCommand(false);
+        return;
+      }
+      
+      const gridState = engine.getState().gridState;
+      const result = compareFeedback(controlTargets(config, gridState));
+      if (result.followingMethods.length === 0 && result.disagreeing.length > 0) {
+        setDegraded(`Grid input changed outside the controller (${result.detail}) - use the override to force the grid on or off`);
+      } else if (result.followingMethods.length > 0) {
+        clearDegraded(`Grid control state matches the device again (grid ${gridState ? 'ON' : 'OFF'})`);
+      }
+    }
+
+    // Set the AC input current limit on every inverter unit from what the grid is being used for
+    function modulateCurrentLimit(config, now) {
+      const { gridState, conditions } = engine.getState();
+      const result = currentLimiter.update({ now: now, settings: config.currentLimit, gridState: gridState, conditions: conditions, overrideMode: override.mode });
+      
+      if (result.targetChanged) {
+        log('info', `${config.shadowMode ? 'SHADOW: ' : ''}AC input current limit target ${result.target}A - ${result.reason}${result.amps < result.target ? ` (ramping from ${result.amps}A at ${config.currentLimit.rampAmpsPerSecond}A/s)` : ''}`);
+      }
+      if (!result.changed || config.shadowMode) return;
+      
+      config.inverters.filter(inverter => inverter.currentLimitControl).forEach(inverter => {
+        app.handleMessage(PLUGIN_ID, {
+          updates: [{
+            values: [{
+              path: inverter.currentLimitControl,
+              value: result.amps
             }]
-          });
+          }]
+        });
+        writeDevice({ service: inverter.vebusService, dbusPath: '/Ac/ActiveIn/CurrentLimit' }, result.amps);
+      });
+    }
+
+    // Add this cycle's grid import (by active cause) and battery throughput to the energy totals
+    function accountEnergy(config, now, day, voltage, soc, chargePower, currentPrice) {
+      const gridInputs = config.inverters.filter(inverter => inverter.gridPower).map(inverter => readInput(inverter.gridPower, config.dataWatchdog.maxAgeSeconds.load));
+      const gridFresh = gridInputs.length > 0 && gridInputs.every(gridInput => gridInput.fresh);
+      if (gridFresh !== gridPowerAvailable) {
+        const problem = gridInputs.find(gridInput => !gridInput.fresh);
+        log(gridFresh ? 'info' : 'warn', gridFresh ? 'Grid import power available - energy accounting counts grid import' : `Grid import power ${problem ? problem.reason : 'not configured'} (${config.inverters.map(inverter => inverter.gridPower).filter(gridPath => gridPath).join(', ') || 'no path'}) - grid import not counted`);
+        gridPowerAvailable = gridFresh;
+      }
+      
+      const { conditions } = engine.getState();
+      const causes = [];
+      if (conditions.load && !priceBlockActive) causes.push('load');
+      if (conditions.voltage) causes.push('voltage');
+      if (conditions.soc) causes.push('soc');
+      if (conditions.time) causes.push('schedule');
+      if (conditions.storage) causes.push('storage');
+      if (balancingController && balancingController.getState(config.balancing).state !== 'idle') causes.push('balancing');
+      
+      energyAccounting.update({
+        now: now,
+        day: day,
+        gridPowerW: gridFresh ? gridInputs.reduce((total, gridInput) => total + gridInput.value, 0) : null,
+        batteryPowerW: readBatteryPower(config, voltage, chargePower),
+        soc: soc,
+        causes: causes,
+        price: currentPrice !== null ? currentPrice : config.energy.pricePerKwh,
+        capacityKwh: config.batteryCapacityKwh,
+        highSoc: config.socThresholds.highSocProtection
+      });
+    }
+
+    // Track whether the grid AC input is live; returns when a pending change is due to be confirmed
+    function checkGridAvailability(config, now) {
+      const settings = config.gridAvailability;
+      const voltageInput = readInput(config.paths.gridVoltage, settings.maxAgeSeconds);
+      const frequencyInput = readInput(config.paths.gridFrequency, settings.maxAgeSeconds);
+      if (voltageInput.fresh !== gridVoltageAvailable) {
+        log(voltageInput.fresh ? 'info' : 'warn', voltageInput.fresh ? `Grid AC input voltage available (${config.paths.gridVoltage}) - grid availability tracked` : `Grid AC input voltage ${voltageInput.reason} (${config.paths.gridVoltage}) - grid availability unknown`);
+        gridVoltageAvailable = voltageInput.fresh;
+      }
+      gridReading = {
+        voltage: voltageInput.fresh ? voltageInput.value : null,
+        frequency: frequencyInput.fresh ? frequencyInput.value : null
+      };
+      
+      const { gridState, conditions } = engine.getState();
+      const result = gridAvailability.update({
+        now: now,
+        settings: settings,
+        voltage: gridReading.voltage,
+        frequency: gridReading.frequency,
+        requested: gridState,
+        lowBattery: conditions.voltage || conditions.soc
+      });
+      result.notifications.forEach(notification => setNotification(notification.name, notification.state, notification.message));
+      if (result.changed) {
+        const reading = gridReading.voltage !== null ? ` (${gridReading.voltage.toFixed(0)}V${gridReading.frequency !== null ? ` ${gridReading.frequency.toFixed(1)}Hz` : ''})` : '';
+        recordEvent('gridAvailability', `Grid AC input ${result.available === null ? 'availability unknown' : result.available ? 'available' : 'unavailable'}${reading}`, { available: result.available });
+        if (startupGraceHeld && result.available !== false) {
+          startupGraceHeld = false;
+          log('info', `Startup grace period restarted - ${config.timing.startupGraceSeconds}s now the grid AC input is back`);
+          startupGraceTimer = setTimeout(() => endStartupGrace(config), config.timing.startupGraceSeconds * 1000);
+        }
+      }
+      return result.nextEvaluationAt;
+    }
+
+    // End of the startup grace period - while the grid AC input is dead the grid has not had its
+    // grace yet, so it is held and restarts in full once the input is back (see checkGridAvailability)
+    function endStartupGrace(config) {
+      startupGraceTimer = null;
+      if (gridAvailability.getState().available === false) {
+        startupGraceHeld = true;
+        log('info', 'Startup grace period held - the grid AC input is dead, it restarts once the input is back');
+        return;
+      }
+      log('info', 'Startup grace period ended - normal condition evaluation active');
+      
+      // Victron data may not have been in the tree yet at startup - try discovery once more
+      if (config.paths.autoDiscover && !discoveredPaths) {
+        discoveredPaths = discoverPaths();
+        if (discoveredPaths) {
+          const rediscovered = loadConfig();
+          if (!rediscovered) {
+            log('error', 'Configuration unusable with the discovered paths - control DISABLED');
+            reportConfigStatus();
+            return;
+          }
+          registerControlHandlers(rediscovered);
+          subscribeInputs(rediscovered);
           
-          if (config.controlMethod === 'cerbo-gx') {
-            log('info', `Cerbo GX Relay 1 ${enabled ? 'ENABLED' : 'DISABLED'} - ${reason}`);
+          // The startup command went to the configured paths - send the current state to the discovered devices
+          generatorOutputs = null;
+          setGridState(engine.getState().gridState, 'Paths rediscovered', ['startup']);
+        }
+      }
+    }
+
+    // Run the generator state machine and write its relay/AC-in 2 outputs; returns its next deadline
+    // holdDemand: keep the last demand (battery data lost - nothing new to decide on)
+    function evaluateGenerator(config, now, holdDemand) {
+      const settings = config.generator;
+      
+      // Shore power available (AC-in 1 live) - the generator is only for when it is not
+      if (settings.shoreVoltagePath) {
+        const shoreInput = readInput(settings.shoreVoltagePath, config.dataWatchdog.maxAgeSeconds.load);
+        const available = shoreInput.fresh && shoreInput.value >= settings.minAcVoltage;
+        if (available !== shoreAvailable) {
+          log('info', available ? `Shore power available (${shoreInput.value.toFixed(0)}V) - generator not needed` : `Shore power unavailable (${shoreInput.fresh ? `${shoreInput.value.toFixed(0)}V` : shoreInput.reason}) - generator may run`);
+          shoreAvailable = available;
+        }
+      }
+      
+      if (!holdDemand) {
+        const { conditions, protections } = engine.getState();
+        const lowBattery = conditions.voltage || conditions.soc;
+        let zonedTime;
+        try {
+          zonedTime = getZonedTime(new Date(now), config.scheduleSettings.timezone);
+        } catch (timezoneError) {
+          zonedTime = getZonedTime(new Date(now), Intl.DateTimeFormat().resolvedOptions().timeZone);
+        }
+        const quietHours = findActiveWindow(settings.quietHours, zonedTime);
+        
+        let block = null;
+        if (protections.emergency || protections.temperatureEmergency || protections.coldCharge) {
+          block = 'Emergency or temperature protection';
+        } else if ((protections.battery || protections.highTemperature) && !conditions.load) {
+          block = 'Battery protection';
+        } else if (override.mode === 'force-off') {
+          block = 'Manual override force-off';
+        } else if (shoreAvailable) {
+          block = 'Shore power available';
+        } else if (quietHours && !(lowBattery && settings.lowBatteryInQuietHours)) {
+          block = `Quiet hours (${quietHours.window.label})`;
+        }
+        generatorDemand = {
+          demand: conditions.voltage ? 'Low voltage' : conditions.soc ? 'Low SoC' : conditions.load ? 'High load' : null,
+          block: block,
+          day: zonedTime.date
+        };
+      }
+      
+      const acInput = settings.acVoltagePath ? readInput(settings.acVoltagePath, config.dataWatchdog.maxAgeSeconds.load) : null;
+      const previousState = generator.getState().state;
+      const result = generator.evaluate({
+        now: now,
+        settings: settings,
+        day: generatorDemand.day || new Date(now).toISOString().slice(0, 10),
+        demand: generatorDemand.demand,
+        block: generatorDemand.block,
+        acPresent: acInput ? acInput.fresh && acInput.value >= settings.minAcVoltage : null
+      });
+      result.notifications.forEach(notification => setNotification(notification.name, notification.state, notification.message));
+      if (result.state !== previousState) {
+        recordEvent('generator', `Generator ${previousState} -> ${result.state} - ${generator.getState().reason}`, { state: result.state });
+      }
+      
+      // Write the outputs when they change (and once at startup, so a leftover relay state is corrected)
+      const outputs = result.outputs;
+      if (config.shadowMode) {
+        if (!generatorOutputs || generatorOutputs.relay !== outputs.relay || generatorOutputs.acInput !== outputs.acInput) {
+          log('info', `SHADOW: generator relay ${settings.relayNumber} would be ${outputs.relay ? 'ON' : 'OFF'}, AC input 2 ${outputs.acInput ? 'ACCEPTED' : 'IGNORED'} (${result.state})`);
+        }
+        generatorOutputs = outputs;
+        return result.nextEvaluationAt;
+      }
+      writeGeneratorOutputs(config, outputs, result.state);
+      return result.nextEvaluationAt;
+    }
+
+    // Write the generator relay and AC-in 2 outputs that differ from the last written ones
+    function writeGeneratorOutputs(config, outputs, why) {
+      const settings = config.generator;
+      if (!generatorOutputs || generatorOutputs.acInput !== outputs.acInput) {
+        config.inverters.filter(inverter => inverter.acInput2Control).forEach(inverter => {
+          app.handleMessage(PLUGIN_ID, { updates: [{ values: [{ path: inverter.acInput2Control, value: outputs.acInput ? 0 : 1 }] }] });
+          writeDevice({ service: inverter.vebusService, dbusPath: '/Ac/State/IgnoreAcIn2' }, outputs.acInput ? 0 : 1);
+        });
+        log('info', `Generator AC input 2 ${outputs.acInput ? 'ACCEPTED' : 'IGNORED'} (${why})`);
+      }
+      if (!generatorOutputs || generatorOutputs.relay !== outputs.relay) {
+        app.handleMessage(PLUGIN_ID, { updates: [{ values: [{ path: settings.relayControl, value: outputs.relay ? 1 : 0 }] }] });
+        const written = writeDevice({ service: 'com.victronenergy.system', dbusPath: settings.relayDbusPath }, outputs.relay ? 1 : 0);
+        log('info', `Generator relay ${settings.relayNumber} ${outputs.relay ? 'ON' : 'OFF'} (${why})${written ? '' : ' (D-Bus not available - published to Signal K only)'}`);
+      }
+      generatorOutputs = outputs;
+    }
+
+    // Map Signal K control to both MultiPlus II GX (every inverter unit) and Cerbo GX Relay
+    // Handlers registered for an earlier configuration (before auto-discovery moved the control paths)
+    // stay registered until the plugin stops - they refuse writes instead
+    function registerControlHandlers(config) {
+      const paths = config.paths;
+      const generation = ++controlHandlerGeneration;
+      function register(path, handler) {
+        app.registerPutHandler('v1', path, (context, putPath, value) => {
+          if (generation !== controlHandlerGeneration) {
+            return { state: 'COMPLETED', statusCode: 404, message: `${path} is no longer a control path - auto-discovery found the devices elsewhere` };
+          }
+          return handler(context, putPath, value);
+        });
+      }
+      register(paths.relayControl, (context, path, value) => {
+        try {
+          if (!writeDevice({ service: 'com.victronenergy.system', dbusPath: paths.relayDbusPath }, value)) {
+            log('warn', 'D-Bus not available - relay state not updated on Cerbo GX');
+            return { state: 'COMPLETED', statusCode: 503, message: 'D-Bus not available' };
+          }
+          return { state: 'COMPLETED', statusCode: 200 };
+        } catch (error) {
+          log('error', `Error setting relay state - ${error.message}`);
+          return { state: 'COMPLETED', statusCode: 500, message: error.message };
+        }
+      });
+    
+      // Generator start/stop relay
+      if (config.generator.enabled) {
+        register(config.generator.relayControl, (context, path, value) => {
+          try {
+            if (!writeDevice({ service: 'com.victronenergy.system', dbusPath: config.generator.relayDbusPath }, value)) {
+              log('warn', 'D-Bus not available - generator relay state not updated on Cerbo GX');
+              return { state: 'COMPLETED', statusCode: 503, message: 'D-Bus not available' };
+            }
+            return { state: 'COMPLETED', statusCode: 200 };
+          } catch (error) {
+            log('error', `Error setting generator relay state - ${error.message}`);
+            return { state: 'COMPLETED', statusCode: 500, message: error.message };
+          }
+        });
+      }
+    
+      // MultiPlus II GX AC input control handlers
+      config.inverters.forEach(inverter => {
+        register(inverter.acInputControl, (context, path, value) => {
+          try {
+            // MultiPlus II GX ignore AC input control (0=enabled, 1=disabled)
+            if (!writeDevice({ service: inverter.vebusService, dbusPath: '/Ac/State/IgnoreAcIn1' }, value)) {
+              log('warn', `D-Bus not available - AC input ignore state not updated on ${inverter.name}`);
+              return { state: 'COMPLETED', statusCode: 503, message: 'D-Bus not available' };
+            }
+            return { state: 'COMPLETED', statusCode: 200 };
+          } catch (error) {
+            log('error', `Error setting AC input ignore state on ${inverter.name} - ${error.message}`);
+            return { state: 'COMPLETED', statusCode: 500, message: error.message };
+          }
+        });
+        
+        // Generator AC input 2 ignore control (0=accept, 1=ignore)
+        if (config.generator.enabled && inverter.acInput2Control) {
+          register(inverter.acInput2Control, (context, path, value) => {
+            try {
+              if (!writeDevice({ service: inverter.vebusService, dbusPath: '/Ac/State/IgnoreAcIn2' }, value)) {
+                log('warn', `D-Bus not available - AC input 2 ignore state not updated on ${inverter.name}`);
+                return { state: 'COMPLETED', statusCode: 503, message: 'D-Bus not available' };
+              }
+              return { state: 'COMPLETED', statusCode: 200 };
+            } catch (error) {
+              log('error', `Error setting AC input 2 ignore state on ${inverter.name} - ${error.message}`);
+              return { state: 'COMPLETED', statusCode: 500, message: error.message };
+            }
+          });
+        }
+        
+        // AC input current limit (A) - never above the configured grid import ceiling
+        if (!inverter.currentLimitControl) return;
+        register(inverter.currentLimitControl, (context, path, value) => {
+          try {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+              return { state: 'COMPLETED', statusCode: 400, message: 'Current limit must be a positive number of amps' };
+            }
+            const ceiling = getConfig()?.currentLimit;
+            if (ceiling?.enabled && value > ceiling.maxAmps) {
+              log('warn', `Rejected AC input current limit ${value}A for ${inverter.name} - above the ${ceiling.maxAmps}A grid import ceiling`);
+              return { state: 'COMPLETED', statusCode: 400, message: `Above the ${ceiling.maxAmps}A grid import ceiling` };
+            }
+            if (!writeDevice({ service: inverter.vebusService, dbusPath: '/Ac/ActiveIn/CurrentLimit' }, value)) {
+              log('warn', `D-Bus not available - AC input current limit not updated on ${inverter.name}`);
+              return { state: 'COMPLETED', statusCode: 503, message: 'D-Bus not available' };
+            }
+            return { state: 'COMPLETED', statusCode: 200 };
+          } catch (error) {
+            log('error', `Error setting AC input current limit on ${inverter.name} - ${error.message}`);
+            return { state: 'COMPLETED', statusCode: 500, message: error.message };
+          }
+        });
+      });
+    }
+  
+    // Read Victron data, evaluate all conditions and protections, and switch the grid
+    function processData() {
+      lastEvaluationAt = Date.now();
+      try {
+        const config = getConfig();
+        
+        // Safety check - disable control if configuration is invalid
+        if (!config || !config.chemistry || !config.cellCount) {
+          log('error', 'Invalid battery configuration - DISABLING CONTROL for safety');
+          return;
+        }
+        
+        const maxAge = config.dataWatchdog.maxAgeSeconds;
+        const voltageInput = readInput(config.paths.voltage, maxAge.voltage);
+        const loadInputs = config.inverters.map(inverter => readInput(inverter.load, maxAge.load));
+        const chargePowerInput = readInput(config.paths.chargePower, maxAge.chargePower);
+        
+        // Voltage and load are critical - without them the controller is blind
+        const staleInputs = [];
+        if (!voltageInput.fresh) staleInputs.push(`Voltage ${voltageInput.reason} (${config.paths.voltage})`);
+        loadInputs.forEach((loadInput, index) => {
+          if (!loadInput.fresh) staleInputs.push(`Load ${loadInput.reason} (${config.inverters[index].load})`);
+        });
+        if (staleInputs.length > 0) {
+          // Data may not have arrived yet right after a restart - the grace period already holds the grid on
+          if (!startupGraceTimer && !startupGraceHeld) {
+            handleDataLost(config, staleInputs);
+          }
+          // Generator keeps its last demand - warm-up/cool-down still run to completion
+          if (generator) {
+            evaluateGenerator(config, Date.now(), true);
+          }
+          publishState();
+          return;
+        }
+        if (dataLostActive) {
+          handleDataRecovered();
+        }
+        
+        // Charger power only refines the SoC estimate - treat as resting when unavailable
+        if (!chargePowerInput.fresh && !chargePowerStale) {
+          log('warn', `Charger power ${chargePowerInput.reason} (${config.paths.chargePower}) - assuming battery is resting`);
+        } else if (chargePowerInput.fresh && chargePowerStale) {
+          log('info', 'Charger power data recovered');
+        }
+        chargePowerStale = !chargePowerInput.fresh;
+        
+        const voltage = voltageInput.value;
+        const unitLoads = loadInputs.map(loadInput => loadInput.value);
+        const load = unitLoads.reduce((total, unitLoad) => total + unitLoad, 0);
+        const phaseLoads = config.loadThresholds.mode === 'per-phase' ? sumPhaseLoads(config.inverters, unitLoads) : null;
+        const chargePower = chargePowerInput.fresh ? chargePowerInput.value : 0;
+        
+        // Validate data - skip processing if values are clearly invalid
+        if (voltage < 0 || voltage > 100 || unitLoads.some(unitLoad => unitLoad < 0 || unitLoad > 50000)) {
+          log('warn', `Invalid data - Voltage: ${voltage}V, Load: ${unitLoads.map(unitLoad => `${unitLoad}W`).join(' + ')} - skipping cycle`);
+          return;
+        }
+
+        // Get wall-clock time in configured timezone with error handling
+        let timezone = config.scheduleSettings.timezone;
+        let zonedTime;
+        try {
+          zonedTime = getZonedTime(new Date(), timezone);
+
+        // If we can't get the time, use server local time
+        } catch (timezoneError) {
+          log('warn', `Invalid timezone ${config.scheduleSettings.timezone}, falling back to local time`);
+          timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+          zonedTime = getZonedTime(new Date(), timezone);
+        }
+
+        // Figure out which charging windows we are in
+        const activeWindows = findActiveWindows(config.scheduleSettings.windows, zonedTime);
+
+        // Battery temperature (Kelvin in Signal K) - without a fresh reading the temperature protections keep their state
+        let temperature = null;
+        if (config.temperature.path) {
+          const temperatureInput = readInput(config.temperature.path, config.temperature.maxAgeSeconds);
+          const plausible = temperatureInput.fresh && isPlausibleKelvin(temperatureInput.value);
+          if (plausible) {
+            temperature = kelvinToCelsius(temperatureInput.value);
+          }
+          if (plausible !== temperatureAvailable) {
+            const problem = temperatureInput.fresh ? `${temperatureInput.value} is not a plausible temperature in Kelvin` : temperatureInput.reason;
+            log(plausible ? 'info' : 'warn', plausible ? `Battery temperature available (${config.temperature.path}) - temperature protection active` : `Battery temperature ${problem} (${config.temperature.path}) - temperature protection holding its current state`);
+            temperatureAvailable = plausible;
+          }
+        }
+        
+        // Temperature compensation shifts the voltage thresholds and the SoC curve lookup
+        const temperatureOffset = compensationOffset(config.temperature, temperature);
+        const evaluationConfig = compensateThresholds(config, temperatureOffset);
+
+        // Calculate SoC from voltage based on battery type, cell count, and charging state
+        let soc = calculateSoC(voltage, config.chemistryProfile, config.cellCount, chargePower, config.onePercentThresholdW, temperatureOffset);
+        
+        // Ensure SoC is within valid range
+        soc = Math.max(0, Math.min(100, soc));
+        
+        // BMS source: use the reported SoC (a 0-1 ratio in Signal K), falling back to the voltage curve
+        if (config.socEstimation.source === 'bms') {
+          const bmsSocPath = `${config.bms.batteryPath}.capacity.stateOfCharge`;
+          const bmsSocInput = config.bms.batteryPath ? readInput(bmsSocPath, config.bms.maxAgeSeconds) : { fresh: false, reason: 'battery path not configured' };
+          if (bmsSocInput.fresh) {
+            soc = Math.max(0, Math.min(100, bmsSocInput.value * 100));
+          }
+          if (bmsSocInput.fresh !== bmsSocAvailable) {
+            log(bmsSocInput.fresh ? 'info' : 'warn', bmsSocInput.fresh ? `Using BMS SoC from ${bmsSocPath}` : `BMS SoC ${bmsSocInput.reason} (${bmsSocPath}) - falling back to voltage curve`);
+            bmsSocAvailable = bmsSocInput.fresh;
+          }
+        }
+        
+        // Coulomb/fused source: integrate battery power, using the voltage SoC for anchoring and drift correction
+        if ((config.socEstimation.source === 'coulomb' || config.socEstimation.source === 'fused') && socEstimator) {
+          const settings = config.socEstimation;
+          const batteryPower = readBatteryPower(config, voltage, chargePower);
+          const capacityWh = config.batteryCapacityKwh * 1000;
+          soc = socEstimator.update({
+            now: Date.now(),
+            powerW: batteryPower,
+            voltageSoc: soc,
+            capacityWh: capacityWh,
+            isResting: batteryPower !== null && Math.abs(batteryPower) <= config.onePercentThresholdW,
+            isFull: batteryPower !== null && voltage >= evaluationConfig.voltageThresholds.highVoltageProtection && batteryPower <= capacityWh * settings.fullTailPercent / 100,
+            settings: settings
+          });
+        }
+
+        // BMS cell voltages - cell-level checks run alongside the pack voltage when available
+        const cells = readCellData(config);
+        if ((cells !== null) !== cellDataAvailable) {
+          if (cells) {
+            log('info', `BMS cell data available - ${cells.count > 0 ? `${cells.count} cells` : 'min/max cell voltage'}, cell-level protection active`);
+          } else if (cellDataAvailable !== null || config.bms.cellVoltagesPath || config.bms.minCellVoltagePath || config.bms.maxCellVoltagePath) {
+            log('warn', 'BMS cell data unavailable - falling back to pack-voltage protection only');
+          }
+          cellDataAvailable = cells !== null;
+        }
+
+        // Dynamic tariff: replan periodically, and fall back to fixed windows while no current prices exist
+        const now = Date.now();
+        let tariffSlot = null;
+        let currentPrice = null;
+        const tariffActive = config.tariff.enabled && priceSlots.some(slot => slot.end > now);
+        if (config.tariff.enabled && tariffActive !== tariffAvailable) {
+          log(tariffActive ? 'info' : 'warn', tariffActive ? 'Tariff mode active - charging in planned cheapest slots' : 'No current tariff prices - using fixed charging windows');
+          tariffAvailable = tariffActive;
+        }
+        if (tariffActive) {
+          if (!chargePlan || now - chargePlan.createdAt >= TARIFF_REPLAN_INTERVAL_MS) {
+            updateChargePlan(config, soc, timezone, now);
+          }
+          tariffSlot = activePlanSlot(chargePlan, now);
+          currentPrice = priceAt(priceSlots, now);
+        }
+        
+        // Never import above the price limit - only battery-protecting conditions may still use the grid
+        const priceBlocked = tariffActive && config.tariff.neverImportAbove !== null && currentPrice !== null && currentPrice > config.tariff.neverImportAbove;
+        if (priceBlocked !== priceBlockActive) {
+          log('info', priceBlocked ? `Price limit ACTIVE - ${currentPrice} > ${config.tariff.neverImportAbove}, load condition blocked` : 'Price limit CLEARED - load condition allowed');
+          priceBlockActive = priceBlocked;
+        }
+        
+        // Latest values for the status output - and the snapshot for events recorded from here on
+        lastStatus = {
+          timestamp: new Date(now).toISOString(),
+          voltage: voltage,
+          soc: soc,
+          socSource: config.socEstimation.source,
+          load: load,
+          inverterLoads: config.inverters.map((inverter, index) => ({ name: inverter.name, phase: inverter.phase, load: unitLoads[index] })),
+          phaseLoads: phaseLoads,
+          chargePower: chargePower,
+          cells: cells,
+          temperature: temperature
+        };
+        
+        // Manual override ends on expiry or when its SoC target is reached
+        if (override.mode !== 'auto') {
+          if (override.expiresAt && now >= override.expiresAt) {
+            endOverride('expired');
+          } else if (override.untilSoc !== null && override.mode === 'force-on' && soc >= override.untilSoc) {
+            endOverride(`SoC ${soc.toFixed(1)}% reached ${override.untilSoc}%`);
+          } else if (override.untilSoc !== null && override.mode === 'force-off' && soc <= override.untilSoc) {
+            endOverride(`SoC ${soc.toFixed(1)}% fell to ${override.untilSoc}%`);
+          }
+        }
+
+        // Balancing charge - the protections it cannot charge through (as of the last evaluation) abort it
+        let balancingResult = null;
+        if (balancingController) {
+          const { protections } = engine.getState();
+          const blocked = protections.emergency ? 'emergency protection active' : protections.temperatureEmergency ? 'temperature emergency active' : protections.coldCharge ? 'cold charge block active' : override.mode === 'force-off' ? 'grid forced off by override' : null;
+          balancingResult = balancingController.update({
+            now: now,
+            settings: config.balancing,
+            cellVoltage: cells ? cells.max : voltage / config.cellCount,
+            blocked: blocked
+          });
+          balancingResult.notifications.forEach(notification => setNotification(notification.name, notification.state, notification.message));
+          if (balancingResult.changed) {
+            recordEvent('balancing', balancingResult.reason, { state: balancingController.getState(config.balancing).state });
           }
         }
+
+        // Decide - conditions, protections, override and delays
+        const decision = engine.evaluate({
+          now: now,
+          config: evaluationConfig,
+          voltage: voltage,
+          load: load,
+          phaseLoads: phaseLoads,
+          soc: soc,
+          cells: cells,
+          temperature: temperature,
+          zonedTime: zonedTime,
+          activeWindows: activeWindows,
+          tariffActive: tariffActive,
+          tariffSlot: tariffSlot,
+          priceBlocked: priceBlocked,
+          override: { mode: override.mode, description: describeOverride() },
+          startupGrace: startupGraceTimer !== null || startupGraceHeld,
+          balancing: balancingResult !== null && balancingResult.active,
+          // As of the last check (below) - availability only changes after confirmSeconds anyway
+          available: config.gridAvailability.enabled ? gridAvailability.getState().available : null
+        });
+        decision.notifications.forEach(notification => setNotification(notification.name, notification.state, notification.message));
+        recordStateChanges(decision.notifications);
+        if (decision.command) {
+          setGridState(decision.command.enabled, decision.command.reason, decision.command.causes);
+        }
+        if (config.currentLimit.enabled) {
+          modulateCurrentLimit(config, now);
+        }
         
+        if (energyAccounting) {
+          accountEnergy(config, now, zonedTime.date, voltage, soc, chargePower, currentPrice);
+        }
+        
+        const gridAvailabilityWakeAt = config.gridAvailability.enabled ? checkGridAvailability(config, now) : null;
+        const generatorWakeAt = generator ? evaluateGenerator(config, now, false) : null;
+        
+        // Re-evaluate when a pending delay runs out, even if no new data arrives by then
+        const wakeAt = [decision.nextEvaluationAt, gridAvailabilityWakeAt, generatorWakeAt, balancingResult ? balancingResult.nextEvaluationAt : null].filter(time => time !== null);
+        clearTimeout(wakeTimer);
+        wakeTimer = wakeAt.length > 0 ? setTimeout(processData, Math.max(0, Math.min(...wakeAt) - Date.now())) : null;
+
+        // Log system state for debugging
+        logSystemState(voltage, soc, load, config, chargePower, cells, temperature, '', phaseLoads);
+        checkDeviceState(config);
+        publishState();
       } catch (error) {
-        log('error', `Error setting grid state to ${enabled} (${reason}) - ${error.message}`);
+        log('error', `Error processing data - ${error.message}`);
       }
     }
   
@@ -382,277 +1886,355 @@ module.exports = function smartGridController(app) {
       description: 'Intelligent AC grid management for Victron MultiPlus II with load-based switching, battery protection, and scheduled charging',
   
       start: function() {
-        // Enable grid immediately on startup
-        log('info', 'Grid AC ENABLED on startup - 30s grace period active');
-        setGridState(true, 'Startup - 30s grace period active');
+        publishStateMeta();
+        
+        // Scan for Victron instances before the first command so it goes to the right device
+        if (app.readPluginOptions().paths?.autoDiscover) {
+          discoveredPaths = discoverPaths();
+        }
+        
+        // Event history - opened before the startup switch so it is recorded (a Signal K config change restarts the plugin)
+        const config = loadConfig();
+        if (config && config.history.enabled) {
+          history = createHistory(app.getDataDirPath(), { maxFileBytes: config.history.maxFileSizeKb * 1024, maxFiles: config.history.maxFiles }, log);
+          recordEvent('config', `Plugin started - configuration loaded (${config.chemistryProfile.name} ${config.cellCount}S, control ${config.controlMethod}, SoC source ${config.socEstimation.source})`);
+        }
+        
+        // Shadow mode - collect the intended switches, starting with the startup enable below
+        if (config && config.shadowMode) {
+          shadowReport = createShadowReport(path.join(app.getDataDirPath(), 'shadow-report.json'), log);
+          shadowReport.load();
+          log('warn', 'SHADOW MODE - conditions and protections are evaluated on live data, but nothing is written to the devices. Intended switches are logged and reported (GET /plugins/smart-grid-controller/shadow)');
+        }
+        
+        // Enable grid immediately on startup - the engine starts from that state, so its protections
+        // see the grid as ON and disconnect it (whatever the previous run left it at)
+        const graceSeconds = config ? config.timing.startupGraceSeconds : 0;
+        engine = createDecisionEngine(log);
+        engine.forceGridState(true, Date.now());
+        recordedState = engine.getState();
+        if (!config || !config.shadowMode) {
+          log('info', `Grid AC ENABLED on startup - ${graceSeconds}s grace period active`);
+        }
+        setGridState(true, `Startup - ${graceSeconds}s grace period active`, ['startup']);
         
         // Log battery configuration for user verification
-        const config = getConfig();
         if (!config) {
           log('error', '***************************************************');
-          log('error', '* CRITICAL: Battery Ah rating not configured!    *');
+          log('error', '* CRITICAL: Configuration invalid!               *');
           log('error', '* Plugin DISABLED for safety.                    *');
-          log('error', '* Configure Battery Capacity in plugin settings. *');
+          log('error', '* Fix the errors above in plugin settings.       *');
           log('error', '***************************************************');
+          reportConfigStatus();
           return; // Exit plugin startup
         }
         
         if (config) {
-          log('info', `Battery Configuration: ${config.chemistry.toUpperCase()} ${config.cellCount}S | Capacity: ${config.batteryCapacityKwh.toFixed(1)}kWh | Charge/Discharge Threshold: ±${config.onePercentThresholdW.toFixed(0)}W (1%)`);
+          log('info', `Battery Configuration: ${config.chemistryProfile.name} ${config.cellCount}S | Capacity: ${config.batteryCapacityKwh.toFixed(1)}kWh | Charge/Discharge Threshold: ±${config.onePercentThresholdW.toFixed(0)}W (1%)`);
+          log('info', `Timing: enable ${config.timing.enableDelaySeconds}s, disable ${config.timing.disableDelaySeconds}s | Anti-cycling: min on ${config.timing.minOnSeconds}s, min off ${config.timing.minOffSeconds}s, max ${config.timing.maxSwitchesPerHour || 'unlimited'} switches/hour`);
+          log('info', `Data paths: voltage=${config.paths.voltage}, load=${config.paths.load}, chargePower=${config.paths.chargePower} | Control: acInput=${config.paths.acInputControl} (${config.paths.vebusService}), relay=${config.paths.relayControl}`);
         }
         
-        // Start 30-second startup grace period
-        startupGraceTimer = setTimeout(() => {
-          startupGraceTimer = null;
-          log('info', 'Startup grace period ended - normal condition evaluation active');
-        }, 30000);
-  
-        // Subscribe to Victron data
-        app.signalk.on('delta', (delta) => {
-          try {
-            const voltage = app.getSelfPath('electrical.chargers.275.voltage')?.value || 0;
-            const load = app.getSelfPath('electrical.inverters.275.acout.power')?.value || 0;
-            const chargePower = app.getSelfPath('electrical.chargers.275.power')?.value || 0;
-            
-            // Validate data - skip processing if values are clearly invalid
-            if (voltage < 0 || voltage > 100 || load < 0 || load > 50000) {
-              log('warn', `Invalid data - Voltage: ${voltage}V, Load: ${load}W - skipping cycle`);
-              return;
-            }
-            
-            const config = getConfig();
-            
-            // Safety check - disable control if configuration is invalid
-            if (!config || !config.chemistry || !config.cellCount) {
-              log('error', 'Invalid battery configuration - DISABLING CONTROL for safety');
-              return;
-            }
-
-            // Get time in configured timezone with error handling
-            let localTime, hours, isChargingWindow;
-
-            // Figure out if we are in the charging window
-            try {
-              const now = new Date();
-              localTime = new Date(now.toLocaleString("en-US", {timeZone: config.scheduleSettings.timezone}));
-              hours = localTime.getHours();
-              isChargingWindow = (hours >= config.scheduleSettings.startHour && hours < config.scheduleSettings.endHour);
-
-            // If we can't get the time, use local time
-            } catch (timezoneError) {
-              log('warn', `Invalid timezone ${config.scheduleSettings.timezone}, falling back to local time`);
-              localTime = new Date();
-              hours = localTime.getHours();
-              isChargingWindow = (hours >= config.scheduleSettings.startHour && hours < config.scheduleSettings.endHour);
-            }
-
-            // Calculate SoC from voltage based on battery type, cell count, and charging state
-            let soc = calculateSoC(voltage, config.chemistry, config.cellCount, chargePower, config.onePercentThresholdW);
-            
-            // Ensure SoC is within valid range
-            soc = Math.max(0, Math.min(100, soc));
-
-            // Condition 1: Load > threshold for 3 seconds (enable) / < threshold (disable immediately)
-            if (load > config.loadThresholds.enableWatts && !enabledByLoad) {
-              if (!loadEnableTimer) {
-                loadEnableTimer = setTimeout(() => {
-                  enabledByLoad = true;
-                  loadEnableTimer = null;
-                }, 3000);
-              }
-            } else if (load < config.loadThresholds.disableWatts) {
-              enabledByLoad = false;
-              clearTimeout(loadEnableTimer);
-              loadEnableTimer = null;
-            } else if (load >= config.loadThresholds.disableWatts && load <= config.loadThresholds.enableWatts && loadEnableTimer) {
-              // In hysteresis zone - clear timer but don't change state
-              clearTimeout(loadEnableTimer);
-              loadEnableTimer = null;
-            }
-  
-            // Condition 2: Voltage < threshold for 3 seconds (enable) / > threshold (disable immediately)
-            if (voltage < config.voltageThresholds.lowVoltageEnable && !enabledByVoltage) {
-              if (!voltageEnableTimer) {
-                voltageEnableTimer = setTimeout(() => {
-                  enabledByVoltage = true;
-                  voltageEnableTimer = null;
-                }, 3000);
-              }
-            } else if (voltage > config.voltageThresholds.lowVoltageDisable) {
-              enabledByVoltage = false;
-              clearTimeout(voltageEnableTimer);
-              voltageEnableTimer = null;
-            } else if (voltage >= config.voltageThresholds.lowVoltageEnable && voltage <= config.voltageThresholds.lowVoltageDisable && voltageEnableTimer) {
-              // In hysteresis zone - clear timer but don't change state
-              clearTimeout(voltageEnableTimer);
-              voltageEnableTimer = null;
-            }
-  
-            // Condition 3: SoC < threshold for 3 seconds (enable) / > threshold (disable immediately)
-            if (soc < config.socThresholds.lowSocEnable && !enabledBySoC) {
-              if (!socEnableTimer) {
-                socEnableTimer = setTimeout(() => {
-                  enabledBySoC = true;
-                  socEnableTimer = null;
-                }, 3000);
-              }
-            } else if (soc > config.socThresholds.lowSocDisable) {
-              enabledBySoC = false;
-              clearTimeout(socEnableTimer);
-              socEnableTimer = null;
-            } else if (soc >= config.socThresholds.lowSocEnable && soc <= config.socThresholds.lowSocDisable && socEnableTimer) {
-              // In hysteresis zone - clear timer but don't change state
-              clearTimeout(socEnableTimer);
-              socEnableTimer = null;
-            }
+        if (config.gridAvailability.enabled) {
+          const settings = config.gridAvailability;
+          log('info', `Grid availability: ${config.paths.gridVoltage} ${settings.minVoltage}-${settings.maxVoltage}V, ${config.paths.gridFrequency} ${settings.minFrequency}-${settings.maxFrequency}Hz, confirmed after ${settings.confirmSeconds}s`);
+        }
+        if (config.currentLimit.enabled) {
+          log('info', `AC input current limit modulation: ${config.currentLimit.minAmps}-${config.currentLimit.maxAmps}A (import ceiling ${config.currentLimit.maxAmps}A), scheduled charging ${config.currentLimit.chargeAmps}A, ramp ${config.currentLimit.rampAmpsPerSecond}A/s`);
+        }
+        
+        // Inverter units (a unit left out by a typo is reported by the validation)
+        if (app.readPluginOptions().inverters?.length > 0) {
+          log('info', `Inverter units (load ${config.loadThresholds.mode === 'per-phase' ? `per phase, enable ${config.loadThresholds.phaseEnableWatts}W / disable ${config.loadThresholds.phaseDisableWatts}W` : 'total'}): ${config.inverters.map(inverter => `${inverter.name}${inverter.phase ? ` [${inverter.phase}]` : ''} (${inverter.load}, ${inverter.acInputControl} via ${inverter.vebusService})`).join(', ') || 'none'}`);
+        }
+        
+        // Log the charging windows in effect, next to any the validation left out
+        log('info', `Charging windows (${config.scheduleSettings.timezone}): ${config.scheduleSettings.windows.map(window => window.label).join(', ') || 'none'}`);
+        
+        // Load the price schedule now and keep it fresh
+        if (config.tariff.enabled) {
+          if (config.tariff.source) {
+            refreshPriceSchedule(config.tariff);
+            tariffTimer = setInterval(() => refreshPriceSchedule(config.tariff), config.tariff.refreshMinutes * 60000);
+          } else {
+            log('error', 'Tariff mode enabled but no price schedule source configured - using fixed charging windows');
+          }
+        }
+        
+        // Restore the Coulomb-counting SoC estimate from the previous run
+        if (config.socEstimation.source === 'coulomb' || config.socEstimation.source === 'fused') {
+          socEstimator = createSocEstimator(path.join(app.getDataDirPath(), 'soc-state.json'), log);
+          socEstimator.load();
+          log('info', `SoC source: ${config.socEstimation.source} (charge efficiency ${(config.socEstimation.chargeEfficiency * 100).toFixed(0)}%, ${config.socEstimation.currentPath ? `current from ${config.socEstimation.currentPath}` : 'charger power'})`);
+        }
+        
+        // Energy and battery-health totals - restore them from the previous run
+        if (config.energy.enabled) {
+          energyAccounting = createEnergyAccounting(path.join(app.getDataDirPath(), 'energy-state.json'), log);
+          energyAccounting.load();
+        }
+        
+        // Storage mode - the band replaces the load and schedule conditions
+        if (config.storage.enabled) {
+          log('info', `STORAGE MODE - grid used only to hold SoC between ${config.storage.minSoc}% and ${config.storage.maxSoc}% (load and schedule conditions ignored)`);
+        }
+        
+        // Balancing charge - restore the last run (a laid-up bank is not topped up, so none in storage mode)
+        if (config.balancing.enabled && config.storage.enabled) {
+          log('warn', 'Balancing charge paused while storage mode is on');
+        } else if (config.balancing.enabled) {
+          balancingController = createBalancingController(path.join(app.getDataDirPath(), 'balancing-state.json'), log);
+          balancingController.load();
+          const settings = config.balancing;
+          log('info', `Balancing charge every ${settings.intervalDays} days: ${settings.targetCellVoltage}V per cell held for ${settings.holdMinutes}min, within ${settings.maxHours}h`);
+        }
+        
+        // Generator on AC-in 2 - restore today's run time
+        if (config.generator.enabled) {
+          generator = createGeneratorController(path.join(app.getDataDirPath(), 'generator-state.json'), log);
+          generator.load();
+          const settings = config.generator;
+          log('info', `Generator mode: relay ${settings.relayNumber}, AC-in 2 | warm-up ${settings.warmUpSeconds}s, cool-down ${settings.coolDownSeconds}s, min run ${settings.minRunMinutes}min, max ${settings.maxRunHoursPerDay ? `${settings.maxRunHoursPerDay}h/day` : 'unlimited'} | quiet hours: ${settings.quietHours.map(window => window.label).join(', ') || 'none'}${settings.shoreVoltagePath ? ` | only without shore power (${settings.shoreVoltagePath})` : ''}`);
+          if (!settings.acVoltagePath) {
+            log('warn', 'Generator AC voltage path not configured - failed starts cannot be detected');
+          }
+        }
+        
+        // Start the startup grace period
+        startupGraceTimer = setTimeout(() => endStartupGrace(config), graceSeconds * 1000);
   
-            // Condition 4: Scheduled charging window (immediate enable/disable)
-            enabledByTime = isChargingWindow;
+        // Evaluate when a subscribed input changes, and every 5s so a silent data stream still trips the watchdog
+        subscribeInputs(config);
+        watchdogTimer = setInterval(processData, 5000);
   
-            // Battery protection with hysteresis: configurable thresholds
-            const highVoltageRecovery = config.voltageThresholds.highVoltageProtection - 0.75; // 0.75V hysteresis
-            const highSocRecovery = config.socThresholds.highSocProtection - 2.5; // 2.5% hysteresis
-            
-            // If voltage or SoC is above threshold and battery protection is not active, activate battery protection
-            if ((voltage >= config.voltageThresholds.highVoltageProtection || soc >= config.socThresholds.highSocProtection) && !batteryProtectionActive) {
-              batteryProtectionActive = true;
-              log('info', `Battery protection ACTIVATED - Voltage: ${voltage.toFixed(2)}V (>= ${config.voltageThresholds.highVoltageProtection}V), SoC: ${soc.toFixed(1)}% (>= ${config.socThresholds.highSocProtection}%)`);
-            
-            // If voltage and SoC are below threshold and battery protection is active, deactivate battery protection
-            } else if (voltage < highVoltageRecovery && soc < highSocRecovery && batteryProtectionActive) {
-              batteryProtectionActive = false;
-              log('info', `Battery protection CLEARED - Voltage: ${voltage.toFixed(2)}V (< ${highVoltageRecovery}V), SoC: ${soc.toFixed(1)}% (< ${highSocRecovery}%)`);
-            }
-            
-            // If voltage is above threshold and emergency protection is not active, activate emergency protection
-            const emergencyRecovery = config.voltageThresholds.emergencyVoltage - 0.75; // 0.75V hysteresis
-            if (voltage >= config.voltageThresholds.emergencyVoltage && !emergencyProtectionActive) {
-              emergencyProtectionActive = true;
-              log('info', `Emergency protection ACTIVATED - Voltage: ${voltage.toFixed(2)}V >= ${config.voltageThresholds.emergencyVoltage}V`);
-            
-            // If voltage is below threshold and emergency protection is active, deactivate emergency protection
-            } else if (voltage < emergencyRecovery && emergencyProtectionActive) {
-              emergencyProtectionActive = false;
-              log('info', `Emergency protection CLEARED - Voltage: ${voltage.toFixed(2)}V < ${emergencyRecovery}V`);
-            }
-
-            // Determine if any condition is active
-            const anyConditionActive = enabledByLoad || enabledByVoltage || enabledBySoC || enabledByTime;
-            
-            // Emergency protection overrides everything (including load condition)
-            const emergencyProtectionTriggered = emergencyProtectionActive;
-
-            // Handle grid control logic
-            if (emergencyProtectionTriggered && gridState) {
-              // Emergency protection triggered - disable grid immediately, no exceptions
-              clearTimeout(disableTimer);
-              disableTimer = null;
-              gridState = false;
-              
-              log('info', `Emergency protection triggered - Critical voltage ${voltage.toFixed(2)}V >= ${config.voltageThresholds.emergencyVoltage}V`);
-              
-              setGridState(false, 'Emergency protection triggered');
-            } else if (batteryProtectionActive && gridState) {
-              // Battery protection triggered - disable grid immediately (only load condition can override, not time)
-              const canOverrideProtection = enabledByLoad; // Only high load can override battery protection
-              
-              if (!canOverrideProtection) {
-                clearTimeout(disableTimer);
-                disableTimer = null;
-                gridState = false;
-                
-                const protectionReasons = [];
-                if (voltage >= config.voltageThresholds.highVoltageProtection) protectionReasons.push(`High voltage: ${voltage.toFixed(2)}V >= ${config.voltageThresholds.highVoltageProtection}V`);
-                if (soc >= config.socThresholds.highSocProtection) protectionReasons.push(`High SoC: ${soc.toFixed(1)}% >= ${config.socThresholds.highSocProtection}%`);
-                
-                const overrideStatus = enabledByTime ? ' (Time condition ignored for safety)' : '';
-                log('info', `Battery protection: ${protectionReasons.join(', ')} (Load override: ${enabledByLoad ? 'Active' : 'Inactive'})${overrideStatus}`);
-                
-                setGridState(false, `Battery protection: ${protectionReasons.join(', ')}${overrideStatus}`);
-              }
-            } else if (anyConditionActive && !gridState && !batteryProtectionActive && !emergencyProtectionActive) {
-              // Conditions want to enable grid and no protection active - turn on immediately
-              clearTimeout(disableTimer);
-              disableTimer = null;
-              gridState = true;
-              
-              // Log which conditions are active
-              const activeConditions = [];
-              if (enabledByLoad) activeConditions.push(`Load: ${load.toFixed(1)}W`);
-              if (enabledByVoltage) activeConditions.push(`Voltage: ${voltage.toFixed(2)}V`);
-              if (enabledBySoC) activeConditions.push(`SoC: ${soc.toFixed(1)}%`);
-              if (enabledByTime) activeConditions.push(`Time: ${hours.toString().padStart(2, '0')}:${localTime.getMinutes().toString().padStart(2, '0')}`);
-              
-              log('info', `Active conditions: ${activeConditions.join(', ')}`);
-              
-              setGridState(true, `Active conditions: ${activeConditions.join(', ')}`);
-            } else if (!anyConditionActive && gridState && !startupGraceTimer) {
-              // No conditions want grid enabled and startup grace period is over - start 30 second disable timer
-              if (!disableTimer) {
-                disableTimer = setTimeout(() => {
-                  gridState = false;
-                  disableTimer = null;
-                  
-                  // Log which conditions were cleared
-                  const clearedConditions = [];
-                  if (!enabledByLoad) clearedConditions.push(`Load: ${load.toFixed(1)}W < ${config.loadThresholds.disableWatts}W`);
-                  if (!enabledByVoltage) clearedConditions.push(`Voltage: ${voltage.toFixed(2)}V > ${config.voltageThresholds.lowVoltageDisable}V`);
-                  if (!enabledBySoC) clearedConditions.push(`SoC: ${soc.toFixed(1)}% > ${config.socThresholds.lowSocDisable}%`);
-                  if (!enabledByTime) clearedConditions.push(`Time: ${hours.toString().padStart(2, '0')}:${localTime.getMinutes().toString().padStart(2, '0')} outside ${config.scheduleSettings.startHour.toString().padStart(2, '0')}:00-${config.scheduleSettings.endHour.toString().padStart(2, '0')}:00`);
-                  
-                  log('info', `Cleared conditions: ${clearedConditions.join(', ')}`);
-                  
-                  setGridState(false, `Cleared conditions: ${clearedConditions.join(', ')}`);
-                }, 30000);
-              }
-            } else if (anyConditionActive && gridState && !batteryProtectionActive && !emergencyProtectionActive) {
-              // Conditions still want grid enabled and no protection active - clear any pending disable timer
-              clearTimeout(disableTimer);
-              disableTimer = null;
-            }
-
-            // Log system state for debugging
-            logSystemState(voltage, soc, load, config, chargePower);
+        registerControlHandlers(config);
+        
+        // Manual override via Signal K PUT
+        app.registerPutHandler('vessels.self', OVERRIDE_PATH, (context, path, value) => {
+          try {
+            setOverride(value, 'Signal K PUT');
+            return { state: 'COMPLETED', statusCode: 200 };
           } catch (error) {
-            log('error', `Error processing data - ${error.message}`);
+            log('warn', `Rejected override request - ${error.message}`);
+            return { state: 'COMPLETED', statusCode: 400, message: error.message };
           }
         });
+        publishOverride();
+        
+        // MQTT bridge - state and Home Assistant discovery out, override commands in
+        if (config.mqtt.enabled) {
+          try {
+            mqttBridge = createMqttBridge({
+              settings: config.mqtt,
+              device: { name: 'Smart Grid Controller', version: require('./package.json').version },
+              onCommand: request => setOverride(request, 'MQTT'),
+              log: log
+            });
+            mqttBridge.start();
+            publishState();
+          } catch (error) {
+            log('error', `MQTT bridge not started - ${error.message}`);
+            mqttBridge = null;
+          }
+        }
+        
+        reportConfigStatus();
+      },
   
-        // Map Signal K control to both MultiPlus II GX and Cerbo GX Relay
-        app.registerPutHandler('v1', 'electrical.switches.relay1.state', (context, path, value) => {
+      registerWithRouter: function(router) {
+        // Controller status including the active override
+        router.get('/status', (req, res) => {
+          res.json(getStatus());
+        });
+        
+        // Manual override - GET current, POST { mode, expires | durationMinutes, untilSoc }
+        router.get('/override', (req, res) => {
+          res.json(getStatus().override);
+        });
+        router.post('/override', (req, res) => {
           try {
-            app.putSelfPath('electrical.switches.relay1.state', value);
-            if (app.dbus && app.dbus.setValue) {
-              app.dbus.setValue('com.victronenergy.system', '/Relay/1/State', value);
-            } else {
-              log('warn', 'D-Bus not available - relay state not updated on Cerbo GX');
-            }
+            setOverride(req.body, 'REST API');
+            res.json(getStatus().override);
           } catch (error) {
-            log('error', `Error setting relay state - ${error.message}`);
+            log('warn', `Rejected override request - ${error.message}`);
+            res.status(400).json({ error: error.message });
+          }
+        });
+        
+        // Shadow mode report - how often the controller would have switched, and why
+        router.get('/shadow', (req, res) => {
+          if (!shadowReport) {
+            res.status(404).json({ error: 'Shadow mode is off' });
+            return;
+          }
+          res.json(shadowReport.getReport());
+        });
+        router.post('/shadow/reset', (req, res) => {
+          if (!shadowReport) {
+            res.status(404).json({ error: 'Shadow mode is off' });
+            return;
           }
+          shadowReport.reset();
+          log('info', 'Shadow report reset');
+          res.json(shadowReport.getReport());
         });
         
-        // MultiPlus II GX AC input control handlers
-        app.registerPutHandler('v1', 'electrical.inverters.275.acState.ignoreAcIn1.state', (context, path, value) => {
+        // Energy and battery-health totals - today, yesterday, this week, last week and lifetime
+        router.get('/energy', (req, res) => {
+          if (!energyAccounting) {
+            res.status(404).json({ error: 'Energy accounting is disabled' });
+            return;
+          }
+          res.json(energyAccounting.getSummary());
+        });
+        
+        // Event history - ?from=&to= (ISO 8601), type=grid,override,... format=json|csv, limit=N (newest)
+        router.get('/history', (req, res) => {
+          if (!history) {
+            res.status(404).json({ error: 'Event history is disabled' });
+            return;
+          }
+          let query;
           try {
-            app.putSelfPath('electrical.inverters.275.acState.ignoreAcIn1.state', value);
-            if (app.dbus && app.dbus.setValue) {
-              // MultiPlus II GX ignore AC input control (0=enabled, 1=disabled)
-              app.dbus.setValue('com.victronenergy.vebus.ttyS3', '/Ac/State/IgnoreAcIn1', value);
+            query = parseHistoryQuery(req.query);
+          } catch (error) {
+            res.status(400).json({ error: error.message });
+            return;
+          }
+          try {
+            const entries = history.query(query);
+            if (query.format === 'csv') {
+              res.type('text/csv').send(toCsv(entries));
+            } else {
+              res.json(entries);
             }
           } catch (error) {
-            log('error', `Error setting AC input ignore state - ${error.message}`);
+            log('error', `Could not read event history - ${error.message}`);
+            res.status(500).json({ error: error.message });
           }
         });
+        
+        // Current tariff plan and price schedule status, for inspection
+        router.get('/tariff/plan', (req, res) => {
+          const now = Date.now();
+          res.json({
+            enabled: getConfig()?.tariff.enabled || false,
+            priceScheduleLoadedAt: priceScheduleLoadedAt ? new Date(priceScheduleLoadedAt).toISOString() : null,
+            slotCount: priceSlots.length,
+            currentPrice: priceAt(priceSlots, now),
+            priceLimitActive: priceBlockActive,
+            plan: chargePlan ? {
+              createdAt: new Date(chargePlan.createdAt).toISOString(),
+              soc: chargePlan.soc,
+              targetSoc: chargePlan.targetSoc,
+              deadline: new Date(chargePlan.deadline).toISOString(),
+              energyNeededKwh: chargePlan.energyNeededKwh,
+              plannedEnergyKwh: chargePlan.plannedEnergyKwh,
+              expectedCost: chargePlan.expectedCost,
+              reachesTarget: chargePlan.reachesTarget,
+              activeSlot: activePlanSlot(chargePlan, now) !== null,
+              slots: chargePlan.slots.map(slot => ({
+                start: new Date(slot.start).toISOString(),
+                end: new Date(slot.end).toISOString(),
+                price: slot.price,
+                energyKwh: slot.energyKwh,
+                reason: slot.reason
+              }))
+            } : null
+          });
+        });
       },
   
       stop: function() {
-        clearTimeout(loadEnableTimer);
-        clearTimeout(voltageEnableTimer);
-        clearTimeout(socEnableTimer);
-        clearTimeout(disableTimer);
+        unsubscribes.forEach(unsubscribe => unsubscribe());
+        unsubscribes = [];
+        clearTimeout(evaluationTimer);
+        evaluationTimer = null;
+        lastEvaluationAt = 0;
+        clearTimeout(wakeTimer);
+        wakeTimer = null;
         clearTimeout(startupGraceTimer);
-        clearTimeout(debugTimer);
+        startupGraceTimer = null;
+        startupGraceHeld = false;
+        clearInterval(watchdogTimer);
+        watchdogTimer = null;
+        clearInterval(tariffTimer);
+        tariffTimer = null;
+        if (pendingCommand) {
+          clearTimeout(pendingCommand.timer);
+          pendingCommand = null;
+        }
+        
+        // Run-scoped state starts clean on the next start() - alarms raised for it are cleared, a fresh
+        // run raises them again if they still apply
+        if (dataLostActive) setNotification('dataLost', 'normal', 'Plugin stopped');
+        if (actuationDegraded) setNotification('actuation', 'normal', 'Plugin stopped');
+        dataLostActive = false;
+        dataLostSince = null;
+        chargePowerStale = false;
+        actuationDegraded = false;
+        actuationMessage = null;
+        confirmedMethod = null;
+        lastConfirmedAt = null;
+        override = { mode: 'auto', expiresAt: null, untilSoc: null, startedAt: null, source: null };
+        priceSlots = [];
+        priceScheduleLoadedAt = null;
+        chargePlan = null;
+        tariffAvailable = null;
+        priceBlockActive = false;
+        bmsSocAvailable = null;
+        cellDataAvailable = null;
+        temperatureAvailable = null;
+        currentLimiter = createCurrentLimiter();
+        gridAvailability = createGridAvailability(log);
+        generatorDemand = { demand: null, block: null };
+        shoreAvailable = null;
+        discoveredPaths = null;
+        publishedState = {};
+        lastFullPublish = 0;
+        lastSwitch = null;
+        
+        if (socEstimator) {
+          socEstimator.save();
+          socEstimator = null;
+        }
+        if (shadowReport) {
+          shadowReport.save();
+          shadowReport = null;
+        }
+        if (energyAccounting) {
+          energyAccounting.save();
+          energyAccounting = null;
+          gridPowerAvailable = null;
+        }
+        if (mqttBridge) {
+          mqttBridge.stop();
+          mqttBridge = null;
+        }
+        if (balancingController) {
+          balancingController.save();
+          balancingController = null;
+        }
+        if (generator) {
+          // Nothing would stop a running generator once the plugin is off - stop it now (no cool-down)
+          if (activeConfig && generatorOutputs && (generatorOutputs.relay || generatorOutputs.acInput) && !activeConfig.shadowMode) {
+            log('warn', 'Plugin stopping - generator stopped without its cool-down');
+            writeGeneratorOutputs(activeConfig, { relay: false, acInput: false }, 'plugin stopped');
+          }
+          generator.save();
+          generator = null;
+          generatorOutputs = null;
+        }
+        gridReading = null;
+        gridVoltageAvailable = null;
+        
+        recordEvent('config', 'Plugin stopped');
+        history = null;
+        activeConfig = null;
+        configReport = null;
+        lastStatus = null;
+        lastDebugSummary = null;
+        lastDebugLogAt = 0;
       }
     };
   };
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * Balancing charge
+ *
+ * LiFePO4 cells only top-balance (the BMS bleeds the highest cells) when the bank sits near full
+ * for a while, which normal operation below battery protection never does. Every intervalDays a
+ * balancing charge is run instead:
+ *
+ * - The grid is wanted and may charge past battery protection until the highest cell reaches
+ *   targetCellVoltage, and is held there for holdMinutes (time at or above the target adds up)
+ * - Emergency protection, temperature emergency and the cold charge block stay in force - any of
+ *   them aborts the run
+ * - A run that does not complete within maxHours (charger absorption voltage too low, no grid)
+ *   fails and is retried a day later
+ * - Last completion and attempt are saved to the plugin data directory, so the interval survives
+ *   restarts; without a completed run the first one is due intervalDays after the first start
+ */
+
+const { readState, writeState } = require('./state-file');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+// Wait after a failed or aborted run before trying again
+const RETRY_AFTER_MS = DAY_MS;
+
+// Longest step counted towards the hold time (data gaps are not counted as time at target)
+const MAX_HOLD_STEP_MS = 60000;
+
+function createBalancingController(stateFile, log = () => {}) {
+  // state: idle, charging (towards the target) or holding (at or above it)
+  let balancing = { state: 'idle', startedAt: null, heldMs: 0, lastUpdate: null, countingFrom: null, lastCompletedAt: null, lastAttemptAt: null, lastResult: null };
+
+  // Restore the last run from the previous start
+  function load() {
+    const saved = readState(stateFile, {
+      description: 'balancing state',
+      isValid: state => ['idle', 'charging', 'holding'].includes(state.state),
+      fallback: 'starting over',
+      log: log
+    });
+    if (!saved) return;
+    balancing = { ...balancing, ...saved, lastUpdate: null };
+    log('info', `Restored balancing state - ${balancing.lastCompletedAt ? `last completed ${new Date(balancing.lastCompletedAt).toISOString()}` : 'no completed balancing charge yet'}${balancing.state !== 'idle' ? ', balancing charge in progress' : ''}`);
+  }
+
+  function save() {
+    const { lastUpdate, ...saved } = balancing;
+    writeState(stateFile, saved, { description: 'balancing state', log: log });
+  }
+
+  function nextDueAt(settings) {
+    const from = balancing.lastCompletedAt !== null ? balancing.lastCompletedAt : balancing.countingFrom;
+    if (from === null) return null;
+    const due = from + settings.intervalDays * DAY_MS;
+    return balancing.lastResult === 'failed' || balancing.lastResult === 'aborted' ? Math.max(due, balancing.lastAttemptAt + RETRY_AFTER_MS) : due;
+  }
+
+  function finish(now, result, message) {
+    balancing.state = 'idle';
+    balancing.startedAt = null;
+    balancing.heldMs = 0;
+    balancing.lastResult = result;
+    if (result === 'completed') balancing.lastCompletedAt = now;
+    log(result === 'completed' ? 'info' : 'warn', message);
+    save();
+    return { name: 'balancing', state: result === 'completed' ? 'normal' : 'alert', message: message };
+  }
+
+  /**
+   * Advance the balancing charge to `now`.
+   * inputs: { now, settings (config.balancing), cellVoltage (highest cell V, or pack V / cell count),
+   *           blocked (what stops charging - emergency, temperature emergency, cold block - or null) }
+   * Returns { active (grid wanted past battery protection), changed, reason, notifications, nextEvaluationAt }
+   */
+  function update({ now, settings, cellVoltage, blocked }) {
+    const previousState = balancing.state;
+    const notifications = [];
+    let reason = null;
+    const stepMs = balancing.lastUpdate === null ? 0 : Math.min(MAX_HOLD_STEP_MS, Math.max(0, now - balancing.lastUpdate));
+    balancing.lastUpdate = now;
+
+    // Without a completed run, the interval counts from the first start
+    if (balancing.lastCompletedAt === null && balancing.countingFrom === null) {
+      balancing.countingFrom = now;
+      log('info', `Balancing charge every ${settings.intervalDays} days - first due ${new Date(nextDueAt(settings)).toISOString()}`);
+      save();
+    }
+
+    if (balancing.state === 'idle') {
+      if (now >= nextDueAt(settings) && !blocked) {
+        balancing.state = 'charging';
+        balancing.startedAt = now;
+        balancing.heldMs = 0;
+        balancing.lastAttemptAt = now;
+        reason = `Balancing charge started - charging to ${settings.targetCellVoltage}V per cell, held for ${settings.holdMinutes}min`;
+        log('info', reason);
+        save();
+      }
+    } else if (blocked) {
+      reason = `Balancing charge aborted - ${blocked}`;
+      notifications.push(finish(now, 'aborted', reason));
+    } else if (now - balancing.startedAt >= settings.maxHours * HOUR_MS) {
+      reason = `Balancing charge failed - ${settings.targetCellVoltage}V per cell not held for ${settings.holdMinutes}min within ${settings.maxHours}h (held ${(balancing.heldMs / 60000).toFixed(0)}min), retrying in a day`;
+      notifications.push(finish(now, 'failed', reason));
+    } else {
+      const atTarget = cellVoltage !== null && cellVoltage >= settings.targetCellVoltage;
+      if (atTarget && balancing.state === 'holding') balancing.heldMs += stepMs;
+      if (atTarget && balancing.heldMs >= settings.holdMinutes * 60000) {
+        reason = `Balancing charge completed - ${settings.holdMinutes}min at ${settings.targetCellVoltage}V per cell`;
+        notifications.push(finish(now, 'completed', reason));
+      } else if (atTarget !== (balancing.state === 'holding')) {
+        balancing.state = atTarget ? 'holding' : 'charging';
+        reason = atTarget ? `Balancing charge holding - cell ${cellVoltage.toFixed(3)}V >= ${settings.targetCellVoltage}V` : `Balancing charge below target - cell ${cellVoltage !== null ? `${cellVoltage.toFixed(3)}V` : 'voltage unknown'} < ${settings.targetCellVoltage}V`;
+        log('info', reason);
+      }
+    }
+
+    // Wake for the end of the hold, or the timeout - data arriving drives everything else
+    let nextEvaluationAt = null;
+    if (balancing.state === 'holding') {
+      nextEvaluationAt = Math.min(now + settings.holdMinutes * 60000 - balancing.heldMs, balancing.startedAt + settings.maxHours * HOUR_MS);
+    } else if (balancing.state === 'charging') {
+      nextEvaluationAt = balancing.startedAt + settings.maxHours * HOUR_MS;
+    }
+
+    return {
+      active: balancing.state !== 'idle',
+      changed: balancing.state !== previousState,
+      reason: reason,
+      notifications: notifications,
+      nextEvaluationAt: nextEvaluationAt
+    };
+  }
+
+  function getState(settings) {
+    return {
+      state: balancing.state,
+      startedAt: balancing.startedAt,
+      heldMinutes: Math.round(balancing.heldMs / 6000) / 10,
+      lastCompletedAt: balancing.lastCompletedAt,
+      lastAttemptAt: balancing.lastAttemptAt,
+      lastResult: balancing.lastResult,
+      nextDueAt: nextDueAt(settings)
+    };
+  }
+
+  return { load, save, update, getState };
+}
+
+module.exports = {
+  createBalancingController
+};
@@ -0,0 +1,219 @@
+/**
+ * Battery chemistry registry
+ *
+ * Each chemistry is a table: resting (open-circuit) voltage to SoC curve per cell, the offsets
+ * that shift a cell voltage read under charge or discharge back toward its resting value, the
+ * nominal cell voltage (for capacity), the per-cell switching/protection voltages and the
+ * temperature limits (°C) with the per-cell voltage temperature coefficient (V/°C).
+ *
+ * - Built in: Li-NCM, LiFePO4, LTO, sodium-ion and lead-acid (per 2V cell, AGM/flooded)
+ * - Custom chemistries come from the plugin options and are validated the same way as the
+ *   built-in ones: curve voltages strictly increasing, SoC never decreasing, thresholds ordered
+ *   low enable < low disable < protection < emergency, and charge minimum < high < emergency
+ *   temperature
+ */
+
+// Temperature limits for a custom chemistry that does not give its own (typical lithium)
+const DEFAULT_TEMPERATURE = { chargeMin: 0, high: 45, emergency: 60, compensation: 0 };
+
+const BUILT_IN_CHEMISTRIES = {
+  'li-ncm': {
+    name: 'Li-NCM',
+    nominalCellVoltage: 3.7,
+    chargeOffset: 0.05,       // NCM has smaller hysteresis than LiFePO4
+    dischargeOffset: 0.03,
+    curve: [
+      [3.0, 0], [3.39, 10], [3.48, 20], [3.54, 30], [3.58, 40], [3.63, 50],
+      [3.7, 60], [3.78, 70], [3.87, 80], [4.0, 90], [4.2, 100]
+    ],
+    thresholds: {
+      lowVoltageEnable: 3.39,       // ~10% SoC
+      lowVoltageDisable: 3.54,      // ~30% SoC
+      highVoltageProtection: 4.1,   // ~95% SoC
+      emergencyVoltage: 4.2         // ~100% SoC
+    },
+    temperature: { chargeMin: 0, high: 45, emergency: 60, compensation: 0 }
+  },
+  'lifepo4': {
+    name: 'LiFePO4',
+    nominalCellVoltage: 3.2,
+    chargeOffset: 0.1,        // Charging curve is ~0.1V higher than rest
+    dischargeOffset: 0.05,    // Discharge curve is ~0.05V lower than rest
+    curve: [
+      [3.0, 0], [3.1, 3.6], [3.2, 5.5], [3.325, 27.3], [3.381, 92.7], [3.4, 97.5], [3.65, 100]
+    ],
+    thresholds: {
+      lowVoltageEnable: 3.0,        // ~0% SoC at rest (reached under load well before empty)
+      lowVoltageDisable: 3.25,      // ~14% SoC
+      highVoltageProtection: 3.45,  // ~97.5% SoC
+      emergencyVoltage: 3.65        // ~100% SoC
+    },
+    temperature: { chargeMin: 0, high: 45, emergency: 60, compensation: 0 }
+  },
+  'lto': {
+    name: 'LTO',
+    nominalCellVoltage: 2.3,
+    chargeOffset: 0.05,
+    dischargeOffset: 0.03,
+    curve: [
+      [1.8, 0], [2.1, 5], [2.2, 10], [2.25, 20], [2.28, 30], [2.3, 40], [2.33, 50],
+      [2.36, 60], [2.4, 70], [2.45, 80], [2.52, 90], [2.6, 95], [2.7, 100]
+    ],
+    thresholds: {
+      lowVoltageEnable: 2.2,        // ~10% SoC
+      lowVoltageDisable: 2.28,      // ~30% SoC
+      highVoltageProtection: 2.65,  // ~97.5% SoC
+      emergencyVoltage: 2.8         // Maximum charge voltage
+    },
+    temperature: { chargeMin: -30, high: 50, emergency: 65, compensation: 0 }
+  },
+  'sodium-ion': {
+    name: 'Sodium-ion',
+    nominalCellVoltage: 3.1,
+    chargeOffset: 0.05,
+    dischargeOffset: 0.03,
+    curve: [
+      [1.5, 0], [2.5, 5], [2.8, 10], [2.95, 20], [3.05, 30], [3.15, 40], [3.25, 50],
+      [3.35, 60], [3.45, 70], [3.55, 80], [3.7, 90], [3.85, 95], [4.0, 100]
+    ],
+    thresholds: {
+      lowVoltageEnable: 2.8,        // ~10% SoC
+      lowVoltageDisable: 3.05,      // ~30% SoC
+      highVoltageProtection: 3.85,  // ~95% SoC
+      emergencyVoltage: 4.0         // Maximum charge voltage
+    },
+    temperature: { chargeMin: -20, high: 45, emergency: 60, compensation: 0 }
+  },
+  'lead-acid': {
+    name: 'Lead-acid',
+    nominalCellVoltage: 2.0,
+    chargeOffset: 0.15,       // Lead-acid reads far above rest while charging
+    dischargeOffset: 0.05,
+    curve: [
+      [1.75, 0], [1.885, 10], [1.93, 20], [1.958, 30], [1.983, 40], [2.01, 50],
+      [2.033, 60], [2.053, 70], [2.07, 80], [2.083, 90], [2.117, 100]
+    ],
+    thresholds: {
+      lowVoltageEnable: 2.01,       // ~50% SoC - deeper cycling shortens lead-acid life
+      lowVoltageDisable: 2.053,     // ~70% SoC
+      highVoltageProtection: 2.45,  // Above absorption (14.7V per 12V block) - gassing
+      emergencyVoltage: 2.55        // 15.3V per 12V block
+    },
+    temperature: { chargeMin: -20, high: 45, emergency: 55, compensation: -0.003 }   // -3mV/°C per cell
+  }
+};
+
+// Problems with a chemistry definition (empty when it is usable)
+function validateChemistry(id, chemistry) {
+  const errors = [];
+  const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  const isOffset = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (!isPositive(chemistry.nominalCellVoltage)) {
+    errors.push('nominal cell voltage must be a positive number');
+  }
+  if (!isOffset(chemistry.chargeOffset) || !isOffset(chemistry.dischargeOffset)) {
+    errors.push('charge and discharge offsets must be 0 or more');
+  }
+
+  const curve = chemistry.curve || [];
+  if (curve.length < 2) {
+    errors.push('curve needs at least two points');
+  } else if (!curve.every(([voltage, soc]) => isPositive(voltage) && typeof soc === 'number' && soc >= 0 && soc <= 100)) {
+    errors.push('curve points need a positive voltage and a SoC between 0 and 100%');
+  } else {
+    curve.slice(1).forEach(([voltage, soc], index) => {
+      const [previousVoltage, previousSoc] = curve[index];
+      if (voltage <= previousVoltage) {
+        errors.push(`curve voltages must increase (${voltage}V after ${previousVoltage}V)`);
+      } else if (soc < previousSoc) {
+        errors.push(`curve SoC must not fall as voltage rises (${soc}% at ${voltage}V after ${previousSoc}% at ${previousVoltage}V)`);
+      }
+    });
+  }
+
+  const temperature = chemistry.temperature || {};
+  const temperatureOrder = ['chargeMin', 'high', 'emergency'];
+  if (!temperatureOrder.every(name => typeof temperature[name] === 'number' && Number.isFinite(temperature[name])) || typeof temperature.compensation !== 'number') {
+    errors.push('temperature chargeMin, high, emergency and compensation must all be numbers');
+  } else if (!(temperature.chargeMin < temperature.high && temperature.high < temperature.emergency)) {
+    errors.push(`temperatures must be ordered chargeMin < high < emergency (got ${temperature.chargeMin} / ${temperature.high} / ${temperature.emergency}°C)`);
+  }
+
+  const thresholds = chemistry.thresholds || {};
+  const order = ['lowVoltageEnable', 'lowVoltageDisable', 'highVoltageProtection', 'emergencyVoltage'];
+  if (!order.every(name => isPositive(thresholds[name]))) {
+    errors.push(`thresholds ${order.join(', ')} must all be positive numbers`);
+  } else {
+    order.slice(1).forEach((name, index) => {
+      if (thresholds[name] <= thresholds[order[index]]) {
+        errors.push(`${name} (${thresholds[name]}V) must be above ${order[index]} (${thresholds[order[index]]}V)`);
+      }
+    });
+  }
+
+  return errors.map(error => `${id}: ${error}`);
+}
+
+// Plugin-option form ({ curve: [{ voltage, soc }] }) -> registry form ({ curve: [[voltage, soc]] })
+function fromOptions(options) {
+  return {
+    name: options.name || options.id,
+    nominalCellVoltage: options.nominalCellVoltage,
+    chargeOffset: typeof options.chargeOffset === 'number' ? options.chargeOffset : 0,
+    dischargeOffset: typeof options.dischargeOffset === 'number' ? options.dischargeOffset : 0,
+    curve: (options.curve || []).map(point => [point.voltage, point.soc]),
+    thresholds: { ...options.thresholds },
+    temperature: { ...DEFAULT_TEMPERATURE, ...options.temperature }
+  };
+}
+
+/**
+ * Built-in chemistries plus the custom ones from the plugin options.
+ * Returns { chemistries, errors } - invalid custom chemistries are dropped and described in errors.
+ */
+function buildChemistryRegistry(customConfigs) {
+  const chemistries = { ...BUILT_IN_CHEMISTRIES };
+  const errors = [];
+
+  (customConfigs || []).forEach((options, index) => {
+    const id = options.id;
+    if (!id || typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+      errors.push(`Custom chemistry ${index + 1}: id must be lower case letters, digits and dashes (got '${id || ''}')`);
+      return;
+    }
+    if (chemistries[id]) {
+      errors.push(`Custom chemistry ${id}: id is already ${BUILT_IN_CHEMISTRIES[id] ? 'built in' : 'defined'} - choose another id`);
+      return;
+    }
+
+    const chemistry = fromOptions(options);
+    const problems = validateChemistry(id, chemistry);
+    if (problems.length > 0) {
+      errors.push(...problems);
+      return;
+    }
+    chemistries[id] = chemistry;
+  });
+
+  return { chemistries, errors };
+}
+
+/**
+ * Chemistry and cell count from a battery type: '<chemistry>-<cells>s' (e.g. 'li-ncm-15s'), or
+ * 'custom' with the chemistry and cell count given separately. Null if unparseable.
+ */
+function parseBatteryType(batteryType, battery = {}) {
+  if (batteryType === 'custom') {
+    return { chemistry: battery.chemistry, cellCount: battery.cellCount };
+  }
+  const match = /^(.+)-(\d+)s$/.exec(batteryType || '');
+  return match ? { chemistry: match[1], cellCount: parseInt(match[2], 10) } : null;
+}
+
+module.exports = {
+  BUILT_IN_CHEMISTRIES,
+  validateChemistry,
+  buildChemistryRegistry,
+  parseBatteryType
+};
@@ -0,0 +1,593 @@
+/**
+ * Plugin configuration
+ *
+ * Turns the raw plugin options into the configuration the controller works with: battery
+ * chemistry (see chemistries.js) and cell count from the battery type, pack thresholds from
+ * per-cell voltages,
+ * capacity from the Ah rating, charging windows, data/control paths, inverter units, grid
+ * availability, storage mode, balancing, energy accounting, MQTT, the event history and the generator.
+ *
+ * Options from earlier versions are migrated first (see migration.js). Every setting is then
+ * validated on its own - type and range, so 0 is accepted wherever it is a meaningful value - and
+ * against related settings (enable/disable pairs, low below high, protections recovering above
+ * the levels that enable the grid, charging windows). Each problem is reported against its
+ * option path: a bad value falls back to its default with a warning, while a missing or unknown
+ * battery makes the configuration unusable.
+ *
+ * Kept free of Signal K calls so the replay harness and tests build exactly the same
+ * configuration as the running plugin.
+ */
+
+const { normalizeWindows, legacyWindow, parseTime } = require('./schedule');
+const { buildChemistryRegistry, parseBatteryType } = require('./chemistries');
+const { normalizeInverters } = require('./inverters');
+const { migrateOptions } = require('./migration');
+
+// Default data/control mapping (Victron VE.Bus instance 275 on ttyS3)
+const DEFAULT_PATHS = {
+  voltage: 'electrical.chargers.275.voltage',
+  load: 'electrical.inverters.275.acout.power',
+  chargePower: 'electrical.chargers.275.power',
+  acInputControl: 'electrical.inverters.275.acState.ignoreAcIn1.state',
+  acInput2Control: 'electrical.inverters.275.acState.ignoreAcIn2.state',
+  currentLimitControl: 'electrical.inverters.275.acin.currentLimit',
+  gridVoltage: 'electrical.inverters.275.acin.voltage',
+  gridPower: 'electrical.inverters.275.acin.power',
+  gridFrequency: 'electrical.inverters.275.acin.frequency',
+  vebusService: 'com.victronenergy.vebus.ttyS3',
+  relayNumber: 1
+};
+
+// Range shared by percentage settings
+const PERCENT = { min: 0, max: 100 };
+
+// Option value at a dotted path ('timing.minOnSeconds'), undefined when any part is missing
+function optionAt(options, field) {
+  return field.split('.').reduce((parent, key) => (parent === undefined || parent === null ? undefined : parent[key]), options);
+}
+
+// Wording for a number range - { min, above (exclusive minimum), max, integer }
+function describeRange({ min, above, max, integer }) {
+  const kind = integer ? 'a whole number' : 'a number';
+  if (min !== undefined) return max !== undefined ? `${kind} from ${min} to ${max}` : `${kind} of at least ${min}`;
+  if (above !== undefined) return max !== undefined ? `${kind} above ${above} and at most ${max}` : `${kind} above ${above}`;
+  return max !== undefined ? `${kind} of at most ${max}` : kind;
+}
+
+/**
+ * Readers that check a single option against its type and range.
+ * A missing value gives the default silently, an invalid one is reported as a warning against
+ * its option path and gives the default - 0 is kept wherever the range allows it. A text option
+ * set to an empty string is invalid unless it is optional.
+ */
+function createReader(options, report) {
+  function fallbackText(fallback) {
+    return fallback === null ? 'none' : typeof fallback === 'string' ? `'${fallback}'` : fallback;
+  }
+
+  function number(field, fallback, range = {}) {
+    const value = optionAt(options, field);
+    if (value === undefined || value === null || value === '') return fallback;
+    const valid = typeof value === 'number' && Number.isFinite(value)
+      && (range.min === undefined || value >= range.min)
+      && (range.above === undefined || value > range.above)
+      && (range.max === undefined || value <= range.max)
+      && (!range.integer || Number.isInteger(value));
+    if (!valid) {
+      report.warn(field, `Invalid ${field} ${JSON.stringify(value)} - must be ${describeRange(range)}, using ${fallbackText(fallback)}`);
+      return fallback;
+    }
+    return value;
+  }
+
+  function choice(field, fallback, allowed) {
+    const value = optionAt(options, field);
+    if (value === undefined || value === null || value === '') return fallback;
+    if (!allowed.includes(value)) {
+      report.warn(field, `Invalid ${field} ${JSON.stringify(value)} - must be one of ${allowed.join(', ')}, using ${fallbackText(fallback)}`);
+      return fallback;
+    }
+    return value;
+  }
+
+  // requirement: { description, test (value => boolean, optional), optional (an empty value gives the default) }
+  function string(field, fallback, requirement = {}) {
+    const value = optionAt(options, field);
+    if (value === undefined || value === null || (value === '' && requirement.optional)) return fallback;
+    if (typeof value !== 'string' || value.trim() === '' || (requirement.test && !requirement.test(value))) {
+      report.warn(field, `Invalid ${field} ${JSON.stringify(value)} - must be ${requirement.description || 'text'}, using ${fallbackText(fallback)}`);
+      return fallback;
+    }
+    return value;
+  }
+
+  return { number, choice, string };
+}
+
+// Text option requirements for the string reader - an unknown time zone would make every window evaluation throw
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+const TIME_ZONE = { description: 'an IANA time zone such as Europe/London', test: isTimeZone };
+const TIME_OF_DAY = { description: 'a time as HH:MM', test: value => parseTime(value) !== null };
+const MQTT_URL = { description: 'an mqtt://, mqtts://, ws:// or wss:// URL', test: value => /^(mqtts?|wss?):\/\/./.test(value) };
+// MQTT topics are published to, so no wildcards
+const MQTT_TOPIC = { description: 'a topic without wildcards or a leading/trailing \'/\'', test: value => !/[+#]/.test(value) && !value.startsWith('/') && !value.endsWith('/') };
+
+/**
+ * Migrate and validate the plugin options and build the working configuration.
+ * Returns { config, errors, warnings, migrations }:
+ * - config: the configuration, null when it is unusable (no or an unknown battery, no Ah rating)
+ * - errors: [{ field, message }] - what makes config null, and settings left out entirely
+ *   (an invalid charging window, inverter unit or custom chemistry, a conflicting generator relay)
+ * - warnings: [{ field, message }] - values replaced by their defaults
+ * - migrations: changes made to options from an earlier version (see migration.js)
+ * Everything is logged as well. discoveredPaths: paths found by auto-discovery, used when it is enabled.
+ */
+function validateConfig(options, log, discoveredPaths = null) {
+  const { options: migrated, migrations } = migrateOptions(options || {});
+  migrations.forEach(migration => log('info', `Configuration migrated - ${migration}`));
+
+  const errors = [];
+  const warnings = [];
+  const report = {
+    error: (field, message) => {
+      errors.push({ field: field, message: message });
+      log('error', message);
+    },
+    warn: (field, message) => {
+      warnings.push({ field: field, message: message });
+      log('warn', message);
+    }
+  };
+
+  const config = build(migrated, report, discoveredPaths);
+  return { config, errors, warnings, migrations };
+}
+
+/**
+ * Build the working configuration from the plugin options, with defaults, derived pack values
+ * and safety validation. Returns null when the configuration is unusable (see validateConfig for
+ * the collected problems).
+ * discoveredPaths: paths found by auto-discovery, used when it is enabled.
+ */
+function buildConfig(config, log, discoveredPaths = null) {
+  return validateConfig(config, log, discoveredPaths).config;
+}
+
+// Configuration from migrated options - each problem goes to report.error or report.warn with its option path
+function build(config, report, discoveredPaths) {
+  const read = createReader(config, report);
+  
+  // Built-in and custom chemistries - an invalid custom definition is reported and left out
+  const { chemistries, errors: chemistryErrors } = buildChemistryRegistry(config.customChemistries);
+  chemistryErrors.forEach(error => report.error('customChemistries', `Invalid custom chemistry ignored - ${error}`));
+
+  // Parse battery type to get chemistry and cell count
+  const batteryType = config.batteryType || 'li-ncm-15s';
+  const parsedType = parseBatteryType(batteryType, config.battery);
+  if (!parsedType) {
+    report.error('batteryType', `Unknown battery type: ${batteryType}`);
+    return null;
+  }
+  const { chemistry, cellCount } = parsedType;
+  const chemistryProfile = chemistries[chemistry];
+  if (!chemistryProfile) {
+    report.error(batteryType === 'custom' ? 'battery.chemistry' : 'batteryType', `Unknown battery chemistry: ${chemistry} (available: ${Object.keys(chemistries).join(', ')})`);
+    return null;
+  }
+  if (!Number.isInteger(cellCount) || cellCount < 1) {
+    report.error(batteryType === 'custom' ? 'battery.cellCount' : 'batteryType', `Invalid cell count for ${chemistryProfile.name}: ${cellCount} - must be a whole number of cells in series`);
+    return null;
+  }
+  
+  // Per-cell voltage thresholds for the chemistry
+  const perCellVoltages = chemistryProfile.thresholds;
+  
+  // Calculate pack voltages by multiplying per-cell voltages by cell count
+  const packVoltages = {
+    lowVoltageEnable: perCellVoltages.lowVoltageEnable * cellCount,
+    lowVoltageDisable: perCellVoltages.lowVoltageDisable * cellCount,
+    highVoltageProtection: perCellVoltages.highVoltageProtection * cellCount,
+    emergencyVoltage: perCellVoltages.emergencyVoltage * cellCount
+  };
+
+  // Calculate battery capacity and 1% power threshold
+  const batteryAh = config.batteryCapacity?.batteryAh;
+  
+  // Safety check - battery Ah MUST be configured
+  if (batteryAh === undefined || batteryAh === null || batteryAh === '') {
+    report.error('batteryCapacity.batteryAh', 'Battery Ah rating not configured - MUST be set in plugin configuration before use');
+    return null;
+  }
+  if (!(typeof batteryAh === 'number' && Number.isFinite(batteryAh) && batteryAh > 0)) {
+    report.error('batteryCapacity.batteryAh', `Invalid battery Ah rating ${JSON.stringify(batteryAh)} - must be a number above 0`);
+    return null;
+  }
+  
+  const nominalPackVoltage = chemistryProfile.nominalCellVoltage * cellCount;
+  const batteryCapacityKwh = (nominalPackVoltage * batteryAh) / 1000; // Convert Wh to kWh
+  
+  // Calculate 1% power threshold (for charge/discharge detection)
+  const onePercentThresholdW = (batteryCapacityKwh * 1000) * 0.01; // 1% of capacity in watts
+
+  const finalConfig = {
+    batteryType: batteryType,
+    chemistry: chemistry,
+    chemistryProfile: chemistryProfile,
+    cellCount: cellCount,
+    batteryCapacityKwh: batteryCapacityKwh,
+    onePercentThresholdW: onePercentThresholdW,
+    // Load condition on the total of all units, or per phase against the per-phase thresholds
+    loadThresholds: {
+      mode: read.choice('loadThresholds.mode', 'total', ['total', 'per-phase']),
+      enableWatts: read.number('loadThresholds.enableWatts', 2500, { min: 0 }),
+      disableWatts: read.number('loadThresholds.disableWatts', 1750, { min: 0 }),
+      phaseEnableWatts: read.number('loadThresholds.phaseEnableWatts', 2500, { min: 0 }),
+      phaseDisableWatts: read.number('loadThresholds.phaseDisableWatts', 1750, { min: 0 })
+    },
+    voltageThresholds: packVoltages,
+    cellThresholds: {
+      lowVoltageEnable: perCellVoltages.lowVoltageEnable,
+      lowVoltageDisable: perCellVoltages.lowVoltageDisable,
+      highVoltageProtection: read.number('bms.cellHighVoltage', perCellVoltages.highVoltageProtection, { above: 0 }),
+      emergencyVoltage: read.number('bms.cellEmergencyVoltage', perCellVoltages.emergencyVoltage, { above: 0 }),
+      maxDelta: read.number('bms.maxCellDelta', 0.1, { above: 0 }),
+      emergencyDelta: read.number('bms.emergencyCellDelta', 0.25, { above: 0 })
+    },
+    socThresholds: {
+      lowSocEnable: read.number('socThresholds.lowSocEnable', 10, PERCENT),
+      lowSocDisable: read.number('socThresholds.lowSocDisable', 30, PERCENT),
+      highSocProtection: read.number('socThresholds.highSocProtection', 95, PERCENT)
+    },
+    scheduleSettings: {
+      timezone: read.string('scheduleSettings.timezone', 'Europe/London', TIME_ZONE),
+      startHour: read.number('scheduleSettings.startHour', 0, { min: 0, max: 23, integer: true }),
+      endHour: read.number('scheduleSettings.endHour', 6, { min: 0, max: 24, integer: true })
+    },
+    // Anti-cycling - delays, minimum on/off times and switch rate (0 disables a minimum or the rate limit)
+    timing: {
+      enableDelaySeconds: read.number('timing.enableDelaySeconds', 3, { min: 0 }),
+      disableDelaySeconds: read.number('timing.disableDelaySeconds', 30, { min: 0 }),
+      startupGraceSeconds: read.number('timing.startupGraceSeconds', 30, { min: 0 }),
+      minOnSeconds: read.number('timing.minOnSeconds', 60, { min: 0 }),
+      minOffSeconds: read.number('timing.minOffSeconds', 60, { min: 0 }),
+      maxSwitchesPerHour: read.number('timing.maxSwitchesPerHour', 12, { min: 0, integer: true })
+    },
+    // Protection recovery hysteresis - how far below each trigger level a protection clears
+    hysteresis: {
+      packVoltage: read.number('hysteresis.packVoltage', 0.75, { min: 0 }),
+      soc: read.number('hysteresis.soc', 2.5, { min: 0 }),
+      cellVoltage: read.number('hysteresis.cellVoltage', 0.05, { min: 0 }),
+      cellDelta: read.number('hysteresis.cellDelta', 0.02, { min: 0 }),
+      temperature: read.number('hysteresis.temperature', 3, { min: 0 })
+    },
+    // AC input current limit modulation (VE.Bus /Ac/ActiveIn/CurrentLimit) - maxAmps is the grid import ceiling
+    currentLimit: {
+      enabled: !!config.currentLimit?.enabled,
+      minAmps: read.number('currentLimit.minAmps', 3, { min: 0 }),
+      maxAmps: read.number('currentLimit.maxAmps', 16, { min: 0 }),
+      chargeAmps: read.number('currentLimit.chargeAmps', 8, { min: 0 }),
+      rampAmpsPerSecond: read.number('currentLimit.rampAmpsPerSecond', 1, { above: 0 })
+    },
+    // Storage mode (laid up) - grid only to hold SoC inside the band, load and schedule conditions ignored
+    storage: {
+      enabled: !!config.storage?.enabled,
+      minSoc: read.number('storage.minSoc', 40, PERCENT),
+      maxSoc: read.number('storage.maxSoc', 60, PERCENT)
+    },
+    // Periodic balancing charge (see balancing.js) - the target defaults to midway between cell protection and emergency
+    balancing: {
+      enabled: !!config.balancing?.enabled,
+      intervalDays: read.number('balancing.intervalDays', 30, { above: 0 }),
+      targetCellVoltage: read.number('balancing.targetCellVoltage', null, { above: 0 }),
+      holdMinutes: read.number('balancing.holdMinutes', 60, { min: 0 }),
+      maxHours: read.number('balancing.maxHours', 8, { above: 0 })
+    },
+    // Energy and battery-health accounting (see energy.js) - the fixed price is used without tariff prices
+    energy: {
+      enabled: config.energy?.enabled !== false,
+      pricePerKwh: read.number('energy.pricePerKwh', null)
+    },
+    // MQTT bridge with Home Assistant discovery (see mqtt-bridge.js)
+    mqtt: {
+      enabled: !!config.mqtt?.enabled,
+      url: read.string('mqtt.url', 'mqtt://localhost:1883', MQTT_URL),
+      username: read.string('mqtt.username', null, { optional: true }),
+      password: read.string('mqtt.password', null, { optional: true }),
+      baseTopic: read.string('mqtt.baseTopic', 'smart-grid-controller', MQTT_TOPIC),
+      discovery: config.mqtt?.discovery !== false,
+      discoveryPrefix: read.string('mqtt.discoveryPrefix', 'homeassistant', MQTT_TOPIC)
+    },
+    // Event history in the plugin data directory (see history.js)
+    history: {
+      enabled: config.history?.enabled !== false,
+      maxFileSizeKb: read.number('history.maxFileSizeKb', 1024, { above: 0 }),
+      maxFiles: read.number('history.maxFiles', 5, { min: 1, integer: true })
+    },
+    // Grid availability from the AC input voltage/frequency (see grid-availability.js)
+    gridAvailability: {
+      enabled: config.gridAvailability?.enabled !== false,
+      minVoltage: read.number('gridAvailability.minVoltage', 180, { min: 0 }),
+      maxVoltage: read.number('gridAvailability.maxVoltage', 270, { above: 0 }),
+      minFrequency: read.number('gridAvailability.minFrequency', 45, { min: 0 }),
+      maxFrequency: read.number('gridAvailability.maxFrequency', 65, { above: 0 }),
+      confirmSeconds: read.number('gridAvailability.confirmSeconds', 5, { min: 0 }),
+      maxAgeSeconds: read.number('gridAvailability.maxAgeSeconds', 30, { above: 0 })
+    },
+    // Generator on AC-in 2 (see generator.js) - quiet hours are normalized below like charging windows
+    generator: {
+      enabled: !!config.generator?.enabled,
+      relayNumber: read.number('generator.relayNumber', 2, { min: 0, integer: true }),
+      acVoltagePath: config.generator?.acVoltagePath || '',
+      minAcVoltage: read.number('generator.minAcVoltage', 180, { min: 0 }),
+      shoreVoltagePath: config.generator?.shoreVoltagePath || '',
+      startTimeoutSeconds: read.number('generator.startTimeoutSeconds', 30, { above: 0 }),
+      startAttempts: read.number('generator.startAttempts', 3, { min: 1, integer: true }),
+      restSeconds: read.number('generator.restSeconds', 60, { min: 0 }),
+      warmUpSeconds: read.number('generator.warmUpSeconds', 120, { min: 0 }),
+      coolDownSeconds: read.number('generator.coolDownSeconds', 180, { min: 0 }),
+      minRunMinutes: read.number('generator.minRunMinutes', 30, { min: 0 }),
+      maxRunHoursPerDay: read.number('generator.maxRunHoursPerDay', 0, { min: 0, max: 24 }),
+      lowBatteryInQuietHours: !!config.generator?.lowBatteryInQuietHours
+    },
+    controlMethod: read.choice('controlMethod', 'auto', ['auto', 'multiplus-gx', 'cerbo-gx']),
+    // Shadow mode - full evaluation, intended switches logged and reported, nothing written to the devices
+    shadowMode: !!config.shadowMode,
+    // Relay 0 is a valid Cerbo GX relay (/Relay/0/State)
+    paths: resolvePaths({ ...config.paths, relayNumber: read.number('paths.relayNumber', DEFAULT_PATHS.relayNumber, { min: 0, integer: true }) }, discoveredPaths),
+    dataWatchdog: {
+      maxAgeSeconds: {
+        voltage: read.number('dataWatchdog.voltageMaxAgeSeconds', 30, { above: 0 }),
+        load: read.number('dataWatchdog.loadMaxAgeSeconds', 30, { above: 0 }),
+        chargePower: read.number('dataWatchdog.chargePowerMaxAgeSeconds', 60, { above: 0 })
+      },
+      failSafeAction: read.choice('dataWatchdog.failSafeAction', 'hold', ['hold', 'grid-on', 'grid-off'])
+    },
+    actuation: {
+      confirm: config.actuation?.confirm !== false,
+      confirmTimeoutSeconds: read.number('actuation.confirmTimeoutSeconds', 10, { above: 0 }),
+      maxRetries: read.number('actuation.maxRetries', 2, { min: 0, integer: true })
+    },
+    socEstimation: {
+      source: read.choice('socEstimation.source', 'voltage', ['voltage', 'coulomb', 'fused', 'bms']),
+      currentPath: config.socEstimation?.currentPath || '',
+      invertCurrent: !!config.socEstimation?.invertCurrent,
+      chargeEfficiency: read.number('socEstimation.chargeEfficiency', 0.95, { above: 0, max: 1 }),
+      driftCorrectionPercentPerHour: read.number('socEstimation.driftCorrectionPercentPerHour', 2, { min: 0 }),
+      restMinutes: read.number('socEstimation.restMinutes', 30, { min: 0 }),
+      fullTailPercent: read.number('socEstimation.fullTailPercent', 2, { min: 0, max: 100 })
+    },
+    tariff: {
+      enabled: !!config.tariff?.enabled,
+      source: config.tariff?.source || '',
+      refreshMinutes: read.number('tariff.refreshMinutes', 30, { above: 0 }),
+      targetSoc: read.number('tariff.targetSoc', 90, { above: 0, max: 100 }),
+      deadline: read.string('tariff.deadline', '07:00', TIME_OF_DAY),
+      chargePowerW: read.number('tariff.chargePowerW', 3000, { above: 0 }),
+      // Prices can legitimately be 0 or negative, so only a missing value disables these rules
+      alwaysChargeBelow: read.number('tariff.alwaysChargeBelow', null),
+      neverImportAbove: read.number('tariff.neverImportAbove', null)
+    },
+    bms: {
+      batteryPath: config.bms?.batteryPath || '',
+      cellVoltagesPath: config.bms?.cellVoltagesPath || '',
+      minCellVoltagePath: config.bms?.minCellVoltagePath || '',
+      maxCellVoltagePath: config.bms?.maxCellVoltagePath || '',
+      maxAgeSeconds: read.number('bms.maxAgeSeconds', 60, { above: 0 })
+    },
+    // Battery temperature (Signal K Kelvin path) - limits in °C, defaulting to the chemistry's
+    temperature: {
+      path: config.temperature?.path || '',
+      maxAgeSeconds: read.number('temperature.maxAgeSeconds', 120, { above: 0 }),
+      chargeBlockBelow: read.number('temperature.chargeBlockBelow', chemistryProfile.temperature.chargeMin),
+      highTemperature: read.number('temperature.highTemperature', chemistryProfile.temperature.high),
+      emergencyTemperature: read.number('temperature.emergencyTemperature', chemistryProfile.temperature.emergency),
+      compensation: !!config.temperature?.compensation,
+      compensationPerCell: read.number('temperature.compensationPerCell', chemistryProfile.temperature.compensation),
+      referenceTemperature: read.number('temperature.referenceTemperature', 25)
+    }
+  };
+
+  // Charging windows - the legacy whole-hour window is used when no windows are configured
+  const schedule = finalConfig.scheduleSettings;
+  let windowConfigs = config.scheduleSettings?.windows;
+  if (!(windowConfigs?.length > 0)) {
+    windowConfigs = [legacyWindow(schedule.startHour, schedule.endHour)];
+    // Equal hours never matched in v2.0, but a window with equal start and end is an all-day window
+    if (schedule.startHour === schedule.endHour % 24) {
+      report.warn('scheduleSettings.endHour', `Charging window ${schedule.startHour}:00-${schedule.endHour}:00 is empty - start and end hour must differ, no scheduled charging`);
+      windowConfigs = [];
+    }
+  }
+  const { windows, errors: windowErrors } = normalizeWindows(windowConfigs);
+  windowErrors.forEach(error => report.error('scheduleSettings.windows', `Invalid charging window ignored - ${error}`));
+  schedule.windows = windows;
+
+  // Generator quiet hours and start/stop relay
+  const generator = finalConfig.generator;
+  const { windows: quietHours, errors: quietHoursErrors } = normalizeWindows(config.generator?.quietHours);
+  quietHoursErrors.forEach(error => report.error('generator.quietHours', `Invalid generator quiet hours ignored - ${error}`));
+  generator.quietHours = quietHours;
+  generator.relayControl = `electrical.switches.relay${generator.relayNumber}.state`;
+  generator.relayDbusPath = `/Relay/${generator.relayNumber}/State`;
+  if (generator.enabled && generator.relayNumber === finalConfig.paths.relayNumber && finalConfig.controlMethod !== 'multiplus-gx') {
+    report.error('generator.relayNumber', `Generator relay ${generator.relayNumber} is also the grid contactor relay - generator mode DISABLED, choose another relay or the MultiPlus II GX control method`);
+    generator.enabled = false;
+  }
+
+  // Inverter units - the single unit from the paths unless a list is configured
+  const { inverters, errors: inverterErrors } = normalizeInverters(config.inverters, finalConfig.paths);
+  inverterErrors.forEach(error => report.error('inverters', `Invalid inverter unit ignored - ${error}`));
+  finalConfig.inverters = inverters;
+
+  // Validate configuration for safety
+  if (finalConfig.loadThresholds.enableWatts <= finalConfig.loadThresholds.disableWatts) {
+    report.warn('loadThresholds.enableWatts', `Invalid load thresholds - enable (${finalConfig.loadThresholds.enableWatts}W) must be > disable (${finalConfig.loadThresholds.disableWatts}W), using defaults`);
+    finalConfig.loadThresholds.enableWatts = 2500;
+    finalConfig.loadThresholds.disableWatts = 1750;
+  }
+  
+  const loadThresholds = finalConfig.loadThresholds;
+  if (loadThresholds.phaseEnableWatts <= loadThresholds.phaseDisableWatts) {
+    report.warn('loadThresholds.phaseEnableWatts', `Invalid per-phase load thresholds - enable (${loadThresholds.phaseEnableWatts}W) must be > disable (${loadThresholds.phaseDisableWatts}W), using defaults`);
+    loadThresholds.phaseEnableWatts = 2500;
+    loadThresholds.phaseDisableWatts = 1750;
+  }
+  if (loadThresholds.mode === 'per-phase' && !inverters.every(inverter => inverter.phase)) {
+    report.warn('loadThresholds.mode', 'Per-phase load evaluation needs a phase on every inverter unit - using the total load');
+    loadThresholds.mode = 'total';
+  }
+  
+  // SoC: low enable < low disable < high protection
+  const socThresholds = finalConfig.socThresholds;
+  if (socThresholds.lowSocEnable >= socThresholds.lowSocDisable) {
+    report.warn('socThresholds.lowSocEnable', `Invalid SoC thresholds - enable (${socThresholds.lowSocEnable}%) must be < disable (${socThresholds.lowSocDisable}%), using defaults`);
+    socThresholds.lowSocEnable = 10;
+    socThresholds.lowSocDisable = 30;
+  }
+  if (socThresholds.lowSocDisable >= socThresholds.highSocProtection) {
+    report.warn('socThresholds.highSocProtection', `Invalid SoC thresholds - low SoC disable (${socThresholds.lowSocDisable}%) must be below high SoC protection (${socThresholds.highSocProtection}%), using defaults`);
+    Object.assign(socThresholds, { lowSocEnable: 10, lowSocDisable: 30, highSocProtection: 95 });
+  }
+  
+  // Cell voltages: low disable < protection < emergency, and the warning delta below the emergency delta
+  const cellLimits = finalConfig.cellThresholds;
+  if (!(cellLimits.lowVoltageDisable < cellLimits.highVoltageProtection && cellLimits.highVoltageProtection < cellLimits.emergencyVoltage)) {
+    report.warn('bms.cellHighVoltage', `Invalid cell voltage limits - low voltage disable (${cellLimits.lowVoltageDisable}V) < protection (${cellLimits.highVoltageProtection}V) < emergency (${cellLimits.emergencyVoltage}V) required, using ${chemistryProfile.name} defaults`);
+    cellLimits.highVoltageProtection = perCellVoltages.highVoltageProtection;
+    cellLimits.emergencyVoltage = perCellVoltages.emergencyVoltage;
+  }
+  if (cellLimits.maxDelta >= cellLimits.emergencyDelta) {
+    report.warn('bms.maxCellDelta', `Invalid cell delta limits - warning delta (${cellLimits.maxDelta}V) must be below the emergency delta (${cellLimits.emergencyDelta}V), using 0.1V and 0.25V`);
+    cellLimits.maxDelta = 0.1;
+    cellLimits.emergencyDelta = 0.25;
+  }
+  
+  // Protections must recover above the level at which the low voltage/SoC condition clears, or a
+  // latched protection could only clear once the battery needs the grid again
+  const hysteresis = finalConfig.hysteresis;
+  [
+    ['packVoltage', 'pack voltage', finalConfig.voltageThresholds.highVoltageProtection, finalConfig.voltageThresholds.lowVoltageDisable, 'V'],
+    ['cellVoltage', 'cell voltage', cellLimits.highVoltageProtection, cellLimits.lowVoltageDisable, 'V'],
+    ['soc', 'SoC', socThresholds.highSocProtection, socThresholds.lowSocDisable, '%'],
+    ['cellDelta', 'cell delta', cellLimits.maxDelta, 0, 'V']
+  ].forEach(([name, label, protection, floor, unit]) => {
+    if (protection - hysteresis[name] > floor) return;
+    const reduced = Math.round((protection - floor) / 2 * 1000) / 1000;
+    report.warn(`hysteresis.${name}`, `Invalid hysteresis.${name} ${hysteresis[name]}${unit} - the ${label} protection (${protection}${unit}) would recover at or below ${floor}${unit}, using ${reduced}${unit}`);
+    hysteresis[name] = reduced;
+  });
+  
+  const temperature = finalConfig.temperature;
+  if (!(temperature.chargeBlockBelow < temperature.highTemperature && temperature.highTemperature < temperature.emergencyTemperature)) {
+    report.warn('temperature.highTemperature', `Invalid temperature limits - charge block (${temperature.chargeBlockBelow}°C) < high (${temperature.highTemperature}°C) < emergency (${temperature.emergencyTemperature}°C) required, using ${chemistryProfile.name} defaults`);
+    temperature.chargeBlockBelow = chemistryProfile.temperature.chargeMin;
+    temperature.highTemperature = chemistryProfile.temperature.high;
+    temperature.emergencyTemperature = chemistryProfile.temperature.emergency;
+  }
+  // The cold block clears above its limit and high temperature below its limit - the two must not meet
+  if (temperature.chargeBlockBelow + hysteresis.temperature >= temperature.highTemperature - hysteresis.temperature) {
+    const reduced = Math.round((temperature.highTemperature - temperature.chargeBlockBelow) / 4 * 10) / 10;
+    report.warn('hysteresis.temperature', `Invalid hysteresis.temperature ${hysteresis.temperature}°C - the cold charge block (${temperature.chargeBlockBelow}°C) and high temperature (${temperature.highTemperature}°C) recovery levels would overlap, using ${reduced}°C`);
+    hysteresis.temperature = reduced;
+  }
+  
+  const currentLimit = finalConfig.currentLimit;
+  if (!(currentLimit.minAmps > 0 && currentLimit.minAmps <= currentLimit.chargeAmps && currentLimit.chargeAmps <= currentLimit.maxAmps)) {
+    report.warn('currentLimit.chargeAmps', `Invalid AC input current limits - 0 < minimum (${currentLimit.minAmps}A) <= charge (${currentLimit.chargeAmps}A) <= maximum (${currentLimit.maxAmps}A) required, charging at the minimum within the maximum`);
+    currentLimit.maxAmps = currentLimit.maxAmps > 0 ? currentLimit.maxAmps : 16;
+    currentLimit.minAmps = currentLimit.minAmps > 0 ? Math.min(currentLimit.minAmps, currentLimit.maxAmps) : Math.min(3, currentLimit.maxAmps);
+    currentLimit.chargeAmps = currentLimit.minAmps;
+  }
+  
+  const storage = finalConfig.storage;
+  if (!(storage.minSoc < storage.maxSoc)) {
+    report.warn('storage.minSoc', `Invalid storage band ${storage.minSoc}-${storage.maxSoc}% - 0 <= minimum < maximum <= 100 required, using 40-60%`);
+    Object.assign(storage, { minSoc: 40, maxSoc: 60 });
+  }
+  
+  // The balancing target must lie between cell protection (which it charges past) and emergency (which still applies)
+  const balancing = finalConfig.balancing;
+  const defaultBalancingTarget = Math.round((cellLimits.highVoltageProtection + cellLimits.emergencyVoltage) / 2 * 1000) / 1000;
+  if (balancing.targetCellVoltage === null) {
+    balancing.targetCellVoltage = defaultBalancingTarget;
+  } else if (!(balancing.targetCellVoltage > cellLimits.highVoltageProtection && balancing.targetCellVoltage < cellLimits.emergencyVoltage)) {
+    report.warn('balancing.targetCellVoltage', `Invalid balancing target ${balancing.targetCellVoltage}V per cell - must be above cell protection (${cellLimits.highVoltageProtection}V) and below emergency (${cellLimits.emergencyVoltage}V), using ${defaultBalancingTarget}V`);
+    balancing.targetCellVoltage = defaultBalancingTarget;
+  }
+  
+  const gridAvailability = finalConfig.gridAvailability;
+  if (!(gridAvailability.minVoltage < gridAvailability.maxVoltage && gridAvailability.minFrequency < gridAvailability.maxFrequency)) {
+    report.warn('gridAvailability.minVoltage', `Invalid grid availability range - ${gridAvailability.minVoltage}-${gridAvailability.maxVoltage}V, ${gridAvailability.minFrequency}-${gridAvailability.maxFrequency}Hz, using 180-270V, 45-65Hz`);
+    Object.assign(gridAvailability, { minVoltage: 180, maxVoltage: 270, minFrequency: 45, maxFrequency: 65 });
+  }
+
+  return finalConfig;
+}
+
+// Resolve data and control paths: discovered paths win when auto-discovery is on, then configured, then defaults
+function resolvePaths(pathConfig = {}, discoveredPaths = null) {
+  const configured = {
+    voltage: pathConfig.voltage || DEFAULT_PATHS.voltage,
+    load: pathConfig.load || DEFAULT_PATHS.load,
+    chargePower: pathConfig.chargePower || DEFAULT_PATHS.chargePower,
+    acInputControl: pathConfig.acInputControl || DEFAULT_PATHS.acInputControl,
+    acInput2Control: pathConfig.acInput2Control || DEFAULT_PATHS.acInput2Control,
+    currentLimitControl: pathConfig.currentLimitControl || DEFAULT_PATHS.currentLimitControl,
+    gridVoltage: pathConfig.gridVoltage || DEFAULT_PATHS.gridVoltage,
+    gridPower: pathConfig.gridPower || DEFAULT_PATHS.gridPower,
+    gridFrequency: pathConfig.gridFrequency || DEFAULT_PATHS.gridFrequency,
+    vebusService: pathConfig.vebusService || DEFAULT_PATHS.vebusService,
+    relayNumber: Number.isInteger(pathConfig.relayNumber) ? pathConfig.relayNumber : DEFAULT_PATHS.relayNumber
+  };
+  const paths = pathConfig.autoDiscover && discoveredPaths ? { ...configured, ...discoveredPaths } : configured;
+  
+  paths.autoDiscover = !!pathConfig.autoDiscover;
+  paths.relayControl = `electrical.switches.relay${paths.relayNumber}.state`;
+  paths.relayDbusPath = `/Relay/${paths.relayNumber}/State`;
+  return paths;
+}
+
+/**
+ * Signal K paths the controller reads, for subscribing to exactly what drives an evaluation.
+ * Includes the control paths (device feedback) and wildcards for per-cell voltages.
+ */
+function inputPaths(config) {
+  const candidates = [
+    config.paths.voltage,
+    config.paths.chargePower,
+    config.socEstimation.currentPath,
+    config.temperature.path,
+    config.socEstimation.source === 'bms' && config.bms.batteryPath ? `${config.bms.batteryPath}.capacity.stateOfCharge` : '',
+    config.bms.cellVoltagesPath ? `${config.bms.cellVoltagesPath}.*` : '',
+    config.bms.minCellVoltagePath,
+    config.bms.maxCellVoltagePath,
+    config.controlMethod !== 'multiplus-gx' ? config.paths.relayControl : ''
+  ];
+  config.inverters.forEach(inverter => {
+    candidates.push(inverter.load);
+    if (config.controlMethod !== 'cerbo-gx') candidates.push(inverter.acInputControl);
+    if (config.energy.enabled) candidates.push(inverter.gridPower);
+  });
+  if (config.gridAvailability.enabled) {
+    candidates.push(config.paths.gridVoltage, config.paths.gridFrequency);
+  }
+  if (config.generator.enabled) {
+    candidates.push(config.generator.acVoltagePath, config.generator.shoreVoltagePath);
+  }
+  return [...new Set(candidates.filter(candidate => candidate))];
+}
+
+module.exports = {
+  DEFAULT_PATHS,
+  validateConfig,
+  buildConfig,
+  resolvePaths,
+  inputPaths
+};
@@ -0,0 +1,74 @@
+/**
+ * AC input current limit modulation
+ *
+ * Instead of only accepting or ignoring AC-in, the VE.Bus AC input current limit is set from what
+ * the grid is being used for: slow charging when a charging window or tariff slot is the only
+ * reason, the full import ceiling for high load, a low battery or a forced grid.
+ *
+ * - The limit never exceeds maxAmps (the shore/campsite supply) or drops below minAmps
+ * - Increases ramp at rampAmpsPerSecond, decreases apply at once
+ * - While the grid is off the limit goes back to minAmps, so every connect starts gently
+ * - Like the decision engine it does no I/O: the caller passes `now` and writes the result
+ */
+
+function createCurrentLimiter() {
+  let amps = null;      // limit being applied (ramps toward target)
+  let target = null;
+  let reason = null;
+
+  // Target current and why, from the grid state and the active conditions
+  function targetFor(settings, { gridState, conditions, overrideMode }) {
+    if (!gridState) {
+      return { amps: settings.minAmps, reason: 'Grid off - soft start on next connect' };
+    }
+    if (overrideMode === 'force-on') {
+      return { amps: settings.maxAmps, reason: 'Manual override' };
+    }
+    if (conditions.load) {
+      return { amps: settings.maxAmps, reason: 'High load' };
+    }
+    if (conditions.voltage || conditions.soc) {
+      return { amps: settings.maxAmps, reason: 'Low battery' };
+    }
+    if (conditions.time) {
+      return { amps: settings.chargeAmps, reason: 'Scheduled charging' };
+    }
+    if (conditions.storage) {
+      return { amps: settings.chargeAmps, reason: 'Storage band' };
+    }
+    return { amps: settings.maxAmps, reason: 'Grid connected' };
+  }
+
+  /**
+   * inputs: { now, settings (config.currentLimit), gridState, conditions (engine state), overrideMode }
+   * Returns { amps (rounded to 0.1A), target, reason, changed (amps differs from the last result),
+   *           targetChanged (new target or reason - worth logging) }
+   */
+  function update(inputs) {
+    const { now, settings } = inputs;
+    const wanted = targetFor(settings, inputs);
+    const targetAmps = Math.max(settings.minAmps, Math.min(settings.maxAmps, wanted.amps));
+    const targetChanged = targetAmps !== target || wanted.reason !== reason;
+    const previous = amps === null ? null : Math.round(amps.value * 10) / 10;
+
+    if (amps === null || targetAmps <= amps.value || settings.rampAmpsPerSecond <= 0) {
+      amps = { value: targetAmps, at: now };
+    } else {
+      const elapsedSeconds = Math.max(0, (now - amps.at) / 1000);
+      amps = { value: Math.min(targetAmps, amps.value + elapsedSeconds * settings.rampAmpsPerSecond), at: now };
+    }
+    target = targetAmps;
+    reason = wanted.reason;
+
+    const rounded = Math.round(amps.value * 10) / 10;
+    return { amps: rounded, target: targetAmps, reason: reason, changed: rounded !== previous, targetChanged: targetChanged };
+  }
+
+  function getState() {
+    return { amps: amps === null ? null : Math.round(amps.value * 10) / 10, target: target, reason: reason };
+  }
+
+  return { update, getState };
+}
+
+module.exports = { createCurrentLimiter };
@@ -0,0 +1,230 @@
+/**
+ * Energy and battery-health accounting
+ *
+ * Integrates grid import and battery power into daily, weekly and lifetime totals, so it is
+ * visible what each enable condition actually pulled from the grid (and what it cost) and how
+ * hard the battery is being worked.
+ *
+ * - Grid import is attributed to the causes active at the time (load, voltage, soc, schedule, storage, balancing),
+ *   split equally when several are; import with none of them active (override, startup, high
+ *   load riding through protection after its condition cleared) counts as `other`
+ * - Cost: import x price at the time (tariff price, or the fixed price) - unpriced import adds no cost
+ * - Equivalent full cycles: energy discharged / usable capacity
+ * - Depth of discharge: each discharge from a SoC peak to the following trough, once SoC has
+ *   turned by more than DOD_TURN_PERCENT (small wiggles are not cycles)
+ * - Time at or above the high-SoC protection threshold (where the battery ages fastest)
+ * - Totals are saved to the plugin data directory so a restart does not reset them
+ */
+
+const { readState, writeState } = require('./state-file');
+const { MAX_INTEGRATION_GAP_SECONDS } = require('./soc-estimator');
+
+const CAUSES = ['load', 'voltage', 'soc', 'schedule', 'storage', 'balancing', 'other'];
+
+// How often the totals are written to disk while running
+const SAVE_INTERVAL_SECONDS = 60;
+
+// SoC has to turn by this much before a peak or trough counts
+const DOD_TURN_PERCENT = 5;
+
+function emptyTotals(key) {
+  const byCause = {};
+  CAUSES.forEach(cause => { byCause[cause] = { kwh: 0, cost: 0 }; });
+  return {
+    key: key,
+    gridImportKwh: 0,
+    gridCost: 0,
+    byCause: byCause,
+    batteryChargedKwh: 0,
+    batteryDischargedKwh: 0,
+    equivalentCycles: 0,
+    timeAboveHighSocSeconds: 0,
+    discharges: 0,
+    depthOfDischargeSum: 0,
+    maxDepthOfDischarge: null
+  };
+}
+
+// ISO 8601 week (e.g. 2026-W27) of a local YYYY-MM-DD date - weeks start on Monday
+function isoWeek(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7)); // Thursday of the same week decides the year
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function createEnergyAccounting(stateFile, log = () => {}) {
+  let today = null;
+  let yesterday = null;
+  let week = null;
+  let lastWeek = null;
+  let lifetime = { ...emptyTotals('lifetime'), since: null };
+  let swing = { direction: null, peak: null, trough: null, lastDepthOfDischarge: null };
+  let lastUpdate = null;
+  let lastSave = 0;
+
+  // Restore the totals from the previous run
+  function load() {
+    const saved = readState(stateFile, {
+      description: 'energy totals',
+      isValid: state => !!state.lifetime && typeof state.lifetime.gridImportKwh === 'number',
+      fallback: 'starting from zero',
+      log: log
+    });
+    if (!saved) return;
+    ({ today, yesterday, week, lastWeek, lifetime } = saved);
+    // Totals saved before a cause was added start it at zero
+    [today, yesterday, week, lastWeek, lifetime].filter(totals => totals).forEach(totals => {
+      CAUSES.forEach(cause => { if (!totals.byCause[cause]) totals.byCause[cause] = { kwh: 0, cost: 0 }; });
+    });
+    swing = saved.swing || swing;
+    log('info', `Restored energy totals - lifetime ${lifetime.gridImportKwh.toFixed(1)}kWh grid import, ${lifetime.equivalentCycles.toFixed(1)} equivalent cycles since ${lifetime.since}`);
+  }
+
+  function save(now = Date.now()) {
+    if (lifetime.since === null) return;
+    if (writeState(stateFile, { today, yesterday, week, lastWeek, lifetime, swing }, { description: 'energy totals', log: log })) {
+      lastSave = now;
+    }
+  }
+
+  // Start new daily/weekly totals when the local day or week changes
+  function rollOver(day) {
+    if (!today || today.key !== day) {
+      if (today) log('info', `Energy ${today.key}: ${today.gridImportKwh.toFixed(2)}kWh grid import (cost ${today.gridCost.toFixed(2)}), ${today.batteryDischargedKwh.toFixed(2)}kWh discharged, ${today.equivalentCycles.toFixed(2)} cycles`);
+      yesterday = today;
+      today = emptyTotals(day);
+    }
+    const weekKey = isoWeek(day);
+    if (!week || week.key !== weekKey) {
+      lastWeek = week;
+      week = emptyTotals(weekKey);
+    }
+  }
+
+  function addToPeriods(apply) {
+    [today, week, lifetime].forEach(apply);
+  }
+
+  // Peak/trough tracking - a discharge is complete once SoC has risen DOD_TURN_PERCENT above its trough
+  function trackDepthOfDischarge(soc) {
+    if (swing.direction === null) {
+      swing = { direction: 'charging', peak: soc, trough: null, lastDepthOfDischarge: swing.lastDepthOfDischarge };
+    } else if (swing.direction === 'charging') {
+      swing.peak = Math.max(swing.peak, soc);
+      if (soc <= swing.peak - DOD_TURN_PERCENT) {
+        swing.direction = 'discharging';
+        swing.trough = soc;
+      }
+    } else {
+      swing.trough = Math.min(swing.trough, soc);
+      if (soc >= swing.trough + DOD_TURN_PERCENT) {
+        const depth = swing.peak - swing.trough;
+        swing.lastDepthOfDischarge = depth;
+        addToPeriods(totals => {
+          totals.discharges += 1;
+          totals.depthOfDischargeSum += depth;
+          totals.maxDepthOfDischarge = Math.max(totals.maxDepthOfDischarge || 0, depth);
+        });
+        log('info', `Battery discharge complete: ${swing.peak.toFixed(1)}% -> ${swing.trough.toFixed(1)}% (depth of discharge ${depth.toFixed(1)}%)`);
+        swing.direction = 'charging';
+        swing.peak = soc;
+        swing.trough = null;
+      }
+    }
+  }
+
+  /**
+   * Advance the totals to `now`.
+   * inputs: { now, day (local YYYY-MM-DD), gridPowerW (import, null when unknown), batteryPowerW (positive
+   *           when charging, null when unknown), soc (%), causes (active causes, see CAUSES), price (per kWh or null),
+   *           capacityKwh, highSoc (% - the high-SoC protection threshold) }
+   */
+  function update({ now, day, gridPowerW, batteryPowerW, soc, causes, price, capacityKwh, highSoc }) {
+    rollOver(day);
+    if (lifetime.since === null) lifetime.since = new Date(now).toISOString();
+
+    const dtSeconds = lastUpdate === null ? 0 : (now - lastUpdate) / 1000;
+    lastUpdate = now;
+
+    if (dtSeconds > MAX_INTEGRATION_GAP_SECONDS) {
+      log('warn', `Energy accounting skipped a ${dtSeconds.toFixed(0)}s gap in data`);
+    } else if (dtSeconds > 0) {
+      const hours = dtSeconds / 3600;
+
+      // Grid import, split over the causes active now
+      if (gridPowerW !== null && gridPowerW > 0) {
+        const kwh = (gridPowerW * hours) / 1000;
+        const cost = price !== null ? kwh * price : 0;
+        const shares = causes.length > 0 ? causes : ['other'];
+        addToPeriods(totals => {
+          totals.gridImportKwh += kwh;
+          totals.gridCost += cost;
+          shares.forEach(cause => {
+            totals.byCause[cause].kwh += kwh / shares.length;
+            totals.byCause[cause].cost += cost / shares.length;
+          });
+        });
+      }
+
+      const batteryKwh = batteryPowerW !== null ? (batteryPowerW * hours) / 1000 : 0;
+      addToPeriods(totals => {
+        if (batteryKwh > 0) totals.batteryChargedKwh += batteryKwh;
+        if (batteryKwh < 0) {
+          totals.batteryDischargedKwh -= batteryKwh;
+          totals.equivalentCycles = totals.batteryDischargedKwh / capacityKwh;
+        }
+        if (soc >= highSoc) totals.timeAboveHighSocSeconds += dtSeconds;
+      });
+    }
+
+    trackDepthOfDischarge(soc);
+
+    if (now - lastSave >= SAVE_INTERVAL_SECONDS * 1000) {
+      save(now);
+    }
+  }
+
+  // Totals for the REST summary - kWh and cost rounded, depth of discharge in %
+  function summarize(totals) {
+    if (!totals) return null;
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    const byCause = {};
+    CAUSES.forEach(cause => {
+      byCause[cause] = { kwh: round(totals.byCause[cause].kwh, 3), cost: round(totals.byCause[cause].cost, 2) };
+    });
+    return {
+      period: totals.key,
+      gridImportKwh: round(totals.gridImportKwh, 3),
+      gridCost: round(totals.gridCost, 2),
+      byCause: byCause,
+      batteryChargedKwh: round(totals.batteryChargedKwh, 3),
+      batteryDischargedKwh: round(totals.batteryDischargedKwh, 3),
+      equivalentCycles: round(totals.equivalentCycles, 3),
+      timeAboveHighSocHours: round(totals.timeAboveHighSocSeconds / 3600, 2),
+      discharges: totals.discharges,
+      averageDepthOfDischarge: totals.discharges > 0 ? round(totals.depthOfDischargeSum / totals.discharges, 1) : null,
+      maxDepthOfDischarge: totals.maxDepthOfDischarge !== null ? round(totals.maxDepthOfDischarge, 1) : null
+    };
+  }
+
+  function getSummary() {
+    return {
+      today: summarize(today),
+      yesterday: summarize(yesterday),
+      week: summarize(week),
+      lastWeek: summarize(lastWeek),
+      lifetime: lifetime.since === null ? null : { ...summarize(lifetime), period: 'lifetime', since: lifetime.since },
+      lastDepthOfDischarge: swing.lastDepthOfDischarge !== null ? Math.round(swing.lastDepthOfDischarge * 10) / 10 : null
+    };
+  }
+
+  return { load, save, update, getSummary };
+}
+
+module.exports = {
+  CAUSES,
+  isoWeek,
+  createEnergyAccounting
+};
@@ -0,0 +1,497 @@
+/**
+ * Grid decision engine
+ *
+ * The switching core: the four enable conditions, battery/emergency protection with hysteresis,
+ * temperature protection, manual override precedence and the enable/disable delays. It does no Signal K I/O and starts
+ * no timers - every evaluation gets its inputs and the current time (`now`, ms) from the caller,
+ * so the same code runs live, in the replay harness and in tests.
+ *
+ * - Delays are timestamps, not setTimeouts: a condition enables once it has been true for
+ *   timing.enableDelaySeconds on consecutive evaluations, the grid disconnects once no condition
+ *   has been active for timing.disableDelaySeconds
+ * - Anti-cycling: condition-driven switches wait for the minimum on/off time and are limited to
+ *   timing.maxSwitchesPerHour. Emergency/battery protection and manual override bypass both;
+ *   a low voltage or low SoC enable bypasses the hourly limit (a flat battery always gets charge)
+ * - The result says when the next pending delay or hold runs out (nextEvaluationAt) so the
+ *   caller can re-evaluate then, even if no new data arrives
+ * - Grid commands and notifications are returned, not performed
+ * - Temperature layers mirror the voltage ones: high temperature acts like battery protection
+ *   (high load can keep the grid on), temperature emergency and the cold charge block act like
+ *   emergency protection (nothing keeps the grid on). Without a reading they keep their state
+ * - Storage mode (config.storage) replaces the load and schedule conditions with a SoC band: the
+ *   grid is enabled below its minimum and charges until its maximum
+ * - A balancing charge (input from balancing.js) wants the grid and lets it charge through battery
+ *   protection - high temperature, emergency protection and the hard blocks still apply
+ * - While the grid AC input is dead (availability from grid-availability.js) the grid is allowed but
+ *   nothing flows: the disable delay restarts, the minimum on time stands still and switches are not
+ *   counted towards the hourly limit. Protections and override act as usual
+ */
+
+// Window for timing.maxSwitchesPerHour
+const SWITCH_RATE_WINDOW_MS = 3600000;
+
+function createDecisionEngine(log = () => {}) {
+  // Start with grid enabled on startup
+  let gridState = true;
+
+  // Which conditions are currently active
+  let enabledByLoad = false;
+  let enabledByVoltage = false;
+  let enabledBySoC = false;
+  let enabledByTime = false;
+  let enabledByStorage = false;
+
+  // Battery protection, and emergency protection (cannot be overridden)
+  let batteryProtectionActive = false;
+  let emergencyProtectionActive = false;
+
+  // Temperature protection - high (like battery protection), emergency and cold charge block (like emergency)
+  let highTemperatureActive = false;
+  let temperatureEmergencyActive = false;
+  let coldChargeBlockActive = false;
+
+  // When each pending enable/disable delay started (null = not pending)
+  let loadTriggeredAt = null;
+  let voltageTriggeredAt = null;
+  let socTriggeredAt = null;
+  let storageTriggeredAt = null;
+  let disablePendingAt = null;
+
+  // Active schedule window occurrences whose SoC target has been reached ('<index>@<start date>')
+  let windowTargetsReached = new Set();
+
+  // Anti-cycling: times of grid switches in the last hour, the last switch, and the switch
+  // currently being held back ({ enabled, reason, until, rateLimited } or null)
+  let recentSwitches = [];
+  let lastSwitchAt = null;
+  let heldSwitch = null;
+  let rateLimitAlertActive = false;
+
+  // Grid AC input dead at the last evaluation, and when that was (for the minimum on time)
+  let inputDead = false;
+  let lastEvaluatedAt = null;
+
+  // Enable after the delay, disable immediately, and drop a pending enable in the hysteresis zone
+  function updateCondition(enabled, triggeredAt, triggered, cleared, now, delayMs) {
+    if (triggered && !enabled) {
+      if (triggeredAt === null) return { enabled: false, triggeredAt: now };
+      if (now - triggeredAt >= delayMs) return { enabled: true, triggeredAt: null };
+      return { enabled: false, triggeredAt: triggeredAt };
+    }
+    if (cleared) return { enabled: false, triggeredAt: null };
+    if (!triggered) return { enabled: enabled, triggeredAt: null };
+    return { enabled: enabled, triggeredAt: triggeredAt };
+  }
+
+  // A switch with the grid AC input dead switches nothing, so it does not count towards the hourly limit
+  function recordSwitch(now) {
+    lastSwitchAt = now;
+    if (!inputDead) recentSwitches.push(now);
+  }
+
+  // Why a condition-driven switch to `enabled` must wait, or null if it may happen now
+  function switchHold(timing, enabled, now, bypassRateLimit) {
+    if (!bypassRateLimit && timing.maxSwitchesPerHour > 0 && recentSwitches.length >= timing.maxSwitchesPerHour) {
+      return {
+        reason: `switch rate limit (${recentSwitches.length} switches in the last hour, max ${timing.maxSwitchesPerHour})`,
+        until: recentSwitches[recentSwitches.length - timing.maxSwitchesPerHour] + SWITCH_RATE_WINDOW_MS,
+        rateLimited: true
+      };
+    }
+
+    const minimumMs = (enabled ? timing.minOffSeconds : timing.minOnSeconds) * 1000;
+    if (lastSwitchAt !== null && now - lastSwitchAt < minimumMs) {
+      return {
+        reason: `minimum ${enabled ? 'off' : 'on'} time (${enabled ? timing.minOffSeconds : timing.minOnSeconds}s)`,
+        until: lastSwitchAt + minimumMs,
+        rateLimited: false
+      };
+    }
+    return null;
+  }
+
+  // Log a held switch once, when the hold starts or its reason changes
+  function holdSwitch(enabled, hold) {
+    if (!heldSwitch || heldSwitch.enabled !== enabled || heldSwitch.reason !== hold.reason) {
+      log('info', `Grid ${enabled ? 'enable' : 'disable'} held back by ${hold.reason} until ${new Date(hold.until).toISOString()}`);
+    }
+    return { enabled: enabled, ...hold };
+  }
+
+  /**
+   * Evaluate one set of inputs.
+   * inputs: { now, config, voltage, load (total W), phaseLoads ({ L1: W, ... } or null), soc, cells (or null),
+   *           temperature (°C or null), zonedTime, activeWindows ([{ window, occurrence }]), tariffActive, tariffSlot, priceBlocked, override: { mode, description }, startupGrace,
+   *           balancing (true while a balancing charge runs, optional),
+   *           available (grid AC input live - false while it is dead, null/omitted when not tracked) }
+   * Returns { gridState, command ({ enabled, reason, causes } or null), notifications, nextEvaluationAt }
+   * causes: the conditions behind an enable (load, voltage, soc, schedule), or what forced the switch
+   *         (emergency, temperatureEmergency, coldCharge, override, batteryProtection, cleared)
+   */
+  function evaluate(inputs) {
+    const { now, config, voltage, load, soc, cells, zonedTime, activeWindows, tariffActive, tariffSlot, priceBlocked, override, startupGrace } = inputs;
+    const temperature = typeof inputs.temperature === 'number' ? inputs.temperature : null;
+    const balancing = !!inputs.balancing;
+    const storage = config.storage && config.storage.enabled ? config.storage : null;
+    const loadThr = config.loadThresholds;
+    const phases = loadThr.mode === 'per-phase' && inputs.phaseLoads ? Object.entries(inputs.phaseLoads) : null;
+    const cellThr = config.cellThresholds;
+    const hysteresis = config.hysteresis;
+    const timing = config.timing;
+    const enableDelayMs = timing.enableDelaySeconds * 1000;
+    const notifications = [];
+    let command = null;
+    let held = null;
+
+    recentSwitches = recentSwitches.filter(time => now - time < SWITCH_RATE_WINDOW_MS);
+
+    // Time on a dead input is not time on the grid - the minimum on time resumes once it is live again
+    if (inputDead && gridState && lastSwitchAt !== null && lastEvaluatedAt !== null) {
+      lastSwitchAt += now - lastEvaluatedAt;
+    }
+    inputDead = inputs.available === false;
+    lastEvaluatedAt = now;
+
+    // Condition 1: Load > threshold for 3 seconds (enable) / < threshold (disable immediately)
+    // Per phase: any phase above the per-phase enable threshold, cleared once every phase is below disable
+    // Not evaluated in storage mode
+    ({ enabled: enabledByLoad, triggeredAt: loadTriggeredAt } = !storage ? updateCondition(
+      enabledByLoad, loadTriggeredAt,
+      phases ? phases.some(([, watts]) => watts > loadThr.phaseEnableWatts) : load > loadThr.enableWatts,
+      phases ? phases.every(([, watts]) => watts < loadThr.phaseDisableWatts) : load < loadThr.disableWatts,
+      now, enableDelayMs
+    ) : { enabled: false, triggeredAt: null });
+    const phaseText = phases ? ` (${phases.map(([phase, watts]) => `${phase} ${watts.toFixed(0)}W`).join(', ')})` : '';
+
+    // Condition 2: Voltage < threshold for 3 seconds (enable) / > threshold (disable immediately)
+    // Pack voltage or, with BMS data, the lowest cell - clears only when both have recovered
+    ({ enabled: enabledByVoltage, triggeredAt: voltageTriggeredAt } = updateCondition(
+      enabledByVoltage, voltageTriggeredAt,
+      voltage < config.voltageThresholds.lowVoltageEnable || !!(cells && cells.min < cellThr.lowVoltageEnable),
+      voltage > config.voltageThresholds.lowVoltageDisable && (!cells || cells.min > cellThr.lowVoltageDisable),
+      now, enableDelayMs
+    ));
+
+    // Condition 3: SoC < threshold for 3 seconds (enable) / > threshold (disable immediately)
+    ({ enabled: enabledBySoC, triggeredAt: socTriggeredAt } = updateCondition(
+      enabledBySoC, socTriggeredAt,
+      soc < config.socThresholds.lowSocEnable,
+      soc > config.socThresholds.lowSocDisable,
+      now, enableDelayMs
+    ));
+
+    // Condition 4: Scheduled charging - planned tariff slot, or fixed window until the window's SoC target is reached
+    // Once reached, a window's target holds for the rest of that occurrence (no re-charging on SoC sag) - an
+    // overlapping window that has not reached its own target still charges
+    const occurrenceKey = active => `${active.window.index}@${active.occurrence}`;
+    windowTargetsReached = new Set(activeWindows.map(occurrenceKey).filter(key => windowTargetsReached.has(key)));
+    if (!tariffActive) {
+      activeWindows.forEach(active => {
+        if (active.window.targetSoc !== null && soc >= active.window.targetSoc && !windowTargetsReached.has(occurrenceKey(active))) {
+          windowTargetsReached.add(occurrenceKey(active));
+          log('info', `Schedule window ${active.window.label} reached target SoC ${soc.toFixed(1)}% >= ${active.window.targetSoc}% - window charging stopped until next occurrence`);
+        }
+      });
+    }
+    const chargingWindow = activeWindows.find(active => !windowTargetsReached.has(occurrenceKey(active))) || null;
+    const isChargingWindow = tariffActive ? tariffSlot !== null : chargingWindow !== null;
+    const scheduleLabel = tariffSlot
+      ? `Tariff slot ${new Date(tariffSlot.start).toISOString().substr(11, 5)}Z @ ${tariffSlot.price} (${tariffSlot.reason})`
+      : chargingWindow ? chargingWindow.window.label : null;
+    enabledByTime = isChargingWindow && !storage;
+
+    // Storage mode: SoC < band minimum for 3 seconds (enable) / >= band maximum (disable immediately)
+    ({ enabled: enabledByStorage, triggeredAt: storageTriggeredAt } = storage ? updateCondition(
+      enabledByStorage, storageTriggeredAt,
+      soc < storage.minSoc,
+      soc >= storage.maxSoc,
+      now, enableDelayMs
+    ) : { enabled: false, triggeredAt: null });
+
+    // Battery protection with hysteresis
+    const highVoltageRecovery = config.voltageThresholds.highVoltageProtection - hysteresis.packVoltage;
+    const highSocRecovery = config.socThresholds.highSocProtection - hysteresis.soc;
+
+    // Cell-level checks (only with BMS data) - delta is ignored while the battery is asking for grid,
+    // including during the enable delay, so an imbalanced bottom never blocks recharging
+    const lowConditionPending = voltageTriggeredAt !== null || socTriggeredAt !== null;
+    const checkCellDelta = cells && !enabledByVoltage && !enabledBySoC && !lowConditionPending;
+    const cellHighTriggered = cells && cells.max >= cellThr.highVoltageProtection;
+    const cellDeltaTriggered = checkCellDelta && cells.delta >= cellThr.maxDelta;
+    const cellRecovered = !cells || (cells.max < cellThr.highVoltageProtection - hysteresis.cellVoltage && (!checkCellDelta || cells.delta < cellThr.maxDelta - hysteresis.cellDelta));
+    const cellEmergencyTriggered = cells && (cells.max >= cellThr.emergencyVoltage || (checkCellDelta && cells.delta >= cellThr.emergencyDelta));
+    const cellEmergencyRecovered = !cells || (cells.max < cellThr.emergencyVoltage - hysteresis.cellVoltage && (!checkCellDelta || cells.delta < cellThr.emergencyDelta - hysteresis.cellDelta));
+    const cellStatus = cells ? `, Cells: ${cells.min.toFixed(3)}-${cells.max.toFixed(3)}V (Δ${cells.delta.toFixed(3)}V)` : '';
+
+    // If voltage, SoC or a cell is above threshold and battery protection is not active, activate battery protection
+    if ((voltage >= config.voltageThresholds.highVoltageProtection || soc >= config.socThresholds.highSocProtection || cellHighTriggered || cellDeltaTriggered) && !batteryProtectionActive) {
+      batteryProtectionActive = true;
+      log('info', `Battery protection ACTIVATED - Voltage: ${voltage.toFixed(2)}V (>= ${config.voltageThresholds.highVoltageProtection}V), SoC: ${soc.toFixed(1)}% (>= ${config.socThresholds.highSocProtection}%)${cellStatus}`);
+      // A cell-level trigger means one cell is running away from the pack - more serious than a full pack
+      notifications.push({ name: 'batteryProtection', state: cellHighTriggered || cellDeltaTriggered ? 'alarm' : 'alert', message: `Battery protection active - grid charging stopped (V=${voltage.toFixed(2)}V, SoC=${soc.toFixed(1)}%${cellStatus})` });
+
+    // If voltage, SoC and cells are below threshold and battery protection is active, deactivate battery protection
+    } else if (voltage < highVoltageRecovery && soc < highSocRecovery && cellRecovered && batteryProtectionActive) {
+      batteryProtectionActive = false;
+      log('info', `Battery protection CLEARED - Voltage: ${voltage.toFixed(2)}V (< ${highVoltageRecovery}V), SoC: ${soc.toFixed(1)}% (< ${highSocRecovery}%)${cellStatus}`);
+      notifications.push({ name: 'batteryProtection', state: 'normal', message: 'Battery protection cleared' });
+    }
+
+    // If voltage or a cell is above threshold and emergency protection is not active, activate emergency protection
+    const emergencyRecovery = config.voltageThresholds.emergencyVoltage - hysteresis.packVoltage;
+    if ((voltage >= config.voltageThresholds.emergencyVoltage || cellEmergencyTriggered) && !emergencyProtectionActive) {
+      emergencyProtectionActive = true;
+      log('info', `Emergency protection ACTIVATED - Voltage: ${voltage.toFixed(2)}V (>= ${config.voltageThresholds.emergencyVoltage}V)${cellStatus}`);
+      notifications.push({ name: 'emergencyProtection', state: 'emergency', message: `EMERGENCY battery protection - grid disconnected (V=${voltage.toFixed(2)}V${cellStatus})` });
+
+    // If voltage and cells are below threshold and emergency protection is active, deactivate emergency protection
+    } else if (voltage < emergencyRecovery && cellEmergencyRecovered && emergencyProtectionActive) {
+      emergencyProtectionActive = false;
+      log('info', `Emergency protection CLEARED - Voltage: ${voltage.toFixed(2)}V < ${emergencyRecovery}V${cellStatus}`);
+      notifications.push({ name: 'emergencyProtection', state: 'normal', message: 'Emergency protection cleared' });
+    }
+
+    // Temperature protection, each layer with its own hysteresis - no reading leaves every layer as it is
+    const temperatureLimits = config.temperature;
+    if (temperature !== null) {
+      // Cold charge block - charging below the chemistry's minimum temperature damages the cells
+      if (temperature < temperatureLimits.chargeBlockBelow && !coldChargeBlockActive) {
+        coldChargeBlockActive = true;
+        log('info', `Cold charge block ACTIVATED - Battery ${temperature.toFixed(1)}°C < ${temperatureLimits.chargeBlockBelow}°C`);
+        notifications.push({ name: 'coldCharge', state: 'alarm', message: `Battery too cold to charge - grid disconnected (${temperature.toFixed(1)}°C < ${temperatureLimits.chargeBlockBelow}°C)` });
+      } else if (temperature >= temperatureLimits.chargeBlockBelow + hysteresis.temperature && coldChargeBlockActive) {
+        coldChargeBlockActive = false;
+        log('info', `Cold charge block CLEARED - Battery ${temperature.toFixed(1)}°C >= ${temperatureLimits.chargeBlockBelow + hysteresis.temperature}°C`);
+        notifications.push({ name: 'coldCharge', state: 'normal', message: 'Battery warm enough to charge' });
+      }
+
+      // High temperature - stop charging, like battery protection
+      const highTemperatureRecovery = temperatureLimits.highTemperature - hysteresis.temperature;
+      if (temperature >= temperatureLimits.highTemperature && !highTemperatureActive) {
+        highTemperatureActive = true;
+        log('info', `High temperature protection ACTIVATED - Battery ${temperature.toFixed(1)}°C >= ${temperatureLimits.highTemperature}°C`);
+        notifications.push({ name: 'highTemperature', state: 'alert', message: `Battery temperature high - grid charging stopped (${temperature.toFixed(1)}°C)` });
+      } else if (temperature < highTemperatureRecovery && highTemperatureActive) {
+        highTemperatureActive = false;
+        log('info', `High temperature protection CLEARED - Battery ${temperature.toFixed(1)}°C < ${highTemperatureRecovery}°C`);
+        notifications.push({ name: 'highTemperature', state: 'normal', message: 'Battery temperature protection cleared' });
+      }
+
+      // Temperature emergency - disconnect, like emergency protection
+      const temperatureEmergencyRecovery = temperatureLimits.emergencyTemperature - hysteresis.temperature;
+      if (temperature >= temperatureLimits.emergencyTemperature && !temperatureEmergencyActive) {
+        temperatureEmergencyActive = true;
+        log('info', `Temperature emergency ACTIVATED - Battery ${temperature.toFixed(1)}°C >= ${temperatureLimits.emergencyTemperature}°C`);
+        notifications.push({ name: 'temperatureEmergency', state: 'emergency', message: `EMERGENCY battery temperature - grid disconnected (${temperature.toFixed(1)}°C)` });
+      } else if (temperature < temperatureEmergencyRecovery && temperatureEmergencyActive) {
+        temperatureEmergencyActive = false;
+        log('info', `Temperature emergency CLEARED - Battery ${temperature.toFixed(1)}°C < ${temperatureEmergencyRecovery}°C`);
+        notifications.push({ name: 'temperatureEmergency', state: 'normal', message: 'Temperature emergency cleared' });
+      }
+    }
+
+    // Layers that nothing keeps the grid on through, and those high load can override
+    const hardBlockActive = emergencyProtectionActive || temperatureEmergencyActive || coldChargeBlockActive;
+    const standardProtectionActive = (batteryProtectionActive && !balancing) || highTemperatureActive;
+    const temperatureText = temperature !== null ? `${temperature.toFixed(1)}°C` : 'no current reading';
+
+    // Determine if any condition is active
+    const loadConditionActive = enabledByLoad && !priceBlocked;
+    const anyConditionActive = loadConditionActive || enabledByVoltage || enabledBySoC || enabledByTime || enabledByStorage || balancing;
+
+    // Only the "no condition" branch keeps a pending disable running
+    const disableStartedAt = disablePendingAt;
+    disablePendingAt = null;
+
+    // Handle grid control logic
+    if (hardBlockActive && gridState) {
+      // Emergency protection, temperature emergency or cold charge block - disable grid immediately, no exceptions
+      gridState = false;
+      recordSwitch(now);
+
+      if (emergencyProtectionActive) {
+        log('info', `Emergency protection triggered - ${cellEmergencyTriggered ? `Critical cell: max ${cells.max.toFixed(3)}V (limit ${cellThr.emergencyVoltage}V), Δ${cells.delta.toFixed(3)}V (limit ${cellThr.emergencyDelta}V)` : `Critical voltage ${voltage.toFixed(2)}V >= ${config.voltageThresholds.emergencyVoltage}V`}`);
+        command = { enabled: false, reason: 'Emergency protection triggered', causes: ['emergency'] };
+      } else if (temperatureEmergencyActive) {
+        log('info', `Temperature emergency triggered - Battery ${temperatureText} >= ${temperatureLimits.emergencyTemperature}°C`);
+        command = { enabled: false, reason: `Temperature emergency: ${temperatureText} >= ${temperatureLimits.emergencyTemperature}°C`, causes: ['temperatureEmergency'] };
+      } else {
+        log('info', `Cold charge block - Battery ${temperatureText} < ${temperatureLimits.chargeBlockBelow}°C, grid disconnected`);
+        command = { enabled: false, reason: `Cold charge block: ${temperatureText} < ${temperatureLimits.chargeBlockBelow}°C`, causes: ['coldCharge'] };
+      }
+    } else if (override.mode !== 'auto') {
+      // Manual override - only emergency protection, temperature emergency and cold charge block (above) win, no delays
+      const overrideWantsGrid = override.mode === 'force-on';
+
+      if (gridState !== overrideWantsGrid && !(overrideWantsGrid && hardBlockActive)) {
+        gridState = overrideWantsGrid;
+        recordSwitch(now);
+        log('info', `Manual override: grid ${overrideWantsGrid ? 'ON' : 'OFF'} (${override.description})`);
+        command = { enabled: overrideWantsGrid, reason: `Manual override: ${override.description}`, causes: ['override'] };
+      }
+    } else if (standardProtectionActive && gridState) {
+      // Battery protection triggered - disable grid immediately (only load condition can override, not time)
+      const canOverrideProtection = loadConditionActive; // Only high load can override battery protection
+
+      if (!canOverrideProtection) {
+        gridState = false;
+        recordSwitch(now);
+
+        const protectionReasons = [];
+        if (voltage >= config.voltageThresholds.highVoltageProtection) protectionReasons.push(`High voltage: ${voltage.toFixed(2)}V >= ${config.voltageThresholds.highVoltageProtection}V`);
+        if (soc >= config.socThresholds.highSocProtection) protectionReasons.push(`High SoC: ${soc.toFixed(1)}% >= ${config.socThresholds.highSocProtection}%`);
+        if (cellHighTriggered) protectionReasons.push(`High cell: ${cells.max.toFixed(3)}V >= ${cellThr.highVoltageProtection}V`);
+        if (cellDeltaTriggered) protectionReasons.push(`Cell imbalance: Δ${cells.delta.toFixed(3)}V >= ${cellThr.maxDelta}V`);
+        if (highTemperatureActive) protectionReasons.push(`High temperature: ${temperatureText} >= ${temperatureLimits.highTemperature}°C`);
+
+        const overrideStatus = enabledByTime ? ' (Time condition ignored for safety)' : '';
+        log('info', `Battery protection: ${protectionReasons.join(', ')} (Load override: ${enabledByLoad ? 'Active' : 'Inactive'})${overrideStatus}`);
+
+        command = { enabled: false, reason: `Battery protection: ${protectionReasons.join(', ')}${overrideStatus}`, causes: ['batteryProtection'] };
+      }
+    } else if (anyConditionActive && !gridState && !standardProtectionActive && !hardBlockActive) {
+      // Conditions want to enable grid and no protection active - turn on unless anti-cycling holds it
+      const hold = switchHold(timing, true, now, enabledByVoltage || enabledBySoC);
+      if (hold) {
+        held = holdSwitch(true, hold);
+      } else {
+        gridState = true;
+        recordSwitch(now);
+
+        // Log which conditions are active
+        const activeConditions = [];
+        const causes = [];
+        if (loadConditionActive) {
+          activeConditions.push(`Load: ${load.toFixed(1)}W${phaseText}`);
+          causes.push('load');
+        }
+        if (enabledByVoltage) {
+          activeConditions.push(`Voltage: ${voltage.toFixed(2)}V`);
+          causes.push('voltage');
+        }
+        if (enabledBySoC) {
+          activeConditions.push(`SoC: ${soc.toFixed(1)}%`);
+          causes.push('soc');
+        }
+        if (enabledByTime) {
+          activeConditions.push(`Time: ${zonedTime.time} (${scheduleLabel})`);
+          causes.push('schedule');
+        }
+        if (enabledByStorage) {
+          activeConditions.push(`Storage: SoC ${soc.toFixed(1)}% < ${storage.minSoc}%`);
+          causes.push('storage');
+        }
+        if (balancing) {
+          activeConditions.push('Balancing charge');
+          causes.push('balancing');
+        }
+
+        log('info', `Active conditions: ${activeConditions.join(', ')}`);
+
+        command = { enabled: true, reason: `Active conditions: ${activeConditions.join(', ')}`, causes: causes };
+      }
+    } else if (!anyConditionActive && gridState && !startupGrace) {
+      // No conditions want grid enabled and startup grace period is over - disconnect after the disable delay,
+      // counted from when the grid AC input is live
+      disablePendingAt = disableStartedAt === null || inputDead ? now : disableStartedAt;
+
+      const hold = now - disablePendingAt >= timing.disableDelaySeconds * 1000 ? switchHold(timing, false, now, false) : null;
+      if (hold) {
+        // Delay has run out - keep it pending until anti-cycling lets the grid go
+        held = holdSwitch(false, hold);
+      } else if (now - disablePendingAt >= timing.disableDelaySeconds * 1000) {
+        gridState = false;
+        disablePendingAt = null;
+        recordSwitch(now);
+
+        // Log which conditions were cleared
+        const clearedConditions = [];
+        if (!enabledByLoad && !storage) clearedConditions.push(phases ? `Load: every phase < ${loadThr.phaseDisableWatts}W${phaseText}` : `Load: ${load.toFixed(1)}W < ${loadThr.disableWatts}W`);
+        if (!enabledByVoltage) clearedConditions.push(`Voltage: ${voltage.toFixed(2)}V > ${config.voltageThresholds.lowVoltageDisable}V`);
+        if (!enabledBySoC) clearedConditions.push(`SoC: ${soc.toFixed(1)}% > ${config.socThresholds.lowSocDisable}%`);
+        if (storage) clearedConditions.push(`Storage: SoC ${soc.toFixed(1)}% (band ${storage.minSoc}-${storage.maxSoc}%)`);
+        if (!enabledByTime && !storage) clearedConditions.push(tariffActive ? `Time: ${zonedTime.time} not a planned tariff slot` : activeWindows.length > 0 ? `Time: ${zonedTime.time} ${activeWindows.map(active => active.window.label).join(', ')} target SoC reached` : `Time: ${zonedTime.time} outside ${config.scheduleSettings.windows.map(window => window.label).join(', ') || 'all windows'}`);
+
+        log('info', `Cleared conditions: ${clearedConditions.join(', ')}`);
+
+        command = { enabled: false, reason: `Cleared conditions: ${clearedConditions.join(', ')}`, causes: ['cleared'] };
+      }
+    }
+
+    heldSwitch = held;
+
+    // Alert once the hourly limit holds a switch back, until the last hour has room for switches again
+    const rateLimitReached = timing.maxSwitchesPerHour > 0 && recentSwitches.length >= timing.maxSwitchesPerHour;
+    if (held !== null && held.rateLimited && !rateLimitAlertActive) {
+      rateLimitAlertActive = true;
+      notifications.push({ name: 'switchRateLimit', state: 'alert', message: `Grid ${held.enabled ? 'enable' : 'disable'} held back by ${held.reason}` });
+    } else if (!rateLimitReached && rateLimitAlertActive) {
+      rateLimitAlertActive = false;
+      notifications.push({ name: 'switchRateLimit', state: 'normal', message: 'Grid switch rate back within limit' });
+    }
+
+    return {
+      gridState: gridState,
+      command: command,
+      notifications: notifications,
+      nextEvaluationAt: nextDeadline(timing)
+    };
+  }
+
+  // Earliest time a pending delay or anti-cycling hold runs out (null when nothing is pending)
+  function nextDeadline(timing) {
+    const deadlines = [loadTriggeredAt, voltageTriggeredAt, socTriggeredAt, storageTriggeredAt]
+      .filter(triggeredAt => triggeredAt !== null)
+      .map(triggeredAt => triggeredAt + timing.enableDelaySeconds * 1000);
+    if (disablePendingAt !== null) deadlines.push(Math.max(disablePendingAt + timing.disableDelaySeconds * 1000, heldSwitch ? heldSwitch.until : 0));
+    else if (heldSwitch) deadlines.push(heldSwitch.until);
+    return deadlines.length > 0 ? Math.min(...deadlines) : null;
+  }
+
+  // Drop pending enable/disable delays (their data can no longer be trusted)
+  function cancelPending() {
+    loadTriggeredAt = null;
+    voltageTriggeredAt = null;
+    socTriggeredAt = null;
+    storageTriggeredAt = null;
+    disablePendingAt = null;
+  }
+
+  // Grid switched outside the normal evaluation (data-lost fail-safe) - counts as a switch
+  function forceGridState(enabled, now) {
+    if (gridState !== enabled) recordSwitch(now);
+    gridState = enabled;
+    disablePendingAt = null;
+    heldSwitch = null;
+  }
+
+  function getState() {
+    return {
+      gridState: gridState,
+      conditions: {
+        load: enabledByLoad,
+        voltage: enabledByVoltage,
+        soc: enabledBySoC,
+        time: enabledByTime,
+        storage: enabledByStorage
+      },
+      protections: {
+        battery: batteryProtectionActive,
+        emergency: emergencyProtectionActive,
+        highTemperature: highTemperatureActive,
+        temperatureEmergency: temperatureEmergencyActive,
+        coldCharge: coldChargeBlockActive
+      },
+      disablePendingSince: disablePendingAt,
+      switchHold: heldSwitch ? { enabled: heldSwitch.enabled, reason: heldSwitch.reason, until: heldSwitch.until } : null,
+      switchesLastHour: recentSwitches.length
+    };
+  }
+
+  return { evaluate, cancelPending, forceGridState, getState };
+}
+
+module.exports = {
+  SWITCH_RATE_WINDOW_MS,
+  createDecisionEngine
+};
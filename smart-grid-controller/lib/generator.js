@@ -0,0 +1,197 @@
+/**
+ * Generator on AC input 2
+ *
+ * Off-grid the enable conditions that would connect the grid (low voltage, low SoC, high load)
+ * start a generator instead: a start/stop relay runs it and AC-in 2 is accepted once it has
+ * warmed up.
+ *
+ *   stopped -> starting -> warm-up -> running -> cool-down -> stopped
+ *                 |  (no AC)
+ *                 +-> resting -> starting ... -> failed
+ *
+ * - starting: relay on, waiting for AC voltage. No voltage within the start timeout is a failed
+ *   start - relay off, rest, try again; after the last attempt the generator stays `failed`
+ *   (alarm) until the demand goes away
+ * - warm-up: AC present, AC-in 2 still ignored; running: AC-in 2 accepted
+ * - A run lasts at least the minimum run time once demand goes away; a block (quiet hours,
+ *   shore power available, battery protection, daily run limit) stops it straight away
+ * - cool-down: AC-in 2 ignored again, relay kept on so the engine cools off unloaded
+ * - Run time (relay on with AC present) is counted per local day and saved to the plugin data
+ *   directory so a restart does not reset the daily limit
+ */
+
+const { readState, writeState } = require('./state-file');
+
+function createGeneratorController(stateFile, log = () => {}) {
+  let state = 'stopped';
+  let stateSince = null;
+  let reason = 'No demand';
+  let startAttempts = 0;
+  let runStartedAt = null;
+  let failureAlarm = false;
+
+  // Daily run-time counter
+  let runDay = null;
+  let runSecondsToday = 0;
+  let lastCountedAt = null;
+
+  // Restore today's run-time counter from the previous run
+  function load() {
+    const saved = readState(stateFile, {
+      description: 'generator run time',
+      isValid: state => typeof state.runDay === 'string' && typeof state.runSecondsToday === 'number',
+      fallback: 'counting from zero',
+      log: log
+    });
+    if (!saved) return;
+    runDay = saved.runDay;
+    runSecondsToday = saved.runSecondsToday;
+    log('info', `Restored generator run time for ${runDay}: ${(runSecondsToday / 3600).toFixed(2)}h`);
+  }
+
+  function save() {
+    if (runDay === null) return;
+    writeState(stateFile, { runDay: runDay, runSecondsToday: runSecondsToday }, { description: 'generator run time', log: log });
+  }
+
+  function enter(next, now, why) {
+    log('info', `Generator ${state} -> ${next} - ${why}`);
+    state = next;
+    stateSince = now;
+    reason = why;
+    if (next === 'stopped') save();
+  }
+
+  /**
+   * Evaluate one set of inputs.
+   * inputs: { now, settings (config.generator), day (local YYYY-MM-DD), demand (reason or null),
+   *           block (reason or null), acPresent (true/false, null when the AC voltage is not monitored) }
+   * Returns { state, outputs: { relay, acInput }, notifications, nextEvaluationAt }
+   */
+  function evaluate({ now, settings, day, demand, block, acPresent }) {
+    const notifications = [];
+    if (stateSince === null) stateSince = now;
+
+    // Count run time up to now, starting afresh each local day
+    if (day !== runDay) {
+      if (runDay !== null) log('info', `Generator ran ${(runSecondsToday / 3600).toFixed(2)}h on ${runDay}`);
+      runDay = day;
+      runSecondsToday = 0;
+    }
+    if (lastCountedAt !== null && ['warm-up', 'running', 'cool-down'].includes(state)) {
+      runSecondsToday += (now - lastCountedAt) / 1000;
+    }
+    lastCountedAt = now;
+
+    const dailyLimitReached = settings.maxRunHoursPerDay > 0 && runSecondsToday >= settings.maxRunHoursPerDay * 3600;
+    const stopReason = block || (dailyLimitReached ? `Daily run limit ${settings.maxRunHoursPerDay}h reached` : null);
+    const wantsRun = demand !== null && stopReason === null;
+    const elapsed = now - stateSince;
+
+    // AC lost after a start, or never arrived - retry after a rest until the attempts are used up
+    function failStart(why) {
+      if (startAttempts < settings.startAttempts) {
+        enter('resting', now, `${why} - retrying in ${settings.restSeconds}s (${settings.startAttempts - startAttempts} attempts left)`);
+        return;
+      }
+      enter('failed', now, `${why} after ${startAttempts} attempts`);
+      failureAlarm = true;
+      notifications.push({ name: 'generator', state: 'alarm', message: `Generator failed to start - ${why} after ${startAttempts} attempts` });
+    }
+
+    if (state === 'stopped') {
+      if (wantsRun) {
+        startAttempts = 1;
+        enter('starting', now, demand);
+      }
+    } else if (state === 'resting') {
+      if (!wantsRun) {
+        startAttempts = 0;
+        enter('stopped', now, stopReason || 'Demand cleared');
+      } else if (elapsed >= settings.restSeconds * 1000) {
+        startAttempts += 1;
+        enter('starting', now, `${demand} (attempt ${startAttempts}/${settings.startAttempts})`);
+      }
+    } else if (state === 'failed') {
+      if (demand === null) {
+        startAttempts = 0;
+        enter('stopped', now, 'Demand cleared - next demand tries again');
+      }
+    } else if (state === 'starting') {
+      if (!wantsRun) {
+        startAttempts = 0;
+        enter('stopped', now, stopReason || 'Demand cleared');
+      } else if (acPresent !== false) {
+        enter('warm-up', now, acPresent === null ? 'AC voltage not monitored - assuming started' : 'AC voltage present');
+        if (failureAlarm) {
+          failureAlarm = false;
+          notifications.push({ name: 'generator', state: 'normal', message: 'Generator started' });
+        }
+      } else if (elapsed >= settings.startTimeoutSeconds * 1000) {
+        failStart(`no AC voltage within ${settings.startTimeoutSeconds}s`);
+      }
+    } else if (acPresent === false && state !== 'cool-down') {
+      // Warm-up or running without AC - the generator stopped on its own
+      failStart('AC voltage lost');
+    } else if (state === 'warm-up') {
+      if (!wantsRun) {
+        enter('cool-down', now, stopReason || 'Demand cleared');
+      } else if (elapsed >= settings.warmUpSeconds * 1000) {
+        runStartedAt = now;
+        startAttempts = 0;
+        enter('running', now, demand);
+      }
+    } else if (state === 'running') {
+      const minRunOver = now - runStartedAt >= settings.minRunMinutes * 60000;
+      if (stopReason !== null || (demand === null && minRunOver)) {
+        enter('cool-down', now, stopReason || 'Demand cleared');
+      } else if (demand !== null && demand !== reason) {
+        reason = demand;
+      }
+    } else if (state === 'cool-down') {
+      if (wantsRun) {
+        runStartedAt = now;
+        enter('running', now, demand);
+      } else if (elapsed >= settings.coolDownSeconds * 1000 || acPresent === false) {
+        enter('stopped', now, 'Cool-down complete');
+      }
+    }
+
+    return {
+      state: state,
+      outputs: { relay: ['starting', 'warm-up', 'running', 'cool-down'].includes(state), acInput: state === 'running' },
+      notifications: notifications,
+      nextEvaluationAt: nextDeadline(settings, now)
+    };
+  }
+
+  // When the current state's timer (or the daily run limit) runs out - null if nothing is pending
+  function nextDeadline(settings, now) {
+    const deadlines = [];
+    if (state === 'starting') deadlines.push(stateSince + settings.startTimeoutSeconds * 1000);
+    if (state === 'resting') deadlines.push(stateSince + settings.restSeconds * 1000);
+    if (state === 'warm-up') deadlines.push(stateSince + settings.warmUpSeconds * 1000);
+    if (state === 'cool-down') deadlines.push(stateSince + settings.coolDownSeconds * 1000);
+    if (state === 'running') deadlines.push(runStartedAt + settings.minRunMinutes * 60000);
+    if (['warm-up', 'running'].includes(state) && settings.maxRunHoursPerDay > 0) {
+      deadlines.push(now + (settings.maxRunHoursPerDay * 3600 - runSecondsToday) * 1000);
+    }
+    const pending = deadlines.filter(deadline => deadline > now);
+    return pending.length > 0 ? Math.min(...pending) : null;
+  }
+
+  function getState() {
+    return {
+      state: state,
+      since: stateSince,
+      reason: reason,
+      startAttempts: startAttempts,
+      runDay: runDay,
+      runHoursToday: runSecondsToday / 3600
+    };
+  }
+
+  return { load, save, evaluate, getState };
+}
+
+module.exports = { createGeneratorController };
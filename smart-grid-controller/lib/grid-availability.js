@@ -0,0 +1,126 @@
+/**
+ * Grid availability
+ *
+ * "Grid allowed" (AC-in not ignored) says nothing about whether the shore pedestal or grid
+ * connection is actually live. Availability is tracked separately from the AC input voltage
+ * (and frequency, when reported) so a dead input is visible instead of being taken for a
+ * working grid.
+ *
+ * - Available: voltage (and frequency, if known) inside the configured range
+ * - A change has to last confirmSeconds before it counts, so a brownout blip is not an outage
+ * - Missing/stale voltage: availability unknown - nothing is counted or raised
+ * - Time without grid while the grid was allowed is counted, per outage and in total
+ * - `gridUnavailable` alarm while a low voltage/SoC condition wants the grid and there is none
+ */
+
+function formatDuration(ms) {
+  const minutes = ms / 60000;
+  return minutes >= 1 ? `${minutes.toFixed(1)}min` : `${(ms / 1000).toFixed(0)}s`;
+}
+
+function createGridAvailability(log = () => {}) {
+  let available = null;       // confirmed availability, null while unknown
+  let since = null;
+  let candidate = null;       // { available, since } - a reading that differs, waiting to be confirmed
+  let requested = false;      // grid allowed at the last update
+  let lastUpdateAt = null;
+  let outages = 0;
+  let outageRequestedMs = 0;  // current outage, time the grid was allowed
+  let unavailableRequestedMs = 0;
+  let alarmActive = false;
+
+  // Availability from one set of readings - null when the voltage is unknown
+  function readingAvailable(settings, voltage, frequency) {
+    if (voltage === null) return null;
+    const voltageOk = voltage >= settings.minVoltage && voltage <= settings.maxVoltage;
+    const frequencyOk = frequency === null || (frequency >= settings.minFrequency && frequency <= settings.maxFrequency);
+    return voltageOk && frequencyOk;
+  }
+
+  function describeReading(voltage, frequency) {
+    return `${voltage.toFixed(0)}V${frequency !== null ? ` ${frequency.toFixed(1)}Hz` : ''}`;
+  }
+
+  /**
+   * inputs: { now, settings (config.gridAvailability), voltage (V, null when missing/stale),
+   *           frequency (Hz, null when not reported), requested (grid allowed), lowBattery (low voltage/SoC condition) }
+   * Returns { available, changed, notifications, nextEvaluationAt }
+   */
+  function update({ now, settings, voltage, frequency, requested: nowRequested, lowBattery }) {
+    const notifications = [];
+    const previous = available;
+
+    // Count the time since the last update against the state it was in
+    if (lastUpdateAt !== null && available === false && requested) {
+      const elapsed = now - lastUpdateAt;
+      outageRequestedMs += elapsed;
+      unavailableRequestedMs += elapsed;
+    }
+    lastUpdateAt = now;
+    requested = nowRequested;
+
+    const reading = readingAvailable(settings, voltage, frequency);
+    if (reading === null) {
+      available = null;
+      candidate = null;
+    } else if (available === null) {
+      // First reading (or back from unknown) - nothing to debounce against
+      available = reading;
+      since = now;
+      candidate = null;
+      log(reading ? 'info' : 'warn', `Grid AC input ${reading ? 'available' : 'UNAVAILABLE'} (${describeReading(voltage, frequency)})`);
+      if (!reading) {
+        outages += 1;
+        outageRequestedMs = 0;
+      }
+    } else if (reading === available) {
+      candidate = null;
+    } else if (!candidate) {
+      candidate = { available: reading, since: now };
+    }
+
+    if (candidate && now - candidate.since >= settings.confirmSeconds * 1000) {
+      const lastedMs = candidate.since - since;
+      available = candidate.available;
+      since = candidate.since;
+      candidate = null;
+      if (available) {
+        log('info', `Grid AC input RESTORED (${describeReading(voltage, frequency)}) after ${formatDuration(lastedMs)}${outageRequestedMs > 0 ? `, ${formatDuration(outageRequestedMs)} of it while the grid was wanted` : ''}`);
+      } else {
+        outages += 1;
+        outageRequestedMs = 0;
+        log('warn', `Grid AC input LOST (${describeReading(voltage, frequency)}) after ${formatDuration(lastedMs)} available${nowRequested ? ' - grid is allowed but nothing is coming in' : ''}`);
+      }
+    }
+
+    // The battery needs the grid and there is none - only something outside the controller can fix that
+    const starved = available === false && nowRequested && lowBattery;
+    if (starved && !alarmActive) {
+      alarmActive = true;
+      notifications.push({ name: 'gridUnavailable', state: 'alarm', message: `Battery low and grid requested, but the grid AC input is dead (${describeReading(voltage, frequency)}) - check the shore/grid supply` });
+    } else if (!starved && alarmActive) {
+      alarmActive = false;
+      notifications.push({ name: 'gridUnavailable', state: 'normal', message: available ? 'Grid AC input available again' : 'Grid no longer needed for the battery' });
+    }
+
+    return {
+      available: available,
+      changed: available !== previous,
+      notifications: notifications,
+      nextEvaluationAt: candidate ? candidate.since + settings.confirmSeconds * 1000 : null
+    };
+  }
+
+  function getState() {
+    return {
+      available: available,
+      since: since,
+      outages: outages,
+      unavailableWhileRequestedSeconds: Math.round(unavailableRequestedMs / 1000)
+    };
+  }
+
+  return { update, getState };
+}
+
+module.exports = { createGridAvailability };
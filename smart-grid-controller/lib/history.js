@@ -0,0 +1,168 @@
+/**
+ * Event history
+ *
+ * Every state transition (grid switches, condition and protection changes, overrides, plugin
+ * starts/stops and the other controller states) is appended to a JSON-lines file in the plugin
+ * data directory, so what happened overnight can be looked up after the console has scrolled away.
+ *
+ * - One entry per line: { time, type, reason, voltage, soc, load, ...details }
+ * - The file is rotated at maxFileBytes: history.jsonl -> history.1.jsonl -> ... up to maxFiles
+ *   files in total, the oldest is deleted
+ * - Written synchronously - transitions are rare and an entry must not be lost to a crash
+ * - Queried by time range and event type (GET /history), as JSON or CSV
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EVENT_TYPES = ['grid', 'condition', 'protection', 'override', 'config', 'dataLost', 'actuation', 'gridAvailability', 'generator', 'balancing'];
+
+const FILE_NAME = 'history';
+
+// Most entries a query returns unless it asks for fewer
+const MAX_QUERY_ENTRIES = 10000;
+
+function createHistory(directory, { maxFileBytes, maxFiles }, log = () => {}) {
+  const currentFile = path.join(directory, `${FILE_NAME}.jsonl`);
+  const rotatedFile = index => path.join(directory, `${FILE_NAME}.${index}.jsonl`);
+  let size = fs.existsSync(currentFile) ? fs.statSync(currentFile).size : 0;
+  let writeFailed = false;
+
+  // history.jsonl -> history.1.jsonl, history.1.jsonl -> history.2.jsonl, ... dropping the oldest
+  function rotate() {
+    const oldest = rotatedFile(maxFiles - 1);
+    if (maxFiles > 1 && fs.existsSync(oldest)) fs.unlinkSync(oldest);
+    for (let index = maxFiles - 2; index >= 1; index--) {
+      if (fs.existsSync(rotatedFile(index))) fs.renameSync(rotatedFile(index), rotatedFile(index + 1));
+    }
+    if (maxFiles > 1) {
+      fs.renameSync(currentFile, rotatedFile(1));
+    } else {
+      fs.unlinkSync(currentFile);
+    }
+    size = 0;
+  }
+
+  /**
+   * Append one event.
+   * snapshot: { voltage, soc, load } at the time of the event (null when not known yet)
+   * details: extra fields for the event type (e.g. { state } for a grid switch)
+   */
+  function record(type, reason, snapshot, details = {}, now = Date.now()) {
+    const entry = {
+      time: new Date(now).toISOString(),
+      type: type,
+      reason: reason,
+      voltage: snapshot ? Math.round(snapshot.voltage * 100) / 100 : null,
+      soc: snapshot ? Math.round(snapshot.soc * 10) / 10 : null,
+      load: snapshot ? Math.round(snapshot.load) : null,
+      ...details
+    };
+    const line = `${JSON.stringify(entry)}\n`;
+
+    try {
+      if (size > 0 && size + Buffer.byteLength(line) > maxFileBytes) rotate();
+      fs.appendFileSync(currentFile, line);
+      size += Buffer.byteLength(line);
+      if (writeFailed) {
+        writeFailed = false;
+        log('info', 'Event history writable again');
+      }
+    } catch (error) {
+      // Logged once - a full disk would otherwise add a line to the console on every transition
+      if (!writeFailed) log('error', `Could not write event history - ${error.message}`);
+      writeFailed = true;
+    }
+    return entry;
+  }
+
+  /**
+   * Entries in time order, oldest first.
+   * query: { from, to (ms, inclusive, null for open), types (array or null for all), limit (newest N) }
+   */
+  function query({ from = null, to = null, types = null, limit = MAX_QUERY_ENTRIES }) {
+    const files = [];
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(rotatedFile(index))) files.push(rotatedFile(index));
+    }
+    if (fs.existsSync(currentFile)) files.push(currentFile);
+
+    const entries = [];
+    files.forEach(file => {
+      fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+        if (!line) return;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          return; // half-written last line after a crash
+        }
+        const time = Date.parse(entry.time);
+        if (from !== null && time < from) return;
+        if (to !== null && time > to) return;
+        if (types !== null && !types.includes(entry.type)) return;
+        entries.push(entry);
+      });
+    });
+    return entries.slice(-Math.min(limit, MAX_QUERY_ENTRIES));
+  }
+
+  return { record, query };
+}
+
+/**
+ * Parse GET /history query parameters: from, to (ISO 8601), type (comma-separated), format (json|csv), limit.
+ * Throws an Error with a user-facing message for invalid parameters.
+ */
+function parseHistoryQuery(params = {}) {
+  const parseTime = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`Invalid '${name}' time '${value}' - use ISO 8601, e.g. 2026-01-31T22:00:00Z`);
+    return time;
+  };
+  const from = parseTime(params.from, 'from');
+  const to = parseTime(params.to, 'to');
+  if (from !== null && to !== null && from > to) {
+    throw new Error(`'from' (${params.from}) is after 'to' (${params.to})`);
+  }
+
+  let types = null;
+  if (params.type) {
+    types = String(params.type).split(',').map(type => type.trim()).filter(type => type);
+    const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) throw new Error(`Unknown event type '${unknown.join(', ')}' - use ${EVENT_TYPES.join(', ')}`);
+  }
+
+  const format = params.format || 'json';
+  if (!['json', 'csv'].includes(format)) throw new Error(`Invalid format '${format}' - use json or csv`);
+
+  let limit = MAX_QUERY_ENTRIES;
+  if (params.limit !== undefined && params.limit !== '') {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new Error(`Invalid limit '${params.limit}' - must be a positive whole number`);
+  }
+
+  return { from: from, to: to, types: types, format: format, limit: limit };
+}
+
+// CSV with the common columns first, then any event-specific fields
+function toCsv(entries) {
+  const columns = ['time', 'type', 'reason', 'voltage', 'soc', 'load'];
+  entries.forEach(entry => Object.keys(entry).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  const cell = value => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...entries.map(entry => columns.map(column => cell(entry[column])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  EVENT_TYPES,
+  createHistory,
+  parseHistoryQuery,
+  toCsv
+};
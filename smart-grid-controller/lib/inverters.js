@@ -0,0 +1,87 @@
+/**
+ * Inverter units
+ *
+ * Split-phase, three-phase and parallel systems have several inverter/chargers. Their AC loads
+ * are added up (or grouped per phase) for the load condition and their AC inputs are switched
+ * together as one group. Without a configured list the single unit from the data/control paths
+ * is used, so a one-MultiPlus setup is unchanged.
+ *
+ * - A unit gives its VE.Bus instance (load and control paths derived from it) or explicit paths
+ *   (without an instance or path, that unit's current limit or AC-in 2 is left alone, and its grid
+ *   import is not counted)
+ * - Units on the same phase (parallel units) are summed into that phase's load
+ */
+
+const PHASES = ['L1', 'L2', 'L3'];
+
+// Name of the unit built from the data/control paths when no list is configured
+const DEFAULT_INVERTER_NAME = 'MultiPlus II GX';
+
+/**
+ * Validate and normalize the configured units.
+ * paths: resolved data/control paths (see config.js), used when no units are configured.
+ * Returns { inverters, errors } - invalid units are left out and described in errors.
+ */
+function normalizeInverters(inverterConfigs, paths) {
+  if (!inverterConfigs || inverterConfigs.length === 0) {
+    return {
+      inverters: [{ name: DEFAULT_INVERTER_NAME, load: paths.load, gridPower: paths.gridPower, acInputControl: paths.acInputControl, acInput2Control: paths.acInput2Control, currentLimitControl: paths.currentLimitControl, vebusService: paths.vebusService, phase: null }],
+      errors: []
+    };
+  }
+
+  const inverters = [];
+  const errors = [];
+
+  inverterConfigs.forEach((inverterConfig, index) => {
+    const name = inverterConfig.name || `Inverter ${index + 1}`;
+    const instance = inverterConfig.instance !== undefined && inverterConfig.instance !== null && inverterConfig.instance !== '' ? String(inverterConfig.instance) : null;
+    const load = inverterConfig.loadPath || (instance ? `electrical.inverters.${instance}.acout.power` : '');
+    const gridPower = inverterConfig.gridPowerPath || (instance ? `electrical.inverters.${instance}.acin.power` : '');
+    const acInputControl = inverterConfig.acInputControl || (instance ? `electrical.inverters.${instance}.acState.ignoreAcIn1.state` : '');
+    const acInput2Control = inverterConfig.acInput2Control || (instance ? `electrical.inverters.${instance}.acState.ignoreAcIn2.state` : '');
+    const currentLimitControl = inverterConfig.currentLimitControl || (instance ? `electrical.inverters.${instance}.acin.currentLimit` : '');
+
+    if (!load || !acInputControl) {
+      errors.push(`${name}: needs a VE.Bus instance, or both a load path and an AC input control path`);
+      return;
+    }
+    if (!inverterConfig.vebusService) {
+      errors.push(`${name}: D-Bus service is required (e.g. com.victronenergy.vebus.ttyS3)`);
+      return;
+    }
+
+    const phase = inverterConfig.phase || null;
+    if (phase !== null && !PHASES.includes(phase)) {
+      errors.push(`${name}: unknown phase '${phase}' - use ${PHASES.join(', ')}`);
+      return;
+    }
+
+    const duplicate = inverters.find(inverter => inverter.acInputControl === acInputControl);
+    if (duplicate) {
+      errors.push(`${name}: AC input control ${acInputControl} is already used by ${duplicate.name}`);
+      return;
+    }
+
+    inverters.push({ name: name, load: load, gridPower: gridPower, acInputControl: acInputControl, acInput2Control: acInput2Control, currentLimitControl: currentLimitControl, vebusService: inverterConfig.vebusService, phase: phase });
+  });
+
+  return { inverters, errors };
+}
+
+// Load per phase ({ L1: W, ... }) from the units' loads (same order as inverters) - units without a phase are left out
+function phaseLoads(inverters, loads) {
+  const phases = {};
+  inverters.forEach((inverter, index) => {
+    if (inverter.phase) {
+      phases[inverter.phase] = (phases[inverter.phase] || 0) + loads[index];
+    }
+  });
+  return phases;
+}
+
+module.exports = {
+  PHASES,
+  normalizeInverters,
+  phaseLoads
+};
@@ -0,0 +1,57 @@
+/**
+ * Plugin option migration
+ *
+ * Brings saved plugin options from earlier versions up to the current layout before they are
+ * validated, so an upgrade keeps working instead of refusing to start:
+ *
+ * - v1.x battery types named only the chemistry ('li-ncm', 'lifepo4') - v1.x supported Li-NCM 15S
+ *   and LiFePO4 16S packs only, so the cell count is added
+ * - v1.x pack voltage thresholds (voltageThresholds) are derived from the chemistry's per-cell
+ *   voltages since v2.0 - the stale values are removed so they cannot be mistaken for live settings
+ * - The battery Ah rating did not exist in v1.x and cannot be migrated - it still has to be entered
+ *
+ * Migration runs on every start and leaves current options alone; options carrying the current
+ * configVersion are not touched at all.
+ */
+
+const CONFIG_VERSION = 2;
+
+// v1.x battery types (chemistry only) and the packs they meant
+const V1_BATTERY_TYPES = {
+  'li-ncm': 'li-ncm-15s',
+  'lifepo4': 'lifepo4-16s'
+};
+
+/**
+ * Migrate plugin options to the current version.
+ * Returns { options, migrations } - options is a copy (the input is left untouched) and
+ * migrations describes each change, empty when the options were already current.
+ */
+function migrateOptions(options = {}) {
+  if (options.configVersion >= CONFIG_VERSION) {
+    return { options: options, migrations: [] };
+  }
+
+  const migrated = { ...options };
+  const migrations = [];
+
+  if (V1_BATTERY_TYPES[migrated.batteryType]) {
+    const batteryType = V1_BATTERY_TYPES[migrated.batteryType];
+    migrations.push(`batteryType: v1.x '${migrated.batteryType}' is now '${batteryType}'`);
+    migrated.batteryType = batteryType;
+  }
+
+  if (migrated.voltageThresholds !== undefined) {
+    const values = Object.entries(migrated.voltageThresholds || {}).map(([name, value]) => `${name} ${value}V`);
+    migrations.push(`voltageThresholds: v1.x pack voltages removed${values.length > 0 ? ` (${values.join(', ')})` : ''} - thresholds come from the battery chemistry`);
+    delete migrated.voltageThresholds;
+  }
+
+  migrated.configVersion = CONFIG_VERSION;
+  return { options: migrated, migrations: migrations };
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  migrateOptions
+};
@@ -0,0 +1,208 @@
+/**
+ * MQTT bridge with Home Assistant discovery
+ *
+ * Makes the controller a device in Home Assistant (or anything else on MQTT) without going
+ * through Signal K:
+ *
+ * - <baseTopic>/state: one retained JSON document - grid state, conditions, protections, data
+ *   lost, degraded, shadow mode, override mode, SoC, voltage, load and the last switch. Published
+ *   when a discrete value changes; voltage/load/SoC alone at most every MEASUREMENT_INTERVAL_MS
+ * - <baseTopic>/availability: online/offline (retained), offline also as the last will, so a
+ *   crashed server or lost connection shows the device as unavailable
+ * - <baseTopic>/override/set: override commands - a mode (auto, force-on, force-off) or the same
+ *   JSON the REST override endpoint takes ({ "mode": "force-on", "durationMinutes": 60 })
+ * - Discovery configs (retained) under <discoveryPrefix>/<component>/<nodeId>/<entity>/config,
+ *   republished when Home Assistant announces itself online on <discoveryPrefix>/status
+ * - The client reconnects by itself; every (re)connect republishes availability, discovery and state
+ */
+
+const MEASUREMENT_INTERVAL_MS = 10000;
+
+// Entities offered to Home Assistant - key, component, name, value template and extra config
+const ENTITIES = [
+  ['grid_enabled', 'binary_sensor', 'Grid enabled', "{{ 'ON' if value_json.gridEnabled else 'OFF' }}", { device_class: 'power' }],
+  ['condition_load', 'binary_sensor', 'High load condition', "{{ 'ON' if value_json.conditions.load else 'OFF' }}"],
+  ['condition_voltage', 'binary_sensor', 'Low voltage condition', "{{ 'ON' if value_json.conditions.voltage else 'OFF' }}"],
+  ['condition_soc', 'binary_sensor', 'Low SoC condition', "{{ 'ON' if value_json.conditions.soc else 'OFF' }}"],
+  ['condition_schedule', 'binary_sensor', 'Scheduled charging', "{{ 'ON' if value_json.conditions.schedule else 'OFF' }}"],
+  ['condition_storage', 'binary_sensor', 'Storage band condition', "{{ 'ON' if value_json.conditions.storage else 'OFF' }}"],
+  ['protection_battery', 'binary_sensor', 'Battery protection', "{{ 'ON' if value_json.protections.battery else 'OFF' }}", { device_class: 'problem' }],
+  ['protection_emergency', 'binary_sensor', 'Emergency protection', "{{ 'ON' if value_json.protections.emergency else 'OFF' }}", { device_class: 'problem' }],
+  ['protection_high_temperature', 'binary_sensor', 'High temperature protection', "{{ 'ON' if value_json.protections.highTemperature else 'OFF' }}", { device_class: 'problem' }],
+  ['protection_temperature_emergency', 'binary_sensor', 'Temperature emergency', "{{ 'ON' if value_json.protections.temperatureEmergency else 'OFF' }}", { device_class: 'problem' }],
+  ['protection_cold_charge', 'binary_sensor', 'Cold charge block', "{{ 'ON' if value_json.protections.coldCharge else 'OFF' }}", { device_class: 'problem' }],
+  ['data_lost', 'binary_sensor', 'Data lost', "{{ 'ON' if value_json.dataLost else 'OFF' }}", { device_class: 'problem', entity_category: 'diagnostic' }],
+  ['degraded', 'binary_sensor', 'Grid control degraded', "{{ 'ON' if value_json.degraded else 'OFF' }}", { device_class: 'problem', entity_category: 'diagnostic' }],
+  ['shadow_mode', 'binary_sensor', 'Shadow mode', "{{ 'ON' if value_json.shadowMode else 'OFF' }}", { entity_category: 'diagnostic' }],
+  ['state_of_charge', 'sensor', 'State of charge', '{{ value_json.soc }}', { device_class: 'battery', unit_of_measurement: '%', state_class: 'measurement' }],
+  ['battery_voltage', 'sensor', 'Battery voltage', '{{ value_json.voltage }}', { device_class: 'voltage', unit_of_measurement: 'V', state_class: 'measurement' }],
+  ['ac_load', 'sensor', 'AC load', '{{ value_json.load }}', { device_class: 'power', unit_of_measurement: 'W', state_class: 'measurement' }],
+  ['last_switch_reason', 'sensor', 'Last switch reason', "{{ value_json.lastSwitch.reason if value_json.lastSwitch else '' }}"],
+  ['last_switch_time', 'sensor', 'Last switch', '{{ value_json.lastSwitch.time if value_json.lastSwitch else None }}', { device_class: 'timestamp' }],
+  ['override', 'select', 'Override', '{{ value_json.override }}', { options: ['auto', 'force-on', 'force-off'], icon: 'mdi:transmission-tower' }]
+];
+
+// Topics for a base topic - the node id is the base topic made safe for discovery topics and ids
+function buildTopics(settings) {
+  const base = settings.baseTopic;
+  return {
+    state: `${base}/state`,
+    availability: `${base}/availability`,
+    command: `${base}/override/set`,
+    homeAssistantStatus: `${settings.discoveryPrefix}/status`,
+    nodeId: base.replace(/[^a-zA-Z0-9_-]/g, '_')
+  };
+}
+
+/**
+ * Home Assistant discovery messages - [{ topic, payload }], payload as a JSON string.
+ * device: { name, version }
+ */
+function discoveryMessages(settings, device) {
+  const topics = buildTopics(settings);
+  const deviceInfo = {
+    identifiers: [topics.nodeId],
+    name: device.name,
+    manufacturer: 'Signal K',
+    model: 'Smart Grid Controller',
+    sw_version: device.version
+  };
+  return ENTITIES.map(([key, component, name, template, extra = {}]) => {
+    const config = {
+      name: name,
+      unique_id: `${topics.nodeId}_${key}`,
+      object_id: `${topics.nodeId}_${key}`,
+      state_topic: topics.state,
+      value_template: template,
+      availability_topic: topics.availability,
+      device: deviceInfo,
+      ...extra
+    };
+    if (component === 'select') config.command_topic = topics.command;
+    return { topic: `${settings.discoveryPrefix}/${component}/${topics.nodeId}/${key}/config`, payload: JSON.stringify(config) };
+  });
+}
+
+// Override request from a command payload - a plain mode, a JSON string or a JSON object
+function parseCommand(payload) {
+  const text = payload.toString().trim();
+  if (text.startsWith('{') || text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid override command '${text}' - ${error.message}`);
+    }
+  }
+  return text;
+}
+
+/**
+ * Connect to the broker and keep the controller state published there.
+ * options: { settings (config.mqtt), device ({ name, version }), connect (mqtt.connect - the mqtt
+ *            package when omitted), onCommand (called with each parsed override request; throws to
+ *            reject it), log }
+ * Returns { start, publishState, isConnected, stop }
+ */
+function createMqttBridge({ settings, device, connect, onCommand, log = () => {} }) {
+  const topics = buildTopics(settings);
+  let client = null;
+  let connected = false;
+  let lastState = null;           // latest state document
+  let publishedDiscrete = null;   // discrete part of the last published document
+  let publishedAt = 0;
+
+  function publish(topic, payload) {
+    client.publish(topic, payload, { qos: 1, retain: true });
+  }
+
+  function publishDiscovery() {
+    if (!settings.discovery) return;
+    discoveryMessages(settings, device).forEach(message => publish(message.topic, message.payload));
+  }
+
+  function sendState(now) {
+    const { soc, voltage, load, ...discrete } = lastState;
+    publish(topics.state, JSON.stringify(lastState));
+    publishedDiscrete = JSON.stringify(discrete);
+    publishedAt = now;
+  }
+
+  function start() {
+    const connectTo = connect || require('mqtt').connect;
+    client = connectTo(settings.url, {
+      username: settings.username || undefined,
+      password: settings.password || undefined,
+      clientId: `${topics.nodeId}_${Math.random().toString(16).slice(2, 10)}`,
+      will: { topic: topics.availability, payload: 'offline', qos: 1, retain: true }
+    });
+
+    client.on('connect', () => {
+      log('info', `MQTT connected to ${settings.url} - publishing ${topics.state}, commands on ${topics.command}${settings.discovery ? `, Home Assistant discovery under ${settings.discoveryPrefix}` : ''}`);
+      connected = true;
+      client.subscribe([topics.command, topics.homeAssistantStatus], { qos: 1 });
+      publish(topics.availability, 'online');
+      publishDiscovery();
+      if (lastState) sendState(Date.now());
+    });
+    client.on('message', (topic, payload) => {
+      if (topic === topics.homeAssistantStatus) {
+        // Home Assistant restarted - it needs the discovery configs (and the state) again
+        if (payload.toString() === 'online') {
+          publishDiscovery();
+          if (lastState) sendState(Date.now());
+        }
+        return;
+      }
+      if (topic !== topics.command) return;
+      try {
+        onCommand(parseCommand(payload));
+      } catch (error) {
+        log('warn', `Rejected MQTT override command - ${error.message}`);
+      }
+    });
+    client.on('close', () => {
+      if (connected) log('warn', `MQTT connection to ${settings.url} lost - reconnecting`);
+      connected = false;
+    });
+    client.on('error', error => {
+      log('error', `MQTT error (${settings.url}) - ${error.message}`);
+    });
+  }
+
+  /**
+   * Publish the controller state - at once when a discrete value changed, measurements only
+   * every MEASUREMENT_INTERVAL_MS.
+   * state: { gridEnabled, conditions, protections, dataLost, degraded, shadowMode, override,
+   *          soc, voltage, load, lastSwitch ({ state, reason, time } or null) }
+   */
+  function publishState(state, now = Date.now()) {
+    lastState = state;
+    if (!connected) return;
+    const { soc, voltage, load, ...discrete } = state;
+    if (JSON.stringify(discrete) !== publishedDiscrete || now - publishedAt >= MEASUREMENT_INTERVAL_MS) {
+      sendState(now);
+    }
+  }
+
+  function isConnected() {
+    return connected;
+  }
+
+  // Announce offline and disconnect (the will only covers an unclean disconnect)
+  function stop() {
+    if (!client) return;
+    if (connected) publish(topics.availability, 'offline');
+    client.end();
+    client = null;
+    connected = false;
+  }
+
+  return { start, publishState, isConnected, stop };
+}
+
+module.exports = {
+  buildTopics,
+  discoveryMessages,
+  parseCommand,
+  createMqttBridge
+};
@@ -0,0 +1,139 @@
+/**
+ * Synthetic scenarios for the simulation harness
+ *
+ * Each scenario builds plugin options and a list of samples (see simulator.js) for a situation
+ * that is hard to reproduce on a real boat on demand. All use a 16S LiFePO4 280Ah pack:
+ * low voltage 48.0/52.0V, protection 55.2V, emergency 58.4V.
+ */
+
+const BASE_OPTIONS = {
+  batteryType: 'lifepo4-16s',
+  batteryCapacity: { batteryAh: 280 }
+};
+
+// Samples every `stepMs` from `start` to `end` (ms), values from sampleAt(elapsedMs)
+function series(start, end, stepMs, sampleAt) {
+  const samples = [];
+  for (let time = start; time <= end; time += stepMs) {
+    samples.push({ time: time, ...sampleAt(time - start) });
+  }
+  return samples;
+}
+
+const SCENARIOS = {
+  'load-spike': {
+    description: 'A 2s kettle spike (ignored), then 60s of high load (grid on after 3s, off 30s after it ends)',
+    build() {
+      const start = Date.parse('2026-06-15T12:00:00Z');
+      return {
+        options: { ...BASE_OPTIONS, scheduleSettings: { timezone: 'UTC', windows: [{ name: 'Night', start: '01:00', end: '05:00' }] } },
+        samples: series(start, start + 300000, 1000, elapsed => ({
+          voltage: 53.3,
+          chargePower: 0,
+          load: (elapsed >= 90000 && elapsed < 92000) || (elapsed >= 150000 && elapsed < 210000) ? 3200 : 600
+        }))
+      };
+    }
+  },
+
+  'load-hunting': {
+    description: 'Load hovering around the enable threshold (60s on, 60s off for 2h) - anti-cycling caps the switching',
+    build() {
+      const start = Date.parse('2026-06-15T10:00:00Z');
+      return {
+        options: { ...BASE_OPTIONS, scheduleSettings: { timezone: 'UTC', windows: [{ name: 'Night', start: '01:00', end: '05:00' }] } },
+        samples: series(start, start + 2 * 3600000, 5000, elapsed => ({
+          voltage: 53.3,
+          chargePower: 0,
+          load: elapsed >= 60000 && elapsed % 120000 < 60000 ? 2700 : 1500
+        }))
+      };
+    }
+  },
+
+  'overnight-charge': {
+    description: 'Charging window 00:30-05:30 with a 90% target - grid on at the window start, off once the target is reached',
+    build() {
+      const start = Date.parse('2026-06-14T23:00:00Z'); // 00:00 Europe/London (BST)
+      const chargeStart = 30 * 60000;
+      return {
+        options: {
+          ...BASE_OPTIONS,
+          scheduleSettings: { timezone: 'Europe/London', windows: [{ name: 'Overnight', start: '00:30', end: '05:30', targetSoc: 90 }] }
+        },
+        // SoC supplied directly (as from a BMS) - the LiFePO4 voltage curve is too flat to show a clean ramp
+        samples: series(start, start + 6 * 3600000, 60000, elapsed => {
+          const charging = elapsed >= chargeStart;
+          const soc = charging ? Math.min(94, 40 + (elapsed - chargeStart) / 180000) : 40;
+          return { voltage: 53.0 + soc / 100, soc: soc, load: 400, chargePower: charging && soc < 94 ? 3000 : 0 };
+        })
+      };
+    }
+  },
+
+  'emergency-overvoltage': {
+    description: 'High load keeps the grid on through battery protection, until an overvoltage hits the emergency limit',
+    build() {
+      const start = Date.parse('2026-06-15T14:00:00Z');
+      return {
+        options: { ...BASE_OPTIONS, scheduleSettings: { timezone: 'UTC', windows: [{ name: 'Night', start: '01:00', end: '05:00' }] } },
+        samples: series(start, start + 600000, 5000, elapsed => {
+          // 53.5V -> 58.9V over 5 minutes, then back down to 53.5V
+          const minutes = elapsed / 60000;
+          const voltage = minutes <= 5 ? 53.5 + minutes * 1.08 : Math.max(53.5, 58.9 - (minutes - 5) * 2);
+          return { voltage: Math.round(voltage * 100) / 100, load: 3500, chargePower: 0, soc: 60 };
+        })
+      };
+    }
+  },
+
+  'cold-night': {
+    description: 'Charging window 01:00-05:00 on a freezing night - cold charge block until the battery warms to 3°C',
+    build() {
+      const start = Date.parse('2026-01-15T00:30:00Z');
+      return {
+        options: {
+          ...BASE_OPTIONS,
+          scheduleSettings: { timezone: 'UTC', windows: [{ name: 'Night', start: '01:00', end: '05:00' }] },
+          temperature: { path: 'electrical.batteries.house.temperature' }
+        },
+        // -2°C at 00:30, warming 1°C every 30 minutes (0°C at 01:30, 3°C at 03:00)
+        samples: series(start, start + 5 * 3600000, 60000, elapsed => ({
+          voltage: 52.8, load: 400, chargePower: 0, soc: 40, temperature: -2 + elapsed / 1800000
+        }))
+      };
+    }
+  },
+
+  'timezone-edge': {
+    description: 'Window 01:30-02:30 Europe/London on the night clocks go forward (01:00 -> 02:00) - only 02:00-02:30 exists',
+    build() {
+      const start = Date.parse('2026-03-28T23:30:00Z');
+      return {
+        options: {
+          ...BASE_OPTIONS,
+          scheduleSettings: { timezone: 'Europe/London', windows: [{ name: 'DST night', start: '01:30', end: '02:30' }] }
+        },
+        samples: series(start, start + 3 * 3600000, 60000, () => ({ voltage: 53.3, load: 400, chargePower: 0, soc: 50 }))
+      };
+    }
+  }
+};
+
+function listScenarios() {
+  return Object.keys(SCENARIOS).map(name => ({ name: name, description: SCENARIOS[name].description }));
+}
+
+// Options and samples for a named scenario (throws for an unknown name)
+function buildScenario(name) {
+  const scenario = SCENARIOS[name];
+  if (!scenario) {
+    throw new Error(`Unknown scenario '${name}' - available: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+  return scenario.build();
+}
+
+module.exports = {
+  listScenarios,
+  buildScenario
+};
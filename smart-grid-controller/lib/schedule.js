@@ -0,0 +1,207 @@
+/**
+ * Scheduled charging windows
+ *
+ * Each window has a start/end in HH:MM (local time in the configured timezone), optional days of
+ * week, an optional seasonal date range (MM-DD to MM-DD, may wrap over new year) and an optional
+ * SoC target at which that window stops charging.
+ *
+ * - A window whose end is at or before its start runs across midnight (e.g. 23:30-05:30)
+ * - Days of week and date range refer to the day the window STARTS, so a Friday 23:30-05:30
+ *   window is still active at 02:00 on Saturday
+ * - Wall-clock time is taken from Intl.DateTimeFormat parts, not a toLocaleString round-trip
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+function pad(value) {
+  return value.toString().padStart(2, '0');
+}
+
+// 'HH:MM' -> minutes after midnight ('24:00' allowed as an end time), null if malformed
+function parseTime(value, allowEndOfDay = false) {
+  if (allowEndOfDay && value === '24:00') return 1440;
+  const match = TIME_PATTERN.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function formatMinutes(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// Wall-clock date and time in `timezone` - throws RangeError for an unknown timezone
+function getZonedTime(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  const year = parseInt(parts.year, 10);
+  const month = parseInt(parts.month, 10);
+  const day = parseInt(parts.day, 10);
+  const hours = parseInt(parts.hour, 10) % 24;
+  const minutes = parseInt(parts.minute, 10);
+
+  return {
+    year: year,
+    month: month,
+    day: day,
+    hours: hours,
+    minutes: minutes,
+    minuteOfDay: hours * 60 + minutes,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    time: `${pad(hours)}:${pad(minutes)}`
+  };
+}
+
+// Calendar day before the given zoned day (weekday, MM-DD and ISO date only)
+function previousDay(zoned) {
+  const previous = new Date(Date.UTC(zoned.year, zoned.month - 1, zoned.day - 1));
+  const month = previous.getUTCMonth() + 1;
+  const day = previous.getUTCDate();
+  return {
+    weekday: previous.getUTCDay(),
+    monthDay: `${pad(month)}-${pad(day)}`,
+    date: `${previous.getUTCFullYear()}-${pad(month)}-${pad(day)}`
+  };
+}
+
+function inDateRange(monthDay, startDate, endDate) {
+  if (!startDate || !endDate) return true;
+  return startDate <= endDate
+    ? monthDay >= startDate && monthDay <= endDate
+    : monthDay >= startDate || monthDay <= endDate; // range wraps over new year
+}
+
+/**
+ * Validate and normalise configured windows.
+ * Returns { windows, errors } - invalid windows are dropped and described in errors.
+ */
+function normalizeWindows(windowConfigs) {
+  const windows = [];
+  const errors = [];
+
+  (windowConfigs || []).forEach((windowConfig, index) => {
+    const name = windowConfig.name || `Window ${index + 1}`;
+    const start = parseTime(windowConfig.start);
+    const end = parseTime(windowConfig.end, true);
+
+    if (start === null || end === null) {
+      errors.push(`${name}: start/end must be HH:MM (got '${windowConfig.start}'-'${windowConfig.end}')`);
+      return;
+    }
+
+    const days = windowConfig.days && windowConfig.days.length > 0 ? windowConfig.days : WEEKDAYS;
+    const unknownDays = days.filter(day => !WEEKDAYS.includes(day));
+    if (unknownDays.length > 0) {
+      errors.push(`${name}: unknown days [${unknownDays.join(',')}] - use ${WEEKDAYS.join(',')}`);
+      return;
+    }
+
+    const startDate = windowConfig.startDate || null;
+    const endDate = windowConfig.endDate || null;
+    if ((startDate || endDate) && !(DATE_PATTERN.test(startDate || '') && DATE_PATTERN.test(endDate || ''))) {
+      errors.push(`${name}: date range needs both start and end date as MM-DD (got '${startDate || ''}'-'${endDate || ''}')`);
+      return;
+    }
+
+    const targetSoc = typeof windowConfig.targetSoc === 'number' ? windowConfig.targetSoc : null;
+    if (targetSoc !== null && (targetSoc <= 0 || targetSoc > 100)) {
+      errors.push(`${name}: target SoC must be between 1 and 100% (got ${targetSoc})`);
+      return;
+    }
+
+    windows.push({
+      index: index,
+      name: name,
+      start: start,
+      end: end,
+      days: days.map(day => WEEKDAYS.indexOf(day)),
+      startDate: startDate,
+      endDate: endDate,
+      targetSoc: targetSoc,
+      label: `${name} ${formatMinutes(start)}-${formatMinutes(end)}`
+    });
+  });
+
+  return { windows, errors };
+}
+
+// Legacy single whole-hour window (v2.0 startHour/endHour settings)
+function legacyWindow(startHour, endHour) {
+  return {
+    name: 'Legacy window',
+    start: `${pad(startHour)}:00`,
+    end: endHour >= 24 ? '24:00' : `${pad(endHour)}:00`
+  };
+}
+
+/**
+ * Find every window active at the given zoned time, in configured order - windows may overlap,
+ * and a later one still charges once an earlier one has reached its SoC target.
+ * Returns [{ window, occurrence }] where occurrence is the local date the window started on
+ * (used to remember per-occurrence state such as a reached SoC target).
+ */
+function findActiveWindows(windows, zoned) {
+  const today = { weekday: zoned.weekday, monthDay: zoned.date.slice(5), date: zoned.date };
+  const active = [];
+
+  for (const window of windows) {
+    const allDay = window.start === window.end;
+    const crossesMidnight = window.end < window.start;
+    let startedOn = null;
+
+    if (allDay || (!crossesMidnight && zoned.minuteOfDay >= window.start && zoned.minuteOfDay < window.end)) {
+      startedOn = today;
+    } else if (crossesMidnight && zoned.minuteOfDay >= window.start) {
+      startedOn = today;
+    } else if (crossesMidnight && zoned.minuteOfDay < window.end) {
+      startedOn = previousDay(zoned);
+    }
+
+    if (startedOn && window.days.includes(startedOn.weekday) && inDateRange(startedOn.monthDay, window.startDate, window.endDate)) {
+      active.push({ window: window, occurrence: startedOn.date });
+    }
+  }
+
+  return active;
+}
+
+// First window active at the given zoned time ({ window, occurrence }), or null
+function findActiveWindow(windows, zoned) {
+  return findActiveWindows(windows, zoned)[0] || null;
+}
+
+// Next time (ms) after `now` at which the wall clock in `timezone` shows `time` (HH:MM)
+function nextOccurrence(now, time, timezone) {
+  const target = parseTime(time);
+  const zoned = getZonedTime(new Date(now), timezone);
+  const minutesUntil = (target - zoned.minuteOfDay + 1440) % 1440 || 1440;
+  return now - (now % 60000) + minutesUntil * 60000;
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseTime,
+  formatMinutes,
+  getZonedTime,
+  normalizeWindows,
+  legacyWindow,
+  findActiveWindows,
+  findActiveWindow,
+  nextOccurrence
+};
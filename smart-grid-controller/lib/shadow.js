@@ -0,0 +1,134 @@
+/**
+ * Shadow mode report
+ *
+ * In shadow mode the controller runs its full logic on live data but writes nothing to the
+ * devices. Every switch it would have made is collected here, so thresholds can be tuned against
+ * days of real data before the controller is handed control.
+ *
+ * - Intended switches on and off, counted by cause (the conditions or protection behind them)
+ * - Time the grid would have been on and off, and the busiest rolling hour
+ * - The latest switches with their reasons
+ * - Saved to the plugin data directory on every switch and on stop, so a restart (or a threshold
+ *   change, which restarts the plugin) keeps collecting - the time the plugin was down is not counted
+ */
+
+const { readState, writeState } = require('./state-file');
+
+// Switches kept for the busiest-hour count and the recent list
+const MAX_SWITCHES_KEPT = 1000;
+const RECENT_SWITCHES = 20;
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+function emptyReport(now) {
+  return { since: now, switchesOn: 0, switchesOff: 0, byCause: {}, gridOnSeconds: 0, gridOffSeconds: 0, switches: [] };
+}
+
+function createShadowReport(stateFile, log = () => {}) {
+  let report = null;
+  let intended = null;  // { enabled, since } - the state the controller would have set, null until its first switch
+
+  // Restore the report from the previous run
+  function load() {
+    const saved = readState(stateFile, {
+      description: 'shadow report',
+      isValid: state => typeof state.switchesOn === 'number' && Array.isArray(state.switches),
+      fallback: 'starting a new one',
+      log: log
+    });
+    if (!saved) return;
+    report = saved;
+    log('info', `Restored shadow report - ${report.switchesOn + report.switchesOff} intended switches since ${new Date(report.since).toISOString()}`);
+  }
+
+  // Add the time since the last update to the intended on/off totals
+  function accumulate(now) {
+    if (!intended) return;
+    const seconds = Math.max(0, (now - intended.since) / 1000);
+    if (intended.enabled) {
+      report.gridOnSeconds += seconds;
+    } else {
+      report.gridOffSeconds += seconds;
+    }
+    intended.since = now;
+  }
+
+  function save(now = Date.now()) {
+    if (!report) return;
+    accumulate(now);
+    writeState(stateFile, report, { description: 'shadow report', log: log });
+  }
+
+  /**
+   * Count one switch the controller would have made.
+   * switchInfo: { now, enabled, reason, causes (see engine.js, plus startup and dataLost) }
+   */
+  function record({ now, enabled, reason, causes }) {
+    if (!report) report = emptyReport(now);
+    accumulate(now);
+    intended = { enabled: enabled, since: now };
+
+    if (enabled) {
+      report.switchesOn += 1;
+    } else {
+      report.switchesOff += 1;
+    }
+    causes.forEach(cause => { report.byCause[cause] = (report.byCause[cause] || 0) + 1; });
+    report.switches.push({ time: now, enabled: enabled, reason: reason, causes: causes });
+    if (report.switches.length > MAX_SWITCHES_KEPT) report.switches.shift();
+    save(now);
+  }
+
+  // Start a new report (e.g. after changing thresholds) - the current intended state carries over
+  function reset(now = Date.now()) {
+    report = emptyReport(now);
+    if (intended) intended.since = now;
+    save(now);
+  }
+
+  // Most switches within any rolling hour of the kept switches
+  function busiestHour() {
+    let best = null;
+    let first = 0;
+    report.switches.forEach((entry, index) => {
+      while (entry.time - report.switches[first].time >= HOUR_MS) first += 1;
+      const count = index - first + 1;
+      if (!best || count > best.switches) best = { start: new Date(report.switches[first].time).toISOString(), switches: count };
+    });
+    return best;
+  }
+
+  function getReport(now = Date.now()) {
+    if (!report) return null;
+    accumulate(now);
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    const switches = report.switchesOn + report.switchesOff;
+    const days = (now - report.since) / DAY_MS;
+    const byCause = {};
+    Object.keys(report.byCause).sort((a, b) => report.byCause[b] - report.byCause[a]).forEach(cause => { byCause[cause] = report.byCause[cause]; });
+    return {
+      since: new Date(report.since).toISOString(),
+      hours: round((now - report.since) / HOUR_MS, 1),
+      switches: switches,
+      switchesOn: report.switchesOn,
+      switchesOff: report.switchesOff,
+      switchesPerDay: days >= 1 ? round(switches / days, 1) : null,
+      busiestHour: busiestHour(),
+      byCause: byCause,
+      gridOnHours: round(report.gridOnSeconds / 3600, 2),
+      gridOffHours: round(report.gridOffSeconds / 3600, 2),
+      recent: report.switches.slice(-RECENT_SWITCHES).reverse().map(entry => ({
+        time: new Date(entry.time).toISOString(),
+        state: entry.enabled ? 'ON' : 'OFF',
+        reason: entry.reason
+      }))
+    };
+  }
+
+  return { load, save, record, reset, getReport };
+}
+
+module.exports = {
+  createShadowReport
+};
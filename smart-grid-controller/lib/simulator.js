@@ -0,0 +1,168 @@
+/**
+ * Replay and simulation harness
+ *
+ * Runs the plugin's configuration, SoC, schedule and decision code over a list of samples on a
+ * virtual clock and returns the resulting switch timeline - no Signal K server or boat needed.
+ *
+ * - A sample holds its values until the next one (like the Signal K tree between deltas)
+ * - Between samples the engine is also evaluated when a pending delay runs out, as the plugin
+ *   does with its wake timer
+ * - Samples can come from a recorded delta log (parseDeltaLog) or a synthetic scenario
+ * - Not simulated: data watchdog, actuation feedback, grid availability, current limit modulation,
+ *   generator, balancing charge, energy accounting, tariff planning and the Coulomb estimator
+ *   (pass `soc` in the samples to stand in for BMS or estimator SoC)
+ */
+
+const { buildConfig } = require('./config');
+const { calculateSoC } = require('./soc');
+const { compensationOffset, compensateThresholds } = require('./temperature');
+const { getZonedTime, findActiveWindows } = require('./schedule');
+const { createDecisionEngine } = require('./engine');
+const { phaseLoads } = require('./inverters');
+
+/**
+ * Simulate the controller.
+ * options: plugin options (as saved by the Signal K admin UI)
+ * samples: [{ time (ms), voltage, load (total W), phaseLoads? ({ L1: W, ... }), chargePower?, soc? (%),
+ *            cells? ({min, max, delta, count}), temperature? (°C), override? }]
+ * log: optional log(level, message) for the controller's own log lines
+ * Returns { config, timeline: [{ time, enabled, reason }], notifications: [{ time, name, state, message }], state }
+ */
+function simulate({ options, samples, log = () => {} }) {
+  const config = buildConfig(options, log);
+  if (!config) {
+    throw new Error('Invalid plugin options - battery type and battery Ah rating are required');
+  }
+
+  const ordered = samples.slice().sort((a, b) => a.time - b.time);
+  if (ordered.length === 0) {
+    return { config: config, timeline: [], notifications: [], state: null };
+  }
+
+  const engine = createDecisionEngine(log);
+  const startedAt = ordered[0].time;
+  const graceEnd = startedAt + config.timing.startupGraceSeconds * 1000;
+  const timeline = [{ time: startedAt, enabled: true, reason: `Startup - ${config.timing.startupGraceSeconds}s grace period active` }];
+  const notifications = [];
+  let overrideMode = 'auto';
+
+  function evaluate(sample, now) {
+    const temperature = typeof sample.temperature === 'number' ? sample.temperature : null;
+    const temperatureOffset = compensationOffset(config.temperature, temperature);
+    const soc = typeof sample.soc === 'number'
+      ? sample.soc
+      : Math.max(0, Math.min(100, calculateSoC(sample.voltage, config.chemistryProfile, config.cellCount, sample.chargePower || 0, config.onePercentThresholdW, temperatureOffset)));
+    const zonedTime = getZonedTime(new Date(now), config.scheduleSettings.timezone);
+
+    const decision = engine.evaluate({
+      now: now,
+      config: compensateThresholds(config, temperatureOffset),
+      voltage: sample.voltage,
+      load: sample.load,
+      phaseLoads: config.loadThresholds.mode === 'per-phase' ? sample.phaseLoads || null : null,
+      soc: soc,
+      cells: sample.cells || null,
+      temperature: temperature,
+      zonedTime: zonedTime,
+      activeWindows: findActiveWindows(config.scheduleSettings.windows, zonedTime),
+      tariffActive: false,
+      tariffSlot: null,
+      priceBlocked: false,
+      override: { mode: overrideMode, description: overrideMode },
+      startupGrace: now < graceEnd
+    });
+
+    decision.notifications.forEach(notification => notifications.push({ time: now, ...notification }));
+    if (decision.command) {
+      timeline.push({ time: now, enabled: decision.command.enabled, reason: decision.command.reason });
+    }
+    return decision.nextEvaluationAt;
+  }
+
+  // Next evaluation after `now`: a pending delay running out, or the grace period ending
+  function nextWake(wakeAt, now) {
+    const candidates = [wakeAt, graceEnd].filter(time => time !== null && time > now);
+    return candidates.length > 0 ? Math.min(...candidates) : null;
+  }
+
+  ordered.forEach((sample, index) => {
+    if (sample.override) overrideMode = sample.override;
+
+    let now = sample.time;
+    let wakeAt = nextWake(evaluate(sample, now), now);
+    const until = index + 1 < ordered.length ? ordered[index + 1].time : sample.time;
+
+    // Evaluations due before the next sample arrives
+    while (wakeAt !== null && wakeAt < until) {
+      now = wakeAt;
+      wakeAt = nextWake(evaluate(sample, now), now);
+    }
+  });
+
+  return { config: config, timeline: timeline, notifications: notifications, state: engine.getState() };
+}
+
+/**
+ * Turn a recorded delta log into samples for the configured paths.
+ * Accepts one delta per line, either plain JSON or the server data log format
+ * `<ms>;<discriminator>;<json>`. A sample is produced for every update once voltage and
+ * load have both been seen.
+ * inverters: optional inverter units (config.inverters) - their loads are summed, and grouped
+ * into phaseLoads when the units have phases
+ */
+function parseDeltaLog(text, paths, inverters = null) {
+  const current = {};
+  const samples = [];
+  const units = inverters || [{ load: paths.load, phase: null }];
+  const unitLoads = units.map(() => null);
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    let lineTime = null;
+    let json = trimmed;
+    const logFormat = /^(\d+);[^;]*;(.*)$/.exec(trimmed);
+    if (logFormat) {
+      lineTime = parseInt(logFormat[1], 10);
+      json = logFormat[2];
+    }
+
+    let delta;
+    try {
+      delta = JSON.parse(json);
+    } catch (error) {
+      return; // NMEA or other non-delta lines in a mixed log
+    }
+
+    (delta.updates || []).forEach(update => {
+      const time = update.timestamp ? Date.parse(update.timestamp) : lineTime;
+      if (!Number.isFinite(time)) return;
+
+      let relevant = false;
+      (update.values || []).forEach(({ path, value }) => {
+        const unitIndex = units.findIndex(unit => unit.load === path);
+        if (path === paths.voltage) current.voltage = value;
+        else if (unitIndex >= 0) unitLoads[unitIndex] = value;
+        else if (path === paths.chargePower) current.chargePower = value;
+        else return;
+        relevant = true;
+      });
+
+      if (relevant && typeof current.voltage === 'number' && unitLoads.every(unitLoad => typeof unitLoad === 'number')) {
+        const sample = { time: time, voltage: current.voltage, load: unitLoads.reduce((total, unitLoad) => total + unitLoad, 0), chargePower: current.chargePower || 0 };
+        if (units.some(unit => unit.phase)) {
+          sample.phaseLoads = phaseLoads(units, unitLoads);
+        }
+        samples.push(sample);
+      }
+    });
+  });
+
+  return samples;
+}
+
+module.exports = {
+  simulate,
+  parseDeltaLog
+};
@@ -0,0 +1,160 @@
+/**
+ * Coulomb-counting State of Charge estimator
+ *
+ * Integrates battery power over time so SoC can be tracked through the flat part of the
+ * voltage curve, where a voltage lookup alone is close to guesswork (LiFePO4: ~27-92%).
+ *
+ * - Charging energy is scaled by the charge efficiency, discharge energy is counted in full
+ * - 'fused' source: the estimate is pulled toward the voltage curve at a bounded rate (drift correction)
+ * - Re-anchors to the voltage curve after the battery has rested long enough, and to 100% when it
+ *   is full (voltage at the high-voltage threshold with charge power tailed off) - the voltage curve
+ *   still carries the charging offset then, which reads a full LiFePO4 pack as half empty
+ * - Without a battery power reading nothing is integrated and no rest is detected
+ * - State is saved to the plugin data directory so it survives server restarts
+ */
+
+const { readState, writeState } = require('./state-file');
+
+// Gaps longer than this (data outage, server paused) are skipped rather than extrapolated - the energy accounting skips them too
+const MAX_INTEGRATION_GAP_SECONDS = 300;
+
+// A saved estimate older than this is discarded in favour of the voltage curve
+const MAX_STATE_AGE_HOURS = 24;
+
+// How often the estimate is written to disk while running
+const SAVE_INTERVAL_SECONDS = 60;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function createSocEstimator(stateFile, log) {
+  let soc = null;
+  let lastUpdate = null;
+  let lastSave = 0;
+  let restSince = null;
+  let restAnchored = false;
+  let fullAnchored = false;
+  let lastAnchor = null;
+  let powerKnown = true;
+
+  // Restore the saved estimate if it is recent enough to trust
+  function load() {
+    const state = readState(stateFile, {
+      description: 'SoC estimate',
+      isValid: saved => typeof saved.soc === 'number' && Number.isFinite(Date.parse(saved.updatedAt)),
+      fallback: 'will seed from voltage curve',
+      log: log
+    });
+    if (!state) return;
+
+    const ageHours = (Date.now() - Date.parse(state.updatedAt)) / 3600000;
+    if (ageHours > MAX_STATE_AGE_HOURS) {
+      log('info', `Saved SoC estimate is ${ageHours.toFixed(1)}h old (max ${MAX_STATE_AGE_HOURS}h) - will seed from voltage curve`);
+      return;
+    }
+
+    soc = clamp(state.soc, 0, 100);
+    lastAnchor = state.lastAnchor || null;
+    log('info', `Restored SoC estimate ${soc.toFixed(1)}% (saved ${ageHours.toFixed(1)}h ago)`);
+  }
+
+  function save(now = Date.now()) {
+    if (soc === null) return;
+
+    const state = {
+      soc: soc,
+      updatedAt: new Date(now).toISOString(),
+      lastAnchor: lastAnchor
+    };
+    if (writeState(stateFile, state, { description: 'SoC estimate', log: log })) {
+      lastSave = now;
+    }
+  }
+
+  function anchor(value, reason, now) {
+    const previous = soc;
+    soc = clamp(value, 0, 100);
+    lastAnchor = { at: new Date(now).toISOString(), reason: reason, soc: soc };
+    log('info', `SoC estimate anchored (${reason}): ${previous === null ? '-' : previous.toFixed(1)}% -> ${soc.toFixed(1)}%`);
+  }
+
+  /**
+   * Advance the estimate to `now`.
+   * powerW: battery power, positive when charging - null when unknown (stale battery current)
+   * voltageSoc: SoC from the voltage curve for the same instant
+   * isResting / isFull: anchor conditions decided by the caller
+   */
+  function update({ now, powerW, voltageSoc, capacityWh, isResting, isFull, settings }) {
+    if (soc === null) {
+      anchor(voltageSoc, 'no saved state', now);
+      lastUpdate = now;
+      return soc;
+    }
+
+    // First update after a restore - start integrating from here, not from the save time
+    if (lastUpdate === null) {
+      lastUpdate = now;
+    }
+
+    const dtSeconds = (now - lastUpdate) / 1000;
+    lastUpdate = now;
+
+    if ((powerW !== null) !== powerKnown) {
+      powerKnown = powerW !== null;
+      log(powerKnown ? 'info' : 'warn', powerKnown ? 'Battery power available again - SoC estimate integrating' : `Battery power unknown - SoC estimate held at ${soc.toFixed(1)}%`);
+    }
+
+    if (powerW === null) {
+      // Nothing to integrate, and no telling whether the battery is resting
+    } else if (dtSeconds > MAX_INTEGRATION_GAP_SECONDS) {
+      log('warn', `SoC estimator skipped a ${dtSeconds.toFixed(0)}s gap in data - estimate held at ${soc.toFixed(1)}%`);
+    } else if (dtSeconds > 0) {
+      const energyWh = (powerW * dtSeconds) / 3600;
+      const storedWh = energyWh > 0 ? energyWh * settings.chargeEfficiency : energyWh;
+      soc += (storedWh / capacityWh) * 100;
+
+      // Drift correction: converge on the voltage curve, but never faster than the configured rate
+      if (settings.source === 'fused') {
+        const maxStep = (settings.driftCorrectionPercentPerHour * dtSeconds) / 3600;
+        soc += clamp(voltageSoc - soc, -maxStep, maxStep);
+      }
+
+      soc = clamp(soc, 0, 100);
+    }
+
+    // Re-anchor once per rest period, after the battery has settled
+    if (isResting && powerW !== null) {
+      if (restSince === null) restSince = now;
+      if (!restAnchored && now - restSince >= settings.restMinutes * 60000) {
+        anchor(voltageSoc, `at rest for ${settings.restMinutes}min`, now);
+        restAnchored = true;
+      }
+    } else {
+      restSince = null;
+      restAnchored = false;
+    }
+
+    // Re-anchor once each time the pack reaches full
+    if (isFull && !fullAnchored) {
+      anchor(100, 'full', now);
+      fullAnchored = true;
+    } else if (!isFull) {
+      fullAnchored = false;
+    }
+
+    if (now - lastSave >= SAVE_INTERVAL_SECONDS * 1000) {
+      save(now);
+    }
+
+    return soc;
+  }
+
+  function getState() {
+    return { soc: soc, lastAnchor: lastAnchor };
+  }
+
+  return { load, save, update, getState };
+}
+
+module.exports = { MAX_INTEGRATION_GAP_SECONDS, createSocEstimator };
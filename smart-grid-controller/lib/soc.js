@@ -0,0 +1,44 @@
+/**
+ * Voltage-based State of Charge
+ *
+ * Looks the per-cell voltage up on the chemistry's curve (see chemistries.js). Under charge the
+ * cell voltage reads high and under discharge it reads low, so the voltage is shifted back toward
+ * its resting value first. Charge state is decided from charger power against a threshold (1% of
+ * capacity).
+ */
+
+// SoC (%) on a [[voltage, soc], ...] curve - linear between points, clamped at both ends
+function socFromCurve(curve, cellVoltage) {
+  if (cellVoltage <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [voltage, soc] = curve[i];
+    if (cellVoltage < voltage) {
+      const [lowerVoltage, lowerSoc] = curve[i - 1];
+      return lowerSoc + ((cellVoltage - lowerVoltage) / (voltage - lowerVoltage)) * (soc - lowerSoc);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+// SoC (%) from pack voltage - per-cell curve for the chemistry, offset for charge/discharge state
+// temperatureOffset: per-cell voltage shift from temperature compensation (see temperature.js)
+function calculateSoC(packVoltage, chemistry, cellCount, chargePower, powerThreshold, temperatureOffset = 0) {
+  // Calculate per-cell voltage, taken back to the reference temperature
+  const cellVoltage = packVoltage / cellCount - temperatureOffset;
+
+  // Detect battery state based on power flow (using dynamic threshold based on battery capacity)
+  const isCharging = chargePower > powerThreshold; // Charging if charger power > 1% of battery capacity
+  const isDischarging = chargePower < -powerThreshold; // Discharging if power out > 1% of capacity
+
+  // Apply voltage offset based on state (charge/discharge hysteresis) - resting uses the voltage as-is
+  let adjustedCellVoltage = cellVoltage;
+  if (isCharging) {
+    adjustedCellVoltage = cellVoltage - chemistry.chargeOffset;
+  } else if (isDischarging) {
+    adjustedCellVoltage = cellVoltage + chemistry.dischargeOffset;
+  }
+
+  return socFromCurve(chemistry.curve, adjustedCellVoltage);
+}
+
+module.exports = { socFromCurve, calculateSoC };
@@ -0,0 +1,49 @@
+/**
+ * Saved state in the plugin data directory
+ *
+ * The SoC estimate, energy totals, shadow report, balancing state and generator run time are each
+ * kept in a small JSON file so a restart (or a config save, which restarts the plugin) carries them over.
+ *
+ * - Written to a temp file and renamed into place, so a crash never leaves a half-written file
+ * - A missing, unreadable or invalid file is logged and treated as no saved state
+ * - Without a file name (tests, a module not persisting) nothing is read or written
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a saved state.
+ * options: { description (e.g. 'energy totals'), isValid (saved => boolean), fallback (what happens
+ *            without it, e.g. 'starting from zero'), log }
+ * Returns the saved object, or null
+ */
+function readState(stateFile, { description, isValid, fallback, log }) {
+  if (!stateFile) return null;
+  try {
+    if (!fs.existsSync(stateFile)) {
+      log('info', `No saved ${description} - ${fallback}`);
+      return null;
+    }
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    if (saved && isValid(saved)) return saved;
+    log('warn', `Saved ${description} in ${stateFile} is invalid - ${fallback}`);
+  } catch (error) {
+    log('warn', `Could not read saved ${description} - ${error.message} - ${fallback}`);
+  }
+  return null;
+}
+
+// Write a state - false when it could not be saved (logged)
+function writeState(stateFile, state, { description, log }) {
+  if (!stateFile) return false;
+  try {
+    fs.writeFileSync(`${stateFile}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${stateFile}.tmp`, stateFile);
+    return true;
+  } catch (error) {
+    log('error', `Could not save ${description} - ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = { readState, writeState };
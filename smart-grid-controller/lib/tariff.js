@@ -0,0 +1,182 @@
+/**
+ * Dynamic tariff - price schedule import and cheapest-slot charge planning
+ *
+ * A price schedule is a list of slots (start, end, price per kWh) loaded from a local JSON/CSV
+ * file or a local HTTP endpoint. Given the current SoC, battery capacity, a target SoC and a
+ * deadline, the planner picks the cheapest slots before the deadline that deliver enough energy.
+ *
+ * - "Always charge below" slots are added to the plan whatever the target
+ * - "Never import above" slots are never planned (the controller also blocks non-critical
+ *   grid use while the current price is above it)
+ * - Prices are in whatever currency the schedule uses - the plugin never converts them
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// Slot length assumed for the last slot when the schedule gives no end times
+const DEFAULT_SLOT_MINUTES = 30;
+
+const HTTP_TIMEOUT_MS = 10000;
+
+function firstDefined(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+// Normalise one record - accepts start/from/valid_from, end/to/valid_to and price/value_inc_vat
+function toSlot(record) {
+  const start = Date.parse(firstDefined(record.start, record.from, record.valid_from));
+  const end = Date.parse(firstDefined(record.end, record.to, record.valid_to));
+  const price = parseFloat(firstDefined(record.price, record.value_inc_vat));
+
+  if (Number.isNaN(start) || Number.isNaN(price)) return null;
+  return { start: start, end: Number.isNaN(end) ? null : end, price: price };
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  if (lines.length < 2) return [];
+
+  const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+  return lines.slice(1).map(line => {
+    const values = line.split(',').map(value => value.trim());
+    const record = {};
+    headers.forEach((header, index) => { record[header] = values[index]; });
+    return record;
+  });
+}
+
+/**
+ * Parse a price schedule from JSON (array, or object with prices/results array) or CSV with a
+ * header row (start,end,price - end optional). Returns slots sorted by start, with gaps in end
+ * times filled from the next slot's start.
+ */
+function parsePriceSchedule(text) {
+  let records;
+  try {
+    const json = JSON.parse(text);
+    records = Array.isArray(json) ? json : (json.prices || json.results || []);
+  } catch (jsonError) {
+    records = parseCsv(text);
+  }
+
+  const slots = records.map(toSlot).filter(slot => slot !== null).sort((a, b) => a.start - b.start);
+
+  slots.forEach((slot, index) => {
+    if (slot.end === null) {
+      const next = slots[index + 1];
+      slot.end = next ? next.start : slot.start + DEFAULT_SLOT_MINUTES * 60000;
+    }
+  });
+
+  return slots.filter(slot => slot.end > slot.start);
+}
+
+function fetchText(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.get(url, { timeout: HTTP_TIMEOUT_MS }, response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`HTTP ${response.statusCode} from ${url}`));
+        return;
+      }
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve(body));
+    });
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${HTTP_TIMEOUT_MS / 1000}s fetching ${url}`)));
+    request.on('error', reject);
+  });
+}
+
+// Load slots from a file path or http(s) URL
+async function loadPriceSchedule(source) {
+  const text = /^https?:\/\//.test(source)
+    ? await fetchText(source)
+    : await fs.promises.readFile(source, 'utf8');
+  return parsePriceSchedule(text);
+}
+
+function priceAt(slots, now) {
+  const slot = slots.find(candidate => candidate.start <= now && candidate.end > now);
+  return slot ? slot.price : null;
+}
+
+/**
+ * Select the slots to charge in.
+ * Options: slots, now, soc, targetSoc, deadline (ms), capacityKwh, chargePowerW, efficiency,
+ * alwaysChargeBelow, neverImportAbove (both optional, null to disable).
+ */
+function planCharging(options) {
+  const { slots, now, soc, targetSoc, deadline, capacityKwh, chargePowerW, efficiency } = options;
+  const alwaysChargeBelow = typeof options.alwaysChargeBelow === 'number' ? options.alwaysChargeBelow : null;
+  const neverImportAbove = typeof options.neverImportAbove === 'number' ? options.neverImportAbove : null;
+  const chargePowerKw = chargePowerW / 1000;
+
+  // Grid energy needed - what has to reach the battery, grossed up for charge losses
+  const energyNeededKwh = Math.max(0, ((targetSoc - soc) / 100) * capacityKwh) / efficiency;
+
+  // Remaining (possibly partial) slots that are allowed at all
+  const future = slots
+    .filter(slot => slot.end > now)
+    .filter(slot => neverImportAbove === null || slot.price <= neverImportAbove)
+    .map(slot => ({ ...slot, usableStart: Math.max(slot.start, now) }));
+
+  const selected = new Map();
+
+  // Cheapest slots before the deadline until the target energy is covered
+  let plannedForTargetKwh = 0;
+  const beforeDeadline = future
+    .filter(slot => slot.usableStart < deadline)
+    .sort((a, b) => a.price - b.price || a.start - b.start);
+
+  for (const slot of beforeDeadline) {
+    if (plannedForTargetKwh >= energyNeededKwh) break;
+    const hours = (Math.min(slot.end, deadline) - slot.usableStart) / 3600000;
+    const energyKwh = Math.min(chargePowerKw * hours, energyNeededKwh - plannedForTargetKwh);
+    plannedForTargetKwh += energyKwh;
+    selected.set(slot.start, { start: slot.start, end: slot.end, price: slot.price, energyKwh: energyKwh, reason: 'cheapest' });
+  }
+
+  // Always-charge slots, whatever the target (cost estimate assumes the full slot is used)
+  if (alwaysChargeBelow !== null) {
+    for (const slot of future.filter(candidate => candidate.price < alwaysChargeBelow)) {
+      if (!selected.has(slot.start)) {
+        const energyKwh = chargePowerKw * (slot.end - slot.usableStart) / 3600000;
+        selected.set(slot.start, { start: slot.start, end: slot.end, price: slot.price, energyKwh: energyKwh, reason: 'below-threshold' });
+      }
+    }
+  }
+
+  const plannedSlots = Array.from(selected.values()).sort((a, b) => a.start - b.start);
+  const plannedEnergyKwh = plannedSlots.reduce((sum, slot) => sum + slot.energyKwh, 0);
+  const expectedCost = plannedSlots.reduce((sum, slot) => sum + slot.energyKwh * slot.price, 0);
+
+  return {
+    createdAt: now,
+    soc: soc,
+    targetSoc: targetSoc,
+    deadline: deadline,
+    energyNeededKwh: energyNeededKwh,
+    plannedEnergyKwh: plannedEnergyKwh,
+    expectedCost: expectedCost,
+    reachesTarget: plannedForTargetKwh >= energyNeededKwh - 1e-9,
+    slots: plannedSlots
+  };
+}
+
+function activePlanSlot(plan, now) {
+  if (!plan) return null;
+  return plan.slots.find(slot => slot.start <= now && slot.end > now) || null;
+}
+
+module.exports = {
+  parsePriceSchedule,
+  loadPriceSchedule,
+  priceAt,
+  planCharging,
+  activePlanSlot
+};
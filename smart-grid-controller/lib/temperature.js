@@ -0,0 +1,45 @@
+/**
+ * Battery temperature
+ *
+ * Signal K reports temperatures in Kelvin; the controller works in °C. Optional temperature
+ * compensation shifts the per-cell voltage thresholds and the SoC curve lookup by
+ * `compensationPerCell` V/°C away from the reference temperature (lead-acid: -3mV/°C per cell,
+ * so a cold bank is allowed a higher voltage before protection trips).
+ */
+
+// Readings outside this range are not a battery temperature in Kelvin (e.g. a source sending °C)
+const PLAUSIBLE_KELVIN = { min: 200, max: 373.15 };
+
+function kelvinToCelsius(kelvin) {
+  return kelvin - 273.15;
+}
+
+function isPlausibleKelvin(kelvin) {
+  return kelvin >= PLAUSIBLE_KELVIN.min && kelvin <= PLAUSIBLE_KELVIN.max;
+}
+
+// Per-cell voltage shift at `celsius` (0 when compensation is off or there is no reading)
+function compensationOffset(settings, celsius) {
+  if (!settings.compensation || celsius === null) return 0;
+  return settings.compensationPerCell * (celsius - settings.referenceTemperature);
+}
+
+// Configuration with the pack and cell voltage thresholds shifted by `offsetPerCell` volts
+function compensateThresholds(config, offsetPerCell) {
+  if (offsetPerCell === 0) return config;
+
+  const shift = (thresholds, amount) => Object.fromEntries(Object.entries(thresholds).map(([name, value]) => [name, value + amount]));
+  const { maxDelta, emergencyDelta, ...cellVoltages } = config.cellThresholds;
+  return {
+    ...config,
+    voltageThresholds: shift(config.voltageThresholds, offsetPerCell * config.cellCount),
+    cellThresholds: { ...shift(cellVoltages, offsetPerCell), maxDelta: maxDelta, emergencyDelta: emergencyDelta }
+  };
+}
+
+module.exports = {
+  kelvinToCelsius,
+  isPlausibleKelvin,
+  compensationOffset,
+  compensateThresholds
+};
@@ -0,0 +1,275 @@
+/**
+ * Smart Grid Controller dashboard
+ *
+ * Served by Signal K as a webapp. Polls the plugin's REST API:
+ * - /status every STATUS_INTERVAL_MS - grid state, conditions against their thresholds,
+ *   protections, SoC and battery
+ * - /history (grid switches) every HISTORY_INTERVAL_MS - the 24-hour timeline
+ * Override controls post to /override; they are disabled when the server's security does not
+ * give this login write access.
+ */
+
+const API = '/plugins/smart-grid-controller';
+const STATUS_INTERVAL_MS = 5000;
+const HISTORY_INTERVAL_MS = 60000;
+const TIMELINE_MS = 24 * 3600000;
+
+let lastSwitchTime = null;
+
+// Element with optional class and text - text is always set as text, never parsed as HTML
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined && text !== null) node.textContent = text;
+  return node;
+}
+
+function card(title, value, detail, state) {
+  const node = element('div', `card ${state || ''}`);
+  node.append(element('div', 'title', title), element('div', 'value', value), element('div', 'detail', detail));
+  return node;
+}
+
+function format(value, digits, unit) {
+  return typeof value === 'number' ? `${value.toFixed(digits)}${unit}` : '–';
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+async function getJson(url) {
+  const response = await fetch(url, { credentials: 'same-origin' });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// Header badge and the flags next to it
+function renderHeader(status) {
+  const badge = document.getElementById('grid-state');
+  badge.textContent = `Grid ${status.gridState ? 'ON' : 'OFF'}${status.shadowMode ? ' (shadow)' : ''}`;
+  badge.className = `badge ${status.gridState ? 'on' : ''}`;
+
+  const flags = [];
+  if (status.dataLost) flags.push(['Data lost', 'danger']);
+  if (status.actuation.degraded) flags.push(['Control degraded', 'danger']);
+  if (status.startupGrace) flags.push(['Startup grace', 'alert']);
+  if (status.shadowMode) flags.push(['Shadow mode - nothing is switched', 'alert']);
+  if (status.override.mode !== 'auto') flags.push([`Override: ${status.override.mode}`, 'alert']);
+  if (status.antiCycling.held) flags.push([`Switch held until ${formatTime(status.antiCycling.held.until)}`, 'alert']);
+  if (status.storage) flags.push([`Storage mode ${status.storage.minSoc}-${status.storage.maxSoc}%`, '']);
+  if (status.balancing && status.balancing.state !== 'idle') flags.push([`Balancing charge: ${status.balancing.state}`, 'alert']);
+  document.getElementById('flags').replaceChildren(...flags.map(([text, className]) => element('span', `badge ${className}`, text)));
+}
+
+// The four enable conditions (and the storage band), each with its live value against its thresholds
+function renderConditions(status) {
+  const { conditions, thresholds, values } = status;
+  const load = thresholds.load;
+  const phaseText = values && values.phaseLoads ? Object.entries(values.phaseLoads).map(([phase, watts]) => `${phase} ${watts.toFixed(0)}W`).join(', ') : null;
+  const cards = [
+    card('High load', format(values && values.load, 0, ' W'),
+      load.mode === 'per-phase' ? `Any phase > ${load.phaseEnableWatts} W, clears when all < ${load.phaseDisableWatts} W${phaseText ? ` (${phaseText})` : ''}` : `On > ${load.enableWatts} W, clears < ${load.disableWatts} W`,
+      conditions.load ? 'active' : ''),
+    card('Low voltage', format(values && values.voltage, 2, ' V'),
+      `On < ${thresholds.voltage.enable} V, clears > ${thresholds.voltage.disable} V${values && values.cells ? ` | lowest cell ${values.cells.min.toFixed(3)} V (on < ${thresholds.cell.enable} V)` : ''}`,
+      conditions.voltage ? 'active' : ''),
+    card('Low SoC', format(values && values.soc, 1, ' %'),
+      `On < ${thresholds.soc.enable} %, clears > ${thresholds.soc.disable} %`,
+      conditions.soc ? 'active' : ''),
+    card('Scheduled charging', conditions.time ? 'Active' : 'Inactive',
+      `${thresholds.schedule.tariff ? 'Tariff slots, else ' : ''}${thresholds.schedule.windows.join(', ') || 'no windows'} (${thresholds.schedule.timezone})`,
+      conditions.time ? 'active' : '')
+  ];
+  if (status.storage) {
+    cards.push(card('Storage band', format(values && values.soc, 1, ' %'), `On < ${status.storage.minSoc} %, charges to ${status.storage.maxSoc} %`, conditions.storage ? 'active' : ''));
+  }
+  document.getElementById('conditions').replaceChildren(...cards);
+}
+
+function renderProtections(status) {
+  const { protections, thresholds, values } = status;
+  const cells = values && values.cells;
+  const temperature = values && typeof values.temperature === 'number' ? values.temperature : null;
+  const cards = [
+    card('Battery protection', protections.battery ? 'Active' : 'Clear',
+      `≥ ${thresholds.voltage.protection} V or ≥ ${thresholds.soc.protection} %${cells ? ` | highest cell ${cells.max.toFixed(3)} V (≥ ${thresholds.cell.protection} V), Δ ${cells.delta.toFixed(3)} V (≥ ${thresholds.cell.maxDelta} V)` : ''} - high load can keep the grid on`,
+      protections.battery ? 'alert' : ''),
+    card('Emergency protection', protections.emergency ? 'Active' : 'Clear',
+      `≥ ${thresholds.voltage.emergency} V${cells ? `, highest cell ≥ ${thresholds.cell.emergency} V, Δ ≥ ${thresholds.cell.emergencyDelta} V` : ''} - nothing keeps the grid on`,
+      protections.emergency ? 'danger' : '')
+  ];
+  if (thresholds.temperature) {
+    const limits = thresholds.temperature;
+    const reading = temperature !== null ? `${temperature.toFixed(1)} °C` : 'no reading';
+    cards.push(
+      card('Cold charge block', protections.coldCharge ? 'Active' : 'Clear', `< ${limits.chargeBlockBelow} °C (${reading})`, protections.coldCharge ? 'danger' : ''),
+      card('High temperature', protections.highTemperature ? 'Active' : 'Clear', `≥ ${limits.high} °C (${reading})`, protections.highTemperature ? 'alert' : ''),
+      card('Temperature emergency', protections.temperatureEmergency ? 'Active' : 'Clear', `≥ ${limits.emergency} °C (${reading})`, protections.temperatureEmergency ? 'danger' : '')
+    );
+  }
+  document.getElementById('protections').replaceChildren(...cards);
+}
+
+function renderBattery(status) {
+  const { battery, values } = status;
+  const soc = values ? values.soc : null;
+  const cards = [
+    card('State of charge', format(soc, 1, ' %'), `Source: ${values ? values.socSource : '–'}`, ''),
+    card('Capacity', format(battery.capacityKwh, 1, ' kWh'),
+      `${battery.chemistry} ${battery.cellCount}S${soc !== null ? ` | ${(battery.capacityKwh * soc / 100).toFixed(1)} kWh stored` : ''}`, ''),
+    card('Charger', format(values && values.chargePower, 0, ' W'), values && values.temperature !== null && values.temperature !== undefined ? `Battery ${values.temperature.toFixed(1)} °C` : '', '')
+  ];
+  if (status.balancing) {
+    const next = status.balancing.nextDueAt ? new Date(status.balancing.nextDueAt).toLocaleDateString() : '–';
+    cards.push(card('Balancing charge', status.balancing.state, `Next due ${next}${status.balancing.lastResult ? ` | last ${status.balancing.lastResult}` : ''}`, status.balancing.state !== 'idle' ? 'active' : ''));
+  }
+  document.getElementById('battery').replaceChildren(...cards);
+}
+
+function renderOverride(status) {
+  const current = status.override;
+  const parts = [`Current mode: ${current.mode}`];
+  if (current.mode !== 'auto') {
+    parts.push(`set by ${current.source}`);
+    if (current.expiresAt) parts.push(`until ${new Date(current.expiresAt).toLocaleString()}`);
+    if (current.untilSoc !== null) parts.push(`until SoC ${current.untilSoc} %`);
+  }
+  document.getElementById('override-state').textContent = parts.join(', ');
+}
+
+async function refreshStatus() {
+  try {
+    const status = await getJson(`${API}/status`);
+    renderHeader(status);
+    if (status.thresholds) {
+      renderConditions(status);
+      renderProtections(status);
+      renderBattery(status);
+    }
+    renderOverride(status);
+    document.getElementById('updated').textContent = `Updated ${new Date().toLocaleTimeString()}${status.values ? '' : ' - no data evaluated yet'}`;
+
+    // A new switch shows up in the timeline straight away
+    const switchTime = status.lastSwitch ? status.lastSwitch.time : null;
+    if (switchTime !== lastSwitchTime) {
+      lastSwitchTime = switchTime;
+      refreshTimeline();
+    }
+  } catch (error) {
+    document.getElementById('updated').textContent = `Plugin not reachable - ${error.message}`;
+  }
+}
+
+// Grid on/off periods over the last 24 hours from the grid switch events (oldest first)
+function buildSegments(entries, from, to) {
+  const segments = [];
+  let state = null;
+  let start = from;
+  entries.forEach(entry => {
+    const time = Date.parse(entry.time);
+    if (time <= from) {
+      state = entry.state;
+      return;
+    }
+    segments.push({ start: start, end: time, state: state });
+    state = entry.state;
+    start = time;
+  });
+  segments.push({ start: start, end: to, state: state });
+  return segments.filter(segment => segment.end > segment.start);
+}
+
+async function refreshTimeline() {
+  const note = document.getElementById('timeline-note');
+  const to = Date.now();
+  const from = to - TIMELINE_MS;
+  let entries;
+  try {
+    entries = await getJson(`${API}/history?type=grid&limit=1000`);
+  } catch (error) {
+    note.textContent = error.status === 404 ? 'Event history is off - turn it on in the plugin settings to see the timeline' : `Could not load the switch history - ${error.message}`;
+    note.className = 'note error';
+    return;
+  }
+
+  document.getElementById('timeline').replaceChildren(...buildSegments(entries, from, to).map(segment => {
+    const node = element('div', segment.state === null ? 'unknown' : segment.state ? 'on' : 'off');
+    node.style.width = `${((segment.end - segment.start) / TIMELINE_MS) * 100}%`;
+    node.title = `${segment.state === null ? 'Unknown' : segment.state ? 'ON' : 'OFF'} ${formatTime(new Date(segment.start).toISOString())}-${formatTime(new Date(segment.end).toISOString())}`;
+    return node;
+  }));
+  document.getElementById('timeline-axis').replaceChildren(...[0, 6, 12, 18, 24].map(hours => element('span', null, formatTime(new Date(from + hours * 3600000).toISOString()))));
+
+  const recent = entries.filter(entry => Date.parse(entry.time) > from).reverse();
+  note.textContent = `${recent.length} switch${recent.length === 1 ? '' : 'es'} in the last 24 hours`;
+  note.className = 'note';
+  document.querySelector('#switches tbody').replaceChildren(...recent.map(entry => {
+    const row = element('tr');
+    row.append(
+      element('td', null, new Date(entry.time).toLocaleString()),
+      element('td', entry.state ? 'on' : 'off', `${entry.state ? 'ON' : 'OFF'}${entry.shadow ? ' (shadow)' : ''}`),
+      element('td', null, entry.reason)
+    );
+    return row;
+  }));
+}
+
+// Override controls need write access - read-only logins see them disabled
+async function checkAccess() {
+  let writable = true;
+  try {
+    const login = await getJson('/skServer/loginStatus');
+    writable = !login.authenticationRequired || login.userLevel === 'admin' || login.userLevel === 'readwrite';
+  } catch (error) {
+    // Older servers without loginStatus - the POST itself reports a missing permission
+  }
+  const form = document.getElementById('override-form');
+  form.querySelectorAll('select, input, button').forEach(control => { control.disabled = !writable; });
+  if (!writable) {
+    document.getElementById('override-message').textContent = 'Log in to the Signal K server with read/write or admin access to change the mode';
+  }
+}
+
+async function submitOverride(event) {
+  event.preventDefault();
+  const form = event.target;
+  const message = document.getElementById('override-message');
+  const request = { mode: form.mode.value };
+  if (form.durationMinutes.value) request.durationMinutes = Number(form.durationMinutes.value);
+  if (form.untilSoc.value) request.untilSoc = Number(form.untilSoc.value);
+
+  try {
+    const response = await fetch(`${API}/override`, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('not permitted - log in with read/write or admin access');
+    }
+    if (!response.ok) {
+      throw new Error(body.error || `${response.status} ${response.statusText}`);
+    }
+    message.textContent = `Mode set to ${body.mode}`;
+    message.className = 'note';
+    refreshStatus();
+  } catch (error) {
+    message.textContent = `Override rejected - ${error.message}`;
+    message.className = 'note error';
+  }
+}
+
+document.getElementById('override-form').addEventListener('submit', submitOverride);
+checkAccess();
+refreshStatus();
+refreshTimeline();
+setInterval(refreshStatus, STATUS_INTERVAL_MS);
+setInterval(refreshTimeline, HISTORY_INTERVAL_MS);
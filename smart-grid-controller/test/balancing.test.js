@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createBalancingController } = require('../lib/balancing');
+const { withDirectory } = require('./helpers');
+
+const SETTINGS = { enabled: true, intervalDays: 30, targetCellVoltage: 3.55, holdMinutes: 60, maxHours: 8 };
+const MINUTE = 60000;
+const HOUR = 3600000;
+const DAY = 86400000;
+
+function update(balancing, now, inputs = {}) {
+  return balancing.update({ now: now, settings: SETTINGS, cellVoltage: 3.35, blocked: null, ...inputs });
+}
+
+// Controller whose first run is due at `due` (interval counted from the first update)
+function dueAt(due) {
+  const balancing = createBalancingController(null);
+  update(balancing, due - 30 * DAY);
+  return balancing;
+}
+
+test('the first run is due one interval after the first start', () => {
+  const balancing = createBalancingController(null);
+  assert.equal(update(balancing, 0).active, false);
+  assert.equal(balancing.getState(SETTINGS).nextDueAt, 30 * DAY);
+  assert.equal(update(balancing, 30 * DAY - 1).active, false);
+
+  const started = update(balancing, 30 * DAY);
+  assert.equal(started.active, true);
+  assert.equal(started.changed, true);
+  assert.equal(started.nextEvaluationAt, 30 * DAY + 8 * HOUR);
+});
+
+test('completes after holding the target for the hold time and schedules the next run', () => {
+  const balancing = dueAt(0);
+  update(balancing, 0);
+  assert.equal(update(balancing, HOUR, { cellVoltage: 3.56 }).nextEvaluationAt, 2 * HOUR);
+  for (let now = HOUR + MINUTE; now < 2 * HOUR; now += MINUTE) {
+    assert.equal(update(balancing, now, { cellVoltage: now < HOUR + 30 * MINUTE ? 3.56 : 3.55 }).active, true);
+  }
+  const done = update(balancing, 2 * HOUR, { cellVoltage: 3.55 });
+  assert.equal(done.active, false);
+  assert.deepEqual(done.notifications.map(notification => notification.state), ['normal']);
+  assert.equal(balancing.getState(SETTINGS).lastResult, 'completed');
+  assert.equal(balancing.getState(SETTINGS).nextDueAt, 2 * HOUR + 30 * DAY);
+});
+
+test('time below the target does not count towards the hold', () => {
+  const balancing = dueAt(0);
+  update(balancing, 0);
+  update(balancing, MINUTE, { cellVoltage: 3.56 });
+  update(balancing, 31 * MINUTE, { cellVoltage: 3.56 });
+  update(balancing, 32 * MINUTE, { cellVoltage: 3.50 });
+  const state = balancing.getState(SETTINGS);
+  assert.equal(state.state, 'charging');
+  assert.equal(state.heldMinutes, 1);
+});
+
+test('fails after the maximum time and retries a day later', () => {
+  const balancing = dueAt(0);
+  update(balancing, 0);
+  const failed = update(balancing, 8 * HOUR);
+  assert.equal(failed.active, false);
+  assert.equal(failed.notifications[0].state, 'alert');
+  assert.match(failed.reason, /^Balancing charge failed/);
+  assert.equal(update(balancing, DAY - 1).active, false);
+  assert.equal(update(balancing, DAY).active, true);
+});
+
+test('a blocking protection aborts the run and keeps the next one from starting', () => {
+  const balancing = dueAt(0);
+  update(balancing, 0);
+  const aborted = update(balancing, HOUR, { blocked: 'emergency protection active' });
+  assert.equal(aborted.active, false);
+  assert.equal(aborted.reason, 'Balancing charge aborted - emergency protection active');
+  assert.equal(update(balancing, HOUR + DAY, { blocked: 'cold charge block active' }).active, false);
+  assert.equal(update(balancing, HOUR + DAY + 1).active, true);
+});
+
+test('the interval and a run in progress survive a restart', () => {
+  withDirectory(directory => {
+    const stateFile = path.join(directory, 'balancing-state.json');
+    const balancing = createBalancingController(stateFile);
+    update(balancing, 0);
+    update(balancing, 30 * DAY);
+    balancing.save();
+
+    const restored = createBalancingController(stateFile);
+    restored.load();
+    const state = restored.getState(SETTINGS);
+    assert.equal(state.state, 'charging');
+    assert.equal(state.startedAt, 30 * DAY);
+    assert.equal(update(restored, 30 * DAY + 8 * HOUR).reason.startsWith('Balancing charge failed'), true);
+  });
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BUILT_IN_CHEMISTRIES, validateChemistry, buildChemistryRegistry, parseBatteryType } = require('../lib/chemistries');
+const { calculateSoC, socFromCurve } = require('../lib/soc');
+const { buildConfig } = require('../lib/config');
+
+const MY_LTO = {
+  id: 'my-lto',
+  name: 'My LTO',
+  nominalCellVoltage: 2.3,
+  chargeOffset: 0.04,
+  dischargeOffset: 0.03,
+  curve: [{ voltage: 1.9, soc: 0 }, { voltage: 2.2, soc: 10 }, { voltage: 2.3, soc: 45 }, { voltage: 2.65, soc: 100 }],
+  thresholds: { lowVoltageEnable: 2.2, lowVoltageDisable: 2.28, highVoltageProtection: 2.6, emergencyVoltage: 2.75 }
+};
+
+function build(options) {
+  const messages = [];
+  const config = buildConfig({ batteryCapacity: { batteryAh: 100 }, ...options }, (level, message) => messages.push(`${level}: ${message}`));
+  return { config, messages };
+}
+
+test('every built-in chemistry passes validation', () => {
+  for (const [id, chemistry] of Object.entries(BUILT_IN_CHEMISTRIES)) {
+    assert.deepEqual(validateChemistry(id, chemistry), [], id);
+  }
+});
+
+test('parses multi-part chemistry ids from the battery type', () => {
+  assert.deepEqual(parseBatteryType('li-ncm-15s'), { chemistry: 'li-ncm', cellCount: 15 });
+  assert.deepEqual(parseBatteryType('lifepo4-4s'), { chemistry: 'lifepo4', cellCount: 4 });
+  assert.deepEqual(parseBatteryType('custom', { chemistry: 'lto', cellCount: 10 }), { chemistry: 'lto', cellCount: 10 });
+  assert.equal(parseBatteryType('lifepo4'), null);
+});
+
+test('Li-NCM battery types build a configuration', () => {
+  const { config } = build({ batteryType: 'li-ncm-15s' });
+  assert.equal(config.chemistry, 'li-ncm');
+  assert.equal(config.cellCount, 15);
+  assert.ok(Math.abs(config.voltageThresholds.emergencyVoltage - 63) < 1e-9);
+  assert.ok(Math.abs(config.batteryCapacityKwh - 5.55) < 1e-9);
+});
+
+test('LiFePO4 SoC never falls as voltage rises', () => {
+  const lifepo4 = BUILT_IN_CHEMISTRIES.lifepo4;
+  let previous = -1;
+  for (let millivolts = 2900; millivolts <= 3700; millivolts++) {
+    const soc = socFromCurve(lifepo4.curve, millivolts / 1000);
+    assert.ok(soc >= previous, `${millivolts}mV`);
+    previous = soc;
+  }
+});
+
+test('SoC interpolates the curve and applies the charge/discharge offsets', () => {
+  const ncm = BUILT_IN_CHEMISTRIES['li-ncm'];
+  assert.equal(calculateSoC(3.7 * 10, ncm, 10, 0, 50), 60);
+  assert.ok(Math.abs(calculateSoC(3.665 * 10, ncm, 10, 0, 50) - 55) < 1e-9);
+  // Charging reads 0.05V high, discharging 0.03V low
+  assert.equal(calculateSoC(3.75 * 10, ncm, 10, 500, 50), 60);
+  assert.equal(calculateSoC(3.67 * 10, ncm, 10, -500, 50), 60);
+  // Clamped at both ends
+  assert.equal(calculateSoC(2.5 * 10, ncm, 10, 0, 50), 0);
+  assert.equal(calculateSoC(4.5 * 10, ncm, 10, 0, 50), 100);
+});
+
+test('any built-in chemistry with any cell count via the custom battery type', () => {
+  const { config } = build({ batteryType: 'custom', battery: { chemistry: 'lead-acid', cellCount: 6 } });
+  assert.equal(config.chemistryProfile.name, 'Lead-acid');
+  assert.ok(Math.abs(config.voltageThresholds.lowVoltageEnable - 12.06) < 1e-9);
+  assert.ok(Math.abs(config.batteryCapacityKwh - 1.2) < 1e-9);
+});
+
+test('a valid custom chemistry is registered and used', () => {
+  const { config, messages } = build({ batteryType: 'custom', battery: { chemistry: 'my-lto', cellCount: 22 }, customChemistries: [MY_LTO] });
+  assert.deepEqual(messages.filter(message => message.startsWith('error')), []);
+  assert.equal(config.chemistry, 'my-lto');
+  assert.ok(Math.abs(config.voltageThresholds.emergencyVoltage - 60.5) < 1e-9);
+  assert.equal(calculateSoC(2.3 * 22, config.chemistryProfile, 22, 0, config.onePercentThresholdW), 45);
+});
+
+test('an invalid custom chemistry is reported and left out', () => {
+  const falling = { ...MY_LTO, curve: [{ voltage: 1.9, soc: 0 }, { voltage: 2.2, soc: 20 }, { voltage: 2.3, soc: 15 }] };
+  const { config, messages } = build({ batteryType: 'custom', battery: { chemistry: 'my-lto', cellCount: 22 }, customChemistries: [falling] });
+  assert.equal(config, null);
+  assert.ok(messages.some(message => /SoC must not fall/.test(message)), messages.join('\n'));
+  assert.ok(messages.some(message => /Unknown battery chemistry: my-lto/.test(message)));
+});
+
+test('custom chemistry validation', () => {
+  const { chemistries, errors } = buildChemistryRegistry([
+    { ...MY_LTO, id: 'lifepo4' },
+    { ...MY_LTO, id: 'Bad Id' },
+    { ...MY_LTO, id: 'backwards', curve: [{ voltage: 2.3, soc: 0 }, { voltage: 2.2, soc: 50 }] },
+    { ...MY_LTO, id: 'unordered', thresholds: { ...MY_LTO.thresholds, highVoltageProtection: 2.8 } },
+    { ...MY_LTO, id: 'short', curve: [{ voltage: 2.3, soc: 50 }] },
+    MY_LTO
+  ]);
+  assert.deepEqual(Object.keys(chemistries), [...Object.keys(BUILT_IN_CHEMISTRIES), 'my-lto']);
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /already built in/);
+  assert.match(errors[1], /id must be lower case/);
+  assert.match(errors[2], /curve voltages must increase/);
+  assert.match(errors[3], /emergencyVoltage \(2.75V\) must be above highVoltageProtection/);
+  assert.match(errors[4], /at least two points/);
+});
+
+test('rejects an unusable cell count', () => {
+  const { config, messages } = build({ batteryType: 'custom', battery: { chemistry: 'lto', cellCount: 0 } });
+  assert.equal(config, null);
+  assert.ok(messages.some(message => /Invalid cell count/.test(message)));
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildConfig, validateConfig, inputPaths } = require('../lib/config');
+
+const BATTERY = { batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 } };
+
+test('subscribes to the default inputs, control feedback and grid readings', () => {
+  assert.deepEqual(inputPaths(buildConfig(BATTERY, () => {})), [
+    'electrical.chargers.275.voltage',
+    'electrical.chargers.275.power',
+    'electrical.switches.relay1.state',
+    'electrical.inverters.275.acout.power',
+    'electrical.inverters.275.acState.ignoreAcIn1.state',
+    'electrical.inverters.275.acin.power',
+    'electrical.inverters.275.acin.voltage',
+    'electrical.inverters.275.acin.frequency'
+  ]);
+});
+
+test('leaves out the inputs of features that are off', () => {
+  const paths = inputPaths(buildConfig({ ...BATTERY, controlMethod: 'multiplus-gx', energy: { enabled: false }, gridAvailability: { enabled: false } }, () => {}));
+  assert.deepEqual(paths, [
+    'electrical.chargers.275.voltage',
+    'electrical.chargers.275.power',
+    'electrical.inverters.275.acout.power',
+    'electrical.inverters.275.acState.ignoreAcIn1.state'
+  ]);
+});
+
+test('adds BMS, temperature, generator and every inverter unit without duplicates', () => {
+  const paths = inputPaths(buildConfig({
+    ...BATTERY,
+    controlMethod: 'cerbo-gx',
+    socEstimation: { source: 'bms' },
+    bms: { batteryPath: 'electrical.batteries.512', cellVoltagesPath: 'electrical.batteries.512.cells' },
+    temperature: { path: 'electrical.batteries.512.temperature' },
+    generator: { enabled: true, acVoltagePath: 'electrical.inverters.275.acin.voltage' },
+    inverters: [
+      { name: 'L1', instance: 275, vebusService: 'com.victronenergy.vebus.ttyS3' },
+      { name: 'L2', instance: 276, vebusService: 'com.victronenergy.vebus.ttyS4' }
+    ]
+  }, () => {}));
+  assert.ok(paths.includes('electrical.batteries.512.capacity.stateOfCharge'));
+  assert.ok(paths.includes('electrical.batteries.512.cells.*'));
+  assert.ok(paths.includes('electrical.batteries.512.temperature'));
+  assert.ok(paths.includes('electrical.inverters.276.acout.power'));
+  assert.ok(!paths.includes('electrical.inverters.275.acState.ignoreAcIn1.state'));
+  assert.equal(paths.length, new Set(paths).size);
+});
+
+test('storage band and balancing target fall back to defaults when invalid', () => {
+  const warnings = [];
+  const config = buildConfig({ ...BATTERY, storage: { minSoc: 70, maxSoc: 60 }, balancing: { targetCellVoltage: 3.7, intervalDays: 0 } }, (level, message) => warnings.push(message));
+  assert.deepEqual(config.storage, { enabled: false, minSoc: 40, maxSoc: 60 });
+  assert.equal(config.balancing.targetCellVoltage, 3.55);
+  assert.equal(config.balancing.intervalDays, 30);
+  assert.equal(warnings.length, 3);
+  assert.equal(buildConfig({ ...BATTERY, balancing: { targetCellVoltage: 3.6 } }, () => {}).balancing.targetCellVoltage, 3.6);
+});
+
+test('MQTT broker URL and topics fall back to defaults when invalid', () => {
+  const warnings = [];
+  const config = buildConfig({ ...BATTERY, mqtt: { enabled: true, url: 'localhost:1883', baseTopic: 'grid/#' } }, (level, message) => warnings.push(message));
+  assert.equal(config.mqtt.url, 'mqtt://localhost:1883');
+  assert.equal(config.mqtt.baseTopic, 'smart-grid-controller');
+  assert.equal(config.mqtt.discoveryPrefix, 'homeassistant');
+  assert.equal(warnings.length, 2);
+});
+
+test('empty or invalid text options are reported against their option path', () => {
+  const { config, warnings } = validateConfig({
+    ...BATTERY,
+    scheduleSettings: { timezone: '' },
+    mqtt: { enabled: true, url: '', username: '', password: '', baseTopic: ' ', discoveryPrefix: 'ha/#' },
+    tariff: { deadline: '25:00' }
+  }, () => {});
+  assert.deepEqual(warnings.map(warning => warning.field), [
+    'scheduleSettings.timezone',
+    'mqtt.url',
+    'mqtt.baseTopic',
+    'mqtt.discoveryPrefix',
+    'tariff.deadline'
+  ]);
+  assert.match(warnings[0].message, /scheduleSettings.timezone "" - must be an IANA time zone such as Europe\/London, using 'Europe\/London'/);
+  assert.equal(config.scheduleSettings.timezone, 'Europe/London');
+  assert.equal(config.mqtt.url, 'mqtt://localhost:1883');
+  assert.equal(config.mqtt.username, null);
+  assert.equal(config.mqtt.password, null);
+  assert.equal(config.mqtt.baseTopic, 'smart-grid-controller');
+  assert.equal(config.mqtt.discoveryPrefix, 'homeassistant');
+  assert.equal(config.tariff.deadline, '07:00');
+});
+
+test('0 is kept where it is a meaningful value', () => {
+  const config = buildConfig({
+    ...BATTERY,
+    scheduleSettings: { startHour: 22, endHour: 0 },
+    socThresholds: { lowSocEnable: 0, lowSocDisable: 20 },
+    loadThresholds: { disableWatts: 0 },
+    hysteresis: { soc: 0 }
+  }, () => {});
+  assert.deepEqual(config.scheduleSettings.windows.map(window => window.label), ['Legacy window 22:00-00:00']);
+  assert.equal(config.socThresholds.lowSocEnable, 0);
+  assert.equal(config.loadThresholds.disableWatts, 0);
+  assert.equal(config.hysteresis.soc, 0);
+});
+
+test('relay 0 is kept for the grid contactor and the generator', () => {
+  const grid = validateConfig({ ...BATTERY, controlMethod: 'cerbo-gx', paths: { relayNumber: 0 } }, () => {});
+  assert.equal(grid.config.paths.relayNumber, 0);
+  assert.equal(grid.config.paths.relayControl, 'electrical.switches.relay0.state');
+  assert.equal(grid.config.paths.relayDbusPath, '/Relay/0/State');
+  assert.deepEqual(grid.warnings, []);
+
+  const generator = validateConfig({ ...BATTERY, controlMethod: 'cerbo-gx', generator: { enabled: true, relayNumber: 0 } }, () => {});
+  assert.equal(generator.config.generator.relayNumber, 0);
+  assert.equal(generator.config.generator.relayDbusPath, '/Relay/0/State');
+  assert.deepEqual(generator.errors, []);
+  assert.deepEqual(generator.warnings, []);
+});
+
+test('invalid values are reported against their option path and replaced by the default', () => {
+  const { config, warnings } = validateConfig({
+    ...BATTERY,
+    timing: { minOnSeconds: -5, maxSwitchesPerHour: 2.5 },
+    socThresholds: { highSocProtection: 120 },
+    controlMethod: 'relay',
+    scheduleSettings: { timezone: 'Mars/Olympus' },
+    actuation: { confirmTimeoutSeconds: '10' }
+  }, () => {});
+  assert.deepEqual(warnings.map(warning => warning.field), [
+    'socThresholds.highSocProtection',
+    'scheduleSettings.timezone',
+    'timing.minOnSeconds',
+    'timing.maxSwitchesPerHour',
+    'controlMethod',
+    'actuation.confirmTimeoutSeconds'
+  ]);
+  assert.match(warnings[2].message, /timing.minOnSeconds -5 - must be a number of at least 0, using 60/);
+  assert.equal(config.timing.minOnSeconds, 60);
+  assert.equal(config.timing.maxSwitchesPerHour, 12);
+  assert.equal(config.socThresholds.highSocProtection, 95);
+  assert.equal(config.controlMethod, 'auto');
+  assert.equal(config.scheduleSettings.timezone, 'Europe/London');
+});
+
+test('a missing or unusable battery is an error that disables the controller', () => {
+  assert.deepEqual(validateConfig({ batteryType: 'lifepo4-16s' }, () => {}).errors.map(error => error.field), ['batteryCapacity.batteryAh']);
+  assert.match(validateConfig({ ...BATTERY, batteryCapacity: { batteryAh: 'lots' } }, () => {}).errors[0].message, /Invalid battery Ah rating "lots"/);
+  const unknown = validateConfig({ ...BATTERY, batteryType: 'nicd-10s' }, () => {});
+  assert.equal(unknown.config, null);
+  assert.equal(unknown.errors[0].field, 'batteryType');
+});
+
+test('cross-field checks keep low below high and protections recovering above the enable levels', () => {
+  const { config, warnings } = validateConfig({
+    ...BATTERY,
+    socThresholds: { lowSocDisable: 96 },
+    bms: { cellHighVoltage: 3.2 },
+    hysteresis: { packVoltage: 4 }
+  }, () => {});
+  assert.deepEqual(warnings.map(warning => warning.field), ['socThresholds.highSocProtection', 'bms.cellHighVoltage', 'hysteresis.packVoltage']);
+  assert.deepEqual(config.socThresholds, { lowSocEnable: 10, lowSocDisable: 30, highSocProtection: 95 });
+  assert.equal(config.cellThresholds.highVoltageProtection, 3.45);
+  // 16S LiFePO4 - protection 55.2V, low voltage disable 52V
+  assert.equal(config.hysteresis.packVoltage, 1.6);
+});
+
+test('an empty legacy window and invalid charging windows are reported', () => {
+  const empty = validateConfig({ ...BATTERY, scheduleSettings: { startHour: 3, endHour: 3 } }, () => {});
+  assert.deepEqual(empty.config.scheduleSettings.windows, []);
+  assert.equal(empty.warnings[0].field, 'scheduleSettings.endHour');
+
+  const windows = validateConfig({ ...BATTERY, scheduleSettings: { windows: [{ name: 'Night', start: '25:00', end: '06:00' }] } }, () => {});
+  assert.equal(windows.errors[0].field, 'scheduleSettings.windows');
+  assert.match(windows.errors[0].message, /Invalid charging window ignored - Night/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCurrentLimiter } = require('../lib/current-limit');
+const { buildConfig } = require('../lib/config');
+
+// 16A ceiling, 8A scheduled charging, 3A minimum, 1A/s ramp
+const SETTINGS = { enabled: true, minAmps: 3, maxAmps: 16, chargeAmps: 8, rampAmpsPerSecond: 1 };
+const NO_CONDITIONS = { load: false, voltage: false, soc: false, time: false };
+
+function update(limiter, now, state = {}) {
+  return limiter.update({ now: now, settings: SETTINGS, gridState: true, conditions: NO_CONDITIONS, overrideMode: 'auto', ...state });
+}
+
+test('charges at the scheduled current when a window is the only reason for grid', () => {
+  const limiter = createCurrentLimiter();
+  const result = update(limiter, 0, { conditions: { ...NO_CONDITIONS, time: true } });
+  assert.deepEqual(result, { amps: 8, target: 8, reason: 'Scheduled charging', changed: true, targetChanged: true });
+  assert.equal(update(limiter, 1000, { conditions: { ...NO_CONDITIONS, time: true } }).changed, false);
+});
+
+test('storage mode charges at the scheduled current', () => {
+  assert.equal(update(createCurrentLimiter(), 0, { conditions: { ...NO_CONDITIONS, storage: true } }).reason, 'Storage band');
+});
+
+test('ramps up to the import ceiling for high load and drops at once', () => {
+  const limiter = createCurrentLimiter();
+  update(limiter, 0, { conditions: { ...NO_CONDITIONS, time: true } });
+
+  const load = { ...NO_CONDITIONS, time: true, load: true };
+  const ramping = update(limiter, 0, { conditions: load });
+  assert.equal(ramping.amps, 8);
+  assert.equal(ramping.target, 16);
+  assert.equal(ramping.reason, 'High load');
+  assert.equal(update(limiter, 2500, { conditions: load }).amps, 10.5);
+  assert.equal(update(limiter, 60000, { conditions: load }).amps, 16);
+
+  assert.equal(update(limiter, 61000, { conditions: { ...NO_CONDITIONS, time: true } }).amps, 8);
+});
+
+test('low battery and force-on use the ceiling, grid off goes back to the minimum', () => {
+  const limiter = createCurrentLimiter();
+  assert.equal(update(limiter, 0, { conditions: { ...NO_CONDITIONS, soc: true } }).reason, 'Low battery');
+  assert.equal(update(limiter, 0, { gridState: false }).amps, 3);
+  const forced = update(limiter, 1000, { overrideMode: 'force-on' });
+  assert.equal(forced.reason, 'Manual override');
+  assert.equal(forced.amps, 4);
+});
+
+test('never goes above the ceiling or below the minimum', () => {
+  const limiter = createCurrentLimiter();
+  const tight = { ...SETTINGS, maxAmps: 6, chargeAmps: 6, rampAmpsPerSecond: 0 };
+  assert.equal(limiter.update({ now: 0, settings: tight, gridState: true, conditions: { ...NO_CONDITIONS, load: true }, overrideMode: 'auto' }).amps, 6);
+});
+
+test('out-of-order limits keep the ceiling and charge at the minimum', () => {
+  const messages = [];
+  const config = buildConfig({ batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 }, currentLimit: { maxAmps: 6, chargeAmps: 10 } }, (level, message) => messages.push(message));
+  assert.deepEqual(config.currentLimit, { enabled: false, minAmps: 3, maxAmps: 6, chargeAmps: 3, rampAmpsPerSecond: 1 });
+  assert.ok(messages.some(message => /Invalid AC input current limits/.test(message)));
+});
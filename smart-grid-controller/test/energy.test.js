@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createEnergyAccounting, isoWeek } = require('../lib/energy');
+const { withDirectory } = require('./helpers');
+
+const HOUR = 3600000;
+const STEP = 300000;
+
+function update(energy, now, inputs = {}) {
+  energy.update({ now: now, day: '2026-07-01', gridPowerW: 0, batteryPowerW: 0, soc: 50, causes: [], price: null, capacityKwh: 10, highSoc: 95, ...inputs });
+}
+
+// One hour of constant inputs ending at `end`, in 5-minute updates
+function runHour(energy, end, inputs = {}) {
+  for (let now = end - HOUR + STEP; now <= end; now += STEP) update(energy, now, inputs);
+}
+
+test('grid import is split over the active causes, with no cause counted as other', () => {
+  const energy = createEnergyAccounting(null);
+  update(energy, 0);
+  runHour(energy, HOUR, { gridPowerW: 2000, causes: ['load', 'schedule'], price: 0.3 });
+  runHour(energy, 2 * HOUR, { gridPowerW: 1000 });
+
+  const today = energy.getSummary().today;
+  assert.equal(today.gridImportKwh, 3);
+  assert.equal(today.gridCost, 0.6);
+  assert.deepEqual(today.byCause.load, { kwh: 1, cost: 0.3 });
+  assert.deepEqual(today.byCause.schedule, { kwh: 1, cost: 0.3 });
+  assert.deepEqual(today.byCause.other, { kwh: 1, cost: 0 });
+  assert.equal(today.byCause.voltage.kwh, 0);
+});
+
+test('export and unknown grid power are not counted', () => {
+  const energy = createEnergyAccounting(null);
+  update(energy, 0);
+  runHour(energy, HOUR, { gridPowerW: -500 });
+  runHour(energy, 2 * HOUR, { gridPowerW: null });
+  assert.equal(energy.getSummary().today.gridImportKwh, 0);
+});
+
+test('counts battery throughput, equivalent cycles and time at high SoC', () => {
+  const energy = createEnergyAccounting(null);
+  update(energy, 0);
+  runHour(energy, HOUR, { batteryPowerW: -5000 });
+  runHour(energy, 2 * HOUR, { batteryPowerW: 4000, soc: 96 });
+
+  const today = energy.getSummary().today;
+  assert.equal(today.batteryDischargedKwh, 5);
+  assert.equal(today.batteryChargedKwh, 4);
+  assert.equal(today.equivalentCycles, 0.5);
+  assert.equal(today.timeAboveHighSocHours, 1);
+});
+
+test('a gap in the data is skipped rather than extrapolated', () => {
+  const energy = createEnergyAccounting(null);
+  update(energy, 0);
+  update(energy, HOUR, { gridPowerW: 2000 });
+  assert.equal(energy.getSummary().today.gridImportKwh, 0);
+});
+
+test('depth of discharge is measured peak to trough once SoC turns', () => {
+  const energy = createEnergyAccounting(null);
+  [90, 95, 80, 60, 42, 40, 43].forEach((soc, index) => update(energy, index * 1000, { soc: soc }));
+  assert.equal(energy.getSummary().today.discharges, 0);
+
+  update(energy, 7000, { soc: 46 });
+  update(energy, 8000, { soc: 90 });
+  [80, 70].forEach((soc, index) => update(energy, 9000 + index * 1000, { soc: soc }));
+  update(energy, 11000, { soc: 76 });
+
+  const summary = energy.getSummary();
+  assert.equal(summary.today.discharges, 2);
+  assert.equal(summary.today.maxDepthOfDischarge, 55);
+  assert.equal(summary.today.averageDepthOfDischarge, 37.5);
+  assert.equal(summary.lastDepthOfDischarge, 20);
+});
+
+test('daily and weekly totals roll over, lifetime keeps counting', () => {
+  const energy = createEnergyAccounting(null);
+  update(energy, 0, { day: '2026-07-05' });
+  update(energy, 60000, { day: '2026-07-05', gridPowerW: 6000 });
+  update(energy, 120000, { day: '2026-07-06', gridPowerW: 6000 });
+
+  const summary = energy.getSummary();
+  assert.equal(summary.yesterday.period, '2026-07-05');
+  assert.equal(summary.yesterday.gridImportKwh, 0.1);
+  assert.equal(summary.today.gridImportKwh, 0.1);
+  assert.equal(summary.lastWeek.period, '2026-W27');
+  assert.equal(summary.week.period, '2026-W28');
+  assert.equal(summary.lifetime.gridImportKwh, 0.2);
+});
+
+test('ISO weeks start on Monday and belong to the year of their Thursday', () => {
+  assert.equal(isoWeek('2026-07-05'), '2026-W27');
+  assert.equal(isoWeek('2026-07-06'), '2026-W28');
+  assert.equal(isoWeek('2025-12-29'), '2026-W01');
+  assert.equal(isoWeek('2027-01-03'), '2026-W53');
+});
+
+test('totals survive a restart', () => {
+  withDirectory(directory => {
+    const stateFile = path.join(directory, 'energy-state.json');
+    const energy = createEnergyAccounting(stateFile);
+    update(energy, 0);
+    update(energy, 60000, { gridPowerW: 6000, causes: ['voltage'] });
+    energy.save();
+
+    const restored = createEnergyAccounting(stateFile);
+    restored.load();
+    update(restored, 120000, { gridPowerW: 6000, causes: ['voltage'] });
+    const summary = restored.getSummary();
+    assert.equal(summary.today.byCause.voltage.kwh, 0.1);
+    assert.equal(summary.lifetime.gridImportKwh, 0.1);
+  });
+});
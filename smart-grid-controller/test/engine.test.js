@@ -0,0 +1,720 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildConfig } = require('../lib/config');
+const { normalizeWindows } = require('../lib/schedule');
+const { createDecisionEngine } = require('../lib/engine');
+
+// 16S LiFePO4: load 2500/1750W, voltage 48/52V, SoC 10/30%, protection 55.2V/95%, emergency 58.4V
+// Anti-cycling off here - it has its own tests below
+const BATTERY = { batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 } };
+const config = buildConfig({ ...BATTERY, timing: { minOnSeconds: 0, minOffSeconds: 0, maxSwitchesPerHour: 0 } }, () => {});
+const volts = config.voltageThresholds;
+const cellThr = config.cellThresholds;
+const HYSTERESIS = config.hysteresis;
+const ENABLE_DELAY_MS = config.timing.enableDelaySeconds * 1000;
+const DISABLE_DELAY_MS = config.timing.disableDelaySeconds * 1000;
+
+// Inputs with no condition and no protection active
+const QUIET = {
+  config: config,
+  voltage: 53.3,
+  load: 500,
+  soc: 50,
+  cells: null,
+  zonedTime: { time: '12:00' },
+  activeWindows: [],
+  tariffActive: false,
+  tariffSlot: null,
+  priceBlocked: false,
+  override: { mode: 'auto', description: 'auto' },
+  startupGrace: false
+};
+
+function evaluate(engine, now, inputs = {}) {
+  return engine.evaluate({ ...QUIET, now: now, ...inputs });
+}
+
+// Engine with the grid already switched off by the disable delay, at time 0
+function engineWithGridOff() {
+  const engine = createDecisionEngine();
+  evaluate(engine, -DISABLE_DELAY_MS);
+  const result = evaluate(engine, 0);
+  assert.equal(result.gridState, false);
+  return engine;
+}
+
+function cells(min, max) {
+  return { min: min, max: max, delta: max - min, count: 16 };
+}
+
+test('starts with the grid on', () => {
+  assert.equal(createDecisionEngine().getState().gridState, true);
+});
+
+test('disconnects only after no condition has been active for the disable delay', () => {
+  const engine = createDecisionEngine();
+  assert.equal(evaluate(engine, 0).command, null);
+  const pending = evaluate(engine, DISABLE_DELAY_MS - 1);
+  assert.equal(pending.gridState, true);
+  assert.equal(pending.nextEvaluationAt, DISABLE_DELAY_MS);
+
+  const result = evaluate(engine, DISABLE_DELAY_MS);
+  assert.equal(result.gridState, false);
+  assert.equal(result.command.enabled, false);
+  assert.match(result.command.reason, /^Cleared conditions/);
+});
+
+test('does not start the disable delay during the startup grace period', () => {
+  const engine = createDecisionEngine();
+  evaluate(engine, 0, { startupGrace: true });
+  assert.equal(evaluate(engine, DISABLE_DELAY_MS, { startupGrace: true }).gridState, true);
+  assert.equal(evaluate(engine, DISABLE_DELAY_MS + 1).nextEvaluationAt, 2 * DISABLE_DELAY_MS + 1);
+});
+
+test('restarts the disable delay while the grid AC input is dead', () => {
+  const engine = createDecisionEngine();
+  evaluate(engine, 0, { available: false });
+  const dead = evaluate(engine, DISABLE_DELAY_MS, { available: false });
+  assert.equal(dead.gridState, true);
+  assert.equal(dead.nextEvaluationAt, 2 * DISABLE_DELAY_MS);
+
+  // Back - the delay counts from the last evaluation that saw the input dead
+  assert.equal(evaluate(engine, DISABLE_DELAY_MS + 1000, { available: true }).gridState, true);
+  assert.equal(evaluate(engine, 2 * DISABLE_DELAY_MS, { available: true }).gridState, false);
+});
+
+test('a condition becoming active cancels a pending disconnect', () => {
+  const engine = createDecisionEngine();
+  evaluate(engine, 0);
+  evaluate(engine, 10000, { load: 3000 });
+  evaluate(engine, 10000 + ENABLE_DELAY_MS, { load: 3000 });
+  assert.equal(engine.getState().disablePendingSince, null);
+  assert.equal(evaluate(engine, 40000, { load: 3000 }).gridState, true);
+});
+
+test.describe('load condition', () => {
+  test('enables after the enable delay, not before', () => {
+    const engine = engineWithGridOff();
+    const first = evaluate(engine, 1000, { load: 2600 });
+    assert.equal(first.gridState, false);
+    assert.equal(first.nextEvaluationAt, 1000 + ENABLE_DELAY_MS);
+    assert.equal(evaluate(engine, 1000 + ENABLE_DELAY_MS - 1, { load: 2600 }).gridState, false);
+
+    const result = evaluate(engine, 1000 + ENABLE_DELAY_MS, { load: 2600 });
+    assert.equal(result.gridState, true);
+    assert.equal(result.command.reason, 'Active conditions: Load: 2600.0W');
+    assert.deepEqual(result.command.causes, ['load']);
+  });
+
+  test('load exactly at the enable threshold does not trigger', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { load: config.loadThresholds.enableWatts });
+    assert.equal(evaluate(engine, 1000 + ENABLE_DELAY_MS, { load: config.loadThresholds.enableWatts }).gridState, false);
+  });
+
+  test('a dip into the hysteresis zone restarts the enable delay', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { load: 3000 });
+    evaluate(engine, 2000, { load: 2000 });
+    evaluate(engine, 3000, { load: 3000 });
+    assert.equal(evaluate(engine, 1000 + ENABLE_DELAY_MS, { load: 3000 }).gridState, false);
+    assert.equal(evaluate(engine, 3000 + ENABLE_DELAY_MS, { load: 3000 }).gridState, true);
+  });
+
+  test('stays active in the hysteresis zone and clears below the disable threshold', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { load: 3000 });
+    evaluate(engine, 1000 + ENABLE_DELAY_MS, { load: 3000 });
+    evaluate(engine, 5000, { load: config.loadThresholds.disableWatts });
+    assert.equal(engine.getState().conditions.load, true);
+    evaluate(engine, 6000, { load: config.loadThresholds.disableWatts - 1 });
+    assert.equal(engine.getState().conditions.load, false);
+  });
+
+  test('is ignored while the price limit blocks imports', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { load: 3000, priceBlocked: true });
+    const result = evaluate(engine, 1000 + ENABLE_DELAY_MS, { load: 3000, priceBlocked: true });
+    assert.equal(engine.getState().conditions.load, true);
+    assert.equal(result.gridState, false);
+  });
+});
+
+test.describe('low voltage condition', () => {
+  test('enables below the enable voltage after the delay', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { voltage: volts.lowVoltageEnable - 0.01 });
+    assert.equal(evaluate(engine, 1000 + ENABLE_DELAY_MS, { voltage: volts.lowVoltageEnable - 0.01 }).gridState, true);
+  });
+
+  test('voltage exactly at the enable threshold does not trigger', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { voltage: volts.lowVoltageEnable });
+    assert.equal(evaluate(engine, 1000 + ENABLE_DELAY_MS, { voltage: volts.lowVoltageEnable }).gridState, false);
+  });
+
+  test('clears only above the disable voltage', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { voltage: 47 });
+    evaluate(engine, 1000 + ENABLE_DELAY_MS, { voltage: 47 });
+    evaluate(engine, 5000, { voltage: volts.lowVoltageDisable });
+    assert.equal(engine.getState().conditions.voltage, true);
+    evaluate(engine, 6000, { voltage: volts.lowVoltageDisable + 0.01 });
+    assert.equal(engine.getState().conditions.voltage, false);
+  });
+
+  test('the lowest cell triggers it even when the pack voltage is fine', () => {
+    const engine = engineWithGridOff();
+    const lowCell = cells(cellThr.lowVoltageEnable - 0.01, 3.35);
+    evaluate(engine, 1000, { cells: lowCell });
+    assert.equal(evaluate(engine, 1000 + ENABLE_DELAY_MS, { cells: lowCell }).gridState, true);
+
+    // Pack recovered but the low cell has not - stays active
+    evaluate(engine, 5000, { voltage: 53.3, cells: cells(cellThr.lowVoltageDisable, 3.35) });
+    assert.equal(engine.getState().conditions.voltage, true);
+    evaluate(engine, 6000, { voltage: 53.3, cells: cells(cellThr.lowVoltageDisable + 0.01, 3.35) });
+    assert.equal(engine.getState().conditions.voltage, false);
+  });
+});
+
+test.describe('low SoC condition', () => {
+  test('enables below the enable SoC after the delay, not at it', () => {
+    const atThreshold = engineWithGridOff();
+    evaluate(atThreshold, 1000, { soc: 10 });
+    assert.equal(evaluate(atThreshold, 1000 + ENABLE_DELAY_MS, { soc: 10 }).gridState, false);
+
+    const below = engineWithGridOff();
+    evaluate(below, 1000, { soc: 9.9 });
+    assert.equal(evaluate(below, 1000 + ENABLE_DELAY_MS, { soc: 9.9 }).gridState, true);
+  });
+
+  test('clears only above the disable SoC', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { soc: 5 });
+    evaluate(engine, 1000 + ENABLE_DELAY_MS, { soc: 5 });
+    evaluate(engine, 5000, { soc: 30 });
+    assert.equal(engine.getState().conditions.soc, true);
+    evaluate(engine, 6000, { soc: 30.1 });
+    assert.equal(engine.getState().conditions.soc, false);
+  });
+});
+
+test.describe('schedule condition', () => {
+  const { windows } = normalizeWindows([{ name: 'Night', start: '01:00', end: '05:00', targetSoc: 80 }]);
+  const activeWindow = { window: windows[0], occurrence: '2026-06-15' };
+
+  test('enables immediately inside a window', () => {
+    const engine = engineWithGridOff();
+    const result = evaluate(engine, 1000, { activeWindows: [activeWindow], zonedTime: { time: '01:00' } });
+    assert.equal(result.gridState, true);
+    assert.equal(result.command.reason, 'Active conditions: Time: 01:00 (Night 01:00-05:00)');
+  });
+
+  test('stops for the rest of the occurrence once the window target is reached', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { activeWindows: [activeWindow], soc: 60 });
+    evaluate(engine, 2000, { activeWindows: [activeWindow], soc: 80 });
+    assert.equal(engine.getState().conditions.time, false);
+    evaluate(engine, 3000, { activeWindows: [activeWindow], soc: 75 });
+    assert.equal(engine.getState().conditions.time, false);
+
+    // Next occurrence charges again
+    evaluate(engine, 4000, { activeWindows: [{ ...activeWindow, occurrence: '2026-06-16' }], soc: 75 });
+    assert.equal(engine.getState().conditions.time, true);
+  });
+
+  test('an overlapping window still charges once an earlier one has reached its target', () => {
+    const overlapping = normalizeWindows([
+      { name: 'Night', start: '23:30', end: '05:30', targetSoc: 80 },
+      { name: 'Cheap', start: '02:00', end: '04:00' }
+    ]).windows;
+    const night = { window: overlapping[0], occurrence: '2026-06-14' };
+    const cheap = { window: overlapping[1], occurrence: '2026-06-15' };
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { activeWindows: [night], soc: 80 });
+    assert.equal(engine.getState().conditions.time, false);
+
+    const result = evaluate(engine, 2000, { activeWindows: [night, cheap], soc: 85, zonedTime: { time: '02:00' } });
+    assert.equal(result.gridState, true);
+    assert.equal(result.command.reason, 'Active conditions: Time: 02:00 (Cheap 02:00-04:00)');
+
+    // The night window's target still holds once the cheap window has closed
+    evaluate(engine, 3000, { activeWindows: [night], soc: 75 });
+    assert.equal(engine.getState().conditions.time, false);
+  });
+
+  test('follows the planned tariff slot in tariff mode', () => {
+    const engine = engineWithGridOff();
+    const slot = { start: Date.parse('2026-06-15T02:00:00Z'), end: Date.parse('2026-06-15T02:30:00Z'), price: 7.5, reason: 'cheapest' };
+    const result = evaluate(engine, 1000, { tariffActive: true, tariffSlot: slot, zonedTime: { time: '03:00' } });
+    assert.equal(result.command.reason, 'Active conditions: Time: 03:00 (Tariff slot 02:00Z @ 7.5 (cheapest))');
+
+    // A window is ignored while tariff mode is active
+    evaluate(engine, 2000, { tariffActive: true, tariffSlot: null, activeWindows: [activeWindow] });
+    assert.equal(engine.getState().conditions.time, false);
+  });
+});
+
+test.describe('battery protection', () => {
+  test('activates at exactly the protection voltage and disconnects', () => {
+    const engine = createDecisionEngine();
+    const result = evaluate(engine, 0, { voltage: volts.highVoltageProtection });
+    assert.equal(result.gridState, false);
+    assert.match(result.command.reason, /^Battery protection: High voltage/);
+    assert.deepEqual(result.command.causes, ['batteryProtection']);
+    assert.deepEqual(result.notifications.map(n => [n.name, n.state]), [['batteryProtection', 'alert']]);
+  });
+
+  test('does not activate just below the protection voltage', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { voltage: volts.highVoltageProtection - 0.01 });
+    assert.equal(engine.getState().protections.battery, false);
+  });
+
+  test('activates at the high SoC threshold', () => {
+    const engine = createDecisionEngine();
+    assert.equal(evaluate(engine, 0, { soc: config.socThresholds.highSocProtection }).gridState, false);
+  });
+
+  test('clears only below both recovery levels', () => {
+    const voltageRecovery = volts.highVoltageProtection - HYSTERESIS.packVoltage;
+    const socRecovery = config.socThresholds.highSocProtection - HYSTERESIS.soc;
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { voltage: volts.highVoltageProtection });
+
+    evaluate(engine, 1000, { voltage: voltageRecovery, soc: 50 });
+    assert.equal(engine.getState().protections.battery, true);
+    evaluate(engine, 2000, { voltage: voltageRecovery - 0.01, soc: socRecovery });
+    assert.equal(engine.getState().protections.battery, true);
+
+    const result = evaluate(engine, 3000, { voltage: voltageRecovery - 0.01, soc: socRecovery - 0.1 });
+    assert.equal(engine.getState().protections.battery, false);
+    assert.deepEqual(result.notifications.map(n => [n.name, n.state]), [['batteryProtection', 'normal']]);
+  });
+
+  test('high load keeps the grid on through battery protection', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { load: 3000 });
+    evaluate(engine, ENABLE_DELAY_MS, { load: 3000 });
+    const result = evaluate(engine, 5000, { load: 3000, voltage: volts.highVoltageProtection });
+    assert.equal(engine.getState().protections.battery, true);
+    assert.equal(result.gridState, true);
+  });
+
+  test('a charging window does not keep the grid on through battery protection', () => {
+    const { windows } = normalizeWindows([{ start: '01:00', end: '05:00' }]);
+    const engine = createDecisionEngine();
+    const result = evaluate(engine, 0, { activeWindows: [{ window: windows[0], occurrence: '2026-06-15' }], voltage: volts.highVoltageProtection });
+    assert.equal(result.gridState, false);
+    assert.match(result.command.reason, /Time condition ignored for safety/);
+  });
+
+  test('blocks reconnecting while active', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { voltage: volts.highVoltageProtection });
+    evaluate(engine, 1000, { voltage: 55, load: 3000 });
+    assert.equal(evaluate(engine, 1000 + ENABLE_DELAY_MS, { voltage: 55, load: 3000 }).gridState, false);
+  });
+
+  test('a high cell triggers it as an alarm', () => {
+    const engine = createDecisionEngine();
+    const result = evaluate(engine, 0, { cells: cells(3.3, cellThr.highVoltageProtection) });
+    assert.equal(result.gridState, false);
+    assert.match(result.command.reason, /High cell/);
+    assert.deepEqual(result.notifications.map(n => [n.name, n.state]), [['batteryProtection', 'alarm']]);
+  });
+
+  test('cell imbalance triggers it, except while a low voltage/SoC condition wants grid', () => {
+    const imbalanced = cells(3.25, 3.25 + cellThr.maxDelta);
+    const engine = createDecisionEngine();
+    assert.match(evaluate(engine, 0, { cells: imbalanced }).command.reason, /Cell imbalance/);
+
+    const charging = engineWithGridOff();
+    evaluate(charging, 1000, { soc: 5 });
+    evaluate(charging, 1000 + ENABLE_DELAY_MS, { soc: 5 });
+    evaluate(charging, 5000, { soc: 5, cells: imbalanced });
+    assert.equal(charging.getState().protections.battery, false);
+  });
+
+  test('cell recovery needs the cell and delta hysteresis', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { cells: cells(3.3, cellThr.highVoltageProtection) });
+    evaluate(engine, 1000, { cells: cells(3.34, cellThr.highVoltageProtection - HYSTERESIS.cellVoltage) });
+    assert.equal(engine.getState().protections.battery, true);
+    evaluate(engine, 2000, { cells: cells(3.34, cellThr.highVoltageProtection - HYSTERESIS.cellVoltage - 0.001) });
+    assert.equal(engine.getState().protections.battery, false);
+  });
+});
+
+test.describe('emergency protection', () => {
+  test('disconnects immediately even with high load', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { load: 3000 });
+    evaluate(engine, ENABLE_DELAY_MS, { load: 3000 });
+    const result = evaluate(engine, 5000, { load: 3000, voltage: volts.emergencyVoltage });
+    assert.equal(result.gridState, false);
+    assert.equal(result.command.reason, 'Emergency protection triggered');
+    assert.ok(result.notifications.some(n => n.name === 'emergencyProtection' && n.state === 'emergency'));
+  });
+
+  test('does not trigger just below the emergency voltage', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { voltage: volts.emergencyVoltage - 0.01 });
+    assert.equal(engine.getState().protections.emergency, false);
+  });
+
+  test('clears only below the emergency recovery voltage', () => {
+    const recovery = volts.emergencyVoltage - HYSTERESIS.packVoltage;
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { voltage: volts.emergencyVoltage });
+    evaluate(engine, 1000, { voltage: recovery });
+    assert.equal(engine.getState().protections.emergency, true);
+    evaluate(engine, 2000, { voltage: recovery - 0.01 });
+    assert.equal(engine.getState().protections.emergency, false);
+  });
+
+  test('triggers on a critical cell or critical imbalance', () => {
+    const critical = createDecisionEngine();
+    evaluate(critical, 0, { cells: cells(3.3, cellThr.emergencyVoltage) });
+    assert.equal(critical.getState().protections.emergency, true);
+
+    const imbalanced = createDecisionEngine();
+    evaluate(imbalanced, 0, { cells: cells(3.1, 3.1 + cellThr.emergencyDelta) });
+    assert.equal(imbalanced.getState().protections.emergency, true);
+  });
+});
+
+test.describe('manual override', () => {
+  test('force-on ignores conditions and battery protection', () => {
+    const engine = engineWithGridOff();
+    const result = evaluate(engine, 1000, { voltage: volts.highVoltageProtection, override: { mode: 'force-on', description: 'force-on' } });
+    assert.equal(result.gridState, true);
+    assert.equal(result.command.reason, 'Manual override: force-on');
+  });
+
+  test('force-on does not beat emergency protection', () => {
+    const engine = createDecisionEngine();
+    const result = evaluate(engine, 0, { voltage: volts.emergencyVoltage, override: { mode: 'force-on', description: 'force-on' } });
+    assert.equal(result.gridState, false);
+    assert.equal(evaluate(engine, 1000, { voltage: volts.emergencyVoltage, override: { mode: 'force-on', description: 'force-on' } }).gridState, false);
+  });
+
+  test('force-off disconnects without delay despite active conditions', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { load: 3000 });
+    evaluate(engine, ENABLE_DELAY_MS, { load: 3000 });
+    const result = evaluate(engine, 5000, { load: 3000, override: { mode: 'force-off', description: 'force-off' } });
+    assert.equal(result.gridState, false);
+  });
+});
+
+test.describe('per-phase load', () => {
+  const perPhase = { ...config, loadThresholds: { ...config.loadThresholds, mode: 'per-phase', phaseEnableWatts: 2000, phaseDisableWatts: 1200 } };
+
+  test('any phase above the per-phase threshold enables, even when the total would not', () => {
+    const engine = engineWithGridOff();
+    const phaseLoads = { L1: 2100, L2: 100, L3: 100 };
+    evaluate(engine, 1000, { config: perPhase, load: 2300, phaseLoads: phaseLoads });
+    const result = evaluate(engine, 1000 + ENABLE_DELAY_MS, { config: perPhase, load: 2300, phaseLoads: phaseLoads });
+    assert.equal(result.gridState, true);
+    assert.equal(result.command.reason, 'Active conditions: Load: 2300.0W (L1 2100W, L2 100W, L3 100W)');
+  });
+
+  test('clears only once every phase is below the per-phase disable threshold', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { config: perPhase, load: 4500, phaseLoads: { L1: 2500, L2: 1500, L3: 500 } });
+    evaluate(engine, ENABLE_DELAY_MS, { config: perPhase, load: 4500, phaseLoads: { L1: 2500, L2: 1500, L3: 500 } });
+    assert.equal(engine.getState().conditions.load, true);
+
+    evaluate(engine, 5000, { config: perPhase, load: 2500, phaseLoads: { L1: 1000, L2: 1300, L3: 200 } });
+    assert.equal(engine.getState().conditions.load, true);
+    evaluate(engine, 6000, { config: perPhase, load: 2300, phaseLoads: { L1: 1000, L2: 1100, L3: 200 } });
+    assert.equal(engine.getState().conditions.load, false);
+
+    const result = evaluate(engine, 6000 + DISABLE_DELAY_MS, { config: perPhase, load: 2300, phaseLoads: { L1: 1000, L2: 1100, L3: 200 } });
+    assert.match(result.command.reason, /Load: every phase < 1200W \(L1 1000W, L2 1100W, L3 200W\)/);
+  });
+
+  test('total mode ignores phase loads', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { load: 2400, phaseLoads: { L1: 2400 } });
+    assert.equal(evaluate(engine, 1000 + ENABLE_DELAY_MS, { load: 2400, phaseLoads: { L1: 2400 } }).gridState, false);
+  });
+});
+
+test.describe('temperature protection', () => {
+  // LiFePO4: cold charge block below 0°C, high 45°C, emergency 60°C, 3°C hysteresis
+  const temps = config.temperature;
+  const window = { window: normalizeWindows([{ start: '01:00', end: '05:00' }]).windows[0], occurrence: '2026-01-15' };
+
+  test('cold charge block keeps a charging window and force-on off', () => {
+    const engine = createDecisionEngine();
+    const result = evaluate(engine, 0, { temperature: -1, activeWindows: [window] });
+    assert.equal(result.gridState, false);
+    assert.match(result.command.reason, /^Cold charge block: -1.0°C < 0°C/);
+    assert.deepEqual(result.notifications.map(n => [n.name, n.state]), [['coldCharge', 'alarm']]);
+
+    assert.equal(evaluate(engine, 1000, { temperature: -1, activeWindows: [window], override: { mode: 'force-on', description: 'force-on' } }).gridState, false);
+    assert.equal(evaluate(engine, 2000, { temperature: -1, load: 3000 }).gridState, false);
+    assert.equal(evaluate(engine, 2000 + ENABLE_DELAY_MS, { temperature: -1, load: 3000 }).gridState, false);
+  });
+
+  test('cold charge block clears only the hysteresis above its limit', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { temperature: temps.chargeBlockBelow - 1, activeWindows: [window] });
+    evaluate(engine, 1000, { temperature: temps.chargeBlockBelow + HYSTERESIS.temperature - 0.1, activeWindows: [window] });
+    assert.equal(engine.getState().protections.coldCharge, true);
+
+    const result = evaluate(engine, 2000, { temperature: temps.chargeBlockBelow + HYSTERESIS.temperature, activeWindows: [window] });
+    assert.equal(engine.getState().protections.coldCharge, false);
+    assert.equal(result.gridState, true);
+    assert.deepEqual(result.notifications.map(n => [n.name, n.state]), [['coldCharge', 'normal']]);
+  });
+
+  test('without a reading every layer keeps its state', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { temperature: -5 });
+    evaluate(engine, 1000, { temperature: null, activeWindows: [window] });
+    assert.equal(engine.getState().protections.coldCharge, true);
+    assert.equal(engine.getState().gridState, false);
+  });
+
+  test('high temperature behaves like battery protection - high load keeps the grid on', () => {
+    const engine = createDecisionEngine();
+    const result = evaluate(engine, 0, { temperature: temps.highTemperature, activeWindows: [window] });
+    assert.equal(result.gridState, false);
+    assert.match(result.command.reason, /High temperature: 45.0°C >= 45°C/);
+    assert.deepEqual(result.notifications.map(n => [n.name, n.state]), [['highTemperature', 'alert']]);
+
+    const loaded = createDecisionEngine();
+    evaluate(loaded, 0, { load: 3000 });
+    evaluate(loaded, ENABLE_DELAY_MS, { load: 3000 });
+    assert.equal(evaluate(loaded, 5000, { load: 3000, temperature: temps.highTemperature }).gridState, true);
+
+    evaluate(engine, 1000, { temperature: temps.highTemperature - HYSTERESIS.temperature });
+    assert.equal(engine.getState().protections.highTemperature, true);
+    evaluate(engine, 2000, { temperature: temps.highTemperature - HYSTERESIS.temperature - 0.1 });
+    assert.equal(engine.getState().protections.highTemperature, false);
+  });
+
+  test('temperature emergency disconnects even with high load', () => {
+    const engine = createDecisionEngine();
+    evaluate(engine, 0, { load: 3000 });
+    evaluate(engine, ENABLE_DELAY_MS, { load: 3000 });
+    const result = evaluate(engine, 5000, { load: 3000, temperature: temps.emergencyTemperature });
+    assert.equal(result.gridState, false);
+    assert.match(result.command.reason, /^Temperature emergency: 60.0°C >= 60°C/);
+    assert.ok(result.notifications.some(n => n.name === 'temperatureEmergency' && n.state === 'emergency'));
+  });
+});
+
+test('cancelPending drops pending enable and disable delays', () => {
+  const engine = createDecisionEngine();
+  evaluate(engine, 0, { load: 3000 });
+  assert.notEqual(evaluate(engine, 1000, { load: 3000 }).nextEvaluationAt, null);
+  engine.cancelPending();
+  assert.equal(engine.getState().disablePendingSince, null);
+  // The enable delay starts over
+  assert.equal(evaluate(engine, ENABLE_DELAY_MS, { load: 3000 }).nextEvaluationAt, 2 * ENABLE_DELAY_MS);
+});
+
+test('an imbalanced low cell does not block recharging, even during the enable delay', () => {
+  const engine = engineWithGridOff();
+  const lowImbalanced = cells(cellThr.lowVoltageEnable - 0.01, cellThr.lowVoltageEnable - 0.01 + cellThr.emergencyDelta);
+  evaluate(engine, 1000, { cells: lowImbalanced });
+  const result = evaluate(engine, 1000 + ENABLE_DELAY_MS, { cells: lowImbalanced });
+  assert.equal(engine.getState().protections.battery, false);
+  assert.equal(engine.getState().protections.emergency, false);
+  assert.equal(result.gridState, true);
+});
+
+test.describe('storage mode', () => {
+  const storage = buildConfig({ ...BATTERY, timing: { minOnSeconds: 0, minOffSeconds: 0, maxSwitchesPerHour: 0 }, storage: { enabled: true, minSoc: 40, maxSoc: 60 } }, () => {});
+
+  test('enables below the band minimum and charges to its maximum, ignoring load', () => {
+    const engine = engineWithGridOff();
+    assert.equal(evaluate(engine, 1000, { config: storage, load: 3000 }).command, null);
+    evaluate(engine, 2000, { config: storage, load: 3000, soc: 39 });
+    const result = evaluate(engine, 2000 + ENABLE_DELAY_MS, { config: storage, soc: 39 });
+    assert.equal(result.gridState, true);
+    assert.deepEqual(result.command.causes, ['storage']);
+    assert.match(result.command.reason, /Storage: SoC 39.0% < 40%/);
+
+    assert.equal(evaluate(engine, 10000, { config: storage, soc: 59 }).nextEvaluationAt, null);
+    evaluate(engine, 20000, { config: storage, soc: 60 });
+    const cleared = evaluate(engine, 20000 + DISABLE_DELAY_MS, { config: storage, soc: 60 });
+    assert.equal(cleared.gridState, false);
+    assert.match(cleared.command.reason, /Storage: SoC 60.0% \(band 40-60%\)/);
+  });
+
+  test('the charging schedule does not apply', () => {
+    const { windows } = normalizeWindows([{ name: 'Night', start: '01:00', end: '05:00' }]);
+    const engine = engineWithGridOff();
+    assert.equal(evaluate(engine, 1000, { config: storage, activeWindows: [{ window: windows[0], occurrence: '2026-06-15' }], zonedTime: { time: '01:00' } }).gridState, false);
+    assert.equal(engine.getState().conditions.time, false);
+  });
+});
+
+test.describe('balancing charge', () => {
+  test('charges through battery protection', () => {
+    const engine = engineWithGridOff();
+    const result = evaluate(engine, 1000, { voltage: volts.highVoltageProtection + 0.5, soc: 99, balancing: true });
+    assert.equal(engine.getState().protections.battery, true);
+    assert.equal(result.gridState, true);
+    assert.deepEqual(result.command.causes, ['balancing']);
+
+    const ended = evaluate(engine, 2000, { voltage: volts.highVoltageProtection + 0.5, soc: 99 });
+    assert.equal(ended.gridState, false);
+    assert.deepEqual(ended.command.causes, ['batteryProtection']);
+  });
+
+  test('emergency protection still disconnects', () => {
+    const engine = engineWithGridOff();
+    evaluate(engine, 1000, { balancing: true });
+    const result = evaluate(engine, 2000, { cells: cells(3.4, cellThr.emergencyVoltage), balancing: true });
+    assert.equal(result.gridState, false);
+    assert.deepEqual(result.command.causes, ['emergency']);
+  });
+});
+
+test('delays and hysteresis come from the configuration', () => {
+  const custom = buildConfig({ ...BATTERY, timing: { enableDelaySeconds: 0, disableDelaySeconds: 5 }, hysteresis: { packVoltage: 0 } }, () => {});
+  assert.deepEqual(custom.timing, { enableDelaySeconds: 0, disableDelaySeconds: 5, startupGraceSeconds: 30, minOnSeconds: 60, minOffSeconds: 60, maxSwitchesPerHour: 12 });
+
+  const engine = createDecisionEngine();
+  evaluate(engine, 0, { config: custom });
+  assert.equal(evaluate(engine, 5000, { config: custom }).gridState, false);
+
+  const protection = createDecisionEngine();
+  evaluate(protection, 0, { config: custom, voltage: volts.highVoltageProtection });
+  evaluate(protection, 1000, { config: custom, voltage: volts.highVoltageProtection - 0.01 });
+  assert.equal(protection.getState().protections.battery, false);
+});
+
+test.describe('anti-cycling', () => {
+  // Minimum on/off 60s, at most 4 switches per hour
+  const cycling = buildConfig({ ...BATTERY, timing: { minOnSeconds: 60, minOffSeconds: 60, maxSwitchesPerHour: 4 } }, () => {});
+  const HIGH_LOAD = { config: cycling, load: 3000 };
+
+  // Grid switched off by the disable delay at time 0 (one switch recorded)
+  function cyclingEngineOff() {
+    const engine = createDecisionEngine();
+    evaluate(engine, -DISABLE_DELAY_MS, { config: cycling });
+    assert.equal(evaluate(engine, 0, { config: cycling }).gridState, false);
+    return engine;
+  }
+
+  test('holds an enable until the minimum off time has passed', () => {
+    const engine = cyclingEngineOff();
+    evaluate(engine, 10000, HIGH_LOAD);
+    const held = evaluate(engine, 10000 + ENABLE_DELAY_MS, HIGH_LOAD);
+    assert.equal(held.gridState, false);
+    assert.equal(held.command, null);
+    assert.equal(held.nextEvaluationAt, 60000);
+    assert.deepEqual(engine.getState().switchHold, { enabled: true, reason: 'minimum off time (60s)', until: 60000 });
+
+    const result = evaluate(engine, 60000, HIGH_LOAD);
+    assert.equal(result.gridState, true);
+    assert.equal(engine.getState().switchHold, null);
+  });
+
+  test('keeps the grid on for the minimum on time after the disable delay runs out', () => {
+    const engine = cyclingEngineOff();
+    evaluate(engine, 60000, HIGH_LOAD);
+    evaluate(engine, 60000 + ENABLE_DELAY_MS, HIGH_LOAD);
+    assert.equal(engine.getState().gridState, true);
+
+    // Load gone right after switching on - disable delay ends at 93s, minimum on time at 123s
+    evaluate(engine, 63000 + 1, { config: cycling });
+    const held = evaluate(engine, 63000 + DISABLE_DELAY_MS + 1, { config: cycling });
+    assert.equal(held.gridState, true);
+    assert.equal(held.nextEvaluationAt, 123000);
+    assert.equal(evaluate(engine, 123000, { config: cycling }).gridState, false);
+  });
+
+  test('time on a dead grid AC input does not count towards the minimum on time', () => {
+    const engine = cyclingEngineOff();
+    evaluate(engine, 60000, HIGH_LOAD);
+    evaluate(engine, 60000 + ENABLE_DELAY_MS, HIGH_LOAD);
+    assert.equal(engine.getState().gridState, true);
+
+    // Load gone and the input dead for a minute - the minimum on time (and the disable delay) wait for it
+    evaluate(engine, 63000 + 1, { config: cycling, available: false });
+    evaluate(engine, 123000 + 1, { config: cycling, available: false });
+    const held = evaluate(engine, 123000 + DISABLE_DELAY_MS + 1, { config: cycling, available: true });
+    assert.equal(held.gridState, true);
+    assert.equal(held.nextEvaluationAt, 213000);
+    assert.equal(evaluate(engine, 213000, { config: cycling, available: true }).gridState, false);
+  });
+
+  test('switches with the grid AC input dead do not count towards the hourly limit', () => {
+    const engine = cyclingEngineOff();
+    evaluate(engine, 57000, { ...HIGH_LOAD, available: false });
+    assert.equal(evaluate(engine, 60000, { ...HIGH_LOAD, available: false }).gridState, true);
+    assert.equal(engine.getState().switchesLastHour, 1);
+
+    evaluate(engine, 120000, { ...HIGH_LOAD, available: true, voltage: volts.emergencyVoltage });
+    assert.equal(engine.getState().gridState, false);
+    assert.equal(engine.getState().switchesLastHour, 2);
+  });
+
+  test('limits switches per rolling hour and alerts while it holds a switch back', () => {
+    const engine = cyclingEngineOff();
+    // Three more switches: on at 60s, off at 130s, on at 190s - four in the last hour
+    evaluate(engine, 57000, HIGH_LOAD);
+    evaluate(engine, 60000, HIGH_LOAD);
+    evaluate(engine, 100000, { config: cycling });
+    evaluate(engine, 130000, { config: cycling });
+    evaluate(engine, 187000, HIGH_LOAD);
+    evaluate(engine, 190000, HIGH_LOAD);
+    assert.equal(engine.getState().switchesLastHour, 4);
+
+    evaluate(engine, 300000, { config: cycling });
+    const held = evaluate(engine, 330000, { config: cycling });
+    assert.equal(held.gridState, true);
+    assert.deepEqual(held.notifications.map(n => [n.name, n.state]), [['switchRateLimit', 'alert']]);
+    // The oldest switch (at 0) leaves the window after an hour
+    assert.equal(held.nextEvaluationAt, 3600000);
+    assert.deepEqual(evaluate(engine, 400000, { config: cycling }).notifications, []);
+
+    // Released, but that switch fills the hour again - the alert stays until there is room
+    const released = evaluate(engine, 3600000, { config: cycling });
+    assert.equal(released.gridState, false);
+    assert.deepEqual(released.notifications, []);
+    const cleared = evaluate(engine, 3660000, { config: cycling });
+    assert.deepEqual(cleared.notifications.map(n => [n.name, n.state]), [['switchRateLimit', 'normal']]);
+  });
+
+  test('a low battery enable ignores the hourly limit', () => {
+    const engine = cyclingEngineOff();
+    evaluate(engine, 57000, HIGH_LOAD);
+    evaluate(engine, 60000, HIGH_LOAD);
+    evaluate(engine, 100000, { config: cycling });
+    evaluate(engine, 130000, { config: cycling });
+    evaluate(engine, 187000, HIGH_LOAD);
+    evaluate(engine, 190000, HIGH_LOAD);
+    evaluate(engine, 300000, { config: cycling, soc: 50 });
+    evaluate(engine, 330000, { config: cycling });
+    engine.forceGridState(false, 330000);
+
+    evaluate(engine, 400000, { config: cycling, soc: 5 });
+    assert.equal(evaluate(engine, 400000 + ENABLE_DELAY_MS, { config: cycling, soc: 5 }).gridState, true);
+  });
+
+  test('protections and override are never held back', () => {
+    const emergency = cyclingEngineOff();
+    evaluate(emergency, 57000, HIGH_LOAD);
+    evaluate(emergency, 60000, HIGH_LOAD);
+    const result = evaluate(emergency, 61000, { ...HIGH_LOAD, voltage: volts.emergencyVoltage });
+    assert.equal(result.gridState, false);
+
+    const protection = cyclingEngineOff();
+    evaluate(protection, 57000, HIGH_LOAD);
+    evaluate(protection, 60000, HIGH_LOAD);
+    assert.equal(evaluate(protection, 61000, { config: cycling, voltage: volts.highVoltageProtection }).gridState, false);
+
+    const override = cyclingEngineOff();
+    assert.equal(evaluate(override, 1000, { config: cycling, override: { mode: 'force-on', description: 'force-on' } }).gridState, true);
+  });
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createGeneratorController } = require('../lib/generator');
+const { buildConfig } = require('../lib/config');
+const { withDirectory } = require('./helpers');
+
+// Defaults: start timeout 30s, 3 attempts 60s apart, warm-up 120s, cool-down 180s, min run 30min
+const BATTERY = { batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 } };
+const SETTINGS = buildConfig({ ...BATTERY, controlMethod: 'multiplus-gx', generator: { enabled: true } }, () => {}).generator;
+
+function evaluate(generator, now, inputs = {}) {
+  return generator.evaluate({ now: now, settings: SETTINGS, day: '2026-07-01', demand: 'Low SoC', block: null, acPresent: true, ...inputs });
+}
+
+test('starts on demand, warms up, then accepts AC-in 2', () => {
+  const generator = createGeneratorController(null);
+  const starting = evaluate(generator, 0, { acPresent: false });
+  assert.equal(starting.state, 'starting');
+  assert.deepEqual(starting.outputs, { relay: true, acInput: false });
+  assert.equal(starting.nextEvaluationAt, 30000);
+
+  assert.equal(evaluate(generator, 10000).state, 'warm-up');
+  assert.deepEqual(evaluate(generator, 129999).outputs, { relay: true, acInput: false });
+  assert.deepEqual(evaluate(generator, 130000).outputs, { relay: true, acInput: true });
+});
+
+test('runs for the minimum run time, then cools down unloaded before stopping', () => {
+  const generator = createGeneratorController(null);
+  const runStart = 121000;
+  evaluate(generator, 0);
+  evaluate(generator, 1000);
+  assert.equal(evaluate(generator, runStart).state, 'running');
+
+  const held = evaluate(generator, 180000, { demand: null });
+  assert.equal(held.state, 'running');
+  assert.equal(held.nextEvaluationAt, runStart + 30 * 60000);
+
+  const coolDown = evaluate(generator, runStart + 30 * 60000, { demand: null });
+  assert.equal(coolDown.state, 'cool-down');
+  assert.deepEqual(coolDown.outputs, { relay: true, acInput: false });
+
+  const stopped = evaluate(generator, runStart + 33 * 60000, { demand: null });
+  assert.deepEqual(stopped.outputs, { relay: false, acInput: false });
+  // Warm-up, 30min run and cool-down
+  assert.equal(generator.getState().runHoursToday, 35 / 60);
+});
+
+test('a block such as quiet hours stops a run straight away', () => {
+  const generator = createGeneratorController(null);
+  evaluate(generator, 0);
+  evaluate(generator, 1000);
+  evaluate(generator, 121000);
+  const blocked = evaluate(generator, 180000, { block: 'Quiet hours (Night 22:00-07:00)' });
+  assert.equal(blocked.state, 'cool-down');
+  assert.equal(generator.getState().reason, 'Quiet hours (Night 22:00-07:00)');
+  assert.equal(evaluate(generator, 200000, { block: 'Quiet hours (Night 22:00-07:00)' }).state, 'cool-down');
+
+  const idle = createGeneratorController(null);
+  assert.equal(evaluate(idle, 0, { block: 'Shore power available' }).state, 'stopped');
+});
+
+test('retries a failed start, then alarms until the next successful start', () => {
+  const generator = createGeneratorController(null);
+  const noAc = { acPresent: false };
+  let now = 0;
+  evaluate(generator, now, noAc);
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    now += 30000;
+    const result = evaluate(generator, now, noAc);
+    assert.deepEqual(result.outputs, { relay: false, acInput: false });
+    if (attempt < 3) {
+      assert.equal(result.state, 'resting');
+      now += 60000;
+      assert.equal(evaluate(generator, now, noAc).state, 'starting');
+    } else {
+      assert.equal(result.state, 'failed');
+      assert.deepEqual(result.notifications.map(n => [n.name, n.state]), [['generator', 'alarm']]);
+    }
+  }
+
+  assert.equal(evaluate(generator, now + 1000, noAc).state, 'failed');
+  assert.equal(evaluate(generator, now + 2000, { demand: null }).state, 'stopped');
+  evaluate(generator, now + 3000, noAc);
+  const started = evaluate(generator, now + 4000);
+  assert.equal(started.state, 'warm-up');
+  assert.deepEqual(started.notifications.map(n => [n.name, n.state]), [['generator', 'normal']]);
+});
+
+test('without AC voltage monitoring a start is assumed to succeed', () => {
+  const generator = createGeneratorController(null);
+  evaluate(generator, 0, { acPresent: null });
+  assert.equal(evaluate(generator, 1000, { acPresent: null }).state, 'warm-up');
+});
+
+test('daily run limit stops the generator and resets the next day', () => {
+  const settings = { ...SETTINGS, maxRunHoursPerDay: 1, minRunMinutes: 0 };
+  const generator = createGeneratorController(null);
+  const run = (now, day = '2026-07-01') => generator.evaluate({ now: now, settings: settings, day: day, demand: 'High load', block: null, acPresent: true });
+  run(0);
+  run(1000);
+  assert.equal(run(121000).state, 'running');
+  assert.equal(run(3599000).state, 'running');
+  assert.equal(run(3601000).state, 'cool-down');
+  assert.equal(generator.getState().reason, 'Daily run limit 1h reached');
+  run(3601000 + 180000);
+  assert.equal(run(4000000).state, 'stopped');
+  assert.equal(run(4001000, '2026-07-02').state, 'starting');
+});
+
+test('saves and restores the daily run time', () => {
+  withDirectory(directory => {
+    const stateFile = path.join(directory, 'generator-state.json');
+    const generator = createGeneratorController(stateFile);
+    evaluate(generator, 0);
+    evaluate(generator, 1000);
+    evaluate(generator, 1000 + 3600000);
+    generator.save();
+
+    const restored = createGeneratorController(stateFile);
+    restored.load();
+    assert.equal(restored.getState().runHoursToday, 1);
+    assert.equal(restored.getState().runDay, '2026-07-01');
+  });
+});
+
+test('is disabled when its relay is the grid contactor relay', () => {
+  const messages = [];
+  const config = buildConfig({ ...BATTERY, controlMethod: 'cerbo-gx', paths: { relayNumber: 2 }, generator: { enabled: true } }, (level, message) => messages.push(message));
+  assert.equal(config.generator.enabled, false);
+  assert.ok(messages.some(message => /also the grid contactor relay/.test(message)));
+  assert.equal(SETTINGS.relayControl, 'electrical.switches.relay2.state');
+});
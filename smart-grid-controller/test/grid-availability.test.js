@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGridAvailability } = require('../lib/grid-availability');
+const { buildConfig } = require('../lib/config');
+
+// Defaults: 180-270V, 45-65Hz, changes confirmed after 5s
+const BATTERY = { batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 } };
+const SETTINGS = buildConfig(BATTERY, () => {}).gridAvailability;
+
+function update(tracker, now, inputs = {}) {
+  return tracker.update({ now: now, settings: SETTINGS, voltage: 230, frequency: 50, requested: true, lowBattery: false, ...inputs });
+}
+
+test('first reading sets availability straight away, unknown without a voltage', () => {
+  const tracker = createGridAvailability();
+  assert.equal(update(tracker, 0, { voltage: null }).available, null);
+  const first = update(tracker, 1000);
+  assert.equal(first.available, true);
+  assert.equal(first.changed, true);
+  assert.equal(update(tracker, 2000, { voltage: null }).available, null);
+});
+
+test('voltage or frequency out of range is unavailable, a missing frequency is not checked', () => {
+  assert.equal(update(createGridAvailability(), 0, { voltage: 0 }).available, false);
+  assert.equal(update(createGridAvailability(), 0, { voltage: 285 }).available, false);
+  assert.equal(update(createGridAvailability(), 0, { frequency: 40 }).available, false);
+  assert.equal(update(createGridAvailability(), 0, { frequency: null }).available, true);
+});
+
+test('an outage counts only once it has lasted the confirm time', () => {
+  const tracker = createGridAvailability();
+  update(tracker, 0);
+  const blip = update(tracker, 1000, { voltage: 0 });
+  assert.equal(blip.available, true);
+  assert.equal(blip.nextEvaluationAt, 6000);
+  assert.equal(update(tracker, 3000).available, true);
+  assert.equal(tracker.getState().outages, 0);
+
+  update(tracker, 10000, { voltage: 0 });
+  const lost = update(tracker, 15000, { voltage: 0 });
+  assert.equal(lost.available, false);
+  assert.equal(lost.changed, true);
+  assert.equal(tracker.getState().since, 10000);
+  assert.equal(tracker.getState().outages, 1);
+});
+
+test('time without grid is only counted while the grid is allowed', () => {
+  const tracker = createGridAvailability();
+  update(tracker, 0, { voltage: 0 });
+  update(tracker, 60000, { voltage: 0, requested: false });
+  update(tracker, 120000, { voltage: 0, requested: false });
+  update(tracker, 150000, { voltage: 0 });
+  assert.equal(tracker.getState().unavailableWhileRequestedSeconds, 60);
+});
+
+test('alarms while a low battery wants the grid and none is present', () => {
+  const tracker = createGridAvailability();
+  assert.deepEqual(update(tracker, 0, { voltage: 0 }).notifications, []);
+  const raised = update(tracker, 1000, { voltage: 0, lowBattery: true });
+  assert.equal(raised.notifications.length, 1);
+  assert.equal(raised.notifications[0].name, 'gridUnavailable');
+  assert.equal(raised.notifications[0].state, 'alarm');
+  assert.deepEqual(update(tracker, 2000, { voltage: 0, lowBattery: true }).notifications, []);
+
+  update(tracker, 3000, { lowBattery: true });
+  const cleared = update(tracker, 8000, { lowBattery: true });
+  assert.equal(cleared.notifications[0].state, 'normal');
+});
+
+test('no alarm while the grid is not allowed', () => {
+  const tracker = createGridAvailability();
+  assert.deepEqual(update(tracker, 0, { voltage: 0, lowBattery: true, requested: false }).notifications, []);
+});
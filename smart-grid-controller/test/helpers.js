@@ -0,0 +1,25 @@
+// Shared test fixtures - a temp directory standing in for the plugin data directory
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function createDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'smart-grid-controller-'));
+}
+
+function removeDirectory(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+// Run `run(directory)` in a fresh temp directory, removed afterwards even when the test fails
+function withDirectory(run) {
+  const directory = createDirectory();
+  try {
+    run(directory);
+  } finally {
+    removeDirectory(directory);
+  }
+}
+
+module.exports = { createDirectory, removeDirectory, withDirectory };
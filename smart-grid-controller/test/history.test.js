@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createHistory, parseHistoryQuery, toCsv } = require('../lib/history');
+const { withDirectory } = require('./helpers');
+
+const SNAPSHOT = { voltage: 52.1234, soc: 48.26, load: 812.4 };
+const T0 = Date.parse('2026-07-01T22:00:00Z');
+
+test('records events with a rounded snapshot and reads them back in order', () => {
+  withDirectory(directory => {
+    const history = createHistory(directory, { maxFileBytes: 100000, maxFiles: 3 });
+    history.record('grid', 'Active conditions: Voltage: 47.00V', SNAPSHOT, { state: true }, T0);
+    history.record('override', 'Manual override STARTED: force-off', null, { mode: 'force-off' }, T0 + 60000);
+
+    const entries = history.query({});
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[0], { time: '2026-07-01T22:00:00.000Z', type: 'grid', reason: 'Active conditions: Voltage: 47.00V', voltage: 52.12, soc: 48.3, load: 812, state: true });
+    assert.equal(entries[1].voltage, null);
+  });
+});
+
+test('filters by time range and event type, limit keeps the newest', () => {
+  withDirectory(directory => {
+    const history = createHistory(directory, { maxFileBytes: 100000, maxFiles: 3 });
+    for (let minute = 0; minute < 10; minute++) {
+      history.record(minute % 2 === 0 ? 'grid' : 'condition', `Event ${minute}`, SNAPSHOT, {}, T0 + minute * 60000);
+    }
+    assert.deepEqual(history.query({ from: T0 + 2 * 60000, to: T0 + 4 * 60000 }).map(entry => entry.reason), ['Event 2', 'Event 3', 'Event 4']);
+    assert.deepEqual(history.query({ types: ['condition'], limit: 2 }).map(entry => entry.reason), ['Event 7', 'Event 9']);
+  });
+});
+
+test('rotates at the size limit and keeps at most maxFiles files', () => {
+  withDirectory(directory => {
+    const history = createHistory(directory, { maxFileBytes: 400, maxFiles: 3 });
+    for (let index = 0; index < 40; index++) {
+      history.record('grid', `Switch ${index}`, SNAPSHOT, { state: index % 2 === 0 }, T0 + index * 1000);
+    }
+    const files = fs.readdirSync(directory).sort();
+    assert.deepEqual(files, ['history.1.jsonl', 'history.2.jsonl', 'history.jsonl']);
+    files.forEach(file => assert.ok(fs.statSync(path.join(directory, file)).size <= 400));
+
+    // Oldest entries were dropped with the oldest file, the rest are still in order
+    const reasons = history.query({}).map(entry => entry.reason);
+    assert.equal(reasons[reasons.length - 1], 'Switch 39');
+    assert.ok(!reasons.includes('Switch 0'));
+    assert.deepEqual(reasons, [...reasons].sort((a, b) => Number(a.split(' ')[1]) - Number(b.split(' ')[1])));
+  });
+});
+
+test('a history file survives a restart and a half-written line is skipped', () => {
+  withDirectory(directory => {
+    createHistory(directory, { maxFileBytes: 100000, maxFiles: 3 }).record('config', 'Plugin started', null, {}, T0);
+    fs.appendFileSync(path.join(directory, 'history.jsonl'), '{"time":"2026-07-01T22:0');
+    const reopened = createHistory(directory, { maxFileBytes: 100000, maxFiles: 3 });
+    assert.deepEqual(reopened.query({}).map(entry => entry.reason), ['Plugin started']);
+  });
+});
+
+test('parses query parameters and rejects invalid ones', () => {
+  assert.deepEqual(parseHistoryQuery({ from: '2026-07-01T22:00:00Z', type: 'grid, override', format: 'csv', limit: '50' }), {
+    from: T0, to: null, types: ['grid', 'override'], format: 'csv', limit: 50
+  });
+  assert.equal(parseHistoryQuery({}).format, 'json');
+  assert.throws(() => parseHistoryQuery({ from: 'yesterday' }), /Invalid 'from' time/);
+  assert.throws(() => parseHistoryQuery({ from: '2026-07-02T00:00:00Z', to: '2026-07-01T00:00:00Z' }), /after/);
+  assert.throws(() => parseHistoryQuery({ type: 'grid,weather' }), /Unknown event type 'weather'/);
+  assert.throws(() => parseHistoryQuery({ format: 'xml' }), /Invalid format/);
+  assert.throws(() => parseHistoryQuery({ limit: '0' }), /Invalid limit/);
+});
+
+test('CSV has the common columns first and quotes reasons with commas', () => {
+  const csv = toCsv([
+    { time: '2026-07-01T22:00:00.000Z', type: 'grid', reason: 'Active conditions: Load: 2600.0W, SoC: 8.0%', voltage: 52.1, soc: 8, load: 2600, state: true },
+    { time: '2026-07-01T22:05:00.000Z', type: 'override', reason: 'Manual override STARTED: force-off', voltage: null, soc: null, load: null, mode: 'force-off' }
+  ]);
+  assert.equal(csv, [
+    'time,type,reason,voltage,soc,load,state,mode',
+    '2026-07-01T22:00:00.000Z,grid,"Active conditions: Load: 2600.0W, SoC: 8.0%",52.1,8,2600,true,',
+    '2026-07-01T22:05:00.000Z,override,Manual override STARTED: force-off,,,,,force-off',
+    ''
+  ].join('\n'));
+});
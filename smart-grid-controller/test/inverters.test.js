@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeInverters, phaseLoads } = require('../lib/inverters');
+const { buildConfig, DEFAULT_PATHS } = require('../lib/config');
+
+const BATTERY = { batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 } };
+
+test('without a list the single unit from the paths is used', () => {
+  const { inverters, errors } = normalizeInverters([], DEFAULT_PATHS);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(inverters, [{
+    name: 'MultiPlus II GX',
+    load: DEFAULT_PATHS.load,
+    gridPower: DEFAULT_PATHS.gridPower,
+    acInputControl: DEFAULT_PATHS.acInputControl,
+    acInput2Control: DEFAULT_PATHS.acInput2Control,
+    currentLimitControl: DEFAULT_PATHS.currentLimitControl,
+    vebusService: DEFAULT_PATHS.vebusService,
+    phase: null
+  }]);
+});
+
+test('derives paths from the VE.Bus instance, explicit paths win', () => {
+  const { inverters } = normalizeInverters([
+    { name: 'L1', instance: 276, vebusService: 'com.victronenergy.vebus.ttyS4', phase: 'L1' },
+    { instance: '277', loadPath: 'electrical.inverters.277.acout.l2.power', vebusService: 'com.victronenergy.vebus.ttyS5', phase: 'L2' }
+  ], DEFAULT_PATHS);
+  assert.deepEqual(inverters.map(inverter => [inverter.name, inverter.load, inverter.acInputControl, inverter.phase]), [
+    ['L1', 'electrical.inverters.276.acout.power', 'electrical.inverters.276.acState.ignoreAcIn1.state', 'L1'],
+    ['Inverter 2', 'electrical.inverters.277.acout.l2.power', 'electrical.inverters.277.acState.ignoreAcIn1.state', 'L2']
+  ]);
+});
+
+test('reports and leaves out invalid units', () => {
+  const { inverters, errors } = normalizeInverters([
+    { name: 'A', instance: '275', vebusService: 'com.victronenergy.vebus.ttyS3' },
+    { name: 'B', vebusService: 'com.victronenergy.vebus.ttyS4' },
+    { name: 'C', instance: '277' },
+    { name: 'D', instance: '278', vebusService: 'com.victronenergy.vebus.ttyS6', phase: 'L4' },
+    { name: 'E', instance: '275', vebusService: 'com.victronenergy.vebus.ttyS3' }
+  ], DEFAULT_PATHS);
+  assert.deepEqual(inverters.map(inverter => inverter.name), ['A']);
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /^B: needs a VE.Bus instance/);
+  assert.match(errors[1], /^C: D-Bus service is required/);
+  assert.match(errors[2], /^D: unknown phase 'L4'/);
+  assert.match(errors[3], /^E: AC input control .* is already used by A/);
+});
+
+test('adds parallel units on the same phase', () => {
+  const inverters = [{ phase: 'L1' }, { phase: 'L1' }, { phase: 'L2' }];
+  assert.deepEqual(phaseLoads(inverters, [1000, 1200, 300]), { L1: 2200, L2: 300 });
+});
+
+test('per-phase evaluation falls back to the total when a unit has no phase', () => {
+  const messages = [];
+  const config = buildConfig({
+    ...BATTERY,
+    inverters: [
+      { instance: '275', vebusService: 'com.victronenergy.vebus.ttyS3', phase: 'L1' },
+      { instance: '276', vebusService: 'com.victronenergy.vebus.ttyS4' }
+    ],
+    loadThresholds: { mode: 'per-phase' }
+  }, (level, message) => messages.push(message));
+  assert.equal(config.inverters.length, 2);
+  assert.equal(config.loadThresholds.mode, 'total');
+  assert.ok(messages.some(message => /needs a phase on every inverter unit/.test(message)));
+});
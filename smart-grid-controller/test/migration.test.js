@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG_VERSION, migrateOptions } = require('../lib/migration');
+const { validateConfig } = require('../lib/config');
+
+test('v1.x chemistry-only battery types get the cell count v1.x supported', () => {
+  const options = { batteryType: 'lifepo4', batteryCapacity: { batteryAh: 280 } };
+  const { options: migrated, migrations } = migrateOptions(options);
+  assert.equal(migrated.batteryType, 'lifepo4-16s');
+  assert.equal(migrated.configVersion, CONFIG_VERSION);
+  assert.equal(migrations.length, 1);
+  assert.equal(options.batteryType, 'lifepo4');
+  assert.equal(migrateOptions({ batteryType: 'li-ncm' }).options.batteryType, 'li-ncm-15s');
+});
+
+test('v1.x pack voltage thresholds are removed', () => {
+  const { options, migrations } = migrateOptions({ batteryType: 'li-ncm-15s', voltageThresholds: { lowVoltageEnable: 51, highVoltageProtection: 61.5 } });
+  assert.equal(options.voltageThresholds, undefined);
+  assert.match(migrations[0], /lowVoltageEnable 51V, highVoltageProtection 61.5V/);
+});
+
+test('current options are left alone', () => {
+  const current = { batteryType: 'li-ncm', configVersion: CONFIG_VERSION };
+  assert.deepEqual(migrateOptions(current), { options: current, migrations: [] });
+  assert.deepEqual(migrateOptions({ batteryType: 'lifepo4-16s' }).migrations, []);
+});
+
+test('a migrated v1.x configuration validates, apart from the Ah rating v1.x never had', () => {
+  const withoutAh = validateConfig({ batteryType: 'li-ncm' }, () => {});
+  assert.equal(withoutAh.config, null);
+  assert.deepEqual(withoutAh.errors.map(error => error.field), ['batteryCapacity.batteryAh']);
+  assert.equal(withoutAh.migrations.length, 1);
+
+  const { config, errors } = validateConfig({ batteryType: 'li-ncm', batteryCapacity: { batteryAh: 100 } }, () => {});
+  assert.equal(config.chemistry, 'li-ncm');
+  assert.equal(config.cellCount, 15);
+  assert.deepEqual(errors, []);
+});
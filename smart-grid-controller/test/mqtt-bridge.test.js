@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { discoveryMessages, parseCommand, createMqttBridge } = require('../lib/mqtt-bridge');
+
+const SETTINGS = { enabled: true, url: 'mqtt://localhost:1883', username: null, password: null, baseTopic: 'boat/grid', discovery: true, discoveryPrefix: 'homeassistant' };
+const DEVICE = { name: 'Smart Grid Controller', version: '2.0.0' };
+
+const STATE = {
+  gridEnabled: true,
+  conditions: { load: true, voltage: false, soc: false, schedule: false, storage: false },
+  protections: { battery: false, emergency: false, highTemperature: false, temperatureEmergency: false, coldCharge: false },
+  dataLost: false,
+  degraded: false,
+  shadowMode: false,
+  override: 'auto',
+  soc: 62.5,
+  voltage: 52.31,
+  load: 2650,
+  lastSwitch: { state: true, reason: 'Active conditions: Load: 2650.0W', time: '2026-07-01T12:00:00.000Z' }
+};
+
+// Stand-in for an mqtt.js client - records what is published and subscribed
+function fakeConnect() {
+  const client = new EventEmitter();
+  client.published = [];
+  client.subscribed = [];
+  client.ended = false;
+  client.publish = (topic, payload, options) => client.published.push({ topic, payload, options });
+  client.subscribe = topics => client.subscribed.push(...topics);
+  client.end = () => { client.ended = true; };
+  const connect = (url, options) => {
+    client.url = url;
+    client.options = options;
+    return client;
+  };
+  return { client, connect };
+}
+
+function startBridge(onCommand = () => {}, log = () => {}) {
+  const { client, connect } = fakeConnect();
+  const bridge = createMqttBridge({ settings: SETTINGS, device: DEVICE, connect: connect, onCommand: onCommand, log: log });
+  bridge.start();
+  client.emit('connect');
+  return { bridge, client };
+}
+
+test('discovery configs share the state and availability topics, the select takes commands', () => {
+  const messages = discoveryMessages(SETTINGS, DEVICE);
+  const grid = messages.find(message => message.topic === 'homeassistant/binary_sensor/boat_grid/grid_enabled/config');
+  const config = JSON.parse(grid.payload);
+  assert.equal(config.state_topic, 'boat/grid/state');
+  assert.equal(config.availability_topic, 'boat/grid/availability');
+  assert.equal(config.unique_id, 'boat_grid_grid_enabled');
+  assert.deepEqual(config.device.identifiers, ['boat_grid']);
+
+  const select = JSON.parse(messages.find(message => message.topic === 'homeassistant/select/boat_grid/override/config').payload);
+  assert.equal(select.command_topic, 'boat/grid/override/set');
+  assert.deepEqual(select.options, ['auto', 'force-on', 'force-off']);
+  assert.equal(new Set(messages.map(message => JSON.parse(message.payload).unique_id)).size, messages.length);
+});
+
+test('commands are a plain mode or the REST override JSON', () => {
+  assert.equal(parseCommand(Buffer.from('force-on')), 'force-on');
+  assert.deepEqual(parseCommand(Buffer.from('{"mode":"force-off","durationMinutes":30}')), { mode: 'force-off', durationMinutes: 30 });
+  assert.throws(() => parseCommand(Buffer.from('{"mode":')), /Invalid override command/);
+});
+
+test('connects with a last will and announces itself with discovery', () => {
+  const { client } = startBridge();
+  assert.deepEqual(client.options.will, { topic: 'boat/grid/availability', payload: 'offline', qos: 1, retain: true });
+  assert.deepEqual(client.subscribed, ['boat/grid/override/set', 'homeassistant/status']);
+  assert.deepEqual(client.published[0], { topic: 'boat/grid/availability', payload: 'online', options: { qos: 1, retain: true } });
+  assert.equal(client.published.filter(message => message.topic.startsWith('homeassistant/')).length, discoveryMessages(SETTINGS, DEVICE).length);
+});
+
+test('state is published on discrete changes, measurements at most every 10 seconds', () => {
+  const { bridge, client } = startBridge();
+  const stateMessages = () => client.published.filter(message => message.topic === 'boat/grid/state');
+  bridge.publishState(STATE, 0);
+  assert.deepEqual(JSON.parse(stateMessages()[0].payload), STATE);
+
+  bridge.publishState({ ...STATE, load: 2700 }, 1000);
+  assert.equal(stateMessages().length, 1);
+  bridge.publishState({ ...STATE, load: 2700, override: 'force-on' }, 2000);
+  assert.equal(stateMessages().length, 2);
+  bridge.publishState({ ...STATE, load: 2800, override: 'force-on' }, 12000);
+  assert.equal(stateMessages().length, 3);
+});
+
+test('routes override commands and logs rejected ones', () => {
+  const commands = [];
+  const warnings = [];
+  const { client } = startBridge(request => {
+    if (request === 'sideways') throw new Error("Invalid override mode 'sideways'");
+    commands.push(request);
+  }, (level, message) => warnings.push(message));
+  client.emit('message', 'boat/grid/override/set', Buffer.from('force-on'));
+  client.emit('message', 'boat/grid/override/set', Buffer.from('sideways'));
+  assert.deepEqual(commands, ['force-on']);
+  assert.match(warnings.at(-1), /Rejected MQTT override command - Invalid override mode 'sideways'/);
+});
+
+test('republishes discovery when Home Assistant comes online, and goes offline on stop', () => {
+  const { bridge, client } = startBridge();
+  bridge.publishState(STATE, 0);
+  const before = client.published.length;
+  client.emit('message', 'homeassistant/status', Buffer.from('online'));
+  assert.equal(client.published.length - before, discoveryMessages(SETTINGS, DEVICE).length + 1);
+
+  bridge.stop();
+  assert.deepEqual(client.published.at(-1), { topic: 'boat/grid/availability', payload: 'offline', options: { qos: 1, retain: true } });
+  assert.equal(client.ended, true);
+});
@@ -0,0 +1,473 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const smartGridController = require('../index');
+const { createDirectory, removeDirectory } = require('./helpers');
+
+const T0 = Date.parse('2026-07-01T12:00:00Z');
+
+// 16S LiFePO4: low voltage disable 52V, protection 55.2V, emergency 58.4V - no delays, no anti-cycling,
+// and a charging window that never opens (29 Feb only) so nothing but the inputs switches the grid
+const OPTIONS = {
+  batteryType: 'lifepo4-16s',
+  batteryCapacity: { batteryAh: 280 },
+  controlMethod: 'cerbo-gx',
+  scheduleSettings: { windows: [{ name: 'Never', start: '00:00', end: '00:01', startDate: '02-29', endDate: '02-29' }] },
+  timing: { startupGraceSeconds: 0, enableDelaySeconds: 0, disableDelaySeconds: 0, minOnSeconds: 0, minOffSeconds: 0, maxSwitchesPerHour: 0 },
+  actuation: { confirm: false },
+  history: { enabled: false },
+  energy: { enabled: false },
+  gridAvailability: { enabled: false }
+};
+const RELAY = 'electrical.switches.relay1.state';
+
+/**
+ * The plugin on a stand-in Signal K server, with a clock the test moves.
+ * Returns { plugin, app, set (one tree value, from `source` if given), setInputs (voltage, load, gridVoltage - delivered as a delta),
+ *           deliver (a delta with nothing new), writes (values sent to a path), relayWrites, notifications (states raised),
+ *           request (route handler call - { status, body }), tick, cleanup }
+ */
+function createHarness(t, options = OPTIONS) {
+  const directory = createDirectory();
+  let clock = T0;
+  t.mock.method(Date, 'now', () => clock);
+  ['debug', 'info', 'warn', 'error'].forEach(level => t.mock.method(console, level, () => {}));
+
+  const tree = {};
+  let onDelta = null;
+  const app = {
+    messages: [],
+    readPluginOptions: () => options,
+    getDataDirPath: () => directory,
+    getSelfPath: selfPath => selfPath.split('.').reduce((node, key) => (node === undefined ? undefined : node[key]), tree),
+    handleMessage: (id, delta) => app.messages.push(delta),
+    registerPutHandler: () => {},
+    subscriptionmanager: {
+      subscribe: (subscription, unsubscribes, onError, callback) => {
+        onDelta = callback;
+        unsubscribes.push(() => { onDelta = null; });
+      }
+    }
+  };
+
+  const routes = {};
+  const plugin = smartGridController(app);
+  plugin.registerWithRouter({
+    get: (route, handler) => { routes[`GET ${route}`] = handler; },
+    post: (route, handler) => { routes[`POST ${route}`] = handler; }
+  });
+
+  function set(selfPath, value, source) {
+    const keys = selfPath.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), tree);
+    parent[keys[keys.length - 1]] = { value: value, timestamp: new Date(clock).toISOString(), ...(source ? { $source: source } : {}) };
+  }
+
+  function deliver() {
+    clock += 2000;
+    if (onDelta) onDelta({});
+  }
+
+  function writes(selfPath) {
+    return app.messages
+      .flatMap(delta => delta.updates.flatMap(update => update.values || []))
+      .filter(value => value.path === selfPath)
+      .map(value => value.value);
+  }
+
+  return {
+    plugin,
+    app,
+    set,
+    tick: ms => { clock += ms; },
+    setInputs({ voltage, load = 0, gridVoltage }) {
+      clock += 2000;
+      set('electrical.chargers.275.voltage', voltage);
+      set('electrical.inverters.275.acout.power', load);
+      set('electrical.chargers.275.power', 0);
+      if (gridVoltage !== undefined) set('electrical.inverters.275.acin.voltage', gridVoltage);
+      if (onDelta) onDelta({});
+    },
+    deliver,
+    writes,
+    relayWrites: () => writes(RELAY),
+    notifications: name => writes(`notifications.electrical.gridController.${name}`).map(notification => notification.state),
+    request(method, route, { query = {}, body } = {}) {
+      let response = { status: 200, body: undefined };
+      const res = {
+        status: code => { response.status = code; return res; },
+        json: body => { response.body = body; return res; },
+        type: () => res,
+        send: body => { response.body = body; return res; }
+      };
+      routes[`${method} ${route}`]({ query: query, body: body }, res);
+      return response;
+    },
+    cleanup() {
+      plugin.stop();
+      removeDirectory(directory);
+    }
+  };
+}
+
+// The startup grace period ends on a zero-length timer
+function endStartupGrace() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test('a restart while the grid is off still disconnects on emergency overvoltage', async t => {
+  const harness = createHarness(t);
+  try {
+    harness.plugin.start();
+    await endStartupGrace();
+    harness.setInputs({ voltage: 53 });
+    assert.deepEqual(harness.relayWrites(), [1, 0]);
+
+    // A config save restarts the plugin - the startup enable turns the grid back on
+    harness.plugin.stop();
+    harness.plugin.start();
+    await endStartupGrace();
+    assert.deepEqual(harness.relayWrites(), [1, 0, 1]);
+
+    harness.setInputs({ voltage: 58.5 });
+    assert.deepEqual(harness.relayWrites(), [1, 0, 1, 0]);
+    const status = harness.request('GET', '/status').body;
+    assert.equal(status.gridState, false);
+    assert.equal(status.protections.emergency, true);
+  } finally {
+    harness.cleanup();
+  }
+});
+
+test('a restart does not carry the previous run\'s override into the new run', async t => {
+  const harness = createHarness(t);
+  try {
+    harness.plugin.start();
+    await endStartupGrace();
+    harness.request('POST', '/override', { body: { mode: 'force-on' } });
+    harness.setInputs({ voltage: 53 });
+    assert.deepEqual(harness.relayWrites(), [1]);
+
+    harness.plugin.stop();
+    harness.plugin.start();
+    await endStartupGrace();
+    assert.equal(harness.request('GET', '/override').body.mode, 'auto');
+
+    // No condition holds the grid on - the forced ON ended with the run it was set in
+    harness.setInputs({ voltage: 53 });
+    assert.deepEqual(harness.relayWrites(), [1, 1, 0]);
+  } finally {
+    harness.cleanup();
+  }
+});
+
+test('the startup grace period is held while the grid AC input is dead', async t => {
+  const harness = createHarness(t, { ...OPTIONS, gridAvailability: { enabled: true, confirmSeconds: 0 } });
+  try {
+    harness.plugin.start();
+    harness.setInputs({ voltage: 53, gridVoltage: 0 });
+    await endStartupGrace();
+    assert.equal(harness.request('GET', '/status').body.startupGrace, true);
+
+    // No condition wants the grid, but the grace period has not had a live input yet
+    harness.setInputs({ voltage: 53, gridVoltage: 0 });
+    assert.deepEqual(harness.relayWrites(), [1]);
+
+    // Input back - the grace period restarts in full, then normal evaluation disconnects
+    harness.setInputs({ voltage: 53, gridVoltage: 230 });
+    assert.deepEqual(harness.relayWrites(), [1]);
+    await endStartupGrace();
+    harness.setInputs({ voltage: 53, gridVoltage: 230 });
+    assert.equal(harness.request('GET', '/status').body.startupGrace, false);
+    assert.deepEqual(harness.relayWrites(), [1, 0]);
+  } finally {
+    harness.cleanup();
+  }
+});
+
+test('devices found only at the end of the startup grace period are sent the grid state', async t => {
+  const harness = createHarness(t, { ...OPTIONS, controlMethod: 'multiplus-gx', paths: { autoDiscover: true } });
+  try {
+    // Nothing in the tree yet - the startup enable goes to the configured inverter
+    harness.plugin.start();
+    assert.deepEqual(harness.writes('electrical.inverters.275.acState.ignoreAcIn1.state'), [0]);
+
+    harness.set('electrical.chargers.276.voltage', 53);
+    harness.set('electrical.inverters.276.acout.power', 0);
+    await endStartupGrace();
+    assert.deepEqual(harness.writes('electrical.inverters.276.acState.ignoreAcIn1.state'), [0]);
+  } finally {
+    harness.cleanup();
+  }
+});
+
+test('GET /status has the fields the dashboard reads', async t => {
+  const harness = createHarness(t);
+  try {
+    harness.plugin.start();
+    await endStartupGrace();
+    harness.setInputs({ voltage: 53, load: 800 });
+    const { status, body } = harness.request('GET', '/status');
+    assert.equal(status, 200);
+    assert.equal(body.gridState, false);
+    assert.deepEqual(body.override, { mode: 'auto', expiresAt: null, untilSoc: null, startedAt: null, source: null });
+    assert.deepEqual(Object.keys(body.conditions), ['load', 'voltage', 'soc', 'time', 'storage']);
+    assert.equal(body.protections.emergency, false);
+    assert.equal(body.dataLost, false);
+    assert.equal(body.startupGrace, false);
+    assert.equal(body.shadowMode, false);
+    assert.equal(body.storage, null);
+    assert.equal(body.balancing, null);
+    assert.equal(body.lastSwitch.state, false);
+    assert.deepEqual(body.antiCycling, { switchesLastHour: 1, held: null });
+    assert.equal(body.actuation.degraded, false);
+    assert.deepEqual(body.thresholds.voltage, { enable: 48, disable: 52, protection: 55.2, emergency: 58.4 });
+    assert.equal(body.values.voltage, 53);
+    assert.equal(body.values.load, 800);
+    assert.deepEqual(body.configuration, { errors: [], warnings: [], migrations: [] });
+  } finally {
+    harness.cleanup();
+  }
+});
+
+test('POST /override rejects an invalid body and leaves the override as it was', async t => {
+  const harness = createHarness(t);
+  try {
+    harness.plugin.start();
+    await endStartupGrace();
+    [
+      { mode: 'off' },
+      { mode: 'force-on', durationMinutes: -5 },
+      { mode: 'force-on', untilSoc: 120 },
+      { mode: 'force-on', expires: 'tomorrow' }
+    ].forEach(body => {
+      const response = harness.request('POST', '/override', { body: body });
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, /^Invalid override/);
+    });
+    assert.equal(harness.request('POST', '/override', { body: undefined }).status, 400);
+    assert.equal(harness.request('GET', '/override').body.mode, 'auto');
+  } finally {
+    harness.cleanup();
+  }
+});
+
+test('POST /override starts and clears an override, GET /override reports it', async t => {
+  const harness = createHarness(t);
+  try {
+    harness.plugin.start();
+    await endStartupGrace();
+    const started = harness.request('POST', '/override', { body: { mode: 'force-off', durationMinutes: 30 } });
+    assert.equal(started.status, 200);
+    assert.deepEqual(started.body, {
+      mode: 'force-off',
+      expiresAt: new Date(T0 + 30 * 60000).toISOString(),
+      untilSoc: null,
+      startedAt: new Date(T0).toISOString(),
+      source: 'REST API'
+    });
+    assert.deepEqual(harness.request('GET', '/override').body, started.body);
+
+    const cleared = harness.request('POST', '/override', { body: { mode: 'auto' } });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.mode, 'auto');
+  } finally {
+    harness.cleanup();
+  }
+});
+
+test('GET /history is a 404 while the history is off, and answers queries while it is on', async t => {
+  const off = createHarness(t);
+  try {
+    off.plugin.start();
+    const response = off.request('GET', '/history', { query: { type: 'grid', limit: '1000' } });
+    assert.equal(response.status, 404);
+    assert.deepEqual(response.body, { error: 'Event history is disabled' });
+  } finally {
+    off.cleanup();
+  }
+
+  const on = createHarness(t, { ...OPTIONS, history: { enabled: true } });
+  try {
+    on.plugin.start();
+    await endStartupGrace();
+    on.setInputs({ voltage: 53 });
+    const grid = on.request('GET', '/history', { query: { type: 'grid', limit: '1000' } });
+    assert.equal(grid.status, 200);
+    assert.deepEqual(grid.body.map(entry => entry.state), [true, false]);
+    assert.equal(on.request('GET', '/history', { query: { limit: '0' } }).status, 400);
+  } finally {
+    on.cleanup();
+  }
+});
+
+test('stopping the plugin stops a running generator', async t => {
+  const harness = createHarness(t, { ...OPTIONS, generator: { enabled: true, warmUpSeconds: 0 } });
+  const generatorWrites = () => harness.app.messages
+    .flatMap(delta => delta.updates.flatMap(update => update.values || []))
+    .filter(value => ['electrical.switches.relay2.state', 'electrical.inverters.275.acState.ignoreAcIn2.state'].includes(value.path))
+    .map(value => `${value.path.includes('relay2') ? 'relay' : 'ignoreAcIn2'} ${value.value}`);
+  try {
+    harness.plugin.start();
+    await endStartupGrace();
+    // Low voltage: the condition comes on, the generator starts, warms up and runs
+    [1, 2, 3, 4].forEach(() => harness.setInputs({ voltage: 47.5 }));
+    assert.equal(harness.request('GET', '/status').body.generator.state, 'running');
+    assert.deepEqual(generatorWrites(), ['ignoreAcIn2 1', 'relay 0', 'relay 1', 'ignoreAcIn2 0']);
+
+    harness.plugin.stop();
+    assert.deepEqual(generatorWrites().slice(4), ['ignoreAcIn2 1', 'relay 0']);
+  } finally {
+    harness.cleanup();
+  }
+});
+
+test.describe('data lost fail-safe', () => {
+  // Voltage and load go stale 30s after the last delta
+  function loseData(harness) {
+    harness.tick(30000);
+    harness.deliver();
+  }
+
+  test('hold keeps the grid as it was and raises the alarm', async t => {
+    const harness = createHarness(t);
+    try {
+      harness.plugin.start();
+      await endStartupGrace();
+      harness.setInputs({ voltage: 53 });
+      loseData(harness);
+      assert.deepEqual(harness.relayWrites(), [1, 0]);
+      assert.deepEqual(harness.notifications('dataLost'), ['alarm']);
+      assert.equal(harness.request('GET', '/status').body.dataLost, true);
+    } finally {
+      harness.cleanup();
+    }
+  });
+
+  test('grid-on forces the grid on', async t => {
+    const harness = createHarness(t, { ...OPTIONS, dataWatchdog: { failSafeAction: 'grid-on' } });
+    try {
+      harness.plugin.start();
+      await endStartupGrace();
+      harness.setInputs({ voltage: 53 });
+      loseData(harness);
+      assert.deepEqual(harness.relayWrites(), [1, 0, 1]);
+    } finally {
+      harness.cleanup();
+    }
+  });
+
+  test('grid-off forces the grid off', async t => {
+    const harness = createHarness(t, { ...OPTIONS, dataWatchdog: { failSafeAction: 'grid-off' } });
+    try {
+      harness.plugin.start();
+      await endStartupGrace();
+      // Low voltage holds for the second evaluation - the first one has no condition for the grid
+      harness.setInputs({ voltage: 47.5 });
+      harness.setInputs({ voltage: 47.5 });
+      assert.deepEqual(harness.relayWrites(), [1, 0, 1]);
+      loseData(harness);
+      assert.deepEqual(harness.relayWrites(), [1, 0, 1, 0]);
+    } finally {
+      harness.cleanup();
+    }
+  });
+
+  test('an override wins over the fail-safe', async t => {
+    const harness = createHarness(t, { ...OPTIONS, dataWatchdog: { failSafeAction: 'grid-off' } });
+    try {
+      harness.plugin.start();
+      await endStartupGrace();
+      harness.request('POST', '/override', { body: { mode: 'force-on' } });
+      harness.setInputs({ voltage: 53 });
+      loseData(harness);
+      harness.deliver();
+      assert.deepEqual(harness.relayWrites(), [1]);
+      assert.equal(harness.request('GET', '/status').body.dataLost, true);
+    } finally {
+      harness.cleanup();
+    }
+  });
+
+  test('fresh data clears the alarm and normal evaluation resumes', async t => {
+    const harness = createHarness(t, { ...OPTIONS, dataWatchdog: { failSafeAction: 'grid-on' } });
+    try {
+      harness.plugin.start();
+      await endStartupGrace();
+      harness.setInputs({ voltage: 53 });
+      loseData(harness);
+      assert.deepEqual(harness.relayWrites(), [1, 0, 1]);
+
+      harness.setInputs({ voltage: 53 });
+      assert.deepEqual(harness.relayWrites(), [1, 0, 1, 0]);
+      assert.deepEqual(harness.notifications('dataLost'), ['alarm', 'normal']);
+      assert.equal(harness.request('GET', '/status').body.dataLost, false);
+    } finally {
+      harness.cleanup();
+    }
+  });
+});
+
+test.describe('actuation confirmation', () => {
+  // 1ms confirmation timeout - the retries run on real timers
+  const CONFIRMED = { ...OPTIONS, actuation: { confirm: true, confirmTimeoutSeconds: 0.001, maxRetries: 2 } };
+  const GX = 'venus.com.victronenergy.system';
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  test('an unconfirmed command is retried, then raises the degraded alarm', async t => {
+    const harness = createHarness(t, CONFIRMED);
+    try {
+      harness.plugin.start();
+      await wait(50);
+      assert.deepEqual(harness.relayWrites(), [1, 1, 1]);
+      assert.deepEqual(harness.notifications('actuation'), ['alarm']);
+      const actuation = harness.request('GET', '/status').body.actuation;
+      assert.equal(actuation.degraded, true);
+      assert.equal(actuation.pending, null);
+    } finally {
+      harness.cleanup();
+    }
+  });
+
+  test('a command the relay reports back is confirmed without a retry', async t => {
+    const harness = createHarness(t, CONFIRMED);
+    try {
+      harness.set(RELAY, 1, GX);
+      harness.plugin.start();
+      await wait(50);
+      assert.deepEqual(harness.relayWrites(), [1]);
+      assert.deepEqual(harness.notifications('actuation'), []);
+      assert.notEqual(harness.request('GET', '/status').body.actuation.lastConfirmedAt, null);
+    } finally {
+      harness.cleanup();
+    }
+  });
+
+  test('a change made on the GX panel is detected, and cleared once the relay matches again', async t => {
+    const harness = createHarness(t, CONFIRMED);
+    try {
+      harness.set(RELAY, 1, GX);
+      harness.plugin.start();
+      await wait(50);
+      harness.setInputs({ voltage: 47.5 });
+      harness.setInputs({ voltage: 47.5 });
+      assert.deepEqual(harness.notifications('actuation'), []);
+
+      harness.set(RELAY, 0, GX);
+      harness.setInputs({ voltage: 47.5 });
+      assert.deepEqual(harness.notifications('actuation'), ['alarm']);
+      assert.match(harness.request('GET', '/status').body.actuation.message, /changed outside the controller/);
+
+      harness.set(RELAY, 1, GX);
+      harness.setInputs({ voltage: 47.5 });
+      // Reported, not fought - the relay was never written back
+      assert.deepEqual(harness.notifications('actuation'), ['alarm', 'normal']);
+      assert.deepEqual(harness.relayWrites(), [1, 0, 1]);
+    } finally {
+      harness.cleanup();
+    }
+  });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTime, getZonedTime, normalizeWindows, findActiveWindows, findActiveWindow, nextOccurrence } = require('../lib/schedule');
+
+function activeAt(windows, iso, timezone = 'UTC') {
+  const match = findActiveWindow(windows, getZonedTime(new Date(iso), timezone));
+  return match ? `${match.window.name}@${match.occurrence}` : null;
+}
+
+test('parseTime accepts HH:MM and 24:00 only as an end time', () => {
+  assert.equal(parseTime('05:30'), 330);
+  assert.equal(parseTime('24:00'), null);
+  assert.equal(parseTime('24:00', true), 1440);
+  assert.equal(parseTime('5:30'), null);
+});
+
+test('invalid windows are dropped with an error', () => {
+  const { windows, errors } = normalizeWindows([
+    { name: 'Good', start: '01:00', end: '05:00' },
+    { name: 'Bad time', start: '1am', end: '05:00' },
+    { name: 'Bad day', start: '01:00', end: '05:00', days: ['monday'] },
+    { name: 'Half range', start: '01:00', end: '05:00', startDate: '11-01' },
+    { name: 'Bad target', start: '01:00', end: '05:00', targetSoc: 120 }
+  ]);
+  assert.deepEqual(windows.map(window => window.name), ['Good']);
+  assert.equal(errors.length, 4);
+});
+
+test('window end is exclusive and start is inclusive', () => {
+  const { windows } = normalizeWindows([{ name: 'Night', start: '01:00', end: '05:00' }]);
+  assert.equal(activeAt(windows, '2026-06-15T00:59:00Z'), null);
+  assert.equal(activeAt(windows, '2026-06-15T01:00:00Z'), 'Night@2026-06-15');
+  assert.equal(activeAt(windows, '2026-06-15T04:59:00Z'), 'Night@2026-06-15');
+  assert.equal(activeAt(windows, '2026-06-15T05:00:00Z'), null);
+});
+
+test('a cross-midnight window belongs to the day it started', () => {
+  const { windows } = normalizeWindows([{ name: 'Friday night', start: '23:30', end: '05:30', days: ['fri'] }]);
+  assert.equal(activeAt(windows, '2026-06-19T23:45:00Z'), 'Friday night@2026-06-19'); // Friday
+  assert.equal(activeAt(windows, '2026-06-20T02:00:00Z'), 'Friday night@2026-06-19'); // Saturday morning
+  assert.equal(activeAt(windows, '2026-06-20T23:45:00Z'), null); // Saturday night
+});
+
+test('a seasonal range can wrap over new year', () => {
+  const { windows } = normalizeWindows([{ name: 'Winter', start: '00:00', end: '00:00', startDate: '11-01', endDate: '02-28' }]);
+  assert.equal(activeAt(windows, '2026-12-31T12:00:00Z'), 'Winter@2026-12-31');
+  assert.equal(activeAt(windows, '2026-01-15T12:00:00Z'), 'Winter@2026-01-15');
+  assert.equal(activeAt(windows, '2026-06-15T12:00:00Z'), null);
+});
+
+test('wall-clock time follows the timezone across DST', () => {
+  assert.equal(getZonedTime(new Date('2026-03-29T00:59:00Z'), 'Europe/London').time, '00:59');
+  assert.equal(getZonedTime(new Date('2026-03-29T01:00:00Z'), 'Europe/London').time, '02:00');
+  assert.throws(() => getZonedTime(new Date(), 'Not/AZone'), RangeError);
+});
+
+test('nextOccurrence finds the next wall-clock time', () => {
+  const now = Date.parse('2026-06-15T08:00:00Z'); // 09:00 BST
+  assert.equal(new Date(nextOccurrence(now, '07:00', 'Europe/London')).toISOString(), '2026-06-16T06:00:00.000Z');
+  assert.equal(new Date(nextOccurrence(now, '10:00', 'Europe/London')).toISOString(), '2026-06-15T09:00:00.000Z');
+});
+
+test('overlapping windows are all reported, in configured order', () => {
+  const { windows } = normalizeWindows([
+    { name: 'Night', start: '23:30', end: '05:30', targetSoc: 80 },
+    { name: 'Cheap', start: '02:00', end: '04:00' }
+  ]);
+  const allActiveAt = iso => findActiveWindows(windows, getZonedTime(new Date(iso), 'UTC')).map(match => `${match.window.name}@${match.occurrence}`);
+  assert.deepEqual(allActiveAt('2026-06-15T01:00:00Z'), ['Night@2026-06-14']);
+  assert.deepEqual(allActiveAt('2026-06-15T03:00:00Z'), ['Night@2026-06-14', 'Cheap@2026-06-15']);
+  assert.deepEqual(allActiveAt('2026-06-15T12:00:00Z'), []);
+  assert.equal(findActiveWindow(windows, getZonedTime(new Date('2026-06-15T03:00:00Z'), 'UTC')).window.name, 'Night');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createShadowReport } = require('../lib/shadow');
+const { withDirectory } = require('./helpers');
+
+const T0 = Date.parse('2026-07-01T00:00:00Z');
+const MINUTE = 60000;
+const HOUR = 3600000;
+
+function withReportFile(run) {
+  withDirectory(directory => run(path.join(directory, 'shadow-report.json')));
+}
+
+test('no report before the first intended switch', () => {
+  assert.equal(createShadowReport(null).getReport(T0), null);
+});
+
+test('counts intended switches by cause and the time on and off', () => {
+  const shadow = createShadowReport(null);
+  shadow.record({ now: T0, enabled: true, reason: 'Startup - 30s grace period active', causes: ['startup'] });
+  shadow.record({ now: T0 + HOUR, enabled: false, reason: 'Cleared conditions: Load: 300.0W < 1500W', causes: ['cleared'] });
+  shadow.record({ now: T0 + 3 * HOUR, enabled: true, reason: 'Active conditions: Voltage: 47.00V, SoC: 8.0%', causes: ['voltage', 'soc'] });
+  shadow.record({ now: T0 + 4 * HOUR, enabled: false, reason: 'Cleared conditions: Voltage: 52.00V > 50.4V', causes: ['cleared'] });
+
+  const report = shadow.getReport(T0 + 6 * HOUR);
+  assert.equal(report.switches, 4);
+  assert.equal(report.switchesOn, 2);
+  assert.equal(report.switchesOff, 2);
+  assert.deepEqual(report.byCause, { cleared: 2, startup: 1, voltage: 1, soc: 1 });
+  assert.equal(report.gridOnHours, 2);
+  assert.equal(report.gridOffHours, 4);
+  assert.equal(report.hours, 6);
+  assert.equal(report.switchesPerDay, null);
+  assert.deepEqual(report.recent[0], { time: new Date(T0 + 4 * HOUR).toISOString(), state: 'OFF', reason: 'Cleared conditions: Voltage: 52.00V > 50.4V' });
+});
+
+test('finds the busiest rolling hour and the daily rate', () => {
+  const shadow = createShadowReport(null);
+  shadow.record({ now: T0, enabled: true, reason: 'Startup', causes: ['startup'] });
+  for (let index = 1; index <= 6; index++) {
+    shadow.record({ now: T0 + 10 * HOUR + index * 10 * MINUTE, enabled: index % 2 === 0, reason: 'Load', causes: [index % 2 === 0 ? 'load' : 'cleared'] });
+  }
+  const report = shadow.getReport(T0 + 2 * 24 * HOUR);
+  assert.deepEqual(report.busiestHour, { start: new Date(T0 + 10 * HOUR + 10 * MINUTE).toISOString(), switches: 6 });
+  assert.equal(report.switchesPerDay, 3.5);
+});
+
+test('survives a restart without counting the downtime, and can be reset', () => {
+  withReportFile(stateFile => {
+    const shadow = createShadowReport(stateFile);
+    shadow.record({ now: T0, enabled: true, reason: 'Startup', causes: ['startup'] });
+    shadow.save(T0 + HOUR);
+
+    const restored = createShadowReport(stateFile);
+    restored.load();
+    restored.record({ now: T0 + 5 * HOUR, enabled: true, reason: 'Startup', causes: ['startup'] });
+    const report = restored.getReport(T0 + 6 * HOUR);
+    assert.equal(report.switches, 2);
+    assert.equal(report.gridOnHours, 2);
+
+    restored.reset(T0 + 6 * HOUR);
+    const fresh = restored.getReport(T0 + 7 * HOUR);
+    assert.equal(fresh.switches, 0);
+    assert.equal(fresh.gridOnHours, 1);
+    assert.equal(fresh.since, new Date(T0 + 6 * HOUR).toISOString());
+  });
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { simulate, parseDeltaLog } = require('../lib/simulator');
+const { buildScenario, listScenarios } = require('../lib/scenarios');
+const { DEFAULT_PATHS } = require('../lib/config');
+
+// Timeline as [ISO time, 'ON'/'OFF'] pairs
+function switches(result) {
+  return result.timeline.map(entry => [new Date(entry.time).toISOString(), entry.enabled ? 'ON' : 'OFF']);
+}
+
+test('every scenario builds and simulates', () => {
+  for (const { name } of listScenarios()) {
+    const result = simulate(buildScenario(name));
+    assert.ok(result.timeline.length > 1, name);
+  }
+});
+
+test('load-spike: short spike ignored, sustained load switches on after 3s and off 30s after', () => {
+  assert.deepEqual(switches(simulate(buildScenario('load-spike'))), [
+    ['2026-06-15T12:00:00.000Z', 'ON'],
+    ['2026-06-15T12:01:00.000Z', 'OFF'],
+    ['2026-06-15T12:02:33.000Z', 'ON'],
+    ['2026-06-15T12:04:00.000Z', 'OFF']
+  ]);
+});
+
+test('overnight-charge: window starts charging and the SoC target ends it', () => {
+  const result = simulate(buildScenario('overnight-charge'));
+  assert.deepEqual(switches(result), [
+    ['2026-06-14T23:00:00.000Z', 'ON'],
+    ['2026-06-14T23:01:00.000Z', 'OFF'],
+    ['2026-06-14T23:30:00.000Z', 'ON'],
+    ['2026-06-15T02:00:30.000Z', 'OFF']
+  ]);
+  assert.match(result.timeline[3].reason, /target SoC reached/);
+});
+
+test('emergency-overvoltage: load holds the grid through protection, emergency does not', () => {
+  const result = simulate(buildScenario('emergency-overvoltage'));
+  assert.deepEqual(switches(result), [
+    ['2026-06-15T14:00:00.000Z', 'ON'],
+    ['2026-06-15T14:04:35.000Z', 'OFF'],
+    ['2026-06-15T14:07:15.000Z', 'ON']
+  ]);
+  assert.equal(result.timeline[1].reason, 'Emergency protection triggered');
+  assert.deepEqual(result.notifications.map(n => [n.name, n.state]), [
+    ['batteryProtection', 'alert'],
+    ['emergencyProtection', 'emergency'],
+    ['emergencyProtection', 'normal'],
+    ['batteryProtection', 'normal']
+  ]);
+});
+
+test('load-hunting: anti-cycling holds switching to the hourly limit and raises an alert', () => {
+  const result = simulate(buildScenario('load-hunting'));
+  const switchTimes = result.timeline.slice(1).map(entry => entry.time);
+  switchTimes.forEach(time => {
+    assert.ok(switchTimes.filter(other => other <= time && time - other < 3600000).length <= 12);
+  });
+  // Without anti-cycling the load would switch the grid every minute
+  assert.equal(switchTimes.length, 24);
+  assert.deepEqual(result.notifications.map(n => [new Date(n.time).toISOString(), n.name, n.state]), [
+    ['2026-06-15T10:13:30.000Z', 'switchRateLimit', 'alert'],
+    ['2026-06-15T11:01:00.000Z', 'switchRateLimit', 'normal'],
+    ['2026-06-15T11:04:03.000Z', 'switchRateLimit', 'alert']
+  ]);
+});
+
+test('cold-night: charging window waits until the battery warms past the cold-charge hysteresis', () => {
+  const result = simulate(buildScenario('cold-night'));
+  assert.deepEqual(switches(result), [
+    ['2026-01-15T00:30:00.000Z', 'ON'],
+    ['2026-01-15T00:30:00.000Z', 'OFF'],
+    ['2026-01-15T03:00:00.000Z', 'ON'],
+    ['2026-01-15T05:00:30.000Z', 'OFF']
+  ]);
+  assert.deepEqual(result.notifications.map(n => [new Date(n.time).toISOString(), n.name, n.state]), [
+    ['2026-01-15T00:30:00.000Z', 'coldCharge', 'alarm'],
+    ['2026-01-15T03:00:00.000Z', 'coldCharge', 'normal']
+  ]);
+});
+
+test('timezone-edge: window on the spring-forward night runs from 02:00 local', () => {
+  assert.deepEqual(switches(simulate(buildScenario('timezone-edge'))), [
+    ['2026-03-28T23:30:00.000Z', 'ON'],
+    ['2026-03-28T23:31:00.000Z', 'OFF'],
+    ['2026-03-29T01:00:00.000Z', 'ON'],
+    ['2026-03-29T01:30:30.000Z', 'OFF']
+  ]);
+});
+
+test('rejects options without a battery Ah rating', () => {
+  assert.throws(() => simulate({ options: { batteryType: 'lifepo4-16s' }, samples: [] }), /battery Ah/);
+});
+
+test('parseDeltaLog reads JSON and data-log lines for the configured paths', () => {
+  const log = [
+    `1781524800000;I;${JSON.stringify({ updates: [{ values: [{ path: DEFAULT_PATHS.voltage, value: 53.3 }] }] })}`,
+    '$GPRMC,not,a,delta',
+    JSON.stringify({ updates: [{ timestamp: '2026-06-15T12:00:05Z', values: [{ path: DEFAULT_PATHS.load, value: 3000 }, { path: 'navigation.speedOverGround', value: 3 }] }] }),
+    JSON.stringify({ updates: [{ timestamp: '2026-06-15T12:00:06Z', values: [{ path: 'navigation.speedOverGround', value: 3 }] }] }),
+    JSON.stringify({ updates: [{ timestamp: '2026-06-15T12:00:07Z', values: [{ path: DEFAULT_PATHS.chargePower, value: 500 }] }] })
+  ].join('\n');
+
+  assert.deepEqual(parseDeltaLog(log, DEFAULT_PATHS), [
+    { time: Date.parse('2026-06-15T12:00:05Z'), voltage: 53.3, load: 3000, chargePower: 0 },
+    { time: Date.parse('2026-06-15T12:00:07Z'), voltage: 53.3, load: 3000, chargePower: 500 }
+  ]);
+});
+
+test('parseDeltaLog adds up the loads of several inverter units per phase', () => {
+  const inverters = [
+    { load: 'electrical.inverters.275.acout.power', phase: 'L1' },
+    { load: 'electrical.inverters.276.acout.power', phase: 'L2' }
+  ];
+  const delta = (time, values) => JSON.stringify({ updates: [{ timestamp: time, values: values }] });
+  const log = [
+    delta('2026-06-15T12:00:00Z', [{ path: DEFAULT_PATHS.voltage, value: 53.3 }, { path: inverters[0].load, value: 1200 }]),
+    delta('2026-06-15T12:00:01Z', [{ path: inverters[1].load, value: 800 }]),
+    delta('2026-06-15T12:00:02Z', [{ path: inverters[0].load, value: 2600 }])
+  ].join('\n');
+
+  assert.deepEqual(parseDeltaLog(log, DEFAULT_PATHS, inverters), [
+    { time: Date.parse('2026-06-15T12:00:01Z'), voltage: 53.3, load: 2000, chargePower: 0, phaseLoads: { L1: 1200, L2: 800 } },
+    { time: Date.parse('2026-06-15T12:00:02Z'), voltage: 53.3, load: 3400, chargePower: 0, phaseLoads: { L1: 2600, L2: 800 } }
+  ]);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createSocEstimator } = require('../lib/soc-estimator');
+const { withDirectory } = require('./helpers');
+
+const HOUR = 3600000;
+const STEP = 60000;
+const SETTINGS = { source: 'coulomb', chargeEfficiency: 0.9, driftCorrectionPercentPerHour: 2, restMinutes: 30, fullTailPercent: 2 };
+
+function update(estimator, now, inputs = {}) {
+  return estimator.update({ now: now, powerW: 0, voltageSoc: 50, capacityWh: 10000, isResting: false, isFull: false, settings: SETTINGS, ...inputs });
+}
+
+// Constant inputs from `start` to `end`, in 1-minute updates - returns the last estimate
+function run(estimator, start, end, inputs = {}) {
+  let soc = null;
+  for (let now = start + STEP; now <= end; now += STEP) soc = update(estimator, now, inputs);
+  return soc;
+}
+
+// An estimator saving into a fresh directory, seeded at 50% at time 0
+function withEstimator(run) {
+  withDirectory(directory => {
+    const estimator = createSocEstimator(path.join(directory, 'soc-state.json'), () => {});
+    assert.equal(update(estimator, 0), 50);
+    run(estimator, directory);
+  });
+}
+
+test('charging energy is scaled by the charge efficiency, discharge counted in full', () => {
+  withEstimator(estimator => {
+    assert.equal(Math.round(run(estimator, 0, HOUR, { powerW: 1000 }) * 100) / 100, 59);
+    assert.equal(Math.round(run(estimator, HOUR, 2 * HOUR, { powerW: -1000 }) * 100) / 100, 49);
+  });
+});
+
+test('fused: drifts toward the voltage curve no faster than the configured rate', () => {
+  withEstimator(estimator => {
+    const fused = { ...SETTINGS, source: 'fused' };
+    assert.equal(Math.round(run(estimator, 0, HOUR, { voltageSoc: 80, settings: fused }) * 100) / 100, 52);
+    // Within one step of the curve it lands on it instead of overshooting
+    assert.equal(run(estimator, HOUR, 2 * HOUR, { voltageSoc: 52.01, settings: fused }), 52.01);
+  });
+});
+
+test('re-anchors to the voltage curve once per rest period', () => {
+  withEstimator(estimator => {
+    // Resting from the first update at 1min - anchored 30min later
+    assert.equal(run(estimator, 0, 30 * STEP, { isResting: true, voltageSoc: 70 }), 50);
+    assert.equal(update(estimator, 31 * STEP, { isResting: true, voltageSoc: 70 }), 70);
+    assert.equal(run(estimator, 31 * STEP, 90 * STEP, { isResting: true, voltageSoc: 75 }), 70);
+  });
+});
+
+test('a full pack is anchored to 100%, not to the voltage curve read while charging', () => {
+  withEstimator(estimator => {
+    // 16S LiFePO4 at 3.45V per cell with 200W still flowing in reads ~56% on the charging curve
+    assert.equal(update(estimator, STEP, { isFull: true, voltageSoc: 56.5 }), 100);
+    assert.ok(run(estimator, STEP, 10 * STEP, { isFull: true, voltageSoc: 56.5, powerW: -600 }) < 100);
+  });
+});
+
+test('unknown battery power is neither integrated nor taken for a rest', () => {
+  withEstimator(estimator => {
+    assert.equal(run(estimator, 0, HOUR, { powerW: null, isResting: true, voltageSoc: 70 }), 50);
+    assert.equal(run(estimator, HOUR, 2 * HOUR, { powerW: null, settings: { ...SETTINGS, source: 'fused' }, voltageSoc: 70 }), 50);
+  });
+});
+
+test('a gap in the data is skipped rather than extrapolated', () => {
+  withEstimator(estimator => {
+    assert.equal(update(estimator, 301000, { powerW: 10000 }), 50);
+    assert.equal(Math.round(update(estimator, 601000, { powerW: 10000 }) * 100) / 100, 57.5);
+  });
+});
+
+test('a saved estimate is restored, unless it is more than 24h old', t => {
+  withEstimator((estimator, directory) => {
+    const stateFile = path.join(directory, 'soc-state.json');
+    update(estimator, HOUR, { isFull: true });
+    estimator.save(HOUR);
+
+    let clock = 26 * HOUR;
+    t.mock.method(Date, 'now', () => clock);
+    const stale = createSocEstimator(stateFile, () => {});
+    stale.load();
+    assert.equal(stale.getState().soc, null);
+
+    clock = 24 * HOUR;
+    const recent = createSocEstimator(stateFile, () => {});
+    recent.load();
+    assert.equal(recent.getState().soc, 100);
+    assert.equal(update(recent, 24 * HOUR, { voltageSoc: 60 }), 100);
+  });
+});
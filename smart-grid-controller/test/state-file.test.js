@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { readState, writeState } = require('../lib/state-file');
+const { withDirectory } = require('./helpers');
+
+function withStateFile(run) {
+  withDirectory(directory => {
+    const logged = [];
+    const options = { description: 'test state', isValid: saved => typeof saved.count === 'number', fallback: 'starting from zero', log: (level, message) => logged.push(`${level}: ${message}`) };
+    run(path.join(directory, 'state.json'), options, logged);
+  });
+}
+
+test('a written state is read back, with no temp file left behind', () => {
+  withStateFile((stateFile, options) => {
+    assert.equal(writeState(stateFile, { count: 3 }, options), true);
+    assert.deepEqual(readState(stateFile, options), { count: 3 });
+    assert.deepEqual(fs.readdirSync(path.dirname(stateFile)), ['state.json']);
+  });
+});
+
+test('a missing, unreadable or invalid file is no saved state', () => {
+  withStateFile((stateFile, options, logged) => {
+    assert.equal(readState(stateFile, options), null);
+    fs.writeFileSync(stateFile, '{"count": 3');
+    assert.equal(readState(stateFile, options), null);
+    fs.writeFileSync(stateFile, '{"count": "3"}');
+    assert.equal(readState(stateFile, options), null);
+    fs.writeFileSync(stateFile, 'null');
+    assert.equal(readState(stateFile, options), null);
+
+    assert.equal(logged.length, 4);
+    assert.equal(logged[0], 'info: No saved test state - starting from zero');
+    assert.match(logged[1], /^warn: Could not read saved test state - .* - starting from zero$/);
+    assert.equal(logged[2], `warn: Saved test state in ${stateFile} is invalid - starting from zero`);
+  });
+});
+
+test('a failed write is logged and reported, without a file name nothing is written', () => {
+  withStateFile((stateFile, options, logged) => {
+    assert.equal(writeState(path.join(stateFile, 'missing-directory', 'state.json'), { count: 3 }, options), false);
+    assert.match(logged[0], /^error: Could not save test state - /);
+
+    assert.equal(writeState(null, { count: 3 }, options), false);
+    assert.equal(readState(null, options), null);
+    assert.equal(logged.length, 1);
+  });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePriceSchedule, priceAt, planCharging, activePlanSlot } = require('../lib/tariff');
+
+const HOUR = 3600000;
+const T0 = Date.parse('2026-06-15T00:00:00Z');
+
+// Hourly slots from T0 with the given prices
+function hourly(prices) {
+  return prices.map((price, index) => ({ start: T0 + index * HOUR, end: T0 + (index + 1) * HOUR, price: price }));
+}
+
+test('parses CSV and fills missing end times from the next slot', () => {
+  const slots = parsePriceSchedule('start,price\n2026-06-15T01:00:00Z,20\n2026-06-15T00:00:00Z,10\n');
+  assert.deepEqual(slots, [
+    { start: T0, end: T0 + HOUR, price: 10 },
+    { start: T0 + HOUR, end: T0 + HOUR + 30 * 60000, price: 20 }
+  ]);
+});
+
+test('parses Octopus-style JSON results', () => {
+  const slots = parsePriceSchedule(JSON.stringify({ results: [{ valid_from: '2026-06-15T00:00:00Z', valid_to: '2026-06-15T00:30:00Z', value_inc_vat: 12.5 }] }));
+  assert.deepEqual(slots, [{ start: T0, end: T0 + 30 * 60000, price: 12.5 }]);
+  assert.equal(priceAt(slots, T0 + 60000), 12.5);
+  assert.equal(priceAt(slots, T0 + HOUR), null);
+});
+
+test('plans the cheapest slots before the deadline', () => {
+  const plan = planCharging({
+    slots: hourly([30, 10, 20, 5, 40]),
+    now: T0,
+    soc: 50,
+    targetSoc: 90,
+    deadline: T0 + 4 * HOUR,
+    capacityKwh: 10,
+    chargePowerW: 3000,
+    efficiency: 1
+  });
+  // 4 kWh needed at 3 kW: the 5 slot (3 kWh) and 1 kWh of the 10 slot
+  assert.deepEqual(plan.slots.map(slot => [slot.price, slot.energyKwh]), [[10, 1], [5, 3]]);
+  assert.equal(plan.reachesTarget, true);
+  assert.equal(plan.expectedCost, 25);
+  assert.equal(activePlanSlot(plan, T0 + 3.5 * HOUR).price, 5);
+  assert.equal(activePlanSlot(plan, T0), null);
+});
+
+test('price limits: never above, always below', () => {
+  const plan = planCharging({
+    slots: hourly([50, 60, -2, 20]),
+    now: T0,
+    soc: 0,
+    targetSoc: 100,
+    deadline: T0 + 2 * HOUR,
+    capacityKwh: 10,
+    chargePowerW: 3000,
+    efficiency: 1,
+    alwaysChargeBelow: 0,
+    neverImportAbove: 55
+  });
+  assert.deepEqual(plan.slots.map(slot => [slot.price, slot.reason]), [[50, 'cheapest'], [-2, 'below-threshold']]);
+  assert.equal(plan.reachesTarget, false);
+});
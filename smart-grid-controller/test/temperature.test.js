@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { kelvinToCelsius, isPlausibleKelvin, compensationOffset, compensateThresholds } = require('../lib/temperature');
+const { buildConfig } = require('../lib/config');
+const { calculateSoC } = require('../lib/soc');
+
+// 12V AGM bank: lead-acid 6 cells, -3mV/°C per cell
+function leadAcid(temperature = {}) {
+  return buildConfig({ batteryType: 'custom', battery: { chemistry: 'lead-acid', cellCount: 6 }, batteryCapacity: { batteryAh: 200 }, temperature: temperature }, () => {});
+}
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('converts and sanity-checks Kelvin readings', () => {
+  near(kelvinToCelsius(273.15), 0);
+  assert.equal(isPlausibleKelvin(293.15), true);
+  assert.equal(isPlausibleKelvin(20), false);
+});
+
+test('temperature limits default to the chemistry and can be overridden', () => {
+  const lifepo4 = buildConfig({ batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 } }, () => {});
+  assert.equal(lifepo4.temperature.chargeBlockBelow, 0);
+  assert.equal(lifepo4.temperature.compensationPerCell, 0);
+
+  const custom = buildConfig({ batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 }, temperature: { chargeBlockBelow: 5, highTemperature: 40 } }, () => {});
+  assert.equal(custom.temperature.chargeBlockBelow, 5);
+  assert.equal(custom.temperature.highTemperature, 40);
+  assert.equal(custom.temperature.emergencyTemperature, 60);
+});
+
+test('out-of-order temperature limits fall back to the chemistry defaults', () => {
+  const messages = [];
+  const config = buildConfig({ batteryType: 'lifepo4-16s', batteryCapacity: { batteryAh: 280 }, temperature: { highTemperature: 70 } }, (level, message) => messages.push(message));
+  assert.equal(config.temperature.highTemperature, 45);
+  assert.ok(messages.some(message => /Invalid temperature limits/.test(message)));
+});
+
+test('compensation is off unless enabled, and needs a reading', () => {
+  near(compensationOffset(leadAcid().temperature, 5), 0);
+  const settings = leadAcid({ compensation: true }).temperature;
+  near(compensationOffset(settings, null), 0);
+  near(compensationOffset(settings, 5), 0.06);
+  near(compensationOffset(settings, 35), -0.03);
+});
+
+test('compensation shifts pack and cell voltage thresholds but not the cell delta limits', () => {
+  const config = leadAcid({ compensation: true });
+  const cold = compensateThresholds(config, compensationOffset(config.temperature, 5));
+  near(cold.voltageThresholds.highVoltageProtection, (2.45 + 0.06) * 6);
+  near(cold.cellThresholds.emergencyVoltage, config.cellThresholds.emergencyVoltage + 0.06);
+  assert.equal(cold.cellThresholds.maxDelta, config.cellThresholds.maxDelta);
+  assert.equal(compensateThresholds(config, 0), config);
+});
+
+test('compensation shifts the SoC curve lookup', () => {
+  const config = leadAcid({ compensation: true });
+  const offset = compensationOffset(config.temperature, 5);
+  // 2.07V per cell is 80% at 25°C; at 5°C the same reading counts as 2.01V (50%)
+  near(calculateSoC(2.07 * 6, config.chemistryProfile, 6, 0, config.onePercentThresholdW), 80);
+  near(calculateSoC(2.07 * 6, config.chemistryProfile, 6, 0, config.onePercentThresholdW, offset), 50);
+});